@@ -70,6 +70,26 @@ export const VARIANTS = [
 
 ];
 
+// UAE VAT treatment of a line (ZeroRated and Exempt both charge 0%, but are reported separately)
+export const VAT_CATEGORIES = ["Standard", "ZeroRated", "Exempt"];
+
+// Document types numbered from a counter-backed series (utils/documentNumbering.js)
+export const NUMBERED_DOCUMENT_TYPES = [
+  "Quote",
+  "Order",
+  "Invoice",
+  "CreditNote",
+  "PurchaseOrder",
+  "Receipt",
+];
+
+// Who/where a payment was received (PaymentReceiver.type)
+export const PAYMENT_RECEIVER_TYPES = ["Person", "BankAccount", "PettyCash"];
+
+// Payments are voided, never deleted; a bounced cheque is a specific void type
+export const PAYMENT_STATUSES = ["Posted", "Voided"];
+export const PAYMENT_VOID_TYPES = ["Void", "BouncedCheque"];
+
 export const PACKING_UNITS = [
   "100yd Roll",
   "35yd Roll",
@@ -140,6 +160,15 @@ export const SKU_TOKENS = {
 
 export const SLOT_STORES = ["AE1", "AE2"];
 
+// Reorder point when neither the product nor its category sets one (utils/reorderPoints.js)
+export const DEFAULT_REORDER_POINT = 10;
+
+// Inventory costing (INVENTORY_COSTING_METHOD env, see utils/inventoryCost.js)
+export const INVENTORY_COSTING_METHODS = ["FIFO", "WeightedAverage"];
+
+// Pick-list slot selection (utils/pickList.js)
+export const PICK_STRATEGIES = ["FewestSlots", "EmptiestFirst", "FIFO"];
+
 export const SLOT_UNITS = [
   "A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R",
   "FLOOR", 
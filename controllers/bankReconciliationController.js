@@ -0,0 +1,432 @@
+// controllers/bankReconciliationController.js
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import BankStatementImport from "../models/bankStatementImportModel.js";
+import BankStatementLine, { BANK_LINE_STATUSES } from "../models/bankStatementLineModel.js";
+import Invoice from "../models/invoiceModel.js";
+import Payment from "../models/paymentModel.js";
+import PaymentReceiver from "../models/paymentReceiverModel.js";
+import Receipt from "../models/receiptModel.js";
+import { getBaseCurrency, minorUnitFactorFor, normalizeCurrency } from "../utils/currency.js";
+import { parseBankStatementCsv, refreshProposals } from "../utils/bankReconciliation.js";
+import {
+  activeReceiverNames,
+  resolvePaymentReceiver,
+} from "../utils/paymentReceivers.js";
+
+/* -----------------------
+   Helpers
+------------------------ */
+function toInt(v, fallback) {
+  const n = Number.parseInt(String(v), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Reconcile one line inside `session`: Receipt for the line amount, allocated to the
+ * given invoices in order (up to each balance due); the rest stays as customer credit.
+ */
+async function reconcileLine({ lineId, invoiceIds, receiver, adminId, session }) {
+  const line = await BankStatementLine.findOneAndUpdate(
+    { _id: lineId, status: { $in: ["Unmatched", "Proposed"] } },
+    { $set: { status: "Reconciled", reconciledAt: new Date(), reconciledBy: adminId } },
+    { new: true, session }
+  );
+  if (!line) throw new Error("Line not found or already reconciled/ignored.");
+
+  const invoices = await Invoice.find({ _id: { $in: invoiceIds } })
+    .select("user status currency balanceDueMinor invoiceNumber")
+    .session(session)
+    .lean();
+  const byId = new Map(invoices.map((inv) => [String(inv._id), inv]));
+
+  const ordered = invoiceIds.map((id) => byId.get(String(id)));
+  if (ordered.some((inv) => !inv)) throw new Error("Invoice not found.");
+
+  const userId = ordered[0].user;
+  for (const inv of ordered) {
+    if (inv.status !== "Issued") {
+      throw new Error(`${inv.invoiceNumber} is not an Issued invoice.`);
+    }
+    if (inv.currency !== line.currency) {
+      throw new Error(`${inv.invoiceNumber} is not in ${line.currency}.`);
+    }
+    if (String(inv.user) !== String(userId)) {
+      throw new Error("All invoices on one line must belong to the same customer.");
+    }
+  }
+
+  const [receipt] = await Receipt.create(
+    [
+      {
+        user: userId,
+        currency: line.currency,
+        minorUnitFactor: line.minorUnitFactor,
+        amountMinor: line.amountMinor,
+        paymentMethod: "Bank Transfer",
+        paymentDate: line.date,
+        reference: line.reference || line.narrative.slice(0, 120),
+        note: "Bank statement reconciliation",
+        receiver: receiver._id,
+        receivedBy: receiver.name,
+        createdBy: adminId,
+      },
+    ],
+    { session }
+  );
+
+  let remaining = line.amountMinor;
+  for (const inv of ordered) {
+    const slice = Math.min(remaining, Math.max(0, Number(inv.balanceDueMinor) || 0));
+    if (slice <= 0) continue;
+    await Payment.create(
+      [
+        {
+          receipt: receipt._id,
+          invoice: inv._id,
+          user: userId,
+          amountMinor: slice,
+          paymentMethod: "Bank Transfer",
+          paymentDate: line.date,
+          receiver: receiver._id,
+          receivedBy: receiver.name,
+          reference: receipt.reference || receipt.receiptNumber,
+          note: receipt.note,
+        },
+      ],
+      { session }
+    );
+    remaining -= slice;
+  }
+
+  await BankStatementLine.updateOne(
+    { _id: line._id },
+    { $set: { receipt: receipt._id } },
+    { session }
+  );
+
+  return { receiptId: receipt._id, receiptNumber: receipt.receiptNumber, unappliedMinor: remaining };
+}
+
+/* =========================
+   POST /api/bank-statements/import
+   Private/Admin
+   Upload a bank statement CSV (text/csv body, or JSON { csv, ... })
+   Query/body: currency? (default base), fileName?, accountName?
+   JSON body only: columns? { date, amount, credit, debit, narrative, reference } header names
+   Credit lines already imported before are skipped (never imported twice).
+   ========================= */
+export const importBankStatement = asyncHandler(async (req, res) => {
+  const body = typeof req.body === "object" && req.body !== null ? req.body : {};
+  const text = typeof req.body === "string" ? req.body : body.csv;
+  if (!text || !String(text).trim()) {
+    res.status(400);
+    throw new Error("CSV content is required.");
+  }
+
+  const rawCurrency = req.query.currency || body.currency;
+  const currency = rawCurrency ? normalizeCurrency(rawCurrency) : getBaseCurrency();
+  if (!currency) {
+    res.status(400);
+    throw new Error("Invalid currency.");
+  }
+  const minorUnitFactor = minorUnitFactorFor(currency);
+
+  let parsed;
+  try {
+    parsed = parseBankStatementCsv(String(text), {
+      currency,
+      minorUnitFactor,
+      columns: body.columns && typeof body.columns === "object" ? body.columns : {},
+    });
+  } catch (err) {
+    res.status(400);
+    throw err;
+  }
+
+  const fingerprints = parsed.lines.map((l) => l.fingerprint);
+  const existing = new Set(
+    await BankStatementLine.find({ fingerprint: { $in: fingerprints } }).distinct("fingerprint")
+  );
+  const fresh = parsed.lines.filter((l) => !existing.has(l.fingerprint));
+
+  const batch = await BankStatementImport.create({
+    fileName: String(req.query.fileName || body.fileName || "").trim(),
+    accountName: String(req.query.accountName || body.accountName || "").trim(),
+    currency,
+    minorUnitFactor,
+    rowCount: parsed.rowCount,
+    skippedCount: parsed.skippedCount,
+    uploadedBy: req.user?._id,
+  });
+
+  let importedCount = 0;
+  if (fresh.length) {
+    try {
+      const inserted = await BankStatementLine.insertMany(
+        fresh.map((l) => ({ ...l, importBatch: batch._id, currency, minorUnitFactor })),
+        { ordered: false }
+      );
+      importedCount = inserted.length;
+    } catch (err) {
+      // A concurrent upload of the same lines: keep what went in
+      if (err?.code !== 11000 && !err?.writeErrors) throw err;
+      importedCount = err.insertedDocs?.length ?? err.result?.insertedCount ?? 0;
+    }
+  }
+
+  batch.importedCount = importedCount;
+  batch.duplicateCount = parsed.lines.length - importedCount;
+  await batch.save();
+
+  if (importedCount) await refreshProposals({ importBatch: batch._id });
+
+  const byStatus = await BankStatementLine.aggregate([
+    { $match: { importBatch: batch._id } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: "Bank statement imported successfully.",
+    data: {
+      import: batch,
+      lines: Object.fromEntries(byStatus.map((r) => [r._id, r.count])),
+    },
+  });
+});
+
+/* =========================
+   GET /api/bank-statements/imports
+   Private/Admin
+   Uploaded statements, newest first
+   ========================= */
+export const getBankStatementImports = asyncHandler(async (req, res) => {
+  const page = Math.max(1, toInt(req.query.page, 1));
+  const limit = Math.min(Math.max(1, toInt(req.query.limit, 20)), 50);
+  const skip = (page - 1) * limit;
+
+  const [total, items] = await Promise.all([
+    BankStatementImport.countDocuments({}),
+    BankStatementImport.find({})
+      .populate({ path: "uploadedBy", select: "name email" })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+
+  res.status(200).json({
+    success: true,
+    message: "Bank statement imports retrieved successfully.",
+    data: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages,
+    },
+  });
+});
+
+/* =========================
+   GET /api/bank-statements/lines
+   Private/Admin
+   Statement lines with match proposals
+   Query: status? (Unmatched|Proposed|Reconciled|Ignored), importBatch?, page, limit
+   ========================= */
+export const getBankStatementLines = asyncHandler(async (req, res) => {
+  const page = Math.max(1, toInt(req.query.page, 1));
+  const limit = Math.min(Math.max(1, toInt(req.query.limit, 50)), 200);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.status) {
+    const status = String(req.query.status);
+    if (!BANK_LINE_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`Invalid status. Allowed: ${BANK_LINE_STATUSES.join(", ")}.`);
+    }
+    filter.status = status;
+  }
+  if (req.query.importBatch) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.importBatch)) {
+      res.status(400);
+      throw new Error("Invalid importBatch id.");
+    }
+    filter.importBatch = req.query.importBatch;
+  }
+
+  const [total, items] = await Promise.all([
+    BankStatementLine.countDocuments(filter),
+    BankStatementLine.find(filter)
+      .populate({
+        path: "proposals.invoice",
+        select: "invoiceNumber amountMinor balanceDueMinor dueDate currency minorUnitFactor",
+      })
+      .populate({ path: "proposals.user", select: "name email" })
+      .populate({ path: "receipt", select: "receiptNumber user unappliedMinor" })
+      .sort({ date: -1, rowNumber: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+
+  res.status(200).json({
+    success: true,
+    message: "Bank statement lines retrieved successfully.",
+    data: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages,
+    },
+  });
+});
+
+/* =========================
+   POST /api/bank-statements/lines/rematch
+   Private/Admin
+   Recompute proposals for unreconciled lines (e.g. after new invoices were issued)
+   Body: { importBatch? }
+   ========================= */
+export const rematchBankStatementLines = asyncHandler(async (req, res) => {
+  const importBatch = req.body?.importBatch || null;
+  if (importBatch && !mongoose.Types.ObjectId.isValid(importBatch)) {
+    res.status(400);
+    throw new Error("Invalid importBatch id.");
+  }
+
+  const updated = await refreshProposals({ importBatch });
+
+  res.status(200).json({
+    success: true,
+    message: "Match proposals refreshed successfully.",
+    data: { updated },
+  });
+});
+
+/* =========================
+   PUT /api/bank-statements/lines/:id/ignore
+   Private/Admin
+   Ignore a line (not a customer payment) or bring it back
+   Body: { ignored: boolean }
+   ========================= */
+export const setBankStatementLineIgnored = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid line id.");
+  }
+
+  const ignored = req.body?.ignored !== false;
+  const updated = await BankStatementLine.findOneAndUpdate(
+    { _id: id, status: ignored ? { $in: ["Unmatched", "Proposed"] } : "Ignored" },
+    { $set: { status: ignored ? "Ignored" : "Unmatched", proposals: [] } },
+    { new: true }
+  );
+
+  if (!updated) {
+    res.status(409);
+    throw new Error("Line not found or its status does not allow this change.");
+  }
+
+  if (!ignored) await refreshProposals({ importBatch: updated.importBatch });
+
+  res.status(200).json({
+    success: true,
+    message: ignored ? "Line ignored successfully." : "Line restored successfully.",
+    data: await BankStatementLine.findById(id).lean(),
+  });
+});
+
+/* =========================
+   POST /api/bank-statements/reconcile
+   Private/Admin
+   Confirm matches in bulk
+   Body: { matches: [{ lineId, invoiceIds: [..] } | { lineId, invoiceId }], receivedBy? }
+   receivedBy: PaymentReceiver id or name (default: the first active BankAccount receiver)
+   Each line becomes a Receipt allocated to its invoices in the given order;
+   any remainder is held as customer credit. Lines are processed independently.
+   ========================= */
+export const reconcileBankStatementLines = asyncHandler(async (req, res) => {
+  const { matches, receivedBy } = req.body || {};
+
+  if (!Array.isArray(matches) || matches.length === 0) {
+    res.status(400);
+    throw new Error("matches must be a non-empty array.");
+  }
+  if (matches.length > 200) {
+    res.status(400);
+    throw new Error("Reconcile at most 200 lines per request.");
+  }
+
+  const receiver = receivedBy
+    ? await resolvePaymentReceiver(receivedBy)
+    : await PaymentReceiver.findOne({ type: "BankAccount", isActive: true })
+        .select("name type")
+        .sort({ createdAt: 1 })
+        .lean();
+  if (!receiver) {
+    res.status(400);
+    throw new Error(
+      `Invalid receivedBy. Active receivers: ${(await activeReceiverNames()).join(", ")}.`
+    );
+  }
+
+  const results = [];
+  for (const match of matches) {
+    const lineId = String(match?.lineId || "");
+    const invoiceIds = Array.isArray(match?.invoiceIds)
+      ? match.invoiceIds.map(String)
+      : match?.invoiceId
+      ? [String(match.invoiceId)]
+      : [];
+
+    if (
+      !mongoose.Types.ObjectId.isValid(lineId) ||
+      invoiceIds.length === 0 ||
+      invoiceIds.some((id) => !mongoose.Types.ObjectId.isValid(id)) ||
+      new Set(invoiceIds).size !== invoiceIds.length
+    ) {
+      results.push({ lineId, ok: false, error: "Invalid lineId or invoiceIds." });
+      continue;
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let outcome;
+      await session.withTransaction(async () => {
+        outcome = await reconcileLine({
+          lineId,
+          invoiceIds,
+          receiver,
+          adminId: req.user?._id,
+          session,
+        });
+      });
+      results.push({ lineId, ok: true, ...outcome });
+    } catch (err) {
+      results.push({ lineId, ok: false, error: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+
+  const reconciled = results.filter((r) => r.ok).length;
+
+  res.status(200).json({
+    success: true,
+    message: `${reconciled} of ${results.length} lines reconciled.`,
+    data: results,
+  });
+});
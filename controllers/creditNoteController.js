@@ -0,0 +1,537 @@
+// megadie-backend/controllers/creditNoteController.js
+import mongoose from "mongoose";
+import { renderPdf, sendPdf } from "../utils/pdfRenderer.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import CreditNote from "../models/creditNoteModel.js";
+import Invoice from "../models/invoiceModel.js";
+import User from "../models/userModel.js";
+import {
+  renderCreditNoteHtml,
+  creditNoteFooterTemplate,
+} from "../utils/creditNoteTemplate.js";
+
+/* -----------------------
+   Helpers
+------------------------ */
+function toInt(v, fallback) {
+  const n = Number.parseInt(String(v), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function parseDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function escapeRegex(text = "") {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isAdminUser(req) {
+  return Boolean(req.user?.isAdmin);
+}
+
+const CREDIT_NOTE_STATUS_ALLOWED = new Set(
+  CreditNote.schema.path("status")?.enumValues || []
+);
+
+const REFUND_METHODS_ALLOWED = new Set(
+  CreditNote.schema.path("refunds").schema.path("method")?.enumValues || []
+);
+
+/**
+ * @desc    Admin: issue a credit note against an Issued invoice
+ * @route   POST /api/credit-notes/from-invoice/:invoiceId
+ * @access  Private/Admin
+ *
+ * Body:
+ * - items: [{ description, qty, unitPriceMinor, productId? }]
+ * - reason (optional)
+ * - creditDate (optional, defaults to now)
+ */
+export const createCreditNote = asyncHandler(async (req, res) => {
+  const { invoiceId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+    res.status(400);
+    throw new Error("Invalid invoice id.");
+  }
+
+  const body = req.body || {};
+
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    res.status(400);
+    throw new Error("At least one credit note item is required.");
+  }
+
+  const cleanedItems = [];
+  for (let idx = 0; idx < body.items.length; idx += 1) {
+    const row = body.items[idx];
+    const description = String(row?.description || "").trim();
+    const qty = Number(row?.qty);
+    const unitPriceMinor = Number(row?.unitPriceMinor);
+    const productId = row?.productId ? String(row.productId) : "";
+
+    if (!description) {
+      res.status(400);
+      throw new Error(`Item ${idx + 1}: description is required.`);
+    }
+    if (!Number.isFinite(qty) || !Number.isInteger(qty) || qty <= 0) {
+      res.status(400);
+      throw new Error(`Item ${idx + 1}: qty must be a positive integer.`);
+    }
+    if (
+      !Number.isFinite(unitPriceMinor) ||
+      !Number.isInteger(unitPriceMinor) ||
+      unitPriceMinor < 0
+    ) {
+      res.status(400);
+      throw new Error(
+        `Item ${idx + 1}: unitPriceMinor must be a non-negative integer.`
+      );
+    }
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      res.status(400);
+      throw new Error(`Item ${idx + 1}: invalid product id.`);
+    }
+
+    cleanedItems.push({
+      description,
+      product: productId || null,
+      qty,
+      unitPriceMinor,
+      lineTotalMinor: qty * unitPriceMinor,
+    });
+  }
+
+  const amountMinor = cleanedItems.reduce(
+    (sum, item) => sum + (Number(item.lineTotalMinor) || 0),
+    0
+  );
+  if (amountMinor <= 0) {
+    res.status(400);
+    throw new Error("Credit note amount must be greater than zero.");
+  }
+
+  let creditDate;
+  if (body.creditDate) {
+    creditDate = parseDate(body.creditDate);
+    if (!creditDate) {
+      res.status(400);
+      throw new Error("Invalid credit date.");
+    }
+  }
+
+  const invoice = await Invoice.findById(invoiceId)
+    .select("user status amountMinor")
+    .lean();
+
+  if (!invoice) {
+    res.status(404);
+    throw new Error("Invoice not found.");
+  }
+
+  if (invoice.status !== "Issued") {
+    res.status(400);
+    throw new Error("Credit notes can only be issued against Issued invoices.");
+  }
+
+  // Number + invoice credit commit together: a failed insert leaves no gap in the series
+  const session = await mongoose.startSession();
+  let creditNote = null;
+  try {
+    await session.withTransaction(async () => {
+      // Gross of Issued credit notes (refunds don't free room), read in the transaction
+      const credited = await CreditNote.issuedTotalMinor(invoiceId, { session });
+      const creditable = Math.max(0, (Number(invoice.amountMinor) || 0) - credited);
+      if (amountMinor > creditable) {
+        res.status(400);
+        throw new Error("Credit note exceeds the remaining creditable invoice amount.");
+      }
+
+      [creditNote] = await CreditNote.create(
+        [
+          {
+            invoice: invoiceId,
+            user: invoice.user,
+            items: cleanedItems,
+            amountMinor,
+            creditDate,
+            reason: typeof body.reason === "string" ? body.reason.trim() : undefined,
+            createdBy: req.user?._id,
+          },
+        ],
+        { session }
+      );
+    });
+  } finally {
+    session.endSession();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Credit note issued successfully.",
+    data: creditNote,
+  });
+});
+
+/**
+ * @desc    Admin: list credit notes (filters + pagination)
+ * @route   GET /api/credit-notes
+ * @access  Private/Admin
+ *
+ * Query params (optional):
+ * - page, limit
+ * - status=Issued|Cancelled
+ * - user=<userId>, invoice=<invoiceId>
+ * - search=<string> (creditNoteNumber/invoiceNumber/user name/email/reason)
+ */
+export const getCreditNotes = asyncHandler(async (req, res) => {
+  const page = Math.max(1, toInt(req.query.page, 1));
+  const limitRaw = toInt(req.query.limit, 20);
+  const limit = Math.min(Math.max(1, limitRaw), 50);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+
+  const status = req.query.status ? String(req.query.status).trim() : "";
+  if (status && status !== "all") {
+    if (!CREDIT_NOTE_STATUS_ALLOWED.has(status)) {
+      res.status(400);
+      throw new Error(
+        `Invalid status. Allowed: ${Array.from(CREDIT_NOTE_STATUS_ALLOWED).join(", ")}.`
+      );
+    }
+    filter.status = status;
+  }
+
+  for (const key of ["user", "invoice"]) {
+    const value = req.query[key] ? String(req.query[key]) : "";
+    if (!value) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      res.status(400);
+      throw new Error(`Invalid ${key} filter.`);
+    }
+    filter[key] = value;
+  }
+
+  const search = req.query.search ? String(req.query.search).trim() : "";
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), "i");
+
+    const [invoices, users] = await Promise.all([
+      Invoice.find({ invoiceNumber: regex }).select("_id").limit(200).lean(),
+      User.find({ $or: [{ name: regex }, { email: regex }] })
+        .select("_id")
+        .limit(200)
+        .lean(),
+    ]);
+
+    const invoiceIds = invoices.map((inv) => inv._id);
+    const userIds = users.map((u) => u._id);
+
+    filter.$or = [
+      { creditNoteNumber: regex },
+      { reason: regex },
+      ...(invoiceIds.length ? [{ invoice: { $in: invoiceIds } }] : []),
+      ...(userIds.length ? [{ user: { $in: userIds } }] : []),
+    ];
+  }
+
+  const [total, items] = await Promise.all([
+    CreditNote.countDocuments(filter),
+    CreditNote.find(filter)
+      .populate({ path: "invoice", select: "invoiceNumber status" })
+      .populate({ path: "user", select: "name email" })
+      .sort({ creditDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+
+  res.json({
+    success: true,
+    message: "Credit notes retrieved successfully.",
+    data: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages,
+    },
+  });
+});
+
+/**
+ * @desc    Get credit note details (owner OR admin)
+ * @route   GET /api/credit-notes/:id
+ * @access  Private (owner or admin)
+ */
+export const getCreditNoteById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid credit note id.");
+  }
+
+  const creditNote = await CreditNote.findById(id)
+    .populate({ path: "invoice", select: "invoiceNumber status createdAt currency minorUnitFactor" })
+    .populate({ path: "user", select: "name email phoneNumber" })
+    .populate({ path: "items.product", select: "name sku" })
+    .lean();
+
+  if (!creditNote) {
+    res.status(404);
+    throw new Error("Credit note not found.");
+  }
+
+  const ownerId = String(creditNote.user?._id || creditNote.user);
+  if (!isAdminUser(req) && ownerId !== String(req.user?._id)) {
+    res.status(403);
+    throw new Error("Not authorized to view this credit note.");
+  }
+
+  if (!isAdminUser(req)) {
+    delete creditNote.createdBy;
+    creditNote.refunds = (creditNote.refunds || []).map(
+      ({ recordedBy, ...refund }) => refund
+    );
+  }
+
+  res.json(creditNote);
+});
+
+/**
+ * @desc    Get credit note PDF (owner OR admin)
+ * @route   GET /api/credit-notes/:id/pdf
+ * @access  Private (owner or admin)
+ */
+export const getCreditNotePDF = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid credit note id.");
+  }
+
+  // Auth probe first
+  const authProbe = await CreditNote.findById(id).select("user").lean();
+  if (!authProbe) {
+    res.status(404);
+    throw new Error("Credit note not found.");
+  }
+
+  if (!isAdminUser(req) && String(authProbe.user) !== String(req.user?._id)) {
+    res.status(403);
+    throw new Error("Not authorized to view this credit note.");
+  }
+
+  const creditNote = await CreditNote.findById(id)
+    .populate({ path: "invoice", select: "invoiceNumber createdAt customerSnapshot" })
+    .populate({ path: "user", select: "name email" })
+    .populate({ path: "items.product", select: "name sku" })
+    .lean();
+
+  if (!creditNote) {
+    res.status(404);
+    throw new Error("Credit note not found.");
+  }
+
+  const html = renderCreditNoteHtml({ creditNote });
+  const fileName = creditNote.creditNoteNumber
+    ? `credit-note-${creditNote.creditNoteNumber}.pdf`
+    : `credit-note-${creditNote._id}.pdf`;
+
+  const pdfBuffer = await renderPdf(html, {
+    footerTemplate: creditNoteFooterTemplate,
+  });
+  sendPdf(res, pdfBuffer, fileName);
+});
+
+/**
+ * @desc    Admin: record a refund paid out against a credit note
+ * @route   POST /api/credit-notes/:id/refunds
+ * @access  Private/Admin
+ *
+ * Only money the client actually overpaid on the invoice can be refunded
+ * (paid + credited - invoice amount). The refund reduces the invoice credit.
+ *
+ * Body: { amount (major units), method, refundedAt?, reference?, note? }
+ */
+export const addCreditNoteRefund = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid credit note id.");
+  }
+
+  const { amount, method, refundedAt, reference, note } = req.body || {};
+
+  if (!method || !REFUND_METHODS_ALLOWED.has(method)) {
+    res.status(400);
+    throw new Error(
+      `Invalid refund method. Allowed: ${Array.from(REFUND_METHODS_ALLOWED).join(", ")}.`
+    );
+  }
+
+  const majorAmount = Number(amount);
+  if (!Number.isFinite(majorAmount) || majorAmount <= 0) {
+    res.status(400);
+    throw new Error("Refund amount must be a positive number.");
+  }
+
+  let parsedRefundedAt;
+  if (refundedAt) {
+    parsedRefundedAt = parseDate(refundedAt);
+    if (!parsedRefundedAt) {
+      res.status(400);
+      throw new Error("Invalid refund date.");
+    }
+  }
+
+  const creditNote = await CreditNote.findById(id);
+  if (!creditNote) {
+    res.status(404);
+    throw new Error("Credit note not found.");
+  }
+
+  if (creditNote.status !== "Issued") {
+    res.status(400);
+    throw new Error("Refunds can only be recorded on Issued credit notes.");
+  }
+
+  const amountMinor = Math.round(majorAmount * (creditNote.minorUnitFactor || 100));
+  if (!Number.isInteger(amountMinor) || amountMinor <= 0) {
+    res.status(400);
+    throw new Error("Refund amount is invalid.");
+  }
+
+  const remainingOnNote =
+    (Number(creditNote.amountMinor) || 0) - (Number(creditNote.refundedMinor) || 0);
+  if (amountMinor > remainingOnNote) {
+    res.status(400);
+    throw new Error("Refund exceeds the unrefunded credit note amount.");
+  }
+
+  const invoice = await Invoice.findById(creditNote.invoice)
+    .select("amountMinor paidTotalMinor creditedTotalMinor")
+    .lean();
+  if (!invoice) {
+    res.status(404);
+    throw new Error("Invoice not found.");
+  }
+
+  const overpaidMinor =
+    (Number(invoice.paidTotalMinor) || 0) +
+    (Number(invoice.creditedTotalMinor) || 0) -
+    (Number(invoice.amountMinor) || 0);
+  if (amountMinor > overpaidMinor) {
+    res.status(400);
+    throw new Error(
+      "Refund exceeds what the client has overpaid on this invoice. The remaining credit reduces the balance due."
+    );
+  }
+
+  creditNote.refunds.push({
+    amountMinor,
+    method,
+    refundedAt: parsedRefundedAt,
+    reference: typeof reference === "string" ? reference.trim() : reference,
+    note: typeof note === "string" ? note.trim() : note,
+    recordedBy: req.user?._id,
+  });
+
+  const updated = await creditNote.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Refund recorded successfully.",
+    data: updated,
+  });
+});
+
+/**
+ * @desc    Admin: cancel a credit note (reverses its credit on the invoice)
+ * @route   PUT /api/credit-notes/:id/cancel
+ * @access  Private/Admin
+ *
+ * Body: { cancelReason? }
+ */
+export const cancelCreditNote = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid credit note id.");
+  }
+
+  const creditNote = await CreditNote.findById(id);
+  if (!creditNote) {
+    res.status(404);
+    throw new Error("Credit note not found.");
+  }
+
+  if (creditNote.status === "Cancelled") {
+    res.status(400);
+    throw new Error("Credit note is already cancelled.");
+  }
+
+  if ((Number(creditNote.refundedMinor) || 0) > 0) {
+    res.status(409);
+    throw new Error("Credit notes with recorded refunds cannot be cancelled.");
+  }
+
+  creditNote.status = "Cancelled";
+  creditNote.cancelledAt = new Date();
+  if (typeof req.body?.cancelReason === "string") {
+    creditNote.cancelReason = req.body.cancelReason.trim();
+  }
+
+  const updated = await creditNote.save();
+
+  res.json({
+    success: true,
+    message: "Credit note cancelled and invoice balance updated.",
+    data: updated,
+  });
+});
+
+/**
+ * @desc    Admin: delete a credit note (only if Cancelled)
+ * @route   DELETE /api/credit-notes/:id
+ * @access  Private/Admin
+ */
+export const deleteCreditNote = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid credit note id.");
+  }
+
+  const creditNote = await CreditNote.findById(id).select("_id status invoice");
+  if (!creditNote) {
+    res.status(404);
+    throw new Error("Credit note not found.");
+  }
+
+  if (creditNote.status !== "Cancelled") {
+    res.status(400);
+    throw new Error("Only Cancelled credit notes can be deleted.");
+  }
+
+  await creditNote.deleteOne();
+
+  res.json({
+    message: "Credit note deleted.",
+    creditNoteId: creditNote._id,
+    invoiceId: creditNote.invoice,
+  });
+});
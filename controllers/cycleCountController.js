@@ -0,0 +1,660 @@
+// controllers/cycleCountController.js
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import CycleCount, { CYCLE_COUNT_STATUSES } from "../models/cycleCountModel.js";
+import CycleCountTask, {
+  CYCLE_COUNT_TASK_STATUSES,
+} from "../models/cycleCountTaskModel.js";
+import Slot from "../models/slotModel.js";
+import SlotItem from "../models/slotItemModel.js";
+import OrderAllocation from "../models/orderAllocationModel.js";
+import { SLOT_STORES, SLOT_UNITS } from "../constants.js";
+import { setSlotItemQty } from "../utils/slotStock.js";
+import { logInventoryMovement, getUnitCbm } from "../utils/inventoryMovement.js";
+
+/* =========================
+   Helpers
+   ========================= */
+const parsePagination = (req, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  );
+  const skip = (page - 1) * limit;
+  return { page, limit, skip };
+};
+
+const cleanText = (v) => (typeof v === "string" ? v.trim() : "");
+
+const RESERVED_MATCH = {
+  $or: [{ status: "Reserved" }, { status: { $exists: false } }],
+};
+
+const getReservedQty = async (slotId, productId, session = null) => {
+  const rows = await OrderAllocation.find({
+    slot: slotId,
+    product: productId,
+    ...RESERVED_MATCH,
+  })
+    .select("qty")
+    .session(session)
+    .lean();
+  return rows.reduce((sum, row) => sum + (Number(row.qty) || 0), 0);
+};
+
+// Units from `units` (array) or an inclusive `unitFrom`..`unitTo` range in SLOT_UNITS order
+const resolveUnits = (res, { units, unitFrom, unitTo }) => {
+  if (Array.isArray(units) && units.length) {
+    const picked = Array.from(new Set(units.map((u) => String(u).trim().toUpperCase())));
+    const invalid = picked.find((u) => !SLOT_UNITS.includes(u));
+    if (invalid) {
+      res.status(400);
+      throw new Error(`Invalid unit "${invalid}". Allowed: ${SLOT_UNITS.join(", ")}.`);
+    }
+    return SLOT_UNITS.filter((u) => picked.includes(u));
+  }
+
+  const from = unitFrom ? String(unitFrom).trim().toUpperCase() : SLOT_UNITS[0];
+  const to = unitTo ? String(unitTo).trim().toUpperCase() : from;
+  const fromIdx = SLOT_UNITS.indexOf(from);
+  const toIdx = SLOT_UNITS.indexOf(to);
+  if (fromIdx < 0 || toIdx < 0) {
+    res.status(400);
+    throw new Error(`Invalid unit range. Allowed units: ${SLOT_UNITS.join(", ")}.`);
+  }
+  if (fromIdx > toIdx) {
+    res.status(400);
+    throw new Error("unitFrom must come before unitTo.");
+  }
+  return SLOT_UNITS.slice(fromIdx, toIdx + 1);
+};
+
+const loadOpenSession = async (res, id, session = null) => {
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid cycle count id.");
+  }
+  const cycleCount = await CycleCount.findById(id).session(session);
+  if (!cycleCount) {
+    res.status(404);
+    throw new Error("Cycle count not found.");
+  }
+  if (cycleCount.status !== "Open") {
+    res.status(409);
+    throw new Error(`Cycle count is ${cycleCount.status}.`);
+  }
+  return cycleCount;
+};
+
+const loadTask = async (res, cycleCountId, taskId, session = null) => {
+  if (!mongoose.isValidObjectId(taskId)) {
+    res.status(400);
+    throw new Error("Invalid task id.");
+  }
+  const task = await CycleCountTask.findOne({ _id: taskId, cycleCount: cycleCountId }).session(
+    session
+  );
+  if (!task) {
+    res.status(404);
+    throw new Error("Count task not found.");
+  }
+  return task;
+};
+
+// Variance review is a second pair of eyes: the counter cannot approve/reject their own count
+const assertNotOwnCount = (res, task, user) => {
+  if (task.countedBy && user?._id && String(task.countedBy) === String(user._id)) {
+    res.status(403);
+    throw new Error("A count must be reviewed by someone other than the counter.");
+  }
+};
+
+// Blind view for counters: never expose expected qty or variance
+const toCountSheet = (task, products = []) => ({
+  _id: task._id,
+  cycleCount: task.cycleCount,
+  slot: task.slot,
+  slotLabel: task.slotLabel,
+  status: task.status,
+  products,
+  counted: (task.lines || []).map((line) => ({
+    product: line.product,
+    countedQty: line.countedQty,
+  })),
+  countedAt: task.countedAt,
+  recountCount: task.recountCount,
+});
+
+/* =========================
+   POST /api/cycle-counts
+   Private/Admin
+   Plan a stock-take: one count task per active slot in the store/unit range.
+   Body: { store, unitFrom?, unitTo? | units?, note? }
+   Slots already in an open session's pending/counted task are rejected (409).
+   Slots holding Reserved allocations are flagged on their task.
+   ========================= */
+export const createCycleCount = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const store = String(body.store || "").trim().toUpperCase();
+  if (!SLOT_STORES.includes(store)) {
+    res.status(400);
+    throw new Error(`Invalid store. Allowed: ${SLOT_STORES.join(", ")}.`);
+  }
+  const units = resolveUnits(res, body);
+
+  const slots = await Slot.find({ store, unit: { $in: units }, isActive: true })
+    .select("_id label unit position")
+    .lean();
+  if (!slots.length) {
+    res.status(404);
+    throw new Error("No active slots in this range.");
+  }
+  const slotIds = slots.map((slot) => slot._id);
+
+  const busy = await CycleCountTask.find({
+    slot: { $in: slotIds },
+    status: { $in: ["Pending", "Counted"] },
+  })
+    .select("slotLabel")
+    .limit(5)
+    .lean();
+  if (busy.length) {
+    res.status(409);
+    throw new Error(
+      `Slots already in an open cycle count: ${busy.map((t) => t.slotLabel).join(", ")}.`
+    );
+  }
+
+  const reservedRows = await OrderAllocation.aggregate([
+    { $match: { slot: { $in: slotIds }, ...RESERVED_MATCH } },
+    { $group: { _id: "$slot", qty: { $sum: "$qty" } } },
+  ]);
+  const reservedBySlot = new Map(reservedRows.map((row) => [String(row._id), row.qty || 0]));
+
+  const unitOrder = new Map(SLOT_UNITS.map((u, idx) => [u, idx]));
+  slots.sort(
+    (a, b) => unitOrder.get(a.unit) - unitOrder.get(b.unit) || a.position - b.position
+  );
+
+  const session = await mongoose.startSession();
+  let cycleCount = null;
+  try {
+    await session.withTransaction(async () => {
+      const flagged = slots.filter((slot) => reservedBySlot.has(String(slot._id))).length;
+
+      [cycleCount] = await CycleCount.create(
+        [
+          {
+            store,
+            units,
+            note: cleanText(body.note) || undefined,
+            taskCount: slots.length,
+            flaggedTaskCount: flagged,
+            createdBy: req.user?._id || null,
+          },
+        ],
+        { session }
+      );
+
+      await CycleCountTask.insertMany(
+        slots.map((slot) => {
+          const reservedQty = reservedBySlot.get(String(slot._id)) || 0;
+          return {
+            cycleCount: cycleCount._id,
+            slot: slot._id,
+            slotLabel: slot.label,
+            hasReservedAllocations: reservedBySlot.has(String(slot._id)),
+            reservedQty,
+          };
+        }),
+        { session }
+      );
+    });
+  } finally {
+    session.endSession();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Cycle count created successfully.",
+    data: cycleCount,
+  });
+});
+
+/* =========================
+   GET /api/cycle-counts
+   Private/Admin
+   Query: status, store, page, limit
+   ========================= */
+export const getCycleCounts = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req);
+  const filter = {};
+
+  const status = req.query.status ? String(req.query.status) : "";
+  if (status && status !== "all") {
+    if (!CYCLE_COUNT_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`Invalid status. Allowed: ${CYCLE_COUNT_STATUSES.join(", ")}.`);
+    }
+    filter.status = status;
+  }
+  const store = req.query.store ? String(req.query.store).trim().toUpperCase() : "";
+  if (store) {
+    if (!SLOT_STORES.includes(store)) {
+      res.status(400);
+      throw new Error(`Invalid store. Allowed: ${SLOT_STORES.join(", ")}.`);
+    }
+    filter.store = store;
+  }
+
+  const [total, items] = await Promise.all([
+    CycleCount.countDocuments(filter),
+    CycleCount.find(filter)
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  res.status(200).json({
+    success: true,
+    message: "Cycle counts retrieved successfully.",
+    data: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages,
+    },
+  });
+});
+
+/* =========================
+   GET /api/cycle-counts/:id
+   Private/Admin
+   Supervisor view: tasks with expected qty and variances for counted tasks.
+   Query: status (task status filter)
+   ========================= */
+export const getCycleCountById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid cycle count id.");
+  }
+
+  const cycleCount = await CycleCount.findById(id)
+    .populate("createdBy", "name email")
+    .populate("closedBy", "name email")
+    .lean();
+  if (!cycleCount) {
+    res.status(404);
+    throw new Error("Cycle count not found.");
+  }
+
+  const taskFilter = { cycleCount: id };
+  const status = req.query.status ? String(req.query.status) : "";
+  if (status && status !== "all") {
+    if (!CYCLE_COUNT_TASK_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`Invalid status. Allowed: ${CYCLE_COUNT_TASK_STATUSES.join(", ")}.`);
+    }
+    taskFilter.status = status;
+  }
+
+  const tasks = await CycleCountTask.find(taskFilter)
+    .populate("lines.product", "name sku")
+    .populate("countedBy", "name email")
+    .populate("reviewedBy", "name email")
+    .lean();
+
+  const summary = { Pending: 0, Counted: 0, Posted: 0, Cancelled: 0, varianceLines: 0 };
+  for (const task of tasks) {
+    summary[task.status] = (summary[task.status] || 0) + 1;
+    summary.varianceLines += (task.lines || []).filter((line) => line.varianceQty !== 0).length;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Cycle count retrieved successfully.",
+    data: { ...cycleCount, summary, tasks },
+  });
+});
+
+/* =========================
+   GET /api/cycle-counts/:id/tasks/:taskId
+   Private/Admin
+   Blind count sheet: slot + products on record, without quantities.
+   ========================= */
+export const getCountSheet = asyncHandler(async (req, res) => {
+  const { id, taskId } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid cycle count id.");
+  }
+  const task = await loadTask(res, id, taskId);
+
+  const items = await SlotItem.find({ slot: task.slot })
+    .select("product")
+    .populate("product", "name sku catalogCode")
+    .lean();
+  const products = items.map((item) => item.product).filter(Boolean);
+
+  res.status(200).json({
+    success: true,
+    message: "Count sheet retrieved successfully.",
+    data: toCountSheet(task.toObject(), products),
+  });
+});
+
+/* =========================
+   POST /api/cycle-counts/:id/tasks/:taskId/count
+   Private/Admin
+   Submit a blind count for a slot.
+   Body: { lines: [{ productId, countedQty }], note? }
+   Products on record but not submitted are counted as 0.
+   Expected qty is read from SlotItem now; a count with no variance is posted at once,
+   otherwise the task waits for approval.
+   ========================= */
+export const submitCount = asyncHandler(async (req, res) => {
+  const { id, taskId } = req.params;
+  const { lines, note } = req.body || {};
+
+  if (!Array.isArray(lines)) {
+    res.status(400);
+    throw new Error("lines must be an array.");
+  }
+
+  const counted = new Map();
+  lines.forEach((line, index) => {
+    const productId = String(line?.productId || line?.product || "");
+    if (!mongoose.isValidObjectId(productId)) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: invalid product id.`);
+    }
+    if (counted.has(productId)) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: duplicate product.`);
+    }
+    const qty = Number(line?.countedQty);
+    if (!Number.isInteger(qty) || qty < 0) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: countedQty must be a non-negative integer.`);
+    }
+    counted.set(productId, qty);
+  });
+
+  await loadOpenSession(res, id);
+  const task = await loadTask(res, id, taskId);
+  if (task.status !== "Pending") {
+    res.status(409);
+    throw new Error(`Task is already ${task.status}.`);
+  }
+
+  const items = await SlotItem.find({ slot: task.slot }).select("product qty").lean();
+  const expectedByProduct = new Map(
+    items.map((item) => [String(item.product), Number(item.qty) || 0])
+  );
+
+  const productIds = new Set([...expectedByProduct.keys(), ...counted.keys()]);
+  const countLines = Array.from(productIds).map((productId) => {
+    const expectedQty = expectedByProduct.get(productId) || 0;
+    const countedQty = counted.get(productId) || 0;
+    return {
+      product: productId,
+      countedQty,
+      expectedQty,
+      varianceQty: countedQty - expectedQty,
+    };
+  });
+  const hasVariance = countLines.some((line) => line.varianceQty !== 0);
+  const now = new Date();
+
+  const updated = await CycleCountTask.findOneAndUpdate(
+    { _id: task._id, status: "Pending" },
+    {
+      $set: {
+        lines: countLines,
+        hasVariance,
+        status: hasVariance ? "Counted" : "Posted",
+        countedAt: now,
+        countedBy: req.user?._id || null,
+        countNote: cleanText(note) || undefined,
+        ...(hasVariance ? {} : { postedAt: now }),
+      },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    res.status(409);
+    throw new Error("Task was counted by someone else.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: hasVariance
+      ? "Count submitted successfully. Awaiting variance approval."
+      : "Count submitted successfully.",
+    data: toCountSheet(updated.toObject()),
+  });
+});
+
+/* =========================
+   POST /api/cycle-counts/:id/tasks/:taskId/approve
+   Private/Admin (supervisor; not the admin who counted the slot: 403)
+   Post a counted task's variances as ADJUST_IN / ADJUST_OUT movements.
+   Body: { note? }
+   Variances are applied to the current SlotItem qty, so stock moved since the count
+   is kept. A product can never drop below zero or below its Reserved qty (409: recount).
+   ========================= */
+export const approveCountTask = asyncHandler(async (req, res) => {
+  const { id, taskId } = req.params;
+  const reviewNote = cleanText(req.body?.note);
+
+  const session = await mongoose.startSession();
+  let task = null;
+  const posted = [];
+  try {
+    await session.withTransaction(async () => {
+      posted.length = 0;
+      await loadOpenSession(res, id, session);
+      assertNotOwnCount(res, await loadTask(res, id, taskId, session), req.user);
+
+      task = await CycleCountTask.findOneAndUpdate(
+        { _id: taskId, cycleCount: id, status: "Counted" },
+        {
+          $set: {
+            status: "Posted",
+            postedAt: new Date(),
+            reviewedAt: new Date(),
+            reviewedBy: req.user?._id || null,
+            reviewNote: reviewNote || undefined,
+          },
+        },
+        { new: true, session }
+      );
+      if (!task) {
+        res.status(409);
+        throw new Error("Only counted tasks can be approved.");
+      }
+
+      for (const line of task.lines) {
+        if (!line.varianceQty) continue;
+
+        const current = await SlotItem.findOne({ product: line.product, slot: task.slot })
+          .select("qty")
+          .session(session)
+          .lean();
+        const currentQty = Number(current?.qty || 0);
+        const nextQty = currentQty + line.varianceQty;
+        const reservedQty = await getReservedQty(task.slot, line.product, session);
+
+        if (nextQty < 0 || nextQty < reservedQty) {
+          res.status(409);
+          throw new Error(
+            `${task.slotLabel}: variance would take stock to ${nextQty} (reserved ${reservedQty}). Reject and recount.`
+          );
+        }
+
+        const { deltaCbm } = await setSlotItemQty(
+          { productId: line.product, slotId: task.slot, qty: nextQty },
+          session
+        );
+
+        const movementQty = Math.abs(line.varianceQty);
+        const movementCbm = Math.abs(deltaCbm);
+        const unitCbm = getUnitCbm(movementCbm, movementQty);
+        const movementType = line.varianceQty > 0 ? "ADJUST_IN" : "ADJUST_OUT";
+
+        await logInventoryMovement(
+          {
+            type: movementType,
+            product: line.product,
+            slot: task.slot,
+            qty: movementQty,
+            unitCbm: unitCbm || undefined,
+            cbm: movementCbm || undefined,
+            actor: req.user?._id || null,
+            note: reviewNote || `Cycle count ${task.slotLabel}`,
+            meta: {
+              cycleCount: task.cycleCount,
+              cycleCountTask: task._id,
+              countedBy: task.countedBy,
+              expectedQty: line.expectedQty,
+              countedQty: line.countedQty,
+              varianceQty: line.varianceQty,
+              previousQty: currentQty,
+              reservedQty,
+            },
+          },
+          session
+        );
+
+        posted.push({
+          product: line.product,
+          movementType,
+          qty: movementQty,
+          previousQty: currentQty,
+          newQty: nextQty,
+        });
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Variances approved and posted successfully.",
+    data: { task, movements: posted },
+  });
+});
+
+/* =========================
+   POST /api/cycle-counts/:id/tasks/:taskId/reject
+   Private/Admin (supervisor; not the admin who counted the slot: 403)
+   Send a counted task back for a recount.
+   Body: { note? }
+   ========================= */
+export const rejectCountTask = asyncHandler(async (req, res) => {
+  const { id, taskId } = req.params;
+  await loadOpenSession(res, id);
+  assertNotOwnCount(res, await loadTask(res, id, taskId), req.user);
+
+  const task = await CycleCountTask.findOneAndUpdate(
+    { _id: taskId, cycleCount: id, status: "Counted" },
+    {
+      $set: {
+        status: "Pending",
+        lines: [],
+        hasVariance: false,
+        countedAt: null,
+        countedBy: null,
+        reviewedAt: new Date(),
+        reviewedBy: req.user?._id || null,
+        reviewNote: cleanText(req.body?.note) || undefined,
+      },
+      $inc: { recountCount: 1 },
+    },
+    { new: true }
+  );
+  if (!task) {
+    res.status(409);
+    throw new Error("Only counted tasks can be rejected.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Count rejected. The slot is ready for a recount.",
+    data: task,
+  });
+});
+
+/* =========================
+   POST /api/cycle-counts/:id/close
+   Private/Admin
+   Close a session once every task is posted.
+   ========================= */
+export const closeCycleCount = asyncHandler(async (req, res) => {
+  const cycleCount = await loadOpenSession(res, req.params.id);
+
+  const open = await CycleCountTask.countDocuments({
+    cycleCount: cycleCount._id,
+    status: { $in: ["Pending", "Counted"] },
+  });
+  if (open) {
+    res.status(409);
+    throw new Error(`${open} task(s) still need counting or approval.`);
+  }
+
+  cycleCount.status = "Closed";
+  cycleCount.closedAt = new Date();
+  cycleCount.closedBy = req.user?._id || null;
+  await cycleCount.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Cycle count closed successfully.",
+    data: cycleCount,
+  });
+});
+
+/* =========================
+   POST /api/cycle-counts/:id/cancel
+   Private/Admin
+   Cancel a session; unposted tasks are cancelled (posted variances stay posted).
+   ========================= */
+export const cancelCycleCount = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await mongoose.startSession();
+  let cycleCount = null;
+  try {
+    await session.withTransaction(async () => {
+      cycleCount = await loadOpenSession(res, id, session);
+
+      await CycleCountTask.updateMany(
+        { cycleCount: cycleCount._id, status: { $in: ["Pending", "Counted"] } },
+        { $set: { status: "Cancelled" } },
+        { session }
+      );
+
+      cycleCount.status = "Cancelled";
+      cycleCount.closedAt = new Date();
+      cycleCount.closedBy = req.user?._id || null;
+      await cycleCount.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Cycle count cancelled successfully.",
+    data: cycleCount,
+  });
+});
@@ -0,0 +1,130 @@
+// controllers/exchangeRateController.js
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import ExchangeRate from "../models/exchangeRateModel.js";
+import Invoice from "../models/invoiceModel.js";
+import {
+  getBaseCurrency,
+  getExchangeRate,
+  normalizeCurrency,
+} from "../utils/currency.js";
+
+/* =========================
+   GET /api/exchange-rates
+   Private/Admin
+   Rate history (optional ?currency=USD) + current rate per currency
+   ========================= */
+export const getExchangeRates = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.currency) {
+    const currency = normalizeCurrency(req.query.currency);
+    if (!currency) {
+      res.status(400);
+      throw new Error("Invalid currency.");
+    }
+    filter.currency = currency;
+  }
+
+  const rates = await ExchangeRate.find(filter)
+    .sort({ currency: 1, effectiveDate: -1, createdAt: -1 })
+    .populate({ path: "createdBy", select: "name" })
+    .limit(500)
+    .lean();
+
+  const currencies = Array.from(new Set(rates.map((r) => r.currency)));
+  const now = new Date();
+  const current = await Promise.all(
+    currencies.map(async (currency) => ({
+      currency,
+      ...(await getExchangeRate(currency, now)),
+    }))
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Exchange rates retrieved successfully.",
+    data: { baseCurrency: getBaseCurrency(), current, history: rates },
+  });
+});
+
+/* =========================
+   POST /api/exchange-rates
+   Private/Admin
+   Add a rate (history is append-only; a newer effectiveDate supersedes older rows)
+   Body: { currency, rate, effectiveDate?, source?, note? }
+   rate = base-currency units per 1 unit of currency
+   ========================= */
+export const createExchangeRate = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  const currency = normalizeCurrency(body.currency);
+  if (!currency) {
+    res.status(400);
+    throw new Error("currency must be a 3-letter ISO code.");
+  }
+  if (currency === getBaseCurrency()) {
+    res.status(400);
+    throw new Error(`${currency} is the base currency (rate is always 1).`);
+  }
+
+  const rate = Number(body.rate);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    res.status(400);
+    throw new Error("rate must be a positive number.");
+  }
+
+  let effectiveDate = new Date();
+  if (body.effectiveDate) {
+    effectiveDate = new Date(body.effectiveDate);
+    if (Number.isNaN(effectiveDate.getTime())) {
+      res.status(400);
+      throw new Error("Invalid effectiveDate.");
+    }
+  }
+
+  const created = await ExchangeRate.create({
+    currency,
+    rate,
+    effectiveDate,
+    source: typeof body.source === "string" ? body.source.trim() : undefined,
+    note: typeof body.note === "string" ? body.note.trim() : undefined,
+    createdBy: req.user?._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Exchange rate created successfully.",
+    data: created,
+  });
+});
+
+/* =========================
+   DELETE /api/exchange-rates/:id
+   Private/Admin
+   Delete a mistaken rate (blocked once an invoice captured it)
+   ========================= */
+export const deleteExchangeRate = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid exchange rate id.");
+  }
+
+  const used = await Invoice.exists({ exchangeRateId: id });
+  if (used) {
+    res.status(409);
+    throw new Error("This rate was used by an invoice and cannot be deleted.");
+  }
+
+  const deleted = await ExchangeRate.findByIdAndDelete(id);
+  if (!deleted) {
+    res.status(404);
+    throw new Error("Exchange rate not found.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Exchange rate deleted successfully.",
+    data: { id },
+  });
+});
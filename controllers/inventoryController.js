@@ -10,8 +10,29 @@ import {
   parsePagination,
   buildSort,
 } from "./productController.js";
-
-const LOW_STOCK_THRESHOLD = 10;
+import Order from "../models/orderModel.js";
+import Category from "../models/categoryModel.js";
+import { DEFAULT_REORDER_POINT, PRODUCT_TYPES, SLOT_STORES } from "../constants.js";
+import {
+  buildReplenishmentSuggestions,
+  parseStockLevels,
+  resolveStockLevels,
+  sendLowStockDigest,
+} from "../utils/reorderPoints.js";
+import {
+  addCostLayer,
+  getCostingMethod,
+  getProductCosts,
+  priceUncostedLayers,
+} from "../utils/inventoryCost.js";
+import { getBaseCurrency } from "../utils/currency.js";
+import { roundToTwo } from "../utils/rounding.js";
+import {
+  checkStockDrift,
+  describeStockRows,
+  replayStock,
+  resolveSlotScope,
+} from "../utils/stockLedger.js";
 
 const escapeRegex = (text = "") =>
   String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -20,6 +41,7 @@ const escapeRegex = (text = "") =>
    GET /api/inventory/products
    Private/Admin
    Returns inventory totals per product
+   status: Out (nothing on hand), Low (available at/below the product's reorder point), OK
    ========================= */
 export const getInventoryProducts = asyncHandler(async (req, res) => {
   const { productType } = req.query;
@@ -102,13 +124,37 @@ export const getInventoryProducts = asyncHandler(async (req, res) => {
         },
       },
     },
+    {
+      $lookup: {
+        from: "categories",
+        localField: "category",
+        foreignField: "_id",
+        pipeline: [{ $project: { stockDefaults: 1 } }],
+        as: "categoryLevels",
+      },
+    },
+    {
+      $addFields: {
+        reorderPoint: {
+          $ifNull: [
+            "$stockLevels.reorderPoint",
+            {
+              $ifNull: [
+                { $arrayElemAt: ["$categoryLevels.stockDefaults.reorderPoint", 0] },
+                DEFAULT_REORDER_POINT,
+              ],
+            },
+          ],
+        },
+      },
+    },
     {
       $addFields: {
         status: {
           $switch: {
             branches: [
               { case: { $lte: ["$onHand", 0] }, then: "Out" },
-              { case: { $lte: ["$onHand", LOW_STOCK_THRESHOLD] }, then: "Low" },
+              { case: { $lte: ["$available", "$reorderPoint"] }, then: "Low" },
             ],
             default: "OK",
           },
@@ -212,6 +258,7 @@ export const getInventoryProducts = asyncHandler(async (req, res) => {
         onHand: 1,
         allocated: 1,
         available: 1,
+        reorderPoint: 1,
         status: 1,
         isActive: 1,
       },
@@ -478,6 +525,7 @@ export const getInventoryMovements = asyncHandler(async (req, res) => {
   const productId = String(req.query.productId || "").trim();
   const slotId = String(req.query.slotId || "").trim();
   const orderId = String(req.query.orderId || "").trim();
+  const purchaseOrderId = String(req.query.purchaseOrderId || "").trim();
   const actorId = String(req.query.actorId || "").trim();
   const dateFromRaw = req.query.dateFrom ? String(req.query.dateFrom).trim() : "";
   const dateToRaw = req.query.dateTo ? String(req.query.dateTo).trim() : "";
@@ -489,6 +537,7 @@ export const getInventoryMovements = asyncHandler(async (req, res) => {
     "RESERVE",
     "RELEASE",
     "DEDUCT",
+    "RECEIVE",
   ]);
 
   const andFilters = [];
@@ -517,6 +566,16 @@ export const getInventoryMovements = asyncHandler(async (req, res) => {
     andFilters.push({ order: new mongoose.Types.ObjectId(orderId) });
   }
 
+  if (purchaseOrderId) {
+    if (!mongoose.isValidObjectId(purchaseOrderId)) {
+      res.status(400);
+      throw new Error("Invalid purchase order id.");
+    }
+    andFilters.push({
+      purchaseOrder: new mongoose.Types.ObjectId(purchaseOrderId),
+    });
+  }
+
   if (actorId) {
     if (!mongoose.isValidObjectId(actorId)) {
       res.status(400);
@@ -610,6 +669,17 @@ export const getInventoryMovements = asyncHandler(async (req, res) => {
       },
     },
     { $unwind: { path: "$order", preserveNullAndEmptyArrays: true } },
+    {
+      $lookup: {
+        from: "purchaseorders",
+        localField: "purchaseOrder",
+        foreignField: "_id",
+        as: "purchaseOrder",
+      },
+    },
+    {
+      $unwind: { path: "$purchaseOrder", preserveNullAndEmptyArrays: true },
+    },
     {
       $lookup: {
         from: "users",
@@ -638,6 +708,7 @@ export const getInventoryMovements = asyncHandler(async (req, res) => {
           { "toSlot.store": regex },
           { "toSlot.unit": regex },
           { "order.orderNumber": regex },
+          { "purchaseOrder.poNumber": regex },
           { "actor.name": regex },
           { "actor.email": regex },
           { note: regex },
@@ -659,6 +730,8 @@ export const getInventoryMovements = asyncHandler(async (req, res) => {
               id: "$_id",
               type: 1,
               qty: 1,
+              unitCost: 1,
+              totalCost: 1,
               note: 1,
               meta: 1,
               eventAt: 1,
@@ -694,6 +767,11 @@ export const getInventoryMovements = asyncHandler(async (req, res) => {
                 orderNumber: "$order.orderNumber",
                 status: "$order.status",
               },
+              purchaseOrder: {
+                id: "$purchaseOrder._id",
+                poNumber: "$purchaseOrder.poNumber",
+                status: "$purchaseOrder.status",
+              },
               actor: {
                 id: "$actor._id",
                 name: "$actor.name",
@@ -726,3 +804,581 @@ export const getInventoryMovements = asyncHandler(async (req, res) => {
     },
   });
 });
+
+const parseStockScope = async (req, res) => {
+  const productId = String(req.query.productId || "").trim();
+  const slotId = String(req.query.slotId || "").trim();
+  // Slot labels are "C4-AE1"; "AE1-C-4" is accepted too
+  let slotLabel = String(req.query.slot || "").trim().toUpperCase();
+  const storeFirst = slotLabel.match(/^([A-Z]+\d+)-([A-Z]+)-?(\d+)$/);
+  if (storeFirst && SLOT_STORES.includes(storeFirst[1])) {
+    slotLabel = `${storeFirst[2]}${storeFirst[3]}-${storeFirst[1]}`;
+  }
+  const store = String(req.query.store || "").trim().toUpperCase();
+
+  if (productId && !mongoose.isValidObjectId(productId)) {
+    res.status(400);
+    throw new Error("Invalid product id.");
+  }
+  if (slotId && !mongoose.isValidObjectId(slotId)) {
+    res.status(400);
+    throw new Error("Invalid slot id.");
+  }
+  if (store && !SLOT_STORES.includes(store)) {
+    res.status(400);
+    throw new Error(`Invalid store. Allowed: ${SLOT_STORES.join(", ")}.`);
+  }
+
+  const slotIds = await resolveSlotScope({ store, slotId, slotLabel });
+  if (slotIds && !slotIds.length) {
+    res.status(404);
+    throw new Error("Slot not found.");
+  }
+
+  return {
+    productIds: productId ? [productId] : null,
+    slotIds,
+    scope: {
+      productId: productId || null,
+      slotId: slotId || null,
+      slot: slotLabel || null,
+      store: store || null,
+    },
+  };
+};
+
+/* =========================
+   GET /api/inventory/stock-at
+   Private/Admin
+   Reconstructs on-hand and reserved qty per slot/product at a point in time
+   by replaying the movement ledger.
+   Query: at (ISO timestamp, or YYYY-MM-DD = end of that day; default now),
+          productId, slotId | slot (label, e.g. C4-AE1), store
+   ========================= */
+export const getStockAt = asyncHandler(async (req, res) => {
+  const atRaw = String(req.query.at || "").trim();
+  let at = new Date();
+  if (atRaw) {
+    at = new Date(atRaw);
+    if (Number.isNaN(at.getTime())) {
+      res.status(400);
+      throw new Error("Invalid at value.");
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(atRaw)) {
+      at.setHours(23, 59, 59, 999);
+    }
+  }
+
+  const { productIds, slotIds, scope } = await parseStockScope(req, res);
+  const replayed = await replayStock({ at, productIds, slotIds });
+  const { rows, byProduct } = await describeStockRows(Array.from(replayed.values()));
+
+  res.status(200).json({
+    success: true,
+    message: "Stock reconstructed successfully.",
+    data: { at, ...scope, rows, byProduct },
+  });
+});
+
+/* =========================
+   GET /api/inventory/stock-drift
+   Private/Admin
+   Compares the replayed ledger with live SlotItem qty, Reserved allocations and
+   slot occupancy caches; returns only mismatches.
+   Query: productId, slotId | slot, store
+   ========================= */
+export const getStockDrift = asyncHandler(async (req, res) => {
+  const { productIds, slotIds, scope } = await parseStockScope(req, res);
+  const drift = await checkStockDrift({ productIds, slotIds });
+  const driftCount =
+    drift.qtyDrift.length + drift.reservedDrift.length + drift.occupancyDrift.length;
+
+  res.status(200).json({
+    success: true,
+    message: driftCount
+      ? "Stock drift detected."
+      : "Ledger and live stock are consistent.",
+    data: { checkedAt: new Date(), ...scope, driftCount, ...drift },
+  });
+});
+
+const COST_GROUPS = ["product", "productType", "category", "store"];
+
+const parseCostGroup = (req, res, allowed = COST_GROUPS) => {
+  const groupBy = String(req.query.groupBy || "product").trim();
+  if (!allowed.includes(groupBy)) {
+    res.status(400);
+    throw new Error(`Invalid groupBy. Allowed: ${allowed.join(", ")}.`);
+  }
+  return groupBy;
+};
+
+const loadProductInfo = async (productIds) => {
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select("name sku productType category")
+    .populate("category", "label key")
+    .lean();
+  return new Map(products.map((p) => [String(p._id), p]));
+};
+
+const costGroupKey = (groupBy, row, product) => {
+  if (groupBy === "productType") {
+    return { key: product?.productType || "Unknown", label: product?.productType || "Unknown" };
+  }
+  if (groupBy === "category") {
+    const category = product?.category;
+    return {
+      key: category?._id ? String(category._id) : "none",
+      label: category?.label || category?.key || "Uncategorized",
+    };
+  }
+  if (groupBy === "store") {
+    return { key: row.store || "none", label: row.store || "No slot" };
+  }
+  if (groupBy === "order") {
+    return { key: row.order ? String(row.order) : "none", label: row.orderNumber || "No order" };
+  }
+  return {
+    key: String(row.product),
+    label: product?.name || String(row.product),
+    sku: product?.sku,
+  };
+};
+
+/* =========================
+   GET /api/inventory/valuation
+   Private/Admin
+   Value of stock on hand at cost (base currency).
+   Query: groupBy=product|productType|category|store, store
+   Only qty backed by cost layers is valued (remaining layer qty x layer cost); qty on
+   hand without a layer is reported as uncostedQty and carries no value.
+   Stores get each product's layer value in proportion to their share of its on-hand qty.
+   ========================= */
+export const getInventoryValuation = asyncHandler(async (req, res) => {
+  const groupBy = parseCostGroup(req, res);
+  const store = String(req.query.store || "").trim().toUpperCase();
+  if (store && !SLOT_STORES.includes(store)) {
+    res.status(400);
+    throw new Error(`Invalid store. Allowed: ${SLOT_STORES.join(", ")}.`);
+  }
+
+  const stockRows = await SlotItem.aggregate([
+    {
+      $lookup: {
+        from: "slots",
+        localField: "slot",
+        foreignField: "_id",
+        as: "slotDoc",
+        pipeline: [{ $project: { store: 1 } }],
+      },
+    },
+    { $set: { store: { $first: "$slotDoc.store" } } },
+    ...(store ? [{ $match: { store } }] : []),
+    { $group: { _id: { product: "$product", store: "$store" }, qty: { $sum: "$qty" } } },
+  ]);
+
+  const productIds = Array.from(new Set(stockRows.map((row) => String(row._id.product))));
+  const [costs, productById, allStock] = await Promise.all([
+    getProductCosts(productIds),
+    loadProductInfo(productIds),
+    SlotItem.aggregate([
+      { $match: { product: { $in: productIds.map((id) => new mongoose.Types.ObjectId(id)) } } },
+      { $group: { _id: "$product", qty: { $sum: "$qty" } } },
+    ]),
+  ]);
+  const onHandByProduct = new Map(allStock.map((row) => [String(row._id), row.qty]));
+
+  const groups = new Map();
+  const totals = { qty: 0, value: 0, uncostedQty: 0 };
+  for (const row of stockRows) {
+    const productKey = String(row._id.product);
+    const product = productById.get(productKey);
+    const cost = costs.get(productKey) || { qty: 0, value: 0, unitCost: 0 };
+    const qty = Number(row.qty) || 0;
+
+    // Layer value of the product's on-hand qty (layers beyond stock on hand are not counted),
+    // then this row's share of it; qty with no cost layer behind it is counted, not valued
+    const onHand = onHandByProduct.get(productKey) || 0;
+    const share = onHand > 0 ? qty / onHand : 0;
+    const productValue = cost.qty > onHand ? onHand * cost.unitCost : cost.value;
+    const value = productValue * share;
+    const uncostedQty = Math.round(Math.max(0, onHand - cost.qty) * share);
+
+    const { key, label, sku } = costGroupKey(groupBy, { product: productKey, store: row._id.store }, product);
+    const group = groups.get(key) || {
+      key,
+      label,
+      ...(sku ? { sku } : {}),
+      ...(groupBy === "product" ? { unitCost: cost.unitCost } : {}),
+      qty: 0,
+      value: 0,
+      uncostedQty: 0,
+    };
+    group.qty += qty;
+    group.value += value;
+    group.uncostedQty += uncostedQty;
+    groups.set(key, group);
+
+    totals.qty += qty;
+    totals.value += value;
+    totals.uncostedQty += uncostedQty;
+  }
+
+  const rows = Array.from(groups.values())
+    .map((group) => ({ ...group, value: roundToTwo(group.value) }))
+    .sort((a, b) => b.value - a.value);
+
+  res.status(200).json({
+    success: true,
+    message: "Inventory valuation generated successfully.",
+    data: {
+      method: getCostingMethod(),
+      currency: getBaseCurrency(),
+      groupBy,
+      store: store || null,
+      rows,
+      totals: { ...totals, value: roundToTwo(totals.value) },
+    },
+  });
+});
+
+/* =========================
+   GET /api/inventory/cost-of-goods
+   Private/Admin
+   Cost of goods deducted for orders (DEDUCT movements) over a period, plus stock
+   written off (ADJUST_OUT). groupBy=order adds order revenue (net of VAT) and margin.
+   Query: from, to (YYYY-MM-DD; default: current month),
+          groupBy=product|productType|category|store|order
+   ========================= */
+export const getCostOfGoods = asyncHandler(async (req, res) => {
+  const groupBy = parseCostGroup(req, res, [...COST_GROUPS, "order"]);
+
+  const now = new Date();
+  const from = req.query.from
+    ? new Date(String(req.query.from))
+    : new Date(now.getFullYear(), now.getMonth(), 1);
+  const to = req.query.to ? new Date(String(req.query.to)) : now;
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    res.status(400);
+    throw new Error("Invalid from/to date.");
+  }
+  from.setHours(0, 0, 0, 0);
+  if (req.query.to) to.setHours(23, 59, 59, 999);
+
+  const movements = await InventoryMovement.aggregate([
+    {
+      $match: {
+        type: { $in: ["DEDUCT", "ADJUST_OUT"] },
+        eventAt: { $gte: from, $lte: to },
+      },
+    },
+    {
+      $lookup: {
+        from: "slots",
+        localField: "slot",
+        foreignField: "_id",
+        as: "slotDoc",
+        pipeline: [{ $project: { store: 1 } }],
+      },
+    },
+    {
+      $group: {
+        _id: {
+          type: "$type",
+          product: "$product",
+          store: { $first: "$slotDoc.store" },
+          order: "$order",
+        },
+        qty: { $sum: "$qty" },
+        cost: { $sum: { $ifNull: ["$totalCost", 0] } },
+      },
+    },
+  ]);
+
+  const productIds = Array.from(new Set(movements.map((row) => String(row._id.product))));
+  const orderIds =
+    groupBy === "order"
+      ? Array.from(new Set(movements.map((row) => row._id.order).filter(Boolean).map(String)))
+      : [];
+  const [productById, orders] = await Promise.all([
+    loadProductInfo(productIds),
+    orderIds.length
+      ? Order.find({ _id: { $in: orderIds } }).select("orderNumber orderItems").lean()
+      : [],
+  ]);
+  const orderById = new Map(orders.map((o) => [String(o._id), o]));
+
+  const groups = new Map();
+  const totals = { qty: 0, costOfGoods: 0, writeOffQty: 0, writeOffCost: 0 };
+  for (const row of movements) {
+    const { type, product: productId, store, order } = row._id;
+    const product = productById.get(String(productId));
+    const orderDoc = order ? orderById.get(String(order)) : null;
+    const { key, label, sku } = costGroupKey(
+      groupBy,
+      { product: productId, store, order, orderNumber: orderDoc?.orderNumber },
+      product
+    );
+
+    const group = groups.get(key) || {
+      key,
+      label,
+      ...(sku ? { sku } : {}),
+      qty: 0,
+      costOfGoods: 0,
+      writeOffQty: 0,
+      writeOffCost: 0,
+    };
+    if (type === "DEDUCT") {
+      group.qty += row.qty;
+      group.costOfGoods += row.cost;
+      totals.qty += row.qty;
+      totals.costOfGoods += row.cost;
+    } else {
+      group.writeOffQty += row.qty;
+      group.writeOffCost += row.cost;
+      totals.writeOffQty += row.qty;
+      totals.writeOffCost += row.cost;
+    }
+    groups.set(key, group);
+  }
+
+  const rows = Array.from(groups.values())
+    .map((group) => {
+      const out = {
+        ...group,
+        costOfGoods: roundToTwo(group.costOfGoods),
+        writeOffCost: roundToTwo(group.writeOffCost),
+      };
+      const orderDoc = groupBy === "order" ? orderById.get(group.key) : null;
+      if (orderDoc) {
+        const revenue = roundToTwo(
+          (orderDoc.orderItems || []).reduce(
+            (sum, it) => sum + (Number(it.qty) || 0) * (Number(it.unitPrice) || 0),
+            0
+          )
+        );
+        out.revenue = revenue;
+        out.margin = roundToTwo(revenue - out.costOfGoods);
+        out.marginPercent = revenue > 0 ? roundToTwo((out.margin / revenue) * 100) : null;
+      }
+      return out;
+    })
+    .sort((a, b) => b.costOfGoods - a.costOfGoods);
+
+  res.status(200).json({
+    success: true,
+    message: "Cost of goods report generated successfully.",
+    data: {
+      method: getCostingMethod(),
+      currency: getBaseCurrency(),
+      groupBy,
+      from,
+      to,
+      rows,
+      totals: {
+        ...totals,
+        costOfGoods: roundToTwo(totals.costOfGoods),
+        writeOffCost: roundToTwo(totals.writeOffCost),
+      },
+    },
+  });
+});
+
+/* =========================
+   POST /api/inventory/cost-layers/opening
+   Private/Admin
+   Give stock that predates costing an opening cost.
+   Body: { productId, unitCost }
+   Prices the product's UNCOSTED layers (they become OPENING, keeping their place in the
+   consumption order) and adds one OPENING layer for any on-hand qty still not covered.
+   ========================= */
+export const addOpeningCostLayer = asyncHandler(async (req, res) => {
+  const { productId, unitCost } = req.body || {};
+  if (!mongoose.isValidObjectId(productId)) {
+    res.status(400);
+    throw new Error("Invalid product id.");
+  }
+  const cost = Number(unitCost);
+  if (unitCost === undefined || unitCost === null || unitCost === "" || !Number.isFinite(cost) || cost < 0) {
+    res.status(400);
+    throw new Error("unitCost must be a non-negative number.");
+  }
+
+  const product = await Product.findById(productId).select("_id name").lean();
+  if (!product) {
+    res.status(404);
+    throw new Error("Product not found.");
+  }
+
+  const pricedQty = await priceUncostedLayers({ product: productId, unitCost: cost });
+
+  const [onHandRow] = await SlotItem.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)) } },
+    { $group: { _id: null, qty: { $sum: "$qty" } } },
+  ]);
+  const layered = (await getProductCosts([productId])).get(String(productId))?.qty || 0;
+  const uncostedQty = Math.max(0, (onHandRow?.qty || 0) - layered);
+  if (!pricedQty && !uncostedQty) {
+    res.status(409);
+    throw new Error("All stock on hand for this product already has a cost.");
+  }
+
+  const layer = uncostedQty
+    ? await addCostLayer({
+        product: productId,
+        qty: uncostedQty,
+        unitCost: cost,
+        source: "OPENING",
+        receivedAt: new Date(0),
+      })
+    : null;
+
+  const qty = pricedQty + uncostedQty;
+  res.status(201).json({
+    success: true,
+    message: "Opening cost recorded successfully.",
+    data: {
+      product,
+      qty,
+      unitCost: layer?.unitCost ?? cost,
+      totalCost: roundToTwo(cost * qty),
+    },
+  });
+});
+
+/* =========================
+   PUT /api/inventory/products/:id/stock-levels
+   Private/Admin
+   Body: { minQty?, maxQty?, reorderPoint? } (null clears -> inherit from category)
+   ========================= */
+export const updateProductStockLevels = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid product id.");
+  }
+
+  const existing = await Product.findById(id).select("stockLevels").lean();
+  if (!existing) {
+    res.status(404);
+    throw new Error("Product not found.");
+  }
+
+  const { levels, error } = parseStockLevels(req.body || {}, existing.stockLevels);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  // $set on the sub-paths only: avoids the product save hooks (naming, category sync)
+  const set = Object.fromEntries(
+    Object.entries(levels).map(([key, value]) => [`stockLevels.${key}`, value])
+  );
+  const product = await Product.findByIdAndUpdate(id, { $set: set }, { new: true })
+    .select("name sku category stockLevels")
+    .populate("category", "label key stockDefaults")
+    .lean();
+  if (!product) {
+    res.status(404);
+    throw new Error("Product not found.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Stock levels updated successfully.",
+    data: { ...product, effectiveLevels: resolveStockLevels(product, product.category) },
+  });
+});
+
+/* =========================
+   PUT /api/inventory/categories/:id/stock-levels
+   Private/Admin
+   Category defaults for products without their own levels.
+   Body: { minQty?, maxQty?, reorderPoint? } (null clears)
+   ========================= */
+export const updateCategoryStockLevels = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid category id.");
+  }
+
+  const existing = await Category.findById(id).select("stockDefaults").lean();
+  if (!existing) {
+    res.status(404);
+    throw new Error("Category not found.");
+  }
+
+  const { levels, error } = parseStockLevels(req.body || {}, existing.stockDefaults);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const set = Object.fromEntries(
+    Object.entries(levels).map(([key, value]) => [`stockDefaults.${key}`, value])
+  );
+  const category = await Category.findByIdAndUpdate(id, { $set: set }, { new: true })
+    .select("key label productType stockDefaults")
+    .lean();
+  if (!category) {
+    res.status(404);
+    throw new Error("Category not found.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Category stock levels updated successfully.",
+    data: category,
+  });
+});
+
+/* =========================
+   GET /api/inventory/replenishment
+   Private/Admin
+   Replenishment suggestions: products whose position (available + open inbound)
+   is at or below their reorder point, with a suggested order qty.
+   Query: productType, all=true (every active product, not only those to reorder)
+   ========================= */
+export const getReplenishmentSuggestions = asyncHandler(async (req, res) => {
+  const productType = String(req.query.productType || "").trim();
+  if (productType && !PRODUCT_TYPES.includes(productType)) {
+    res.status(400);
+    throw new Error(`Invalid productType. Allowed: ${PRODUCT_TYPES.join(", ")}.`);
+  }
+
+  const rows = await buildReplenishmentSuggestions({
+    productType,
+    onlyReorder: String(req.query.all || "") !== "true",
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Replenishment suggestions retrieved successfully.",
+    data: rows,
+    summary: {
+      count: rows.length,
+      toReorder: rows.filter((row) => row.needsReorder).length,
+      belowMin: rows.filter((row) => row.belowMin).length,
+      suggestedQty: rows.reduce((sum, row) => sum + row.suggestedQty, 0),
+    },
+  });
+});
+
+/* =========================
+   POST /api/inventory/low-stock-digest
+   Private/Admin
+   Post today's low-stock digest now (same once-per-day job as the scheduler).
+   ========================= */
+export const runLowStockDigestNow = asyncHandler(async (req, res) => {
+  const sent = await sendLowStockDigest();
+
+  res.status(200).json({
+    success: true,
+    message: sent
+      ? "Low stock digest posted successfully."
+      : "Low stock digest already ran today or nothing newly crossed.",
+    data: { sent },
+  });
+});
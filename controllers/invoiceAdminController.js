@@ -6,6 +6,33 @@ import Order from "../models/orderModel.js";
 import Payment from "../models/paymentModel.js";
 import User from "../models/userModel.js";
 import Quote from "../models/quoteModel.js";
+import { renderPdf, sendPdf } from "../utils/pdfRenderer.js";
+import {
+  AGEING_BUCKETS,
+  computeInvoiceAgeing,
+  computeOutstandingSummary,
+} from "../utils/invoiceAgeing.js";
+import { dueDateFromTerms } from "../utils/customerCredit.js";
+import { loadCustomerSnapshot } from "../utils/customerSnapshot.js";
+import { computeDocumentVat, computeVat, effectiveVatRate } from "../utils/vat.js";
+import { VAT_CATEGORIES } from "../constants.js";
+import {
+  convertMinor,
+  getBaseCurrency,
+  getExchangeRate,
+  minorUnitFactorFor,
+  normalizeCurrency,
+} from "../utils/currency.js";
+import { runInvoiceReminders, sendOverdueDigest } from "../utils/invoiceReminders.js";
+import {
+  archiveInvoicePdf,
+  archiveIssuedInvoicePdf,
+  listInvoicePdfVersions,
+} from "../utils/invoicePdfArchive.js";
+import {
+  renderArAgeingHtml,
+  arAgeingFooterTemplate,
+} from "../utils/arAgeingTemplate.js";
 
 /* -----------------------
    Helpers
@@ -33,6 +60,76 @@ function escapeRegex(text = "") {
   return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
+/**
+ * Resolves currency + exchange rate for a new invoice.
+ * - currency: body.currency, else the customer's billingCurrency, else base
+ * - minorUnitFactor: body.minorUnitFactor, else the ISO default for the currency
+ * - exchangeRate: body.exchangeRate (manual override), else the rate table at `at`
+ */
+async function resolveInvoiceCurrency(res, { body = {}, userId, at = new Date(), session = null }) {
+  const baseCurrency = getBaseCurrency();
+
+  let currency = "";
+  if (body.currency) {
+    currency = normalizeCurrency(body.currency);
+    if (!currency) {
+      res.status(400);
+      throw new Error("currency must be a 3-letter ISO code.");
+    }
+  } else {
+    const customer = await User.findById(userId)
+      .select("billingCurrency")
+      .session(session)
+      .lean();
+    currency = normalizeCurrency(customer?.billingCurrency) || baseCurrency;
+  }
+
+  const minorUnitFactor = Object.prototype.hasOwnProperty.call(body, "minorUnitFactor")
+    ? Number(body.minorUnitFactor)
+    : minorUnitFactorFor(currency);
+  if (!Number.isInteger(minorUnitFactor) || minorUnitFactor <= 0) {
+    res.status(400);
+    throw new Error("minorUnitFactor must be a positive integer.");
+  }
+
+  if (body.exchangeRate !== undefined && body.exchangeRate !== null && body.exchangeRate !== "") {
+    const rate = Number(body.exchangeRate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      res.status(400);
+      throw new Error("exchangeRate must be a positive number.");
+    }
+    if (currency === baseCurrency && rate !== 1) {
+      res.status(400);
+      throw new Error("exchangeRate must be 1 for the base currency.");
+    }
+    return {
+      currency,
+      minorUnitFactor,
+      baseCurrency,
+      exchangeRate: rate,
+      exchangeRateId: null,
+      exchangeRateDate: at,
+    };
+  }
+
+  const fx = await getExchangeRate(currency, at, session);
+  if (!fx) {
+    res.status(400);
+    throw new Error(
+      `No exchange rate for ${currency}. Add one under /api/exchange-rates or pass exchangeRate.`
+    );
+  }
+
+  return {
+    currency,
+    minorUnitFactor,
+    baseCurrency,
+    exchangeRate: fx.rate,
+    exchangeRateId: fx.rateId,
+    exchangeRateDate: fx.effectiveDate,
+  };
+}
+
 const SORT_MAP = {
   newest: { createdAt: -1 },
   oldest: { createdAt: 1 },
@@ -46,6 +143,21 @@ const INVOICE_PAYMENT_STATUS_ALLOWED = new Set(
 );
 
 
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const AGEING_SORTS = {
+  totalHigh: (a, b) => b.totalMinor - a.totalMinor,
+  totalLow: (a, b) => a.totalMinor - b.totalMinor,
+  overdueHigh: (a, b) => b.overdueMinor - a.overdueMinor,
+  oldestDue: (a, b) =>
+    new Date(a.oldestDueDate || 0).getTime() - new Date(b.oldestDueDate || 0).getTime(),
+  name: (a, b) => String(a.name || "").localeCompare(String(b.name || "")),
+};
+
 function pick(obj, keys) {
   const out = {};
   for (const k of keys) {
@@ -58,6 +170,9 @@ function pick(obj, keys) {
  * @desc    Admin: invoice balance summary (unpaid + overdue totals)
  * @route   GET /api/invoices/summary
  * @access  Private/Admin
+ *
+ * Top-level totals are in the base currency (converted at each invoice's captured rate);
+ * byCurrency has the same totals in each invoice currency.
  */
 export const getInvoicesSummary = asyncHandler(async (req, res) => {
   const now = new Date();
@@ -94,44 +209,234 @@ export const getInvoicesSummary = asyncHandler(async (req, res) => {
     ];
   }
 
-  const [summary] = await Invoice.aggregate([
-    { $match: baseMatch },
-    {
-      $facet: {
-        unpaid: [
-          {
-            $group: {
-              _id: null,
-              total: { $sum: "$balanceDueMinor" },
-              count: { $sum: 1 },
-            },
-          },
-        ],
-        overdue: [
-          { $match: { dueDate: { $lt: now, $type: "date" } } },
-          {
-            $group: {
-              _id: null,
-              total: { $sum: "$balanceDueMinor" },
-              count: { $sum: 1 },
-            },
-          },
-        ],
-      },
-    },
+  const summary = await computeOutstandingSummary({ match: baseMatch, now });
+
+  res.json(summary);
+});
+
+/**
+ * Builds the AR ageing report rows (one per customer with an outstanding balance).
+ * Shared by the JSON, CSV and PDF endpoints.
+ *
+ * Query params (all optional):
+ * - user=<userId>
+ * - search=<string> (customer name/email, case-insensitive)
+ * - sort=totalHigh|totalLow|overdueHigh|oldestDue|name (default totalHigh)
+ */
+async function buildAgeingReport(req, res) {
+  const asOf = new Date();
+  const match = {};
+
+  const user = req.query.user ? String(req.query.user) : null;
+  if (user) {
+    if (!mongoose.Types.ObjectId.isValid(user)) {
+      res.status(400);
+      throw new Error("Invalid user filter.");
+    }
+    match.user = new mongoose.Types.ObjectId(user);
+  }
+
+  const search = req.query.search ? String(req.query.search).trim() : "";
+  if (search) {
+    const rx = new RegExp(escapeRegex(search), "i");
+    const users = await User.find({ $or: [{ name: rx }, { email: rx }] })
+      .select("_id")
+      .limit(500)
+      .lean();
+    const ids = users
+      .map((u) => u._id)
+      .filter((id) => !user || String(id) === user);
+    match.user = { $in: ids };
+  }
+
+  const sortKey = req.query.sort ? String(req.query.sort) : "totalHigh";
+  if (!AGEING_SORTS[sortKey]) {
+    res.status(400);
+    throw new Error(
+      `Invalid sort. Allowed: ${Object.keys(AGEING_SORTS).join(", ")}.`
+    );
+  }
+
+  const ageing = await computeInvoiceAgeing({ match, asOf, groupByUser: true });
+  const userIds = ageing.map((row) => row.user);
+
+  const [users, lastPayments] = await Promise.all([
+    User.find({ _id: { $in: userIds } })
+      .select("name email phoneNumber")
+      .lean(),
+    Payment.aggregate([
+      { $match: { user: { $in: userIds }, status: { $ne: "Voided" } } },
+      { $group: { _id: "$user", lastPaymentDate: { $max: "$paymentDate" } } },
+    ]),
   ]);
 
-  const unpaid = summary?.unpaid?.[0] || {};
-  const overdue = summary?.overdue?.[0] || {};
+  const userById = new Map(users.map((u) => [String(u._id), u]));
+  const lastPaymentByUser = new Map(
+    lastPayments.map((p) => [String(p._id), p.lastPaymentDate])
+  );
+
+  const rows = ageing
+    .map((row) => {
+      const u = userById.get(String(row.user)) || {};
+      return {
+        user: row.user,
+        name: u.name || "",
+        email: u.email || "",
+        phoneNumber: u.phoneNumber || "",
+        buckets: row.buckets,
+        totalMinor: row.totalMinor,
+        overdueMinor: row.totalMinor - (row.buckets.current?.totalMinor || 0),
+        count: row.count,
+        oldestDueDate: row.oldestDueDate,
+        lastPaymentDate: lastPaymentByUser.get(String(row.user)) || null,
+      };
+    })
+    .sort(AGEING_SORTS[sortKey]);
+
+  const totals = {
+    customerCount: rows.length,
+    count: 0,
+    totalMinor: 0,
+    overdueMinor: 0,
+    buckets: Object.fromEntries(
+      AGEING_BUCKETS.map((b) => [b.key, { totalMinor: 0, count: 0 }])
+    ),
+  };
+  for (const row of rows) {
+    totals.count += row.count;
+    totals.totalMinor += row.totalMinor;
+    totals.overdueMinor += row.overdueMinor;
+    for (const b of AGEING_BUCKETS) {
+      totals.buckets[b.key].totalMinor += row.buckets[b.key]?.totalMinor || 0;
+      totals.buckets[b.key].count += row.buckets[b.key]?.count || 0;
+    }
+  }
+
+  return {
+    asOf,
+    sort: sortKey,
+    currency: getBaseCurrency(),
+    minorUnitFactor: minorUnitFactorFor(getBaseCurrency()),
+    rows,
+    totals,
+  };
+}
+
+/**
+ * @desc    Admin: accounts-receivable ageing grouped per customer
+ * @route   GET /api/invoices/ageing?user=&search=&sort=&page=&limit=
+ * @access  Private/Admin
+ *
+ * Buckets: current, 1-30, 31-60, 61-90, 90+ days past dueDate.
+ * Totals cover every matching customer, not just the current page.
+ */
+export const getReceivablesAgeing = asyncHandler(async (req, res) => {
+  const page = Math.max(1, toInt(req.query.page, 1));
+  const limitRaw = toInt(req.query.limit, 50);
+  const limit = Math.min(Math.max(1, limitRaw), 200);
+
+  const report = await buildAgeingReport(req, res);
+  const total = report.rows.length;
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const items = report.rows.slice((page - 1) * limit, page * limit);
 
   res.json({
-    unpaidTotalMinor: unpaid.total || 0,
-    unpaidCount: unpaid.count || 0,
-    overdueTotalMinor: overdue.total || 0,
-    overdueCount: overdue.count || 0,
-    currency: "AED",
-    minorUnitFactor: 100,
+    success: true,
+    message: "Receivables ageing retrieved successfully.",
+    asOf: report.asOf,
+    buckets: AGEING_BUCKETS,
+    totals: report.totals,
+    currency: report.currency,
+    minorUnitFactor: report.minorUnitFactor,
+    data: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages,
+    },
+  });
+});
+
+/**
+ * @desc    Admin: AR ageing as CSV (same filters/sort as JSON, no pagination)
+ * @route   GET /api/invoices/ageing/csv
+ * @access  Private/Admin
+ */
+export const getReceivablesAgeingCSV = asyncHandler(async (req, res) => {
+  const report = await buildAgeingReport(req, res);
+  const factor = report.minorUnitFactor;
+  const major = (minor) => ((Number(minor) || 0) / factor).toFixed(2);
+  const day = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+
+  const header = [
+    "Customer",
+    "Email",
+    ...AGEING_BUCKETS.map((b) => b.label),
+    "Total",
+    "Oldest due",
+    "Last payment",
+    "Invoices",
+  ];
+
+  const lines = [header.map(csvCell).join(",")];
+  for (const row of report.rows) {
+    lines.push(
+      [
+        row.name,
+        row.email,
+        ...AGEING_BUCKETS.map((b) => major(row.buckets[b.key]?.totalMinor)),
+        major(row.totalMinor),
+        day(row.oldestDueDate),
+        day(row.lastPaymentDate),
+        row.count,
+      ]
+        .map(csvCell)
+        .join(",")
+    );
+  }
+  lines.push(
+    [
+      "Total",
+      "",
+      ...AGEING_BUCKETS.map((b) => major(report.totals.buckets[b.key]?.totalMinor)),
+      major(report.totals.totalMinor),
+      "",
+      "",
+      report.totals.count,
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+
+  const fileName = `ar-ageing-${report.asOf.toISOString().slice(0, 10)}.csv`;
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename=${fileName}`);
+  res.send(lines.join("\r\n"));
+});
+
+/**
+ * @desc    Admin: AR ageing as PDF (same filters/sort as JSON, no pagination)
+ * @route   GET /api/invoices/ageing/pdf
+ * @access  Private/Admin
+ */
+export const getReceivablesAgeingPDF = asyncHandler(async (req, res) => {
+  const report = await buildAgeingReport(req, res);
+  const html = renderArAgeingHtml({
+    report,
+    buckets: AGEING_BUCKETS,
+    generatedAt: new Date(),
+  });
+  const fileName = `ar-ageing-${report.asOf.toISOString().slice(0, 10)}.pdf`;
+
+  const pdfBuffer = await renderPdf(html, {
+    footerTemplate: arAgeingFooterTemplate,
+    landscape: true,
+    margin: { top: "14mm", bottom: "18mm", left: "12mm", right: "12mm" },
   });
+  sendPdf(res, pdfBuffer, fileName);
 });
 
 /**
@@ -250,9 +555,12 @@ export const getInvoices = asyncHandler(async (req, res) => {
           "invoiceNumber",
           "status",
           "amountMinor",
+          "netAmountMinor",
+          "vatAmountMinor",
           "currency",
           "minorUnitFactor",
           "paidTotalMinor",
+          "creditedTotalMinor",
           "balanceDueMinor",
           "paymentStatus",
           "dueDate",
@@ -308,7 +616,7 @@ export const getInvoices = asyncHandler(async (req, res) => {
  * Disallowed / ignored:
  * - amountMinor, paidTotalMinor, balanceDueMinor, paymentStatus
  * - user, order, invoiceNumber
- * - currency, minorUnitFactor
+ * - currency, minorUnitFactor, exchangeRate
  */
 export const updateInvoice = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -446,10 +754,12 @@ export const deleteInvoice = asyncHandler(async (req, res) => {
  * Body:
  * - userId (or user)
  * - dueDate (required)
- * - currency (optional)
+ * - currency (optional, defaults to the customer's billingCurrency)
  * - minorUnitFactor (optional)
+ * - exchangeRate (optional, overrides the rate table)
  * - adminNote (optional)
- * - invoiceItems: [{ description, qty, unitPriceMinor }]
+ * - invoiceItems: [{ description, qty, unitPriceMinor, vatCategory?, vatRate? }]
+ *   (unitPriceMinor is net; vatCategory defaults to Standard at the standard rate)
  */
 export const createManualInvoice = asyncHandler(async (req, res) => {
   const body = req.body || {};
@@ -505,8 +815,8 @@ export const createManualInvoice = asyncHandler(async (req, res) => {
     throw new Error("Valid userId is required.");
   }
 
-  const userExists = await User.exists({ _id: userId });
-  if (!userExists) {
+  const customerSnapshot = await loadCustomerSnapshot(userId);
+  if (!customerSnapshot) {
     res.status(404);
     throw new Error("User not found.");
   }
@@ -522,20 +832,8 @@ export const createManualInvoice = asyncHandler(async (req, res) => {
     throw new Error("Invalid due date.");
   }
 
-  const minorUnitFactor = Object.prototype.hasOwnProperty.call(
-    body,
-    "minorUnitFactor"
-  )
-    ? Number(body.minorUnitFactor)
-    : 100;
-
-  if (!Number.isInteger(minorUnitFactor) || minorUnitFactor <= 0) {
-    res.status(400);
-    throw new Error("minorUnitFactor must be a positive integer.");
-  }
-
-  const currencyRaw = typeof body.currency === "string" ? body.currency.trim() : "";
-  const currency = currencyRaw ? currencyRaw.toUpperCase() : undefined;
+  const fx = await resolveInvoiceCurrency(res, { body, userId });
+  const { minorUnitFactor } = fx;
   const adminNote =
     typeof body.adminNote === "string" ? body.adminNote.trim() : undefined;
 
@@ -570,6 +868,22 @@ export const createManualInvoice = asyncHandler(async (req, res) => {
       );
     }
 
+    const vatCategory = row?.vatCategory ? String(row.vatCategory) : "Standard";
+    if (!VAT_CATEGORIES.includes(vatCategory)) {
+      res.status(400);
+      throw new Error(
+        `Item ${idx + 1}: vatCategory must be one of ${VAT_CATEGORIES.join(", ")}.`
+      );
+    }
+    const rawVatRate =
+      row?.vatRate === undefined || row?.vatRate === null || row?.vatRate === ""
+        ? null
+        : Number(row.vatRate);
+    if (rawVatRate !== null && (!Number.isFinite(rawVatRate) || rawVatRate < 0 || rawVatRate > 100)) {
+      res.status(400);
+      throw new Error(`Item ${idx + 1}: vatRate must be between 0 and 100.`);
+    }
+
     const lineTotalMinor = qty * unitPriceMinor;
 
     cleanedItems.push({
@@ -577,62 +891,87 @@ export const createManualInvoice = asyncHandler(async (req, res) => {
       qty,
       unitPriceMinor,
       lineTotalMinor,
+      vatCategory,
+      vatRate: effectiveVatRate(vatCategory, rawVatRate),
     });
   }
 
-  const amountMinor = cleanedItems.reduce(
-    (sum, item) => sum + (Number(item.lineTotalMinor) || 0),
-    0
+  // VAT per line; amountMinor is gross
+  const vat = computeVat(
+    cleanedItems.map((item) => ({
+      netMinor: item.lineTotalMinor,
+      vatCategory: item.vatCategory,
+      vatRate: item.vatRate,
+    }))
   );
+  vat.lines.forEach((line, idx) => {
+    cleanedItems[idx].vatMinor = line.vatMinor;
+  });
+  const amountMinor = vat.grossMinor;
 
   const manualInvoiceId = quoteId ? new mongoose.Types.ObjectId() : undefined;
 
-  if (quoteId) {
-    const linkResult = await Quote.updateOne(
-      {
-        _id: quoteId,
-        manualInvoiceId: null,
-        order: null,
-        status: { $in: ["Processing", "Quoted"] },
-      },
-      {
-        $set: {
-          manualInvoiceId,
-          manualInvoiceCreatedAt: new Date(),
-        },
-      }
-    );
-
-    if (!linkResult?.matchedCount) {
-      res.status(409);
-      throw new Error("Quote is no longer eligible for manual invoicing.");
-    }
-  }
-
+  // One transaction: quote link + invoice (and its sequential number) commit together
+  const session = await mongoose.startSession();
   let invoice = null;
   try {
-    invoice = await Invoice.create({
-      ...(manualInvoiceId ? { _id: manualInvoiceId } : {}),
-      user: userId,
-      source: "Manual",
-      order: null,
-      invoiceItems: cleanedItems,
-      amountMinor,
-      minorUnitFactor,
-      ...(currency ? { currency } : {}),
-      ...(dueDate ? { dueDate } : {}),
-      ...(adminNote ? { adminNote } : {}),
-    });
-  } catch (err) {
-    if (quoteId && manualInvoiceId) {
-      await Quote.updateOne(
-        { _id: quoteId, manualInvoiceId },
-        { $set: { manualInvoiceId: null, manualInvoiceCreatedAt: null } }
+    await session.withTransaction(async () => {
+      if (quoteId) {
+        const linkResult = await Quote.updateOne(
+          {
+            _id: quoteId,
+            manualInvoiceId: null,
+            order: null,
+            status: { $in: ["Processing", "Quoted"] },
+          },
+          {
+            $set: {
+              manualInvoiceId,
+              manualInvoiceCreatedAt: new Date(),
+            },
+          },
+          { session }
+        );
+
+        if (!linkResult?.matchedCount) {
+          res.status(409);
+          throw new Error("Quote is no longer eligible for manual invoicing.");
+        }
+      }
+
+      [invoice] = await Invoice.create(
+        [
+          {
+            ...(manualInvoiceId ? { _id: manualInvoiceId } : {}),
+            user: userId,
+            customerSnapshot,
+            source: "Manual",
+            order: null,
+            invoiceItems: cleanedItems,
+            amountMinor,
+            netAmountMinor: vat.netMinor,
+            vatAmountMinor: vat.vatMinor,
+            vatSummary: vat.summary,
+            ...fx,
+            baseAmountMinor: convertMinor(amountMinor, {
+              fromFactor: minorUnitFactor,
+              toFactor: minorUnitFactorFor(fx.baseCurrency),
+              rate: fx.exchangeRate,
+            }),
+            ...(dueDate ? { dueDate } : {}),
+            ...(adminNote ? { adminNote } : {}),
+          },
+        ],
+        { session }
       );
-    }
-    throw err;
+    });
+  } finally {
+    session.endSession();
   }
 
+  // Store the issue-time PDF before the invoice is handed out
+  await archiveIssuedInvoicePdf(invoice._id);
+
   res.status(201).json({
     success: true,
     message: "Manual invoice created.",
@@ -646,10 +985,12 @@ export const createManualInvoice = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  *
  * Body (optional):
- * - dueDate
+ * - dueDate (defaults to today + customer's paymentTermsDays)
  * - adminNote
- * - currency
+ * - currency (defaults to the customer's billingCurrency; order prices are converted
+ *   from the base currency at the captured rate)
  * - minorUnitFactor
+ * - exchangeRate (override the rate table)
  */
 export const createInvoiceFromOrder = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
@@ -660,119 +1001,242 @@ export const createInvoiceFromOrder = asyncHandler(async (req, res) => {
   }
 
   const session = await mongoose.startSession();
-  session.startTransaction();
+  let invoice = null;
 
   try {
-    const order = await Order.findById(orderId)
-      .select("user status totalPrice invoice orderItems deliveryCharge extraFee")
-      .session(session);
-
-    if (!order) {
-      res.status(404);
-      throw new Error("Order not found.");
-    }
-
-    if (!["Processing", "Shipping", "Delivered"].includes(order.status)) {
-      res.status(400);
-      throw new Error(
-        "Invoices can only be created for Processing, Shipping, or Delivered orders."
-      );
-    }
+    // Retried as a whole (e.g. first invoice of a numbering period), so everything is per attempt
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId)
+        .select(
+          "user status totalPrice invoice orderItems deliveryCharge extraFee vatRate customerSnapshot"
+        )
+        .session(session);
+
+      if (!order) {
+        res.status(404);
+        throw new Error("Order not found.");
+      }
 
-    if (order.invoice) {
-      res.status(400);
-      throw new Error("This order already has an invoice.");
-    }
+      if (!["Processing", "Shipping", "Delivered"].includes(order.status)) {
+        res.status(400);
+        throw new Error(
+          "Invoices can only be created for Processing, Shipping, or Delivered orders."
+        );
+      }
 
-    const existing = await Invoice.exists({ order: order._id }).session(session);
-    if (existing) {
-      res.status(400);
-      throw new Error("An invoice already exists for this order.");
-    }
+      if (order.invoice) {
+        res.status(400);
+        throw new Error("This order already has an invoice.");
+      }
 
-    const minorUnitFactor = Object.prototype.hasOwnProperty.call(
-      req.body || {},
-      "minorUnitFactor"
-    )
-      ? Number(req.body.minorUnitFactor)
-      : 100;
+      const existing = await Invoice.exists({ order: order._id }).session(session);
+      if (existing) {
+        res.status(400);
+        throw new Error("An invoice already exists for this order.");
+      }
 
-    if (!Number.isInteger(minorUnitFactor) || minorUnitFactor <= 0) {
-      res.status(400);
-      throw new Error("minorUnitFactor must be a positive integer.");
-    }
+      // Order prices are in the base currency; convert at the captured rate
+      const fx = await resolveInvoiceCurrency(res, {
+        body: req.body || {},
+        userId: order.user,
+        session,
+      });
+      const { minorUnitFactor } = fx;
+      const fxRate = 1 / fx.exchangeRate;
+
+      const orderItems = Array.isArray(order.orderItems) ? order.orderItems : [];
+      const itemsTotal = orderItems.reduce((sum, item) => {
+        const qty = Number(item?.qty) || 0;
+        const unitPrice = Number(item?.unitPrice) || 0;
+        return sum + qty * unitPrice;
+      }, 0);
+      const deliveryCharge = Number(order.deliveryCharge) || 0;
+      const extraFee = Number(order.extraFee) || 0;
+      const computedTotal = itemsTotal + deliveryCharge + extraFee;
+
+      // VAT from the order's line snapshots; orders from before VAT support stay untaxed
+      const taxed = order.vatRate !== null && order.vatRate !== undefined;
+      const vat = taxed
+        ? computeDocumentVat({
+            items: orderItems,
+            deliveryCharge,
+            extraFee,
+            vatRate: order.vatRate,
+            factor: minorUnitFactor,
+            fxRate,
+          })
+        : null;
+      const amountMinor = vat
+        ? vat.grossMinor
+        : toMinorUnits(computedTotal * fxRate, minorUnitFactor);
+      if (!Number.isFinite(amountMinor) || amountMinor < 0) {
+        res.status(400);
+        throw new Error("Order total is invalid for invoice creation.");
+      }
 
-    const orderItems = Array.isArray(order.orderItems) ? order.orderItems : [];
-    const itemsTotal = orderItems.reduce((sum, item) => {
-      const qty = Number(item?.qty) || 0;
-      const unitPrice = Number(item?.unitPrice) || 0;
-      return sum + qty * unitPrice;
-    }, 0);
-    const deliveryCharge = Number(order.deliveryCharge) || 0;
-    const extraFee = Number(order.extraFee) || 0;
-    const computedTotal = itemsTotal + deliveryCharge + extraFee;
-    const amountMinor = toMinorUnits(computedTotal, minorUnitFactor);
-    if (!Number.isFinite(amountMinor) || amountMinor < 0) {
-      res.status(400);
-      throw new Error("Order total is invalid for invoice creation.");
-    }
+      // dueDate: explicit body value wins, else the customer's payment terms
+      const rawDueDate = req.body?.dueDate;
+      let dueDate = null;
+      if (rawDueDate) {
+        dueDate = parseDate(rawDueDate);
+        if (!dueDate) {
+          res.status(400);
+          throw new Error("Invalid due date.");
+        }
+      } else {
+        const customer = await User.findById(order.user)
+          .select("paymentTermsDays")
+          .session(session)
+          .lean();
+        dueDate = dueDateFromTerms(customer?.paymentTermsDays);
+      }
+      if (!dueDate) {
+        res.status(400);
+        throw new Error("Due date is required (customer has no payment terms).");
+      }
 
-    const rawDueDate = req.body?.dueDate;
-    if (!rawDueDate) {
-      res.status(400);
-      throw new Error("Due date is required.");
-    }
-    const dueDate = parseDate(rawDueDate);
-    if (!dueDate) {
-      res.status(400);
-      throw new Error("Invalid due date.");
-    }
+      const adminNote =
+        typeof req.body?.adminNote === "string" ? req.body.adminNote.trim() : undefined;
 
-    const currencyRaw =
-      typeof req.body?.currency === "string" ? req.body.currency.trim() : "";
-    const currency = currencyRaw ? currencyRaw.toUpperCase() : undefined;
-    const adminNote =
-      typeof req.body?.adminNote === "string" ? req.body.adminNote.trim() : undefined;
+      // Orders created before snapshots existed fall back to the current profile
+      const customerSnapshot = order.customerSnapshot?.capturedAt
+        ? order.customerSnapshot.toObject()
+        : await loadCustomerSnapshot(order.user, session);
 
-    const [invoice] = await Invoice.create(
-      [
-        {
-          user: order.user,
-          order: order._id,
-          source: "Order",
-          amountMinor,
-          minorUnitFactor,
-          ...(currency ? { currency } : {}),
-          ...(dueDate ? { dueDate } : {}),
-          ...(adminNote ? { adminNote } : {}),
-        },
-      ],
-      { session }
-    );
+      [invoice] = await Invoice.create(
+        [
+          {
+            user: order.user,
+            customerSnapshot,
+            order: order._id,
+            source: "Order",
+            amountMinor,
+            ...(vat
+              ? {
+                  netAmountMinor: vat.netMinor,
+                  vatAmountMinor: vat.vatMinor,
+                  vatSummary: vat.summary,
+                }
+              : {}),
+            ...fx,
+            baseAmountMinor: convertMinor(amountMinor, {
+              fromFactor: minorUnitFactor,
+              toFactor: minorUnitFactorFor(fx.baseCurrency),
+              rate: fx.exchangeRate,
+            }),
+            ...(dueDate ? { dueDate } : {}),
+            ...(adminNote ? { adminNote } : {}),
+          },
+        ],
+        { session }
+      );
 
-    const linkResult = await Order.updateOne(
-      { _id: order._id, invoice: null },
-      { $set: { invoice: invoice._id } },
-      { session }
-    );
+      const linkResult = await Order.updateOne(
+        { _id: order._id, invoice: null },
+        { $set: { invoice: invoice._id } },
+        { session }
+      );
 
-    if (!linkResult?.matchedCount) {
-      res.status(409);
-      throw new Error("Order already has an invoice.");
-    }
+      if (!linkResult?.matchedCount) {
+        res.status(409);
+        throw new Error("Order already has an invoice.");
+      }
+    });
 
-    await session.commitTransaction();
+    // Store the issue-time PDF before the invoice is handed out
+    await archiveIssuedInvoicePdf(invoice._id);
 
     res.status(201).json({
       success: true,
       message: "Invoice created.",
       data: invoice,
     });
-  } catch (err) {
-    await session.abortTransaction();
-    throw err;
   } finally {
     session.endSession();
   }
 });
 
+/**
+ * @desc    Admin: list archived PDF versions of an invoice
+ * @route   GET /api/invoices/:id/pdf/versions
+ * @access  Private/Admin
+ */
+export const getInvoicePdfVersions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid invoice id.");
+  }
+
+  const exists = await Invoice.exists({ _id: id });
+  if (!exists) {
+    res.status(404);
+    throw new Error("Invoice not found.");
+  }
+
+  const versions = await listInvoicePdfVersions(id);
+
+  res.json({
+    success: true,
+    message: "Invoice PDF versions retrieved successfully.",
+    data: versions,
+  });
+});
+
+/**
+ * @desc    Admin: regenerate the invoice PDF from current data as a NEW version
+ * @route   POST /api/invoices/:id/pdf/regenerate
+ * @access  Private/Admin
+ *
+ * Body (optional):
+ * - note (why it was regenerated)
+ *
+ * Older versions are kept and stay downloadable via ?version=N.
+ */
+export const regenerateInvoicePdf = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid invoice id.");
+  }
+
+  const exists = await Invoice.exists({ _id: id });
+  if (!exists) {
+    res.status(404);
+    throw new Error("Invoice not found.");
+  }
+
+  const note = typeof req.body?.note === "string" ? req.body.note.trim() : "";
+  const { doc } = await archiveInvoicePdf(id, {
+    reason: "Regenerated",
+    note,
+    createdBy: req.user?._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Invoice PDF regenerated successfully.",
+    data: doc,
+  });
+});
+
+/**
+ * @desc    Admin: run payment reminders now (same idempotent job as the scheduler)
+ * @route   POST /api/invoices/reminders/run
+ * @access  Private/Admin
+ *
+ * Body (optional):
+ * - digest=true  also post today's overdue digest (once per day)
+ */
+export const runInvoiceRemindersNow = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const stats = await runInvoiceReminders({ now });
+  const digestSent =
+    req.body?.digest === true ? await sendOverdueDigest({ now }) : false;
+
+  res.json({
+    success: true,
+    message: "Invoice reminders processed successfully.",
+    data: { ...stats, digestSent },
+  });
+});
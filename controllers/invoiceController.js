@@ -1,13 +1,22 @@
 // megadie-backend/controllers/invoiceController.js
 import mongoose from "mongoose";
-import { chromium } from "playwright";
 import Invoice from "../models/invoiceModel.js";
 import User from "../models/userModel.js";
 import asyncHandler from "../middleware/asyncHandler.js";
+import { renderPdf, sendPdf } from "../utils/pdfRenderer.js";
+import { buildStatementLedger } from "../utils/statementLedger.js";
+import { getCustomerCreditBalances } from "../utils/customerWallet.js";
 import {
-  renderInvoiceHtml,
-  invoiceFooterTemplate,
-} from "../utils/invoiceTemplate.js";
+  getBaseCurrency,
+  minorUnitFactorFor,
+  normalizeCurrency,
+} from "../utils/currency.js";
+import {
+  AGEING_BUCKETS,
+  computeInvoiceAgeing,
+  computeOutstandingSummary,
+} from "../utils/invoiceAgeing.js";
+import { getInvoicePdf } from "../utils/invoicePdfArchive.js";
 import {
   renderStatementOfAccountHtml,
   statementOfAccountFooterTemplate,
@@ -40,19 +49,41 @@ function parseBoundedDate(v, bound) {
   return d;
 }
 
+/**
+ * Reads ?from / ?to for statement endpoints (day-bounded).
+ * Sets 400 and throws on invalid input.
+ */
+function parseStatementRange(req, res) {
+  const from = parseBoundedDate(req.query.from, "start");
+  const to = parseBoundedDate(req.query.to, "end");
+
+  if (req.query.from && !from) {
+    res.status(400);
+    throw new Error("Invalid 'from' date.");
+  }
+  if (req.query.to && !to) {
+    res.status(400);
+    throw new Error("Invalid 'to' date.");
+  }
+  if (from && to && from.getTime() > to.getTime()) {
+    res.status(400);
+    throw new Error("'from' date must be before or equal to 'to' date.");
+  }
+
+  const currency = req.query.currency ? normalizeCurrency(req.query.currency) : null;
+  if (req.query.currency && !currency) {
+    res.status(400);
+    throw new Error("Invalid currency.");
+  }
+
+  return { from, to, currency };
+}
+
 function isAdminUser(req) {
   // adjust if your user object uses role instead of isAdmin
   return Boolean(req.user?.isAdmin);
 }
 
-async function applyPdfMedia(page) {
-  if (typeof page.emulateMediaType === "function") {
-    await page.emulateMediaType("screen");
-  } else if (typeof page.emulateMedia === "function") {
-    await page.emulateMedia({ media: "screen" });
-  }
-}
-
 const ALLOWED_STATUSES = new Set(["Issued", "Cancelled"]);
 
 /**
@@ -126,9 +157,12 @@ export const getMyInvoices = asyncHandler(async (req, res) => {
           "invoiceNumber",
           "status",
           "amountMinor",
+          "netAmountMinor",
+          "vatAmountMinor",
           "currency",
           "minorUnitFactor",
           "paidTotalMinor",
+          "creditedTotalMinor",
           "balanceDueMinor",
           "paymentStatus",
           "dueDate",
@@ -189,6 +223,9 @@ export const getMyInvoices = asyncHandler(async (req, res) => {
  * @desc    Get my invoice balance summary (unpaid + overdue totals)
  * @route   GET /api/invoices/my/summary
  * @access  Private (owner)
+ *
+ * Top-level totals are in the base currency; byCurrency per invoice currency.
+ * credit: unapplied customer credit per currency (overpayments / unallocated receipts).
  */
 export const getMyInvoiceSummary = asyncHandler(async (req, res) => {
   const userId = req.user?._id;
@@ -201,43 +238,40 @@ export const getMyInvoiceSummary = asyncHandler(async (req, res) => {
     balanceDueMinor: { $gt: 0 },
   };
 
-  const [summary] = await Invoice.aggregate([
-    { $match: baseMatch },
-    {
-      $facet: {
-        unpaid: [
-          {
-            $group: {
-              _id: null,
-              total: { $sum: "$balanceDueMinor" },
-              count: { $sum: 1 },
-            },
-          },
-        ],
-        overdue: [
-          { $match: { dueDate: { $lt: now } } },
-          {
-            $group: {
-              _id: null,
-              total: { $sum: "$balanceDueMinor" },
-              count: { $sum: 1 },
-            },
-          },
-        ],
-      },
-    },
+  const [summary, credit] = await Promise.all([
+    computeOutstandingSummary({ match: baseMatch, now }),
+    getCustomerCreditBalances(userId),
   ]);
 
-  const unpaid = summary?.unpaid?.[0] || {};
-  const overdue = summary?.overdue?.[0] || {};
+  res.json({ ...summary, credit });
+});
+
+/**
+ * @desc    Get my invoice ageing (outstanding balance by days overdue)
+ * @route   GET /api/invoices/my/ageing
+ * @access  Private (owner)
+ *
+ * Buckets: current, 1-30, 31-60, 61-90, 90+ days past dueDate.
+ */
+export const getMyInvoiceAgeing = asyncHandler(async (req, res) => {
+  const asOf = new Date();
+  const ageing = await computeInvoiceAgeing({
+    match: { user: req.user?._id },
+    asOf,
+  });
 
   res.json({
-    unpaidTotalMinor: unpaid.total || 0,
-    unpaidCount: unpaid.count || 0,
-    overdueTotalMinor: overdue.total || 0,
-    overdueCount: overdue.count || 0,
-    currency: "AED",
-    minorUnitFactor: 100,
+    asOf,
+    buckets: AGEING_BUCKETS.map((b) => ({
+      key: b.key,
+      label: b.label,
+      ...ageing.buckets[b.key],
+    })),
+    totalMinor: ageing.totalMinor,
+    count: ageing.count,
+    oldestDueDate: ageing.oldestDueDate,
+    currency: getBaseCurrency(),
+    minorUnitFactor: minorUnitFactorFor(getBaseCurrency()),
   });
 });
 
@@ -291,6 +325,9 @@ export const getInvoiceById = asyncHandler(async (req, res) => {
         "totalPrice",
         "deliveryCharge",
         "extraFee",
+        "vatRate",
+        "vatTotal",
+        "grandTotal",
         "clientToAdminNote",
         "adminToClientNote",
       ].join(" "),
@@ -309,9 +346,27 @@ export const getInvoiceById = asyncHandler(async (req, res) => {
         "note",
         "reference",
         "receivedBy",
+        "status",
+        "voidType",
+        "voidReason",
+        "voidedAt",
         "createdAt",
       ].join(" "),
     })
+    .populate({
+      path: "creditNotes",
+      match: { status: "Issued" },
+      options: { sort: { creditDate: -1, createdAt: -1 } },
+      select: [
+        "creditNoteNumber",
+        "items",
+        "amountMinor",
+        "refundedMinor",
+        "creditDate",
+        "reason",
+        "status",
+      ].join(" "),
+    })
     .lean();
 
   // Extremely defensive: invoice could disappear between probe and fetch
@@ -325,11 +380,17 @@ export const getInvoiceById = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Get invoice PDF (owner OR admin)
- * @route   GET /api/invoices/:id/pdf
+ * @route   GET /api/invoices/:id/pdf?version=N
  * @access  Private (owner or admin)
+ *
+ * Serves the archived PDF (latest version by default) instead of re-rendering,
+ * so the document never changes after issue. `version` is admin-only.
+ * The PDF carries no settlement: paid / credited / balance due come from the invoice
+ * itself (GET /api/invoices/:id) or the statement (GET /api/invoices/my/statement/pdf).
  */
 export const getInvoicePDF = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const version = req.query.version ? toInt(req.query.version, NaN) : null;
 
   if (!mongoose.Types.ObjectId.isValid(id)) {
     res.status(400);
@@ -351,121 +412,55 @@ export const getInvoicePDF = asyncHandler(async (req, res) => {
     throw new Error("Not authorized to view this invoice.");
   }
 
-  const invoice = await Invoice.findById(id)
-    .select(
-      [
-        "source",
-        "invoiceItems",
-        "invoiceNumber",
-        "status",
-        "amountMinor",
-        "currency",
-        "minorUnitFactor",
-        "paidTotalMinor",
-        "balanceDueMinor",
-        "paymentStatus",
-        "dueDate",
-        "createdAt",
-        "user",
-        "order",
-      ].join(" ")
-    )
-    .populate({
-      path: "user",
-      select: "name email",
-    })
-    .populate({
-      path: "order",
-      select: [
-        "orderNumber",
-        "orderItems",
-        "deliveryCharge",
-        "extraFee",
-        "createdAt",
-      ].join(" "),
-      populate: {
-        path: "orderItems.product",
-        select: "name",
-      },
-    })
-    .populate({
-      path: "payments",
-      options: { sort: { paymentDate: -1, createdAt: -1 } },
-      select: [
-        "amountMinor",
-        "paymentMethod",
-        "paymentDate",
-        "reference",
-        "receivedBy",
-        "createdAt",
-      ].join(" "),
-    })
-    .lean();
+  if (version !== null) {
+    if (!isAdminUser(req)) {
+      res.status(403);
+      throw new Error("Only admins can view older invoice versions.");
+    }
+    if (!Number.isInteger(version) || version < 1) {
+      res.status(400);
+      throw new Error("Invalid version.");
+    }
+  }
 
-  if (!invoice) {
+  const archived = await getInvoicePdf(id, { version });
+  if (!archived) {
     res.status(404);
-    throw new Error("Invoice not found.");
+    throw new Error("Invoice PDF version not found.");
   }
 
-  const html = renderInvoiceHtml({ invoice, order: invoice.order });
-  const fileName = invoice.invoiceNumber
-    ? `invoice-${invoice.invoiceNumber}.pdf`
-    : `invoice-${invoice._id}.pdf`;
-
-  let browser;
-  try {
-    browser = await chromium.launch({
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: "load" });
-    await applyPdfMedia(page);
-    const pdfBuffer = await page.pdf({
-      format: "A4",
-      printBackground: true,
-      displayHeaderFooter: true,
-      headerTemplate: "<div></div>",
-      footerTemplate: invoiceFooterTemplate,
-      margin: { top: "18mm", bottom: "22mm", left: "16mm", right: "16mm" },
-    });
-
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("Content-Disposition", `inline; filename=${fileName}`);
-    res.end(pdfBuffer);
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
-  }
+  res.setHeader("X-Invoice-Pdf-Version", String(archived.doc.version));
+  res.setHeader("X-Invoice-Pdf-Sha256", archived.doc.sha256);
+  sendPdf(res, archived.buffer, archived.doc.fileName);
 });
 
 /**
- * @desc    Get SOA PDF for a user (admin only)
- * @route   GET /api/invoices/soa/:userId?from=YYYY-MM-DD&to=YYYY-MM-DD
- * @access  Private/Admin
+ * @desc    Get my statement of account (running-balance ledger)
+ * @route   GET /api/invoices/my/statement?from=YYYY-MM-DD&to=YYYY-MM-DD&currency=USD
+ * @access  Private (owner)
+ *
+ * One statement per currency (default: the customer's billing currency, else base).
+ * Returns opening balance at `from`, every invoice / payment / credit / cancellation
+ * in date order with a running balance, and the closing balance at `to`.
  */
-export const getStatementOfAccountPDF = asyncHandler(async (req, res) => {
-  const { userId } = req.params;
-  const from = parseBoundedDate(req.query.from, "start");
-  const to = parseBoundedDate(req.query.to, "end");
+export const getMyStatement = asyncHandler(async (req, res) => {
+  const { from, to, currency } = parseStatementRange(req, res);
+  const ledger = await buildStatementLedger({
+    userId: req.user._id,
+    from,
+    to,
+    currency,
+  });
 
-  if (!mongoose.Types.ObjectId.isValid(userId)) {
-    res.status(400);
-    throw new Error("Invalid user id.");
-  }
+  res.json(ledger);
+});
 
-  if (req.query.from && !from) {
-    res.status(400);
-    throw new Error("Invalid 'from' date.");
-  }
-  if (req.query.to && !to) {
-    res.status(400);
-    throw new Error("Invalid 'to' date.");
-  }
-  if (from && to && from.getTime() > to.getTime()) {
-    res.status(400);
-    throw new Error("'from' date must be before or equal to 'to' date.");
-  }
+/**
+ * Builds the ledger for `userId` and streams the SOA PDF.
+ * Shared by the admin and owner statement endpoints.
+ */
+async function sendStatementOfAccountPdf(req, res, userId) {
+  const { from, to, currency } = parseStatementRange(req, res);
 
   const client = await User.findById(userId)
     .select("name email phoneNumber address")
@@ -475,53 +470,11 @@ export const getStatementOfAccountPDF = asyncHandler(async (req, res) => {
     throw new Error("User not found.");
   }
 
-  const invoiceFilter = {
-    user: userId,
-    status: "Issued",
-    paymentStatus: { $ne: "Paid" },
-    balanceDueMinor: { $gt: 0 },
-  };
-
-  if (from || to) {
-    invoiceFilter.createdAt = {};
-    if (from) invoiceFilter.createdAt.$gte = from;
-    if (to) invoiceFilter.createdAt.$lte = to;
-  }
-
-  const invoices = await Invoice.find(invoiceFilter)
-    .select(
-      [
-        "invoiceNumber",
-        "amountMinor",
-        "paidTotalMinor",
-        "balanceDueMinor",
-        "paymentStatus",
-        "dueDate",
-        "createdAt",
-        "currency",
-        "minorUnitFactor",
-      ].join(" ")
-    )
-    .sort({ createdAt: 1 })
-    .lean();
-
-  const currency = invoices[0]?.currency || "AED";
-  const minorUnitFactor = invoices[0]?.minorUnitFactor || 100;
-  const now = Date.now();
-  const totalDueMinor = invoices.reduce(
-    (sum, inv) => sum + (Number(inv.balanceDueMinor) || 0),
-    0
-  );
-  const overdueTotalMinor = invoices.reduce((sum, inv) => {
-    const due = inv?.dueDate ? Date.parse(inv.dueDate) : NaN;
-    if (!Number.isFinite(due) || due >= now) return sum;
-    return sum + (Number(inv.balanceDueMinor) || 0);
-  }, 0);
+  const ledger = await buildStatementLedger({ userId, from, to, currency });
 
   const html = renderStatementOfAccountHtml({
     client,
-    invoices,
-    summary: { totalDueMinor, overdueTotalMinor, currency, minorUnitFactor },
+    ledger,
     generatedAt: new Date(),
     fromDateLabel: req.query.from ? String(req.query.from).slice(0, 10) : "",
     cutoffDateLabel: req.query.to ? String(req.query.to).slice(0, 10) : "",
@@ -540,29 +493,33 @@ export const getStatementOfAccountPDF = asyncHandler(async (req, res) => {
     ? `soa-${safeName || client._id}-${fromTag}-to-${dateTag}.pdf`
     : `soa-${safeName || client._id}-${dateTag}.pdf`;
 
-  let browser;
-  try {
-    browser = await chromium.launch({
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: "load" });
-    await applyPdfMedia(page);
-    const pdfBuffer = await page.pdf({
-      format: "A4",
-      printBackground: true,
-      displayHeaderFooter: true,
-      headerTemplate: "<div></div>",
-      footerTemplate: statementOfAccountFooterTemplate,
-      margin: { top: "18mm", bottom: "22mm", left: "16mm", right: "16mm" },
-    });
-
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("Content-Disposition", `inline; filename=${fileName}`);
-    res.end(pdfBuffer);
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
+  const pdfBuffer = await renderPdf(html, {
+    footerTemplate: statementOfAccountFooterTemplate,
+  });
+  sendPdf(res, pdfBuffer, fileName);
+}
+
+/**
+ * @desc    Get SOA PDF for a user (admin only)
+ * @route   GET /api/invoices/soa/:userId?from=YYYY-MM-DD&to=YYYY-MM-DD&currency=USD
+ * @access  Private/Admin
+ */
+export const getStatementOfAccountPDF = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400);
+    throw new Error("Invalid user id.");
   }
+
+  await sendStatementOfAccountPdf(req, res, userId);
+});
+
+/**
+ * @desc    Get my SOA PDF
+ * @route   GET /api/invoices/my/statement/pdf?from=YYYY-MM-DD&to=YYYY-MM-DD&currency=USD
+ * @access  Private (owner)
+ */
+export const getMyStatementPDF = asyncHandler(async (req, res) => {
+  await sendStatementOfAccountPdf(req, res, req.user._id);
 });
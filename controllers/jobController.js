@@ -0,0 +1,203 @@
+// controllers/jobController.js
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import Job, { JOB_STATUSES } from "../models/jobModel.js";
+import { enqueueJob, hasJobHandler } from "../utils/jobQueue.js";
+
+const toInt = (v, fallback) => {
+  const n = Number.parseInt(String(v), 10);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+// Job types an admin may enqueue by hand (maintenance tasks)
+const MANUAL_JOB_TYPES = new Set([
+  "slots.rebuildOccupancy",
+  "invoices.runReminders",
+  "invoices.overdueDigest",
+  "invoice.emailPdf",
+]);
+
+/* =========================
+   GET /api/jobs
+   Private/Admin
+   Filters: status, type; Pagination: page, limit
+   ========================= */
+export const getJobs = asyncHandler(async (req, res) => {
+  const page = Math.max(1, toInt(req.query.page, 1));
+  const limit = Math.min(Math.max(1, toInt(req.query.limit, 20)), 100);
+  const status = req.query.status ? String(req.query.status) : "";
+  const type = req.query.type ? String(req.query.type).trim() : "";
+
+  if (status && !JOB_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Invalid status. Allowed: ${JOB_STATUSES.join(", ")}.`);
+  }
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+
+  const [total, jobs, counts] = await Promise.all([
+    Job.countDocuments(filter),
+    Job.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("-result"),
+    Job.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+
+  res.status(200).json({
+    success: true,
+    message: "Jobs retrieved successfully.",
+    data: jobs,
+    counts: Object.fromEntries(
+      JOB_STATUSES.map((s) => [s, counts.find((c) => c._id === s)?.count || 0])
+    ),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages,
+    },
+  });
+});
+
+/* =========================
+   GET /api/jobs/:id
+   Private/Admin
+   ========================= */
+export const getJobById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid job id.");
+  }
+
+  const job = await Job.findById(id);
+  if (!job) {
+    res.status(404);
+    throw new Error("Job not found.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Job retrieved successfully.",
+    data: job,
+  });
+});
+
+/* =========================
+   POST /api/jobs
+   Private/Admin
+   Body: { type, payload? } — maintenance job types only
+   ========================= */
+export const createJob = asyncHandler(async (req, res) => {
+  const type = String(req.body?.type || "").trim();
+  if (!MANUAL_JOB_TYPES.has(type) || !hasJobHandler(type)) {
+    res.status(400);
+    throw new Error(
+      `Invalid job type. Allowed: ${Array.from(MANUAL_JOB_TYPES).join(", ")}.`
+    );
+  }
+
+  const payload =
+    req.body?.payload && typeof req.body.payload === "object" ? req.body.payload : {};
+
+  const job = await enqueueJob(type, payload, { createdBy: req.user?._id });
+
+  res.status(201).json({
+    success: true,
+    message: "Job queued successfully.",
+    data: job,
+  });
+});
+
+/* =========================
+   POST /api/jobs/:id/retry
+   Private/Admin
+   Re-queue a Dead (or Succeeded) job with a fresh attempt budget
+   ========================= */
+export const retryJob = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid job id.");
+  }
+
+  let job;
+  try {
+    job = await Job.findOneAndUpdate(
+      { _id: id, status: { $in: ["Dead", "Succeeded"] } },
+      {
+        $set: {
+          status: "Queued",
+          active: true,
+          attempts: 0,
+          runAt: new Date(),
+          lockedAt: null,
+          lockedBy: null,
+          finishedAt: null,
+        },
+      },
+      { new: true }
+    );
+  } catch (err) {
+    // Another live job already holds this dedupeKey
+    if (err?.code === 11000) {
+      res.status(409);
+      throw new Error("A job with the same dedupe key is already queued or running.");
+    }
+    throw err;
+  }
+
+  if (!job) {
+    const exists = await Job.exists({ _id: id });
+    res.status(exists ? 409 : 404);
+    throw new Error(
+      exists ? "Only Dead or Succeeded jobs can be retried." : "Job not found."
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Job re-queued successfully.",
+    data: job,
+  });
+});
+
+/* =========================
+   DELETE /api/jobs/:id
+   Private/Admin
+   Only finished jobs (Succeeded / Dead)
+   ========================= */
+export const deleteJob = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid job id.");
+  }
+
+  const deleted = await Job.findOneAndDelete({
+    _id: id,
+    status: { $in: ["Dead", "Succeeded"] },
+  });
+
+  if (!deleted) {
+    const exists = await Job.exists({ _id: id });
+    res.status(exists ? 409 : 404);
+    throw new Error(
+      exists ? "Only Dead or Succeeded jobs can be deleted." : "Job not found."
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Job deleted successfully.",
+    data: { id },
+  });
+});
@@ -0,0 +1,166 @@
+// controllers/numberingSeriesController.js
+import asyncHandler from "../middleware/asyncHandler.js";
+import NumberingSeries from "../models/numberingSeriesModel.js";
+import DocumentCounter from "../models/documentCounterModel.js";
+import { NUMBERED_DOCUMENT_TYPES } from "../constants.js";
+import {
+  PATTERN_TOKENS,
+  formatDocumentNumber,
+  getSeriesConfig,
+  periodFor,
+} from "../utils/documentNumbering.js";
+
+const assertValidDocType = (res, docType) => {
+  if (!NUMBERED_DOCUMENT_TYPES.includes(docType)) {
+    res.status(400);
+    throw new Error(
+      `Invalid docType "${docType}". Allowed: ${NUMBERED_DOCUMENT_TYPES.join(", ")}`
+    );
+  }
+};
+
+const describeSeries = async (docType, now = new Date()) => {
+  const config = await getSeriesConfig(docType);
+  const period = periodFor(config, now);
+  const counter = await DocumentCounter.findOne({ docType, period }).lean();
+  const lastSeq = counter?.seq || 0;
+
+  return {
+    ...config,
+    period,
+    lastSeq,
+    lastNumber: lastSeq ? formatDocumentNumber(config, lastSeq, now) : null,
+    nextNumber: formatDocumentNumber(config, lastSeq + 1, now),
+  };
+};
+
+/* =========================
+   GET /api/numbering-series
+   Private/Admin
+   Format, current period counter and next number for every document type
+   ========================= */
+export const getNumberingSeries = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const data = await Promise.all(
+    NUMBERED_DOCUMENT_TYPES.map((docType) => describeSeries(docType, now))
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Numbering series retrieved successfully.",
+    data,
+  });
+});
+
+/* =========================
+   PUT /api/numbering-series/:docType
+   Private/Admin
+   Update the number format for a document type
+   Body: { prefix?, pattern?, padding?, resetYearly?, fiscalYearStartMonth? }
+   Counters are never rewound; numbers already issued keep their format.
+   A change that moves the series to another counter period seeds that counter from the
+   highest sequence issued so far, so new numbers cannot repeat old ones.
+   ========================= */
+export const updateNumberingSeries = asyncHandler(async (req, res) => {
+  const docType = String(req.params.docType || "").trim();
+  assertValidDocType(res, docType);
+
+  const current = await getSeriesConfig(docType);
+  const body = req.body || {};
+  const next = {
+    prefix: current.prefix,
+    pattern: current.pattern,
+    padding: current.padding,
+    resetYearly: current.resetYearly,
+    fiscalYearStartMonth: current.fiscalYearStartMonth,
+  };
+
+  if (body.prefix !== undefined) {
+    const prefix = String(body.prefix).trim().toUpperCase();
+    if (!/^[A-Z0-9]{1,12}$/.test(prefix)) {
+      res.status(400);
+      throw new Error("prefix must be 1-12 letters/digits.");
+    }
+    next.prefix = prefix;
+  }
+
+  if (body.pattern !== undefined) {
+    const pattern = String(body.pattern).trim();
+    const tokens = pattern.match(/\{[A-Z]+\}/g) || [];
+    const unknown = tokens.filter((t) => !PATTERN_TOKENS.includes(t));
+    if (!pattern || unknown.length) {
+      res.status(400);
+      throw new Error(`Invalid pattern. Allowed tokens: ${PATTERN_TOKENS.join(" ")}`);
+    }
+    if (!tokens.includes("{SEQ}")) {
+      res.status(400);
+      throw new Error("pattern must include {SEQ}.");
+    }
+    next.pattern = pattern;
+  }
+
+  if (body.padding !== undefined) {
+    const padding = Number(body.padding);
+    if (!Number.isInteger(padding) || padding < 1 || padding > 12) {
+      res.status(400);
+      throw new Error("padding must be a whole number between 1 and 12.");
+    }
+    next.padding = padding;
+  }
+
+  if (body.resetYearly !== undefined) {
+    next.resetYearly = Boolean(body.resetYearly);
+  }
+
+  if (body.fiscalYearStartMonth !== undefined) {
+    const month = Number(body.fiscalYearStartMonth);
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      res.status(400);
+      throw new Error("fiscalYearStartMonth must be between 1 and 12.");
+    }
+    next.fiscalYearStartMonth = month;
+  }
+
+  // A yearly-reset series must show the year, or numbers would repeat across years.
+  // {YYYY}/{YY} print the calendar year, which only matches a January fiscal year.
+  if (next.resetYearly) {
+    if (next.fiscalYearStartMonth !== 1 && !next.pattern.includes("{FY}")) {
+      res.status(400);
+      throw new Error(
+        "A yearly-reset pattern must include {FY} when the fiscal year does not start in January."
+      );
+    }
+    if (!/\{(FY|YYYY|YY)\}/.test(next.pattern)) {
+      res.status(400);
+      throw new Error("A yearly-reset pattern must include {FY}, {YYYY} or {YY}.");
+    }
+  }
+
+  // Switching period (resetYearly / fiscal year start): continue above every number issued
+  const now = new Date();
+  const currentPeriod = periodFor(current, now);
+  const nextPeriod = periodFor(next, now);
+  if (nextPeriod !== currentPeriod) {
+    const highest = await DocumentCounter.findOne({ docType })
+      .sort({ seq: -1 })
+      .select("seq")
+      .lean();
+    await DocumentCounter.updateOne(
+      { docType, period: nextPeriod },
+      { $max: { seq: highest?.seq || 0 } },
+      { upsert: true }
+    );
+  }
+
+  await NumberingSeries.findOneAndUpdate(
+    { docType },
+    { $set: next },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Numbering series updated successfully.",
+    data: await describeSeries(docType),
+  });
+});
@@ -5,6 +5,14 @@ import OrderAllocation from "../models/orderAllocationModel.js";
 import SlotItem from "../models/slotItemModel.js";
 import { applySlotOccupancyDelta } from "../utils/slotOccupancy.js";
 import { logInventoryMovement } from "../utils/inventoryMovement.js";
+import { roundToTwo } from "../utils/rounding.js";
+import { planPickList, buildPickRows } from "../utils/pickList.js";
+import { renderPdf, sendPdf } from "../utils/pdfRenderer.js";
+import {
+  renderPickSheetHtml,
+  pickSheetFooterTemplate,
+} from "../utils/pickSheetTemplate.js";
+import { PICK_STRATEGIES } from "../constants.js";
 
 const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
 
@@ -558,6 +566,7 @@ export const finalizeOrderAllocations = asyncHandler(async (req, res) => {
         occupancyDeltas.set(key, (occupancyDeltas.get(key) || 0) + delta);
       };
       let deductedQty = 0;
+      let costOfGoods = 0;
 
       for (const allocation of reservedAllocations) {
         const productKey = resolveId(allocation.product);
@@ -600,7 +609,7 @@ export const finalizeOrderAllocations = asyncHandler(async (req, res) => {
           addDelta(slotKey, -deltaCbm);
         }
 
-        await logInventoryMovement(
+        const movement = await logInventoryMovement(
           {
             type: "DEDUCT",
             product: productKey,
@@ -625,6 +634,7 @@ export const finalizeOrderAllocations = asyncHandler(async (req, res) => {
 
         updatedAllocations.push(allocation._id);
         deductedQty += qtyValue;
+        costOfGoods += Number(movement?.totalCost) || 0;
       }
 
       for (const [slotKey, delta] of occupancyDeltas.entries()) {
@@ -647,10 +657,17 @@ export const finalizeOrderAllocations = asyncHandler(async (req, res) => {
       }
 
       await recomputeAllocationStatus(orderId, session);
-      if (!order.stockFinalizedAt) {
-        order.stockFinalizedAt = new Date();
-        await order.save({ session });
-      }
+      // Cost of goods is written directly: `order` is a partial doc (no pricing fields)
+      await Order.updateOne(
+        { _id: orderId },
+        {
+          $set: {
+            costOfGoods: roundToTwo(costOfGoods),
+            stockFinalizedAt: order.stockFinalizedAt || new Date(),
+          },
+        },
+        { session }
+      );
       await OrderAllocation.updateMany(
         { order: orderId },
         { $set: { expiresAt } },
@@ -661,6 +678,7 @@ export const finalizeOrderAllocations = asyncHandler(async (req, res) => {
         orderId,
         deductedCount: updatedAllocations.length,
         deductedQty,
+        costOfGoods: roundToTwo(costOfGoods),
       };
     });
   } finally {
@@ -675,3 +693,287 @@ export const finalizeOrderAllocations = asyncHandler(async (req, res) => {
     data: summary,
   });
 });
+
+const PICKABLE_ORDER_STATUSES = ["Processing", "Shipping"];
+
+const parseOrderIds = (res, value) => {
+  const raw = Array.isArray(value) ? value : String(value || "").split(",");
+  const ids = Array.from(
+    new Set(raw.map((id) => String(id).trim()).filter(Boolean))
+  );
+  if (!ids.length) {
+    res.status(400);
+    throw new Error("orderIds is required.");
+  }
+  if (ids.some((id) => !isValidId(id))) {
+    res.status(400);
+    throw new Error("Invalid order id.");
+  }
+  return ids;
+};
+
+const parsePickStrategy = (res, value) => {
+  if (value === undefined || value === null || value === "") return "FewestSlots";
+  if (!PICK_STRATEGIES.includes(value)) {
+    res.status(400);
+    throw new Error(`Strategy must be one of: ${PICK_STRATEGIES.join(", ")}.`);
+  }
+  return value;
+};
+
+const loadPickableOrders = async (res, orderIds, session = null) => {
+  const orders = await Order.find({ _id: { $in: orderIds } })
+    .select("orderNumber status orderItems invoice stockFinalizedAt createdAt")
+    .session(session)
+    .lean();
+  if (orders.length !== orderIds.length) {
+    res.status(404);
+    throw new Error("Order not found.");
+  }
+
+  for (const order of orders) {
+    if (order.stockFinalizedAt) {
+      res.status(409);
+      throw new Error(`Stock finalized for ${order.orderNumber}. Allocations are locked.`);
+    }
+    if (!PICKABLE_ORDER_STATUSES.includes(order.status)) {
+      res.status(409);
+      throw new Error(
+        `Pick lists are allowed only for Processing or Shipping orders (${order.orderNumber} is ${order.status}).`
+      );
+    }
+  }
+
+  const deducted = await OrderAllocation.findOne({
+    order: { $in: orderIds },
+    status: "Deducted",
+  })
+    .select("order")
+    .session(session)
+    .lean();
+  if (deducted) {
+    const order = orders.find((o) => String(o._id) === String(deducted.order));
+    res.status(409);
+    throw new Error(
+      `Allocations for ${order?.orderNumber || "an order"} are finalized and cannot be changed.`
+    );
+  }
+
+  return orders;
+};
+
+/* =========================
+   POST /api/orders/pick-list/preview
+   Private/Admin
+   Body: { orderIds: [], strategy? }
+   Proposes allocations across slots (nothing is reserved)
+   ========================= */
+export const previewPickList = asyncHandler(async (req, res) => {
+  const orderIds = parseOrderIds(res, req.body?.orderIds);
+  const strategy = parsePickStrategy(res, req.body?.strategy);
+
+  const orders = await loadPickableOrders(res, orderIds);
+  const plan = await planPickList(orders, strategy);
+
+  res.status(200).json({
+    success: true,
+    message: "Pick list preview generated successfully.",
+    data: {
+      strategy,
+      lines: plan.lines,
+      picks: buildPickRows(plan.lines),
+      shortages: plan.shortages,
+    },
+  });
+});
+
+/* =========================
+   POST /api/orders/pick-list
+   Private/Admin
+   Body: { orderIds: [], strategy? }
+   Reserves the proposed allocations in one transaction.
+   Processing orders move to Shipping (reservations require Shipping).
+   ========================= */
+export const createPickList = asyncHandler(async (req, res) => {
+  const orderIds = parseOrderIds(res, req.body?.orderIds);
+  const strategy = parsePickStrategy(res, req.body?.strategy);
+
+  const session = await mongoose.startSession();
+  let result = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const orders = await loadPickableOrders(res, orderIds, session);
+      const plan = await planPickList(orders, strategy, session);
+
+      if (!plan.lines.length) {
+        res.status(409);
+        throw new Error(
+          plan.shortages.length
+            ? "No available stock for the unallocated items."
+            : "Orders are already fully allocated."
+        );
+      }
+
+      let reservedQty = 0;
+      for (const line of plan.lines) {
+        const allocation = await OrderAllocation.findOneAndUpdate(
+          { order: line.order._id, product: line.product._id, slot: line.slot._id },
+          {
+            $set: {
+              qty: line.existingQty + line.qty,
+              by: req.user?._id || null,
+              status: "Reserved",
+              deductedAt: null,
+              deductedBy: null,
+            },
+          },
+          { new: true, upsert: true, setDefaultsOnInsert: true, session }
+        );
+
+        await logInventoryMovement(
+          {
+            type: "RESERVE",
+            product: line.product._id,
+            slot: line.slot._id,
+            order: line.order._id,
+            allocation: allocation._id,
+            qty: line.qty,
+            actor: req.user?._id || null,
+            note: "Pick list",
+          },
+          session
+        );
+        reservedQty += line.qty;
+      }
+
+      const updatedOrders = [];
+      for (const order of orders) {
+        const updated = await recomputeAllocationStatus(order._id, session);
+        if (order.status === "Processing") {
+          // Direct update: `updated` is a partial doc (no pricing fields)
+          await Order.updateOne(
+            { _id: order._id, status: "Processing" },
+            { $set: { status: "Shipping" } },
+            { session }
+          );
+        }
+        updatedOrders.push({
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          status: "Shipping",
+          allocationStatus: updated?.allocationStatus,
+        });
+      }
+
+      result = {
+        strategy,
+        reservedQty,
+        orders: updatedOrders,
+        lines: plan.lines,
+        picks: buildPickRows(plan.lines),
+        shortages: plan.shortages,
+        invoiced: orders.filter((o) => o.invoice).map((o) => o.orderNumber),
+      };
+    });
+  } finally {
+    session.endSession();
+  }
+
+  const { invoiced, ...data } = result;
+  const warning = invoiced.length
+    ? `Invoice exists for ${invoiced.join(", ")}. Verify shipment documents after reservation changes.`
+    : "";
+
+  res.status(201).json({
+    success: true,
+    message: "Pick list created successfully.",
+    ...(warning ? { warning } : {}),
+    data,
+  });
+});
+
+/* =========================
+   GET /api/orders/pick-list/pdf?orderIds=a,b
+   Private/Admin
+   Printable pick sheet of the orders' Reserved allocations (walk order)
+   ========================= */
+export const getPickSheetPdf = asyncHandler(async (req, res) => {
+  const orderIds = parseOrderIds(res, req.query.orderIds);
+
+  const orders = await Order.find({ _id: { $in: orderIds } })
+    .select("orderNumber status orderItems customerSnapshot user createdAt")
+    .populate("user", "name")
+    .sort({ createdAt: 1 })
+    .lean();
+  if (orders.length !== orderIds.length) {
+    res.status(404);
+    throw new Error("Order not found.");
+  }
+
+  const allocations = await OrderAllocation.find({
+    order: { $in: orderIds },
+    status: { $ne: "Cancelled" },
+  })
+    .populate("product", "name sku")
+    .populate("slot", "label store unit position")
+    .lean();
+
+  const orderById = new Map(orders.map((o) => [String(o._id), o]));
+  const allocatedByOrderProduct = new Map();
+  const lines = [];
+  for (const row of allocations) {
+    const key = `${row.order}|${resolveId(row.product)}`;
+    allocatedByOrderProduct.set(
+      key,
+      (allocatedByOrderProduct.get(key) || 0) + (Number(row.qty) || 0)
+    );
+    if (row.status && row.status !== "Reserved") continue;
+    lines.push({
+      order: { _id: row.order, orderNumber: orderById.get(String(row.order))?.orderNumber },
+      product: row.product,
+      slot: row.slot,
+      qty: Number(row.qty) || 0,
+    });
+  }
+
+  const shortages = [];
+  for (const order of orders) {
+    const orderedByProduct = new Map();
+    for (const item of order.orderItems || []) {
+      const key = `${order._id}|${item.product}`;
+      const row = orderedByProduct.get(key) || {
+        product: { _id: item.product, name: item.productName || item.sku },
+        qty: 0,
+      };
+      row.qty += Number(item.qty) || 0;
+      orderedByProduct.set(key, row);
+    }
+    for (const [key, row] of orderedByProduct) {
+      const shortQty = row.qty - (allocatedByOrderProduct.get(key) || 0);
+      if (shortQty > 0) {
+        shortages.push({
+          order: { _id: order._id, orderNumber: order.orderNumber },
+          product: row.product,
+          shortQty,
+        });
+      }
+    }
+  }
+
+  const html = renderPickSheetHtml({
+    rows: buildPickRows(lines),
+    orders,
+    shortages,
+    generatedAt: new Date(),
+  });
+  const fileName =
+    orders.length === 1
+      ? `pick-sheet-${orders[0].orderNumber}.pdf`
+      : `pick-sheet-${new Date().toISOString().slice(0, 10)}.pdf`;
+
+  const pdfBuffer = await renderPdf(html, {
+    footerTemplate: pickSheetFooterTemplate,
+  });
+  sendPdf(res, pdfBuffer, fileName);
+});
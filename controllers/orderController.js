@@ -8,6 +8,10 @@ import Product from "../models/productModel.js";
 import User from "../models/userModel.js";
 import OrderAllocation from "../models/orderAllocationModel.js";
 import { logInventoryMovement } from "../utils/inventoryMovement.js";
+import { checkCreditLimit, orderBaseMinor } from "../utils/customerCredit.js";
+import { loadCustomerSnapshot } from "../utils/customerSnapshot.js";
+import { applyQuoteVat } from "../utils/vat.js";
+import { getBaseCurrency, minorUnitFactorFor } from "../utils/currency.js";
 
 /* =========================
    Helpers (pagination)
@@ -31,6 +35,7 @@ const ADMIN_ORDER_INVOICE_SELECT = [
   "paymentStatus",
   "amountMinor",
   "paidTotalMinor",
+  "creditedTotalMinor",
   "balanceDueMinor",
   "currency",
   "minorUnitFactor",
@@ -157,6 +162,8 @@ const sanitizeOrderForClient = (order) => {
   delete o.totalPrice;
   delete o.deliveryCharge;
   delete o.extraFee;
+  delete o.vatTotal;
+  delete o.grandTotal;
 
   // Strip item pricing
   if (Array.isArray(o.orderItems)) {
@@ -322,7 +329,7 @@ export const getMyOrders = asyncHandler(async (req, res) => {
     Order.countDocuments(filter),
     Order.find(filter)
       .select(
-        "-totalPrice -deliveryCharge -extraFee -orderItems.unitPrice -orderItems.lineTotal"
+        "-totalPrice -deliveryCharge -extraFee -vatTotal -grandTotal -orderItems.unitPrice -orderItems.lineTotal"
       )
       .populate("invoice", "invoiceNumber")
       .populate("orderItems.product", "name sku size")
@@ -542,48 +549,107 @@ export const createOrderFromQuote = asyncHandler(async (req, res) => {
   // 4. Map quote items → order items
   // qty = 0 is allowed by business rules
   // -------------------------
+  // Quotes saved before VAT support get their snapshot now
+  await applyQuoteVat(quote);
+
   const orderItems = quote.requestedItems.map((it) => ({
     product: it.product,
     sku: skuMap.get(String(it.product)) || "",
     productName: nameMap.get(String(it.product)) || "",
     qty: it.qty,
     unitPrice: it.unitPrice,
+    vatCategory: it.vatCategory,
+    vatRate: it.vatRate,
   }));
 
   // -------------------------
-  // 5. Transaction (order + quote link)
+  // 5. Credit limit (outstanding balance + this order incl. VAT)
+  // Block mode needs an explicit admin override, which is recorded on the order.
+  // -------------------------
+  const body = req.body || {};
+  const credit = await checkCreditLimit({
+    userId: quote.user,
+    orderMinor: orderBaseMinor(quote),
+  });
+
+  let creditCheck = null;
+  if (credit.exceeded) {
+    const wantsOverride = body.overrideCreditLimit === true;
+    const overrideReason =
+      typeof body.overrideReason === "string" ? body.overrideReason.trim() : "";
+
+    if (credit.mode === "Block" && !wantsOverride) {
+      const factor = minorUnitFactorFor(getBaseCurrency());
+      const fmt = (minor) => `${getBaseCurrency()} ${(minor / factor).toFixed(2)}`;
+      res.status(409);
+      throw new Error(
+        `Credit limit exceeded: outstanding ${fmt(credit.outstandingMinor)} + order ${fmt(credit.orderMinor)} > limit ${fmt(credit.limitMinor)}. Set overrideCreditLimit to proceed.`
+      );
+    }
+    if (credit.mode === "Block" && !overrideReason) {
+      res.status(400);
+      throw new Error("overrideReason is required to override the credit limit.");
+    }
+
+    creditCheck = {
+      mode: credit.mode,
+      limitMinor: credit.limitMinor,
+      outstandingMinor: credit.outstandingMinor,
+      orderMinor: credit.orderMinor,
+      ...(wantsOverride
+        ? {
+            overriddenBy: req.user?._id,
+            overriddenAt: new Date(),
+            ...(overrideReason ? { overrideReason } : {}),
+          }
+        : {}),
+    };
+  }
+
+  // Billing/delivery snapshot (profile edits must not change this order)
+  const customerSnapshot = await loadCustomerSnapshot(quote.user);
+
+  // -------------------------
+  // 6. Transaction (order + quote link)
   // -------------------------
   const session = await mongoose.startSession();
-  session.startTransaction();
+  let order = null;
 
   try {
-    // Create order
-    const order = await Order.create(
-      [
-        {
-          user: quote.user,           // always trust quote.user
-          quote: quote._id,            // link quote → order
-          orderItems,
-          deliveryCharge: quote.deliveryCharge,
-          extraFee: quote.extraFee,
-          status: "Processing",
-        },
-      ],
-      { session }
-    );
-
-    // Link quote → order
-    quote.order = order[0]._id;
-    await quote.save({ session });
+    // Retried as a whole (e.g. first order of a numbering period): state is rebuilt per attempt
+    await session.withTransaction(async () => {
+      // Create order
+      [order] = await Order.create(
+        [
+          {
+            user: quote.user,           // always trust quote.user
+            quote: quote._id,            // link quote → order
+            orderItems,
+            deliveryCharge: quote.deliveryCharge,
+            extraFee: quote.extraFee,
+            vatRate: quote.vatRate,
+            status: "Processing",
+            creditCheck,
+            customerSnapshot,
+          },
+        ],
+        { session }
+      );
 
-    await session.commitTransaction();
-    session.endSession();
+      // Link quote → order (fresh doc: an aborted attempt must not leave it half-saved)
+      const linked = await Quote.findById(quote._id).session(session);
+      if (!linked || linked.order) {
+        res.status(409);
+        throw new Error("An order has already been created for this quote.");
+      }
+      await applyQuoteVat(linked, session);
+      linked.order = order._id;
+      await linked.save({ session });
+    });
 
-    res.status(201).json(order[0]);
-  } catch (err) {
-    await session.abortTransaction();
+    res.status(201).json(order);
+  } finally {
     session.endSession();
-    throw err; // handled by error middleware
   }
 });
 
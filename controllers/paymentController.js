@@ -1,9 +1,23 @@
 // megadie-backend/controllers/paymentController.js
 import mongoose from "mongoose";
 import asyncHandler from "../middleware/asyncHandler.js";
-import Payment, { RECEIVED_BY_OPTIONS } from "../models/paymentModel.js";
+import Payment from "../models/paymentModel.js";
+import Receipt from "../models/receiptModel.js";
 import Invoice from "../models/invoiceModel.js";
 import User from "../models/userModel.js";
+import { PAYMENT_STATUSES } from "../constants.js";
+import {
+  activeReceiverNames,
+  resolvePaymentReceiver,
+} from "../utils/paymentReceivers.js";
+import { archiveIssuedInvoicePdf } from "../utils/invoicePdfArchive.js";
+import { createBankChargeInvoice } from "../utils/bankChargeInvoice.js";
+import {
+  convertMinor,
+  getExchangeRate,
+  minorUnitFactorFor,
+  normalizeCurrency,
+} from "../utils/currency.js";
 
 /* -----------------------
    Helpers
@@ -40,6 +54,16 @@ const PAYMENT_METHODS_ALLOWED = new Set(
  * @desc    Admin: add payment to an invoice
  * @route   POST /api/payments/from-invoice/:invoiceId
  * @access  Private/Admin
+ *
+ * Body: { amount, paymentMethod, receivedBy, paymentDate?, note?, reference?,
+ *         currency?, exchangeRate? }
+ * - receivedBy: active PaymentReceiver id or name
+ * - currency defaults to the invoice currency. When it differs, the amount is converted
+ *   into the invoice currency at `exchangeRate` (invoice units per 1 received unit) or,
+ *   if omitted, via the exchange-rate table on the payment date.
+ * - Overpayments (amount above the balance due, or any amount on a paid invoice) are
+ *   recorded as a Receipt: the balance due is paid from it and the rest is held as
+ *   customer credit (see /api/receipts/wallet/:userId).
  */
 export const addPaymentToInvoice = asyncHandler(async (req, res) => {
   const { invoiceId } = req.params;
@@ -49,23 +73,31 @@ export const addPaymentToInvoice = asyncHandler(async (req, res) => {
     throw new Error("Invalid invoice id.");
   }
 
-  const { amount, paymentMethod, receivedBy, paymentDate, note, reference } =
-    req.body || {};
+  const {
+    amount,
+    paymentMethod,
+    receivedBy,
+    paymentDate,
+    note,
+    reference,
+    currency,
+    exchangeRate,
+  } = req.body || {};
 
   if (!paymentMethod) {
     res.status(400);
     throw new Error("Payment method is required.");
   }
 
-  const receivedByTrimmed = String(receivedBy || "").trim();
-  if (!receivedByTrimmed) {
+  if (!String(receivedBy || "").trim()) {
     res.status(400);
     throw new Error("Received by is required.");
   }
-  if (!RECEIVED_BY_OPTIONS.includes(receivedByTrimmed)) {
+  const receiver = await resolvePaymentReceiver(receivedBy);
+  if (!receiver) {
     res.status(400);
     throw new Error(
-      `Invalid receivedBy. Allowed: ${RECEIVED_BY_OPTIONS.join(", ")}.`
+      `Invalid receivedBy. Active receivers: ${(await activeReceiverNames()).join(", ")}.`
     );
   }
 
@@ -76,7 +108,7 @@ export const addPaymentToInvoice = asyncHandler(async (req, res) => {
   }
 
   const invoice = await Invoice.findById(invoiceId)
-    .select("user status minorUnitFactor paymentStatus balanceDueMinor")
+    .select("user status currency minorUnitFactor paymentStatus balanceDueMinor")
     .lean();
 
   if (!invoice) {
@@ -89,14 +121,6 @@ export const addPaymentToInvoice = asyncHandler(async (req, res) => {
     throw new Error("Payments can only be added to Issued invoices.");
   }
 
-  if (
-    invoice.paymentStatus === "Paid" ||
-    (typeof invoice.balanceDueMinor === "number" && invoice.balanceDueMinor <= 0)
-  ) {
-    res.status(400);
-    throw new Error("Invoice is already paid.");
-  }
-
   let parsedPaymentDate;
   if (paymentDate) {
     const d = new Date(paymentDate);
@@ -107,27 +131,138 @@ export const addPaymentToInvoice = asyncHandler(async (req, res) => {
     parsedPaymentDate = d;
   }
 
-  const amountMinor = toMinorUnits(majorAmount, invoice.minorUnitFactor || 100);
+  const invoiceCurrency = normalizeCurrency(invoice.currency) || "AED";
+  const invoiceFactor = invoice.minorUnitFactor || 100;
+  const receivedCurrency = currency ? normalizeCurrency(currency) : invoiceCurrency;
+  if (!receivedCurrency) {
+    res.status(400);
+    throw new Error("Invalid currency.");
+  }
+
+  let amountMinor;
+  let fxFields = {};
+  if (receivedCurrency === invoiceCurrency) {
+    amountMinor = toMinorUnits(majorAmount, invoiceFactor);
+  } else {
+    let rate;
+    if (exchangeRate !== undefined && exchangeRate !== null && exchangeRate !== "") {
+      rate = Number(exchangeRate);
+      if (!Number.isFinite(rate) || rate <= 0) {
+        res.status(400);
+        throw new Error("Exchange rate must be a positive number.");
+      }
+    } else {
+      const at = parsedPaymentDate || new Date();
+      const [fromRate, toRate] = await Promise.all([
+        getExchangeRate(receivedCurrency, at),
+        getExchangeRate(invoiceCurrency, at),
+      ]);
+      if (!fromRate || !toRate) {
+        res.status(400);
+        throw new Error(
+          `No exchange rate for ${receivedCurrency}/${invoiceCurrency}. Provide exchangeRate.`
+        );
+      }
+      rate = fromRate.rate / toRate.rate;
+    }
+
+    const receivedMinorUnitFactor = minorUnitFactorFor(receivedCurrency);
+    const receivedAmountMinor = toMinorUnits(majorAmount, receivedMinorUnitFactor);
+    amountMinor = convertMinor(receivedAmountMinor, {
+      fromFactor: receivedMinorUnitFactor,
+      toFactor: invoiceFactor,
+      rate,
+    });
+    fxFields = {
+      receivedCurrency,
+      receivedAmountMinor,
+      receivedMinorUnitFactor,
+      exchangeRate: rate,
+    };
+  }
+
   if (!Number.isFinite(amountMinor) || amountMinor <= 0) {
     res.status(400);
     throw new Error("Payment amount is invalid.");
   }
 
-  const payment = await Payment.create({
-    invoice: invoiceId,
+  const details = {
     user: invoice.user,
-    amountMinor,
     paymentMethod,
-    receivedBy: receivedByTrimmed,
+    receiver: receiver._id,
+    receivedBy: receiver.name,
     paymentDate: parsedPaymentDate,
     note: typeof note === "string" ? note.trim() : note,
     reference: typeof reference === "string" ? reference.trim() : reference,
-  });
+  };
+
+  const session = await mongoose.startSession();
+  let payment = null;
+  let receipt = null;
+  try {
+    await session.withTransaction(async () => {
+      payment = null;
+      receipt = null;
+
+      const current = await Invoice.findById(invoiceId)
+        .select("balanceDueMinor")
+        .session(session)
+        .lean();
+      const balanceDueMinor = Math.max(0, Number(current?.balanceDueMinor) || 0);
+
+      if (amountMinor <= balanceDueMinor) {
+        [payment] = await Payment.create(
+          [{ ...details, invoice: invoiceId, amountMinor, ...fxFields }],
+          { session }
+        );
+        return;
+      }
+
+      // Overpayment: keep the whole amount on a receipt, settle the balance from it
+      [receipt] = await Receipt.create(
+        [
+          {
+            ...details,
+            currency: invoiceCurrency,
+            minorUnitFactor: invoiceFactor,
+            amountMinor,
+            ...fxFields,
+            createdBy: req.user?._id,
+          },
+        ],
+        { session }
+      );
+
+      if (balanceDueMinor > 0) {
+        [payment] = await Payment.create(
+          [
+            {
+              ...details,
+              reference: details.reference || receipt.receiptNumber,
+              receipt: receipt._id,
+              invoice: invoiceId,
+              amountMinor: balanceDueMinor,
+            },
+          ],
+          { session }
+        );
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (receipt) {
+    receipt = await Receipt.findById(receipt._id).lean();
+  }
 
   res.status(201).json({
     success: true,
-    message: "Payment recorded successfully.",
+    message: receipt
+      ? "Payment recorded successfully. The overpayment is held as customer credit."
+      : "Payment recorded successfully.",
     data: payment,
+    ...(receipt ? { receipt } : {}),
   });
 });
 
@@ -140,6 +275,7 @@ export const addPaymentToInvoice = asyncHandler(async (req, res) => {
  * - page, limit
  * - search=<string> (invoiceNumber/user name/email/reference/receivedBy, case-insensitive)
  * - method=Cash|Bank Transfer|Credit Card|Cheque|Other
+ * - status=Posted|Voided (default: all; voided payments stay listed with their void details)
  * - sort=newest|oldest|amountHigh|amountLow (newest/oldest use createdAt)
  */
 export const getPaymentsAdmin = asyncHandler(async (req, res) => {
@@ -167,6 +303,16 @@ export const getPaymentsAdmin = asyncHandler(async (req, res) => {
     filter.paymentMethod = method;
   }
 
+  const status = req.query.status ? String(req.query.status) : null;
+  if (status && status !== "all") {
+    if (!PAYMENT_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`Invalid status. Allowed: ${PAYMENT_STATUSES.join(", ")}.`);
+    }
+    // Legacy payments have no status field
+    filter.status = status === "Posted" ? { $ne: "Voided" } : "Voided";
+  }
+
   if (search) {
     const regex = new RegExp(escapeRegex(search), "i");
 
@@ -196,13 +342,22 @@ export const getPaymentsAdmin = asyncHandler(async (req, res) => {
       .select(
         [
           "invoice",
+          "receipt",
           "user",
           "amountMinor",
           "paymentMethod",
           "paymentDate",
           "note",
           "reference",
+          "receiver",
           "receivedBy",
+          "status",
+          "voidType",
+          "voidReason",
+          "voidedAt",
+          "voidedBy",
+          "bankChargeMinor",
+          "bankChargeInvoice",
           "createdAt",
         ].join(" ")
       )
@@ -210,10 +365,16 @@ export const getPaymentsAdmin = asyncHandler(async (req, res) => {
         path: "invoice",
         select: "invoiceNumber currency minorUnitFactor",
       })
+      .populate({
+        path: "receipt",
+        select: "receiptNumber",
+      })
       .populate({
         path: "user",
         select: "name email",
       })
+      .populate({ path: "voidedBy", select: "name email" })
+      .populate({ path: "bankChargeInvoice", select: "invoiceNumber" })
       .sort(sort)
       .skip(skip)
       .limit(limit)
@@ -242,30 +403,173 @@ export const getPaymentsAdmin = asyncHandler(async (req, res) => {
   });
 });
 
-/**
- * @desc    Admin: delete a payment
- * @route   DELETE /api/payments/:id
- * @access  Private/Admin
- */
-export const deletePayment = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
+async function loadVoidablePayment(res, id) {
   if (!mongoose.Types.ObjectId.isValid(id)) {
     res.status(400);
     throw new Error("Invalid payment id.");
   }
 
-  const payment = await Payment.findById(id).select("_id invoice amountMinor");
+  const payment = await Payment.findById(id)
+    .select("invoice receipt user amountMinor paymentMethod reference status")
+    .lean();
   if (!payment) {
     res.status(404);
     throw new Error("Payment not found.");
   }
+  if (payment.status === "Voided") {
+    res.status(409);
+    throw new Error("Payment is already voided.");
+  }
+  return payment;
+}
 
-  await payment.deleteOne();
+function requireReason(res, body) {
+  const reason = typeof body?.reason === "string" ? body.reason.trim() : "";
+  if (!reason) {
+    res.status(400);
+    throw new Error("A reason is required.");
+  }
+  return reason;
+}
+
+/**
+ * @desc    Admin: void a payment
+ * @route   POST /api/payments/:id/void
+ * @access  Private/Admin
+ *
+ * Body: { reason }
+ * - The payment stays on record (status Voided, reason/actor/time) but no longer counts
+ *   towards the invoice (which re-opens) or its receipt (the amount returns to credit).
+ */
+export const voidPayment = asyncHandler(async (req, res) => {
+  const reason = requireReason(res, req.body);
+  await loadVoidablePayment(res, req.params.id);
+
+  const session = await mongoose.startSession();
+  let payment = null;
+  try {
+    await session.withTransaction(async () => {
+      payment = await Payment.voidPayment(req.params.id, {
+        reason,
+        voidType: "Void",
+        actorId: req.user?._id,
+        session,
+      });
+      if (!payment) {
+        res.status(409);
+        throw new Error("Payment is already voided.");
+      }
+    });
+  } finally {
+    session.endSession();
+  }
 
   res.json({
-    message: "Payment deleted and invoice balance updated.",
-    paymentId: payment._id,
-    invoiceId: payment.invoice,
+    success: true,
+    message: "Payment voided successfully.",
+    data: payment,
+  });
+});
+
+/**
+ * @desc    Admin: reverse a bounced cheque
+ * @route   POST /api/payments/:id/bounce
+ * @access  Private/Admin
+ *
+ * Body: { reason, bankCharge? }
+ * - Only direct Cheque payments; a cheque recorded as a receipt is bounced as a whole
+ *   (POST /api/receipts/:id/bounce), which also reverses its unapplied credit.
+ * - Voids the payment as "BouncedCheque", re-opening the invoice.
+ * - bankCharge (major units, invoice currency) raises a Manual invoice for the returned-cheque
+ *   fee in the same transaction (VAT Exempt, due immediately).
+ */
+export const bounceChequePayment = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const reason = requireReason(res, body);
+  const existing = await loadVoidablePayment(res, req.params.id);
+
+  if (existing.paymentMethod !== "Cheque") {
+    res.status(400);
+    throw new Error("Only cheque payments can be bounced.");
+  }
+  if (existing.receipt) {
+    res.status(400);
+    throw new Error(
+      "This payment was allocated from a receipt. Bounce the receipt instead (POST /api/receipts/:id/bounce)."
+    );
+  }
+
+  const invoice = await Invoice.findById(existing.invoice)
+    .select(
+      "invoiceNumber user customerSnapshot currency minorUnitFactor exchangeRate exchangeRateId exchangeRateDate baseCurrency"
+    )
+    .lean();
+  if (!invoice) {
+    res.status(404);
+    throw new Error("Invoice not found.");
+  }
+
+  let bankChargeMinor = 0;
+  if (body.bankCharge !== undefined && body.bankCharge !== null && body.bankCharge !== "") {
+    const majorCharge = Number(body.bankCharge);
+    bankChargeMinor = toMinorUnits(majorCharge, invoice.minorUnitFactor || 100);
+    if (!Number.isFinite(bankChargeMinor) || bankChargeMinor < 0) {
+      res.status(400);
+      throw new Error("Bank charge must be a non-negative number.");
+    }
+  }
+
+  const session = await mongoose.startSession();
+  let payment = null;
+  let chargeInvoice = null;
+  try {
+    await session.withTransaction(async () => {
+      chargeInvoice = null;
+
+      if (bankChargeMinor > 0) {
+        const cheque = existing.reference ? `, cheque ${existing.reference}` : "";
+        chargeInvoice = await createBankChargeInvoice(
+          {
+            user: invoice.user,
+            customerSnapshot: invoice.customerSnapshot || null,
+            currency: invoice.currency,
+            minorUnitFactor: invoice.minorUnitFactor || 100,
+            fx: invoice,
+            chargeMinor: bankChargeMinor,
+            description: `Returned cheque charge (${invoice.invoiceNumber}${cheque})`,
+            adminNote: `Bounced cheque: ${reason}`,
+          },
+          session
+        );
+      }
+
+      payment = await Payment.voidPayment(existing._id, {
+        reason,
+        voidType: "BouncedCheque",
+        actorId: req.user?._id,
+        bankChargeMinor,
+        bankChargeInvoice: chargeInvoice?._id || null,
+        session,
+      });
+      if (!payment) {
+        res.status(409);
+        throw new Error("Payment is already voided.");
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (chargeInvoice) {
+    await archiveIssuedInvoicePdf(chargeInvoice._id);
+  }
+
+  res.json({
+    success: true,
+    message: chargeInvoice
+      ? "Cheque bounced successfully. A bank charge invoice was raised."
+      : "Cheque bounced successfully.",
+    data: payment,
+    ...(chargeInvoice ? { bankChargeInvoice: chargeInvoice } : {}),
   });
 });
@@ -0,0 +1,308 @@
+// controllers/paymentReceiverController.js
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import PaymentReceiver from "../models/paymentReceiverModel.js";
+import Payment from "../models/paymentModel.js";
+import Receipt from "../models/receiptModel.js";
+import { PAYMENT_RECEIVER_TYPES } from "../constants.js";
+import { minorUnitFactorFor } from "../utils/currency.js";
+
+const parseDay = (value, bound) => {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  if (bound === "start") d.setHours(0, 0, 0, 0);
+  if (bound === "end") d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+const applyReceiverFields = (res, target, body, { partial }) => {
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || "").trim();
+    if (!name) {
+      res.status(400);
+      throw new Error("name is required.");
+    }
+    target.name = name;
+  }
+
+  if (!partial || body.type !== undefined) {
+    const type = String(body.type || "Person");
+    if (!PAYMENT_RECEIVER_TYPES.includes(type)) {
+      res.status(400);
+      throw new Error(`type must be one of ${PAYMENT_RECEIVER_TYPES.join(", ")}.`);
+    }
+    target.type = type;
+  }
+
+  if (body.user !== undefined) {
+    if (body.user !== null && body.user !== "" && !mongoose.Types.ObjectId.isValid(body.user)) {
+      res.status(400);
+      throw new Error("Invalid user id.");
+    }
+    target.user = body.user || null;
+  }
+
+  if (body.isActive !== undefined) target.isActive = Boolean(body.isActive);
+  if (body.note !== undefined) target.note = String(body.note || "").trim();
+};
+
+/* =========================
+   GET /api/payment-receivers
+   Private/Admin
+   Receivers (people / bank accounts / petty cash)
+   Query: active=true|false (optional)
+   ========================= */
+export const getPaymentReceivers = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.active === "true") filter.isActive = true;
+  if (req.query.active === "false") filter.isActive = false;
+
+  const receivers = await PaymentReceiver.find(filter)
+    .populate({ path: "user", select: "name email" })
+    .sort({ isActive: -1, name: 1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    message: "Payment receivers retrieved successfully.",
+    data: receivers,
+  });
+});
+
+/* =========================
+   POST /api/payment-receivers
+   Private/Admin
+   Body: { name, type?, user?, isActive?, note? }
+   ========================= */
+export const createPaymentReceiver = asyncHandler(async (req, res) => {
+  const doc = {};
+  applyReceiverFields(res, doc, req.body || {}, { partial: false });
+
+  const created = await PaymentReceiver.create(doc);
+
+  res.status(201).json({
+    success: true,
+    message: "Payment receiver created successfully.",
+    data: created,
+  });
+});
+
+/* =========================
+   PUT /api/payment-receivers/:id
+   Private/Admin
+   Body: { name?, type?, user?, isActive?, note? }
+   Renaming does not rewrite `receivedBy` on past payments (it is a snapshot).
+   ========================= */
+export const updatePaymentReceiver = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid receiver id.");
+  }
+
+  const receiver = await PaymentReceiver.findById(id);
+  if (!receiver) {
+    res.status(404);
+    throw new Error("Payment receiver not found.");
+  }
+
+  applyReceiverFields(res, receiver, req.body || {}, { partial: true });
+  const updated = await receiver.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Payment receiver updated successfully.",
+    data: updated,
+  });
+});
+
+/* =========================
+   DELETE /api/payment-receivers/:id
+   Private/Admin
+   Only receivers that never took a payment; otherwise deactivate them
+   ========================= */
+export const deletePaymentReceiver = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid receiver id.");
+  }
+
+  const receiver = await PaymentReceiver.findById(id);
+  if (!receiver) {
+    res.status(404);
+    throw new Error("Payment receiver not found.");
+  }
+
+  const [usedByPayment, usedByReceipt] = await Promise.all([
+    Payment.exists({ $or: [{ receiver: receiver._id }, { receivedBy: receiver.name }] }),
+    Receipt.exists({ receiver: receiver._id }),
+  ]);
+  if (usedByPayment || usedByReceipt) {
+    res.status(409);
+    throw new Error("Receiver has payments on record. Deactivate it instead.");
+  }
+
+  await receiver.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Payment receiver deleted successfully.",
+    data: { _id: receiver._id },
+  });
+});
+
+/* =========================
+   GET /api/payment-receivers/cash-up?from=YYYY-MM-DD&to=YYYY-MM-DD&receiver=<id>
+   Private/Admin
+   What each receiver collected over a period (default: today), for handovers.
+   Counts direct invoice payments and receipts (a receipt's invoice allocations are not
+   counted again). Amounts are what was physically received (receivedAmountMinor for
+   foreign-currency payments), grouped by currency and payment method.
+   With ?receiver=, also lists the individual collections.
+   ========================= */
+export const getCashUpReport = asyncHandler(async (req, res) => {
+  const from = req.query.from ? parseDay(req.query.from, "start") : parseDay(new Date(), "start");
+  const to = req.query.to ? parseDay(req.query.to, "end") : new Date();
+  if (!from || !to) {
+    res.status(400);
+    throw new Error("Invalid date. Use YYYY-MM-DD.");
+  }
+  if (from.getTime() > to.getTime()) {
+    res.status(400);
+    throw new Error("'from' date must be before or equal to 'to' date.");
+  }
+
+  let receiverFilter = null;
+  if (req.query.receiver) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.receiver)) {
+      res.status(400);
+      throw new Error("Invalid receiver id.");
+    }
+    receiverFilter = await PaymentReceiver.findById(req.query.receiver).select("name").lean();
+    if (!receiverFilter) {
+      res.status(404);
+      throw new Error("Payment receiver not found.");
+    }
+  }
+
+  // Legacy payments only carry the name
+  const receiverMatch = receiverFilter
+    ? {
+        $or: [
+          { receiver: receiverFilter._id },
+          { receiver: null, receivedBy: receiverFilter.name },
+        ],
+      }
+    : {};
+
+  const dateMatch = { paymentDate: { $gte: from, $lte: to } };
+
+  const [payments, receipts, receivers] = await Promise.all([
+    Payment.aggregate([
+      { $match: { receipt: null, ...dateMatch, ...receiverMatch } },
+      {
+        $lookup: {
+          from: "invoices",
+          localField: "invoice",
+          foreignField: "_id",
+          as: "inv",
+          pipeline: [{ $project: { invoiceNumber: 1, currency: 1, minorUnitFactor: 1 } }],
+        },
+      },
+      { $set: { inv: { $first: "$inv" } } },
+      {
+        $project: {
+          kind: "Payment",
+          receiver: 1,
+          receivedBy: 1,
+          paymentMethod: 1,
+          paymentDate: 1,
+          reference: 1,
+          user: 1,
+          number: "$inv.invoiceNumber",
+          status: 1,
+          currency: { $ifNull: ["$receivedCurrency", { $ifNull: ["$inv.currency", "AED"] }] },
+          amountMinor: { $ifNull: ["$receivedAmountMinor", "$amountMinor"] },
+        },
+      },
+    ]),
+    Receipt.aggregate([
+      { $match: { ...dateMatch, ...receiverMatch } },
+      {
+        $project: {
+          kind: "Receipt",
+          receiver: 1,
+          receivedBy: 1,
+          paymentMethod: 1,
+          paymentDate: 1,
+          reference: 1,
+          user: 1,
+          number: "$receiptNumber",
+          status: 1,
+          currency: { $ifNull: ["$receivedCurrency", "$currency"] },
+          amountMinor: { $ifNull: ["$receivedAmountMinor", "$amountMinor"] },
+        },
+      },
+    ]),
+    PaymentReceiver.find({}).select("name type isActive").lean(),
+  ]);
+
+  const receiverById = new Map(receivers.map((r) => [String(r._id), r]));
+  const receiverByName = new Map(receivers.map((r) => [r.name.toLowerCase(), r]));
+
+  const rowsByKey = new Map();
+  for (const entry of [...payments, ...receipts]) {
+    // Voided payments / receipts (e.g. bounced cheques) stay in the entry list but not the totals
+    if (entry.status === "Voided") continue;
+    const receiver =
+      (entry.receiver && receiverById.get(String(entry.receiver))) ||
+      receiverByName.get(String(entry.receivedBy || "").toLowerCase()) ||
+      null;
+    const key = receiver ? String(receiver._id) : `name:${entry.receivedBy}`;
+
+    const row = rowsByKey.get(key) || {
+      receiver: receiver
+        ? { _id: receiver._id, name: receiver.name, type: receiver.type, isActive: receiver.isActive }
+        : null,
+      receivedBy: receiver?.name || entry.receivedBy,
+      count: 0,
+      totals: new Map(),
+    };
+
+    const totalKey = `${entry.currency}|${entry.paymentMethod}`;
+    const total = row.totals.get(totalKey) || {
+      currency: entry.currency,
+      minorUnitFactor: minorUnitFactorFor(entry.currency),
+      paymentMethod: entry.paymentMethod,
+      amountMinor: 0,
+      count: 0,
+    };
+    total.amountMinor += Number(entry.amountMinor) || 0;
+    total.count += 1;
+    row.totals.set(totalKey, total);
+    row.count += 1;
+    rowsByKey.set(key, row);
+  }
+
+  const data = Array.from(rowsByKey.values())
+    .map((row) => ({ ...row, totals: Array.from(row.totals.values()) }))
+    .sort((a, b) => String(a.receivedBy).localeCompare(String(b.receivedBy)));
+
+  const entries = receiverFilter
+    ? [...payments, ...receipts]
+        .sort((a, b) => new Date(a.paymentDate) - new Date(b.paymentDate))
+        .map(({ receiver, ...rest }) => rest)
+    : undefined;
+
+  res.status(200).json({
+    success: true,
+    message: "Cash-up report generated successfully.",
+    data: {
+      from,
+      to,
+      receivers: data,
+      ...(entries ? { entries } : {}),
+    },
+  });
+});
@@ -0,0 +1,673 @@
+// controllers/purchaseOrderController.js
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import PurchaseOrder from "../models/purchaseOrderModel.js";
+import Supplier from "../models/supplierModel.js";
+import Product from "../models/productModel.js";
+import Slot from "../models/slotModel.js";
+import { addSlotItemQty } from "../utils/slotStock.js";
+import { logInventoryMovement, getUnitCbm } from "../utils/inventoryMovement.js";
+import { getInboundTotalsByProduct } from "../utils/inboundStock.js";
+import { getBaseCurrency, getExchangeRate, normalizeCurrency } from "../utils/currency.js";
+
+/* =========================
+   Helpers
+   ========================= */
+const parsePagination = (req, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  );
+  const skip = (page - 1) * limit;
+  return { page, limit, skip };
+};
+
+const escapeRegex = (text = "") =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const PO_STATUS_ALLOWED = new Set(
+  PurchaseOrder.schema.path("status")?.enumValues || []
+);
+
+const PO_POPULATE_SUPPLIER = { path: "supplier", select: "name code email" };
+
+/**
+ * Validate and snapshot PO lines.
+ * Body lines: [{ productId, qtyOrdered, unitCost }]
+ */
+const buildPurchaseOrderLines = async (res, rawLines) => {
+  if (!Array.isArray(rawLines) || rawLines.length === 0) {
+    res.status(400);
+    throw new Error("At least one purchase order line is required.");
+  }
+
+  const seen = new Set();
+  const parsed = rawLines.map((line, index) => {
+    const productId = String(line?.productId || line?.product || "").trim();
+    if (!mongoose.isValidObjectId(productId)) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: invalid product id.`);
+    }
+    if (seen.has(productId)) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: duplicate product on purchase order.`);
+    }
+    seen.add(productId);
+
+    const qtyOrdered = Number(line?.qtyOrdered);
+    if (!Number.isInteger(qtyOrdered) || qtyOrdered <= 0) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: qtyOrdered must be a positive integer.`);
+    }
+
+    const unitCost =
+      line?.unitCost === undefined || line?.unitCost === ""
+        ? 0
+        : Number(line.unitCost);
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: unitCost must be >= 0.`);
+    }
+
+    return { productId, qtyOrdered, unitCost };
+  });
+
+  const products = await Product.find(
+    { _id: { $in: parsed.map((l) => l.productId) } },
+    { _id: 1, sku: 1, name: 1 }
+  ).lean();
+  const productById = new Map(products.map((p) => [String(p._id), p]));
+
+  return parsed.map((line) => {
+    const product = productById.get(line.productId);
+    if (!product) {
+      res.status(404);
+      throw new Error(`Product not found: ${line.productId}`);
+    }
+    return {
+      product: product._id,
+      sku: product.sku,
+      productName: product.name,
+      qtyOrdered: line.qtyOrdered,
+      qtyReceived: 0,
+      unitCost: line.unitCost,
+    };
+  });
+};
+
+const assertActiveSupplier = async (res, supplierId) => {
+  if (!mongoose.isValidObjectId(supplierId)) {
+    res.status(400);
+    throw new Error("Invalid supplier id.");
+  }
+  const supplier = await Supplier.findById(supplierId).select("_id isActive").lean();
+  if (!supplier) {
+    res.status(404);
+    throw new Error("Supplier not found.");
+  }
+  if (supplier.isActive === false) {
+    res.status(400);
+    throw new Error("Supplier is inactive.");
+  }
+  return supplier;
+};
+
+const derivePurchaseOrderStatus = (lines = []) => {
+  const totals = lines.reduce(
+    (acc, line) => {
+      acc.ordered += Number(line.qtyOrdered) || 0;
+      acc.received += Number(line.qtyReceived) || 0;
+      return acc;
+    },
+    { ordered: 0, received: 0 }
+  );
+  if (totals.received <= 0) return "Sent";
+  if (totals.received >= totals.ordered) return "Received";
+  return "PartiallyReceived";
+};
+
+/* =========================
+   GET /api/purchase-orders
+   Private/Admin
+   List purchase orders (?status, ?supplier, ?q, pagination)
+   ========================= */
+export const getPurchaseOrders = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req, {
+    defaultLimit: 20,
+    maxLimit: 100,
+  });
+
+  const filter = {};
+
+  const status = req.query.status ? String(req.query.status).trim() : "";
+  if (status && status !== "all") {
+    if (!PO_STATUS_ALLOWED.has(status)) {
+      res.status(400);
+      throw new Error(
+        `Invalid status. Allowed: ${Array.from(PO_STATUS_ALLOWED).join(", ")}.`
+      );
+    }
+    filter.status = status;
+  }
+
+  const supplierId = req.query.supplier ? String(req.query.supplier).trim() : "";
+  if (supplierId) {
+    if (!mongoose.isValidObjectId(supplierId)) {
+      res.status(400);
+      throw new Error("Invalid supplier id.");
+    }
+    filter.supplier = supplierId;
+  }
+
+  const search = req.query.q ? String(req.query.q).trim() : "";
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), "i");
+    filter.$or = [
+      { poNumber: regex },
+      { supplierReference: regex },
+      { "lines.sku": regex },
+      { "lines.productName": regex },
+    ];
+  }
+
+  const [total, purchaseOrders] = await Promise.all([
+    PurchaseOrder.countDocuments(filter),
+    PurchaseOrder.find(filter)
+      .select("-receipts")
+      .populate(PO_POPULATE_SUPPLIER)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit),
+  ]);
+
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+  res.status(200).json({
+    success: true,
+    message: "Purchase orders retrieved successfully.",
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages,
+    },
+    data: purchaseOrders,
+  });
+});
+
+/* =========================
+   GET /api/purchase-orders/inbound
+   Private/Admin
+   Outstanding qty on open POs per product (?productIds=a,b,c)
+   ========================= */
+export const getInboundStock = asyncHandler(async (req, res) => {
+  const raw = req.query.productIds;
+  const productIds = (Array.isArray(raw) ? raw : String(raw || "").split(","))
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+
+  if (!productIds.length) {
+    res.status(400);
+    throw new Error("productIds is required.");
+  }
+  if (productIds.length > 200) {
+    res.status(400);
+    throw new Error("Too many products requested.");
+  }
+
+  const totals = await getInboundTotalsByProduct(productIds);
+
+  const data = productIds.map((productId) => {
+    const inbound = totals.get(productId);
+    return {
+      productId,
+      inboundQty: inbound?.qty || 0,
+      expectedAt: inbound?.expectedAt || null,
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Inbound stock retrieved successfully.",
+    data,
+  });
+});
+
+/* =========================
+   GET /api/purchase-orders/:id
+   Private/Admin
+   Get purchase order with receipts
+   ========================= */
+export const getPurchaseOrderById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid purchase order id.");
+  }
+
+  const purchaseOrder = await PurchaseOrder.findById(id)
+    .populate(PO_POPULATE_SUPPLIER)
+    .populate("createdBy", "name email")
+    .populate("receipts.receivedBy", "name email")
+    .populate("receipts.lines.slot", "label store unit position");
+
+  if (!purchaseOrder) {
+    res.status(404);
+    throw new Error("Purchase order not found.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Purchase order retrieved successfully.",
+    data: purchaseOrder,
+  });
+});
+
+/* =========================
+   POST /api/purchase-orders
+   Private/Admin
+   Create a Draft purchase order
+   Body: { supplierId, lines: [{ productId, qtyOrdered, unitCost }], expectedAt?, supplierReference?, note? }
+   ========================= */
+export const createPurchaseOrder = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  const supplier = await assertActiveSupplier(res, body.supplierId);
+  const lines = await buildPurchaseOrderLines(res, body.lines);
+
+  let expectedAt;
+  if (body.expectedAt) {
+    expectedAt = parseDate(body.expectedAt);
+    if (!expectedAt) {
+      res.status(400);
+      throw new Error("Invalid expectedAt date.");
+    }
+  }
+
+  const created = await PurchaseOrder.create({
+    supplier: supplier._id,
+    lines,
+    expectedAt,
+    supplierReference: body.supplierReference,
+    note: body.note,
+    createdBy: req.user?._id,
+  });
+
+  await created.populate(PO_POPULATE_SUPPLIER);
+
+  res.status(201).json({
+    success: true,
+    message: "Purchase order created successfully.",
+    data: created,
+  });
+});
+
+/* =========================
+   PUT /api/purchase-orders/:id
+   Private/Admin
+   Update a purchase order
+   - supplier / lines: Draft only
+   - expectedAt / supplierReference / note: until Received or Cancelled
+   ========================= */
+export const updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid purchase order id.");
+  }
+
+  const purchaseOrder = await PurchaseOrder.findById(id);
+  if (!purchaseOrder) {
+    res.status(404);
+    throw new Error("Purchase order not found.");
+  }
+
+  if (["Received", "Cancelled"].includes(purchaseOrder.status)) {
+    res.status(409);
+    throw new Error(`Purchase order is ${purchaseOrder.status} and cannot be edited.`);
+  }
+
+  const body = req.body || {};
+  const isDraft = purchaseOrder.status === "Draft";
+
+  if (hasOwn(body, "supplierId") || hasOwn(body, "lines")) {
+    if (!isDraft) {
+      res.status(409);
+      throw new Error("Supplier and lines can only be changed while the purchase order is a Draft.");
+    }
+    if (hasOwn(body, "supplierId")) {
+      const supplier = await assertActiveSupplier(res, body.supplierId);
+      purchaseOrder.supplier = supplier._id;
+    }
+    if (hasOwn(body, "lines")) {
+      purchaseOrder.lines = await buildPurchaseOrderLines(res, body.lines);
+    }
+  }
+
+  if (hasOwn(body, "expectedAt")) {
+    if (!body.expectedAt) {
+      purchaseOrder.expectedAt = undefined;
+    } else {
+      const parsed = parseDate(body.expectedAt);
+      if (!parsed) {
+        res.status(400);
+        throw new Error("Invalid expectedAt date.");
+      }
+      purchaseOrder.expectedAt = parsed;
+    }
+  }
+
+  if (hasOwn(body, "supplierReference")) {
+    purchaseOrder.supplierReference = body.supplierReference ?? "";
+  }
+  if (hasOwn(body, "note")) {
+    purchaseOrder.note = body.note ?? "";
+  }
+
+  const updated = await purchaseOrder.save();
+  await updated.populate(PO_POPULATE_SUPPLIER);
+
+  res.status(200).json({
+    success: true,
+    message: "Purchase order updated successfully.",
+    data: updated,
+  });
+});
+
+/* =========================
+   PUT /api/purchase-orders/:id/send
+   Private/Admin
+   Draft -> Sent (counts as inbound stock from now on)
+   ========================= */
+export const sendPurchaseOrder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid purchase order id.");
+  }
+
+  const purchaseOrder = await PurchaseOrder.findById(id);
+  if (!purchaseOrder) {
+    res.status(404);
+    throw new Error("Purchase order not found.");
+  }
+
+  if (purchaseOrder.status !== "Draft") {
+    res.status(409);
+    throw new Error("Only Draft purchase orders can be sent.");
+  }
+
+  purchaseOrder.status = "Sent";
+  purchaseOrder.sentAt = new Date();
+  const updated = await purchaseOrder.save();
+  await updated.populate(PO_POPULATE_SUPPLIER);
+
+  res.status(200).json({
+    success: true,
+    message: "Purchase order sent successfully.",
+    data: updated,
+  });
+});
+
+/* =========================
+   POST /api/purchase-orders/:id/receive
+   Private/Admin
+   Receive goods into slots
+   Body: { lines: [{ productId, slotId, qty }], note? }
+   Each line adds a cost layer at the PO line's unitCost (converted to the base currency)
+   ========================= */
+export const receivePurchaseOrder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid purchase order id.");
+  }
+
+  const { lines: rawLines, note } = req.body || {};
+  if (!Array.isArray(rawLines) || rawLines.length === 0) {
+    res.status(400);
+    throw new Error("At least one receipt line is required.");
+  }
+
+  const receiptLines = rawLines.map((line, index) => {
+    const productId = String(line?.productId || "").trim();
+    const slotId = String(line?.slotId || "").trim();
+    if (!mongoose.isValidObjectId(productId)) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: invalid product id.`);
+    }
+    if (!mongoose.isValidObjectId(slotId)) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: invalid slot id.`);
+    }
+    const qty = Number(line?.qty);
+    if (!Number.isInteger(qty) || qty <= 0) {
+      res.status(400);
+      throw new Error(`Line ${index + 1}: qty must be a positive integer.`);
+    }
+    return { productId, slotId, qty };
+  });
+
+  const session = await mongoose.startSession();
+  let responseData = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const purchaseOrder = await PurchaseOrder.findById(id).session(session);
+      if (!purchaseOrder) {
+        res.status(404);
+        throw new Error("Purchase order not found.");
+      }
+
+      if (!["Sent", "PartiallyReceived"].includes(purchaseOrder.status)) {
+        res.status(409);
+        throw new Error(
+          "Only Sent or Partially Received purchase orders can be received."
+        );
+      }
+
+      const lineByProduct = new Map(
+        purchaseOrder.lines.map((line) => [String(line.product), line])
+      );
+
+      // Validate qty against outstanding per product (before any writes)
+      const requestedByProduct = new Map();
+      for (const line of receiptLines) {
+        const poLine = lineByProduct.get(line.productId);
+        if (!poLine) {
+          res.status(400);
+          throw new Error(`Product ${line.productId} is not on this purchase order.`);
+        }
+        requestedByProduct.set(
+          line.productId,
+          (requestedByProduct.get(line.productId) || 0) + line.qty
+        );
+      }
+      for (const [productId, qty] of requestedByProduct.entries()) {
+        const poLine = lineByProduct.get(productId);
+        const outstanding =
+          (Number(poLine.qtyOrdered) || 0) - (Number(poLine.qtyReceived) || 0);
+        if (qty > outstanding) {
+          res.status(400);
+          throw new Error(
+            `Cannot receive ${qty} of ${poLine.sku || productId}; only ${Math.max(
+              0,
+              outstanding
+            )} outstanding.`
+          );
+        }
+      }
+
+      const slotIds = Array.from(new Set(receiptLines.map((l) => l.slotId)));
+      const slots = await Slot.find({ _id: { $in: slotIds } })
+        .select("_id")
+        .session(session)
+        .lean();
+      if (slots.length !== slotIds.length) {
+        res.status(404);
+        throw new Error("Slot not found.");
+      }
+
+      const receivedAt = new Date();
+
+      // Cost layers are kept in the base currency
+      const poCurrency = normalizeCurrency(purchaseOrder.currency) || getBaseCurrency();
+      const fx = await getExchangeRate(poCurrency, receivedAt, session);
+      if (!fx) {
+        res.status(409);
+        throw new Error(
+          `No exchange rate for ${poCurrency}. Add one under /api/exchange-rates before receiving.`
+        );
+      }
+
+      for (const line of receiptLines) {
+        const poLine = lineByProduct.get(line.productId);
+        const { deltaCbm } = await addSlotItemQty(
+          { productId: line.productId, slotId: line.slotId, qty: line.qty },
+          session
+        );
+
+        const unitCbm = getUnitCbm(deltaCbm, line.qty);
+        await logInventoryMovement(
+          {
+            type: "RECEIVE",
+            product: line.productId,
+            slot: line.slotId,
+            qty: line.qty,
+            purchaseOrder: purchaseOrder._id,
+            unitCbm: unitCbm || undefined,
+            cbm: deltaCbm || undefined,
+            unitCost: (Number(poLine.unitCost) || 0) * fx.rate,
+            actor: req.user?._id || null,
+            note,
+            meta: {
+              poNumber: purchaseOrder.poNumber,
+              currency: poCurrency,
+              supplier: purchaseOrder.supplier,
+              unitCost: Number(poLine.unitCost) || 0,
+            },
+            eventAt: receivedAt,
+          },
+          session
+        );
+
+        poLine.qtyReceived = (Number(poLine.qtyReceived) || 0) + line.qty;
+      }
+
+      purchaseOrder.receipts.push({
+        receivedAt,
+        receivedBy: req.user?._id,
+        note,
+        lines: receiptLines.map((line) => ({
+          product: line.productId,
+          slot: line.slotId,
+          qty: line.qty,
+        })),
+      });
+
+      purchaseOrder.status = derivePurchaseOrderStatus(purchaseOrder.lines);
+      if (purchaseOrder.status === "Received") {
+        purchaseOrder.receivedAt = receivedAt;
+      }
+
+      responseData = await purchaseOrder.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  await responseData.populate([
+    PO_POPULATE_SUPPLIER,
+    { path: "receipts.lines.slot", select: "label store unit position" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Goods received successfully.",
+    data: responseData,
+  });
+});
+
+/* =========================
+   PUT /api/purchase-orders/:id/cancel
+   Private/Admin
+   Cancel a purchase order (only if nothing has been received)
+   Body: { reason? }
+   ========================= */
+export const cancelPurchaseOrder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid purchase order id.");
+  }
+
+  const purchaseOrder = await PurchaseOrder.findById(id);
+  if (!purchaseOrder) {
+    res.status(404);
+    throw new Error("Purchase order not found.");
+  }
+
+  if (!["Draft", "Sent"].includes(purchaseOrder.status)) {
+    res.status(409);
+    throw new Error(
+      "Only Draft or Sent purchase orders with no received goods can be cancelled."
+    );
+  }
+
+  purchaseOrder.status = "Cancelled";
+  purchaseOrder.cancelledAt = new Date();
+  if (req.body?.reason) {
+    purchaseOrder.cancelReason = String(req.body.reason).trim();
+  }
+  const updated = await purchaseOrder.save();
+  await updated.populate(PO_POPULATE_SUPPLIER);
+
+  res.status(200).json({
+    success: true,
+    message: "Purchase order cancelled successfully.",
+    data: updated,
+  });
+});
+
+/* =========================
+   DELETE /api/purchase-orders/:id
+   Private/Admin
+   Delete a Draft purchase order
+   ========================= */
+export const deletePurchaseOrder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid purchase order id.");
+  }
+
+  const purchaseOrder = await PurchaseOrder.findById(id);
+  if (!purchaseOrder) {
+    res.status(404);
+    throw new Error("Purchase order not found.");
+  }
+
+  if (purchaseOrder.status !== "Draft") {
+    res.status(409);
+    throw new Error("Only Draft purchase orders can be deleted. Cancel it instead.");
+  }
+
+  await purchaseOrder.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Purchase order deleted successfully.",
+    data: { id: purchaseOrder._id, poNumber: purchaseOrder.poNumber },
+  });
+});
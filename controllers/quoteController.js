@@ -2,16 +2,24 @@
 import mongoose from "mongoose";
 import asyncHandler from "../middleware/asyncHandler.js";
 import Quote from "../models/quoteModel.js";
-import { chromium } from "playwright";
+import { renderPdf, sendPdf } from "../utils/pdfRenderer.js";
 import { renderQuoteHtml, quoteFooterTemplate } from "../utils/quoteTemplate.js";
-import sendTelegramAlert from "../utils/sendTelegramAlert.js";
+import { enqueueJobSafe } from "../utils/jobQueue.js";
 import Product from "../models/productModel.js";
 import UserPrice from "../models/userPriceModel.js";
 import PriceRule from "../models/priceRuleModel.js";
 import User from "../models/userModel.js";
 import SlotItem from "../models/slotItemModel.js";
 import OrderAllocation from "../models/orderAllocationModel.js";
-import { getAvailabilityTotalsByProduct, getAvailabilityStatus } from "../utils/quoteAvailability.js";
+import {
+  getAvailabilityTotalsByProduct,
+  getAvailabilityStatus,
+  getIncomingSnapshot,
+} from "../utils/quoteAvailability.js";
+import { getInboundTotalsByProduct } from "../utils/inboundStock.js";
+import { checkCreditLimit, orderBaseMinor } from "../utils/customerCredit.js";
+import { effectiveVatRate } from "../utils/vat.js";
+import { VAT_CATEGORIES } from "../constants.js";
 
 /* =========================
    Constants / Rules
@@ -123,7 +131,9 @@ const normalizeAvailabilityStatus = (status) =>
 const hasAvailabilityShortage = (items = []) =>
   items.some((it) => {
     const status = normalizeAvailabilityStatus(it?.availabilityStatus);
-    if (status === "SHORTAGE" || status === "NOT_AVAILABLE") return true;
+    if (status === "SHORTAGE" || status === "INCOMING" || status === "NOT_AVAILABLE") {
+      return true;
+    }
 
     const qty = Math.max(0, Number(it?.qty) || 0);
     const shortage = Number(it?.shortage);
@@ -135,14 +145,6 @@ const hasAvailabilityShortage = (items = []) =>
     return false;
   });
 
-async function applyPdfMedia(page) {
-  if (typeof page.emulateMediaType === "function") {
-    await page.emulateMediaType("screen");
-  } else if (typeof page.emulateMedia === "function") {
-    await page.emulateMedia({ media: "screen" });
-  }
-}
-
 const hasAnyAvailability = (items = []) =>
   items.some((it) => {
     const status = normalizeAvailabilityStatus(it?.availabilityStatus);
@@ -154,7 +156,7 @@ const hasAnyAvailability = (items = []) =>
     return false;
   });
 
-const buildAcceptedShortageItems = (items, totalsMap) => {
+const buildAcceptedShortageItems = (items, totalsMap, incomingMap = null) => {
   let hasShortage = false;
 
   const updatedItems = items.map((it) => {
@@ -169,15 +171,19 @@ const buildAcceptedShortageItems = (items, totalsMap) => {
 
     const nextQty = Math.min(currentQty, availableNow);
     const nextShortage = Math.max(0, nextQty - availableNow);
-    const nextStatus = getAvailabilityStatus(nextQty, availableNow);
+    const inbound = getIncomingSnapshot(incomingMap, productId);
+    const nextStatus = getAvailabilityStatus(nextQty, availableNow, inbound.incomingQty);
 
     return {
       product: productId,
       qty: nextQty,
       priceRule: null,
       unitPrice: Math.max(0, Number(it.unitPrice) || 0),
+      vatCategory: it.vatCategory ?? null,
+      vatRate: it.vatRate ?? null,
       availableNow,
       shortage: nextShortage,
+      ...inbound,
       availabilityStatus: nextStatus,
     };
   });
@@ -207,9 +213,13 @@ const sanitizeQuoteForOwner = (quoteDoc) => {
       product: it.product,
       productName: it.productName || it.product?.name || "",
       qty: it.qty,
-      ...(includeUnitPrice ? { unitPrice: it.unitPrice } : {}),
+      ...(includeUnitPrice
+        ? { unitPrice: it.unitPrice, vatCategory: it.vatCategory, vatRate: it.vatRate }
+        : {}),
       availableNow: Number.isFinite(availableNow) ? availableNow : 0,
       shortage,
+      incomingQty: Math.max(0, Number(it?.incomingQty) || 0),
+      incomingExpectedAt: it?.incomingExpectedAt || null,
       availabilityStatus: normalizeAvailabilityStatus(it.availabilityStatus),
     };
     return base;
@@ -229,6 +239,8 @@ const sanitizeQuoteForOwner = (quoteDoc) => {
     delete obj.deliveryCharge;
     delete obj.extraFee;
     delete obj.totalPrice;
+    delete obj.vatTotal;
+    delete obj.grandTotal;
   };
 
   const keepFullPricing = () => {
@@ -238,7 +250,7 @@ const sanitizeQuoteForOwner = (quoteDoc) => {
   };
 
   const keepOnlyTotal = () => {
-    // keep items but remove unit pricing and fees; keep totalPrice only
+    // keep items but remove unit pricing and fees; keep totals (net, VAT, gross) only
     obj.requestedItems = (obj.requestedItems || []).map((it) =>
       mapOwnerItem(it, false)
     );
@@ -254,6 +266,8 @@ const sanitizeQuoteForOwner = (quoteDoc) => {
     delete obj.deliveryCharge;
     delete obj.extraFee;
     delete obj.totalPrice;
+    delete obj.vatTotal;
+    delete obj.grandTotal;
     delete obj.availabilityCheckedAt;
   };
 
@@ -507,6 +521,8 @@ export const createQuote = asyncHandler(async (req, res) => {
       // Snapshot defaults (will be overwritten)
       availableNow: 0,
       shortage: 0,
+      incomingQty: 0,
+      incomingExpectedAt: null,
       availabilityStatus: "NOT_AVAILABLE",
     };
   });
@@ -544,13 +560,22 @@ export const createQuote = asyncHandler(async (req, res) => {
   }
 
   // Compute availability snapshot (single aggregation for all products)
-  const totalsMap = await getAvailabilityTotalsByProduct(productIds);
+  const [totalsMap, incomingMap] = await Promise.all([
+    getAvailabilityTotalsByProduct(productIds),
+    getInboundTotalsByProduct(productIds),
+  ]);
 
   for (const it of safeItems) {
     const availableNow = totalsMap.get(String(it.product)) || 0;
+    const { incomingQty, incomingExpectedAt } = getIncomingSnapshot(
+      incomingMap,
+      it.product
+    );
     it.availableNow = availableNow;
     it.shortage = Math.max(0, it.qty - availableNow);
-    it.availabilityStatus = getAvailabilityStatus(it.qty, availableNow);
+    it.incomingQty = incomingQty;
+    it.incomingExpectedAt = incomingExpectedAt;
+    it.availabilityStatus = getAvailabilityStatus(it.qty, availableNow, incomingQty);
   }
 
   const now = new Date();
@@ -618,7 +643,7 @@ export const createQuote = asyncHandler(async (req, res) => {
   pushBlankLine();
   messageLines.push(quoteUrl);
 
-  void sendTelegramAlert(messageLines.join("\n"));
+  void enqueueJobSafe("telegram.alert", { message: messageLines.join("\n") });
 
   res.setHeader("Location", `/api/quotes/${quote._id}`);
 
@@ -725,6 +750,8 @@ export const mergeQuotesByAdmin = asyncHandler(async (req, res) => {
               qty,
               priceRule: item.priceRule || null,
               unitPrice: Math.max(0, Number(item.unitPrice) || 0),
+              vatCategory: item.vatCategory ?? null,
+              vatRate: item.vatRate ?? null,
             });
           }
         }
@@ -735,7 +762,7 @@ export const mergeQuotesByAdmin = asyncHandler(async (req, res) => {
         throwHttpError(res, 409, "Merged quote must contain at least one item.");
       }
 
-      const [products, totalsMap] = await Promise.all([
+      const [products, totalsMap, incomingMap] = await Promise.all([
         Product.find(
           { _id: { $in: productIds } },
           { _id: 1, name: 1 }
@@ -743,6 +770,7 @@ export const mergeQuotesByAdmin = asyncHandler(async (req, res) => {
           .session(session)
           .lean(),
         getAvailabilityTotalsByProduct(productIds),
+        getInboundTotalsByProduct(productIds),
       ]);
 
       if (products.length !== productIds.length) {
@@ -758,7 +786,12 @@ export const mergeQuotesByAdmin = asyncHandler(async (req, res) => {
         const qty = Math.max(0, Number(item.qty) || 0);
         const availableNow = totalsMap.get(productId) || 0;
         const shortage = Math.max(0, qty - availableNow);
-        const availabilityStatus = getAvailabilityStatus(qty, availableNow);
+        const incoming = getIncomingSnapshot(incomingMap, productId);
+        const availabilityStatus = getAvailabilityStatus(
+          qty,
+          availableNow,
+          incoming.incomingQty
+        );
 
         return {
           product: item.product,
@@ -766,8 +799,11 @@ export const mergeQuotesByAdmin = asyncHandler(async (req, res) => {
           qty,
           priceRule: item.priceRule || null,
           unitPrice: Math.max(0, Number(item.unitPrice) || 0),
+          vatCategory: item.vatCategory ?? null,
+          vatRate: item.vatRate ?? null,
           availableNow,
           shortage,
+          ...incoming,
           availabilityStatus,
         };
       });
@@ -934,7 +970,7 @@ export const cancelQuoteByUser = asyncHandler(async (req, res) => {
   messageLines.push("");
   messageLines.push(quoteUrl);
 
-  void sendTelegramAlert(messageLines.join("\n"));
+  void enqueueJobSafe("telegram.alert", { message: messageLines.join("\n") });
 
   res.status(200).json({
     success: true,
@@ -980,6 +1016,17 @@ export const confirmQuoteByUser = asyncHandler(async (req, res) => {
     );
   }
 
+  const credit = await checkCreditLimit({
+    userId: quote.user,
+    orderMinor: orderBaseMinor(quote),
+  });
+  if (credit.exceeded && credit.mode === "Block") {
+    res.status(409);
+    throw new Error(
+      "This order would exceed your credit limit. Please settle outstanding invoices or contact us."
+    );
+  }
+
   quote.status = "Confirmed";
   const updated = await quote.save();
   const sanitized = sanitizeQuoteForOwner(updated);
@@ -1001,6 +1048,12 @@ export const confirmQuoteByUser = asyncHandler(async (req, res) => {
   addLine("Customer", req.user?.name);
   addLine("Email", req.user?.email);
   addLine("Phone", req.user?.phoneNumber);
+  if (credit.exceeded) {
+    addLine(
+      "⚠️ Over credit limit",
+      `${(credit.projectedMinor / 100).toFixed(2)} / ${(credit.limitMinor / 100).toFixed(2)}`
+    );
+  }
 
   if (productTypeLines.length > 0) {
     messageLines.push("Product types:");
@@ -1016,12 +1069,18 @@ export const confirmQuoteByUser = asyncHandler(async (req, res) => {
   messageLines.push("");
   messageLines.push(quoteUrl);
 
-  void sendTelegramAlert(messageLines.join("\n"));
+  void enqueueJobSafe("telegram.alert", { message: messageLines.join("\n") });
 
   res.status(200).json({
     success: true,
     message: "Quote confirmed successfully.",
     data: sanitized,
+    ...(credit.exceeded
+      ? {
+          creditWarning:
+            "This order exceeds your credit limit. Please settle outstanding invoices.",
+        }
+      : {}),
   });
 });
 
@@ -1124,7 +1183,10 @@ export const updateQuoteQuantitiesByUser = asyncHandler(async (req, res) => {
   }
 
   const productIds = [...currentById.keys()];
-  const totalsMap = await getAvailabilityTotalsByProduct(productIds);
+  const [totalsMap, incomingMap] = await Promise.all([
+    getAvailabilityTotalsByProduct(productIds),
+    getInboundTotalsByProduct(productIds),
+  ]);
 
   const updatedItems = currentItems.map((existing) => {
     const productId = String(existing.product);
@@ -1132,7 +1194,8 @@ export const updateQuoteQuantitiesByUser = asyncHandler(async (req, res) => {
     const availableNow = totalsMap.get(productId) || 0;
     const nextQty = Math.min(Math.max(0, Number(incoming.qty) || 0), availableNow);
     const nextShortage = Math.max(0, nextQty - availableNow);
-    const nextStatus = getAvailabilityStatus(nextQty, availableNow);
+    const inbound = getIncomingSnapshot(incomingMap, productId);
+    const nextStatus = getAvailabilityStatus(nextQty, availableNow, inbound.incomingQty);
 
     return {
       product: existing.product,
@@ -1140,8 +1203,11 @@ export const updateQuoteQuantitiesByUser = asyncHandler(async (req, res) => {
       qty: nextQty,
       priceRule: null,
       unitPrice: Math.max(0, Number(existing.unitPrice) || 0),
+      vatCategory: existing.vatCategory ?? null,
+      vatRate: existing.vatRate ?? null,
       availableNow,
       shortage: nextShortage,
+      ...inbound,
       availabilityStatus: nextStatus,
     };
   });
@@ -1232,7 +1298,10 @@ export const updateQuoteQuantitiesByAdmin = asyncHandler(async (req, res) => {
   );
 
   const productIds = currentItems.map((it) => String(it.product));
-  const totalsMap = await getAvailabilityTotalsByProduct(productIds);
+  const [totalsMap, incomingMap] = await Promise.all([
+    getAvailabilityTotalsByProduct(productIds),
+    getInboundTotalsByProduct(productIds),
+  ]);
 
   const updatedItems = currentItems.map((existing, idx) => {
     const productId = String(existing.product);
@@ -1245,7 +1314,8 @@ export const updateQuoteQuantitiesByAdmin = asyncHandler(async (req, res) => {
     const availableNow = totalsMap.get(productId) || 0;
     const nextQty = Math.min(Math.max(0, qty), availableNow);
     const nextShortage = Math.max(0, nextQty - availableNow);
-    const nextStatus = getAvailabilityStatus(nextQty, availableNow);
+    const inbound = getIncomingSnapshot(incomingMap, productId);
+    const nextStatus = getAvailabilityStatus(nextQty, availableNow, inbound.incomingQty);
 
     return {
       product: existing.product,
@@ -1253,8 +1323,11 @@ export const updateQuoteQuantitiesByAdmin = asyncHandler(async (req, res) => {
       qty: nextQty,
       priceRule: null,
       unitPrice: Math.max(0, Number(existing.unitPrice) || 0),
+      vatCategory: existing.vatCategory ?? null,
+      vatRate: existing.vatRate ?? null,
       availableNow,
       shortage: nextShortage,
+      ...inbound,
       availabilityStatus: nextStatus,
     };
   });
@@ -1341,7 +1414,10 @@ export const updateQuoteItemsByAdmin = asyncHandler(async (req, res) => {
   const existingById = new Map(
     (quote.requestedItems || []).map((it) => [String(it.product), it])
   );
-  const totalsMap = await getAvailabilityTotalsByProduct(productIds);
+  const [totalsMap, incomingMap] = await Promise.all([
+    getAvailabilityTotalsByProduct(productIds),
+    getInboundTotalsByProduct(productIds),
+  ]);
 
   const updatedItems = incomingRows.map((row, idx) => {
     const productMeta = productMetaMap.get(row.productId);
@@ -1352,7 +1428,8 @@ export const updateQuoteItemsByAdmin = asyncHandler(async (req, res) => {
     const availableNow = totalsMap.get(row.productId) || 0;
     const nextQty = Math.min(Math.max(0, row.qty), availableNow);
     const nextShortage = Math.max(0, nextQty - availableNow);
-    const nextStatus = getAvailabilityStatus(nextQty, availableNow);
+    const inbound = getIncomingSnapshot(incomingMap, row.productId);
+    const nextStatus = getAvailabilityStatus(nextQty, availableNow, inbound.incomingQty);
 
     return {
       product: productMeta._id,
@@ -1360,8 +1437,11 @@ export const updateQuoteItemsByAdmin = asyncHandler(async (req, res) => {
       qty: nextQty,
       priceRule: existing?.priceRule ?? null,
       unitPrice: existing ? Math.max(0, Number(existing.unitPrice) || 0) : 0,
+      vatCategory: existing?.vatCategory ?? null,
+      vatRate: existing?.vatRate ?? null,
       availableNow,
       shortage: nextShortage,
+      ...inbound,
       availabilityStatus: nextStatus,
     };
   });
@@ -1388,6 +1468,7 @@ export const updateQuoteItemsByAdmin = asyncHandler(async (req, res) => {
    PUT /api/quotes/admin/:id/pricing
    Private/Admin
    Update pricing only (unit prices + charges)
+   Items may also set vatCategory (Standard | ZeroRated | Exempt) and vatRate
    ========================= */
 export const updateQuotePricingByAdmin = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -1418,14 +1499,45 @@ export const updateQuotePricingByAdmin = asyncHandler(async (req, res) => {
       `Invalid unitPrice for item #${idx + 1}. Must be >= 0.`
     );
 
+    // Optional per-line VAT override (rate only applies to Standard lines)
+    let vatCategory = existing.vatCategory ?? null;
+    let vatRate = existing.vatRate ?? null;
+    if (incoming?.vatCategory !== undefined) {
+      vatCategory = String(incoming.vatCategory || "");
+      if (!VAT_CATEGORIES.includes(vatCategory)) {
+        throwHttpError(
+          res,
+          400,
+          `Invalid vatCategory for item #${idx + 1}. Allowed: ${VAT_CATEGORIES.join(", ")}`
+        );
+      }
+      vatRate = null;
+    }
+    if (incoming?.vatRate !== undefined && incoming?.vatRate !== null) {
+      const rate = parseNonNegativeNumber(
+        res,
+        incoming.vatRate,
+        `Invalid vatRate for item #${idx + 1}. Must be >= 0.`
+      );
+      if (rate > 100) {
+        throwHttpError(res, 400, `Invalid vatRate for item #${idx + 1}. Must be <= 100.`);
+      }
+      vatRate = rate;
+    }
+    if (vatCategory) vatRate = effectiveVatRate(vatCategory, vatRate);
+
     return {
       product: existing.product,
       productName: existing.productName || existing.product?.name || "",
       qty: Math.max(0, Number(existing.qty) || 0),
       priceRule: null,
       unitPrice,
+      vatCategory,
+      vatRate,
       availableNow: Math.max(0, Number(existing.availableNow) || 0),
       shortage: Math.max(0, Number(existing.shortage) || 0),
+      incomingQty: Math.max(0, Number(existing.incomingQty) || 0),
+      incomingExpectedAt: existing.incomingExpectedAt || null,
       availabilityStatus: existing.availabilityStatus || "NOT_AVAILABLE",
     };
   });
@@ -1556,8 +1668,12 @@ export const assignUserPricesByAdmin = asyncHandler(async (req, res) => {
       qty: Math.max(0, Number(it.qty) || 0),
       priceRule: null,
       unitPrice: Math.max(0, Number(unitPrice) || 0),
+      vatCategory: it.vatCategory ?? null,
+      vatRate: it.vatRate ?? null,
       availableNow: Math.max(0, Number(it.availableNow) || 0),
       shortage: Math.max(0, Number(it.shortage) || 0),
+      incomingQty: Math.max(0, Number(it.incomingQty) || 0),
+      incomingExpectedAt: it.incomingExpectedAt || null,
       availabilityStatus: it.availabilityStatus || "NOT_AVAILABLE",
     };
   });
@@ -1693,14 +1809,18 @@ export const recheckQuoteAvailabilityByAdmin = asyncHandler(async (req, res) =>
   }
 
   const productIds = items.map((it) => it.product?._id || it.product);
-  const totalsMap = await getAvailabilityTotalsByProduct(productIds);
+  const [totalsMap, incomingMap] = await Promise.all([
+    getAvailabilityTotalsByProduct(productIds),
+    getInboundTotalsByProduct(productIds),
+  ]);
 
   quote.requestedItems = items.map((it) => {
     const productId = it.product?._id || it.product;
     const availableNow = totalsMap.get(String(productId)) || 0;
     const qty = Math.max(0, Number(it.qty) || 0);
     const shortage = Math.max(0, qty - availableNow);
-    const nextStatus = getAvailabilityStatus(qty, availableNow);
+    const inbound = getIncomingSnapshot(incomingMap, productId);
+    const nextStatus = getAvailabilityStatus(qty, availableNow, inbound.incomingQty);
 
     return {
       product: it.product,
@@ -1708,8 +1828,11 @@ export const recheckQuoteAvailabilityByAdmin = asyncHandler(async (req, res) =>
       qty,
       priceRule: null,
       unitPrice: Math.max(0, Number(it.unitPrice) || 0),
+      vatCategory: it.vatCategory ?? null,
+      vatRate: it.vatRate ?? null,
       availableNow,
       shortage,
+      ...inbound,
       availabilityStatus: nextStatus,
     };
   });
@@ -1758,9 +1881,10 @@ export const getQuoteStockCheckByAdmin = asyncHandler(async (req, res) => {
 
   let onHandRows = [];
   let reservedRows = [];
+  let incomingMap = new Map();
 
   if (productObjectIds.length > 0) {
-    [onHandRows, reservedRows] = await Promise.all([
+    [onHandRows, reservedRows, incomingMap] = await Promise.all([
       SlotItem.aggregate([
         { $match: { product: { $in: productObjectIds } } },
         { $group: { _id: "$product", onHand: { $sum: "$qty" } } },
@@ -1774,6 +1898,7 @@ export const getQuoteStockCheckByAdmin = asyncHandler(async (req, res) => {
         },
         { $group: { _id: "$product", reserved: { $sum: "$qty" } } },
       ]),
+      getInboundTotalsByProduct(productObjectIds),
     ]);
   }
 
@@ -1793,6 +1918,7 @@ export const getQuoteStockCheckByAdmin = asyncHandler(async (req, res) => {
       onHand,
       reserved,
       availableAfterReserve,
+      ...getIncomingSnapshot(incomingMap, productId),
     };
   });
 
@@ -1905,34 +2031,10 @@ export const getQuotePDF = asyncHandler(async (req, res) => {
   }
 
   const html = renderQuoteHtml({ quote });
-  let browser;
-  try {
-    browser = await chromium.launch({
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: "load" });
-    await applyPdfMedia(page);
-    const pdfBuffer = await page.pdf({
-      format: "A4",
-      printBackground: true,
-      displayHeaderFooter: true,
-      headerTemplate: "<div></div>",
-      footerTemplate: quoteFooterTemplate,
-      margin: { top: "18mm", bottom: "22mm", left: "16mm", right: "16mm" },
-    });
-
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader(
-      "Content-Disposition",
-      `inline; filename=quote-${quote._id}.pdf`
-    );
-    res.end(pdfBuffer);
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
-  }
+  const pdfBuffer = await renderPdf(html, {
+    footerTemplate: quoteFooterTemplate,
+  });
+  sendPdf(res, pdfBuffer, `quote-${quote._id}.pdf`);
 });
 
 /* =========================
@@ -1957,6 +2059,9 @@ export const getQuoteShare = asyncHandler(async (req, res) => {
         "deliveryCharge",
         "extraFee",
         "totalPrice",
+        "vatRate",
+        "vatTotal",
+        "grandTotal",
         "requestedItems",
         "user",
       ].join(" ")
@@ -2059,11 +2164,16 @@ export const getQuotes = asyncHandler(async (req, res) => {
           "deliveryCharge",
           "extraFee",
           "totalPrice",
+          "vatTotal",
+          "grandTotal",
           "availabilityCheckedAt",
           "requestedItems.qty",
           "requestedItems.unitPrice",
+          "requestedItems.vatRate",
           "requestedItems.availableNow",
           "requestedItems.shortage",
+          "requestedItems.incomingQty",
+          "requestedItems.incomingExpectedAt",
           "requestedItems.availabilityStatus",
           "user",
           "order",
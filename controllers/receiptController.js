@@ -0,0 +1,884 @@
+// megadie-backend/controllers/receiptController.js
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import Receipt from "../models/receiptModel.js";
+import Payment from "../models/paymentModel.js";
+import Invoice from "../models/invoiceModel.js";
+import User from "../models/userModel.js";
+import {
+  activeReceiverNames,
+  resolvePaymentReceiver,
+} from "../utils/paymentReceivers.js";
+import {
+  getCreditReceipts,
+  getCustomerCreditBalances,
+} from "../utils/customerWallet.js";
+import {
+  getBaseCurrency,
+  getExchangeRate,
+  minorUnitFactorFor,
+  normalizeCurrency,
+} from "../utils/currency.js";
+import { loadCustomerSnapshot } from "../utils/customerSnapshot.js";
+import { createBankChargeInvoice } from "../utils/bankChargeInvoice.js";
+import { archiveIssuedInvoicePdf } from "../utils/invoicePdfArchive.js";
+
+/* -----------------------
+   Helpers
+------------------------ */
+function toInt(v, fallback) {
+  const n = Number.parseInt(String(v), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function escapeRegex(text = "") {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toMinorUnits(majorAmount, factor = 100) {
+  const n = Number(majorAmount);
+  const f = Number(factor);
+  if (!Number.isFinite(n)) return NaN;
+  if (!Number.isFinite(f) || f <= 0) return Math.round(n * 100);
+  return Math.round(n * f);
+}
+
+const PAYMENT_METHODS_ALLOWED = new Set(
+  Receipt.schema.path("paymentMethod")?.enumValues || []
+);
+
+/**
+ * Work out how much goes to which open invoice (no writes).
+ * - allocations: [{ invoiceId, amount }] (major units, credit currency), or
+ * - autoAllocate: oldest open invoice first (dueDate, then createdAt)
+ * Returns [{ invoiceId, amountMinor }]; the total never exceeds `availableMinor`.
+ */
+async function planAllocations(
+  res,
+  { userId, currency, minorUnitFactor, availableMinor, allocations, autoAllocate, session }
+) {
+  const openInvoices = await Invoice.find({
+    user: userId,
+    currency,
+    status: "Issued",
+    balanceDueMinor: { $gt: 0 },
+  })
+    .select("_id invoiceNumber balanceDueMinor dueDate createdAt")
+    .sort({ dueDate: 1, createdAt: 1, _id: 1 })
+    .session(session)
+    .lean();
+  const openById = new Map(openInvoices.map((inv) => [String(inv._id), inv]));
+
+  let available = Math.max(0, Number(availableMinor) || 0);
+  const plan = [];
+
+  if (Array.isArray(allocations) && allocations.length) {
+    const seen = new Set();
+    for (const row of allocations) {
+      const invoiceId = String(row?.invoiceId || "");
+      if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+        res.status(400);
+        throw new Error("Each allocation requires a valid invoiceId.");
+      }
+      if (seen.has(invoiceId)) {
+        res.status(400);
+        throw new Error("Each invoice can only be allocated once per request.");
+      }
+      seen.add(invoiceId);
+
+      const invoice = openById.get(invoiceId);
+      if (!invoice) {
+        res.status(400);
+        throw new Error(
+          `Invoice ${invoiceId} is not an open ${currency} invoice of this customer.`
+        );
+      }
+
+      const amountMinor = toMinorUnits(row?.amount, minorUnitFactor || 100);
+      if (!Number.isFinite(amountMinor) || amountMinor <= 0) {
+        res.status(400);
+        throw new Error("Allocation amounts must be positive numbers.");
+      }
+      if (amountMinor > invoice.balanceDueMinor) {
+        res.status(400);
+        throw new Error(`Allocation exceeds the balance due on ${invoice.invoiceNumber}.`);
+      }
+      if (amountMinor > available) {
+        res.status(400);
+        throw new Error("Allocations exceed the available credit.");
+      }
+
+      available -= amountMinor;
+      plan.push({ invoiceId: invoice._id, amountMinor });
+    }
+  } else if (autoAllocate) {
+    for (const invoice of openInvoices) {
+      if (available <= 0) break;
+      const amountMinor = Math.min(available, invoice.balanceDueMinor);
+      available -= amountMinor;
+      plan.push({ invoiceId: invoice._id, amountMinor });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Fund a plan from receipts in order, splitting across receipts where needed.
+ * Each slice is a Payment (hooks update invoice + receipt caches).
+ */
+async function createAllocationPayments(receipts, plan, session) {
+  const payments = [];
+  const remaining = receipts.map((r) => Math.max(0, Number(r.unappliedMinor) || 0));
+  let idx = 0;
+
+  for (const row of plan) {
+    let due = row.amountMinor;
+    while (due > 0 && idx < receipts.length) {
+      const slice = Math.min(due, remaining[idx]);
+      if (slice > 0) {
+        const receipt = receipts[idx];
+        const [payment] = await Payment.create(
+          [
+            {
+              receipt: receipt._id,
+              invoice: row.invoiceId,
+              user: receipt.user,
+              amountMinor: slice,
+              paymentMethod: receipt.paymentMethod,
+              paymentDate: receipt.paymentDate,
+              receiver: receipt.receiver,
+              receivedBy: receipt.receivedBy,
+              reference: receipt.reference || receipt.receiptNumber,
+              note: receipt.note,
+            },
+          ],
+          { session }
+        );
+        payments.push(payment);
+        remaining[idx] -= slice;
+        due -= slice;
+      }
+      if (remaining[idx] <= 0) idx += 1;
+    }
+  }
+
+  return payments;
+}
+
+/**
+ * Split one receipt's unapplied amount across the customer's open invoices (inside `session`).
+ * Anything not allocated stays on the receipt as unapplied credit.
+ */
+async function allocateReceipt(res, { receiptId, allocations, autoAllocate, session }) {
+  const receipt = await Receipt.findById(receiptId).session(session);
+  if (!receipt) {
+    res.status(404);
+    throw new Error("Receipt not found.");
+  }
+
+  const plan = await planAllocations(res, {
+    userId: receipt.user,
+    currency: receipt.currency,
+    minorUnitFactor: receipt.minorUnitFactor,
+    availableMinor: receipt.unappliedMinor,
+    allocations,
+    autoAllocate,
+    session,
+  });
+
+  return createAllocationPayments([receipt], plan, session);
+}
+
+function requireReason(res, body) {
+  const reason = typeof body?.reason === "string" ? body.reason.trim() : "";
+  if (!reason) {
+    res.status(400);
+    throw new Error("A reason is required.");
+  }
+  return reason;
+}
+
+async function loadVoidableReceipt(res, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid receipt id.");
+  }
+
+  const receipt = await Receipt.findById(id)
+    .select("receiptNumber user currency minorUnitFactor paymentMethod reference refundedMinor status")
+    .lean();
+  if (!receipt) {
+    res.status(404);
+    throw new Error("Receipt not found.");
+  }
+  if (receipt.status === "Voided") {
+    res.status(409);
+    throw new Error("Receipt is already voided.");
+  }
+  if (receipt.refundedMinor > 0) {
+    res.status(409);
+    throw new Error("Receipt has refunds and cannot be voided.");
+  }
+  return receipt;
+}
+
+async function loadReceiptWithAllocations(receiptId) {
+  const [receipt, allocations] = await Promise.all([
+    Receipt.findById(receiptId).populate({ path: "user", select: "name email" }).lean(),
+    Payment.find({ receipt: receiptId })
+      .select("invoice amountMinor paymentDate status voidReason voidedAt createdAt")
+      .populate({ path: "invoice", select: "invoiceNumber amountMinor balanceDueMinor paymentStatus" })
+      .sort({ createdAt: 1 })
+      .lean(),
+  ]);
+  return receipt ? { ...receipt, allocations } : null;
+}
+
+/**
+ * @desc    Admin: record a customer-level receipt and (optionally) allocate it
+ * @route   POST /api/receipts
+ * @access  Private/Admin
+ *
+ * Body:
+ * - userId, amount, paymentMethod, receivedBy (required; active PaymentReceiver id or name)
+ * - currency (defaults to the customer's billingCurrency, else base)
+ * - paymentDate, reference, note
+ * - allocations: [{ invoiceId, amount }]  OR  autoAllocate: true (oldest first)
+ * Any remainder is held on the receipt as unapplied credit.
+ */
+export const createReceipt = asyncHandler(async (req, res) => {
+  const {
+    userId,
+    amount,
+    currency,
+    paymentMethod,
+    receivedBy,
+    paymentDate,
+    reference,
+    note,
+    allocations,
+    autoAllocate,
+  } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400);
+    throw new Error("Valid userId is required.");
+  }
+
+  if (!PAYMENT_METHODS_ALLOWED.has(paymentMethod)) {
+    res.status(400);
+    throw new Error(
+      `Invalid payment method. Allowed: ${Array.from(PAYMENT_METHODS_ALLOWED).join(", ")}.`
+    );
+  }
+
+  const receiver = await resolvePaymentReceiver(receivedBy);
+  if (!receiver) {
+    res.status(400);
+    throw new Error(
+      `Invalid receivedBy. Active receivers: ${(await activeReceiverNames()).join(", ")}.`
+    );
+  }
+
+  if (allocations !== undefined && !Array.isArray(allocations)) {
+    res.status(400);
+    throw new Error("allocations must be an array.");
+  }
+
+  let parsedPaymentDate;
+  if (paymentDate) {
+    const d = new Date(paymentDate);
+    if (Number.isNaN(d.getTime())) {
+      res.status(400);
+      throw new Error("Invalid payment date.");
+    }
+    parsedPaymentDate = d;
+  }
+
+  const user = await User.findById(userId).select("billingCurrency").lean();
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found.");
+  }
+
+  const receiptCurrency = currency
+    ? normalizeCurrency(currency)
+    : normalizeCurrency(user.billingCurrency) || getBaseCurrency();
+  if (!receiptCurrency) {
+    res.status(400);
+    throw new Error("Invalid currency.");
+  }
+  const minorUnitFactor = minorUnitFactorFor(receiptCurrency);
+
+  const amountMinor = toMinorUnits(amount, minorUnitFactor);
+  if (!Number.isFinite(amountMinor) || amountMinor <= 0) {
+    res.status(400);
+    throw new Error("Receipt amount must be a positive number.");
+  }
+
+  const session = await mongoose.startSession();
+  let receiptId;
+  try {
+    await session.withTransaction(async () => {
+      const [receipt] = await Receipt.create(
+        [
+          {
+            user: userId,
+            currency: receiptCurrency,
+            minorUnitFactor,
+            amountMinor,
+            paymentMethod,
+            receiver: receiver._id,
+            receivedBy: receiver.name,
+            paymentDate: parsedPaymentDate,
+            reference: typeof reference === "string" ? reference.trim() : reference,
+            note: typeof note === "string" ? note.trim() : note,
+            createdBy: req.user?._id,
+          },
+        ],
+        { session }
+      );
+      receiptId = receipt._id;
+
+      await allocateReceipt(res, {
+        receiptId,
+        allocations,
+        autoAllocate: Boolean(autoAllocate),
+        session,
+      });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Receipt recorded successfully.",
+    data: await loadReceiptWithAllocations(receiptId),
+  });
+});
+
+/**
+ * @desc    Admin: apply a receipt's unapplied credit to open invoices
+ * @route   POST /api/receipts/:id/apply
+ * @access  Private/Admin
+ *
+ * Body: allocations: [{ invoiceId, amount }]  OR  autoAllocate: true (oldest first)
+ */
+export const applyReceipt = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid receipt id.");
+  }
+
+  const { allocations, autoAllocate } = req.body || {};
+  const hasAllocations = Array.isArray(allocations) && allocations.length > 0;
+  if (!hasAllocations && !autoAllocate) {
+    res.status(400);
+    throw new Error("Provide allocations or autoAllocate: true.");
+  }
+
+  const session = await mongoose.startSession();
+  let payments = [];
+  try {
+    await session.withTransaction(async () => {
+      const receipt = await Receipt.findById(id)
+        .select("unappliedMinor")
+        .session(session)
+        .lean();
+      if (!receipt) {
+        res.status(404);
+        throw new Error("Receipt not found.");
+      }
+      if (!(receipt.unappliedMinor > 0)) {
+        res.status(400);
+        throw new Error("Receipt has no unapplied amount.");
+      }
+
+      payments = await allocateReceipt(res, {
+        receiptId: id,
+        allocations: hasAllocations ? allocations : null,
+        autoAllocate: Boolean(autoAllocate),
+        session,
+      });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: payments.length
+      ? "Receipt applied successfully."
+      : "No open invoices to apply the receipt to.",
+    data: await loadReceiptWithAllocations(id),
+  });
+});
+
+/**
+ * @desc    Admin: list receipts (filters + pagination)
+ * @route   GET /api/receipts
+ * @access  Private/Admin
+ *
+ * Query params (optional):
+ * - page, limit
+ * - user=<userId>, currency=<ISO>
+ * - unapplied=true (only receipts with credit left)
+ * - search=<string> (receiptNumber/reference/user name/email, case-insensitive)
+ */
+export const getReceiptsAdmin = asyncHandler(async (req, res) => {
+  const page = Math.max(1, toInt(req.query.page, 1));
+  const limitRaw = toInt(req.query.limit, 20);
+  const limit = Math.min(Math.max(1, limitRaw), 20);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+
+  if (req.query.user) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.user)) {
+      res.status(400);
+      throw new Error("Invalid user id.");
+    }
+    filter.user = req.query.user;
+  }
+
+  if (req.query.currency) {
+    const code = normalizeCurrency(req.query.currency);
+    if (!code) {
+      res.status(400);
+      throw new Error("Invalid currency.");
+    }
+    filter.currency = code;
+  }
+
+  if (String(req.query.unapplied) === "true") {
+    filter.unappliedMinor = { $gt: 0 };
+  }
+
+  const search = req.query.search ? String(req.query.search).trim() : "";
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), "i");
+    const users = await User.find({ $or: [{ name: regex }, { email: regex }] })
+      .select("_id")
+      .limit(200)
+      .lean();
+    const userIds = users.map((u) => u._id);
+
+    filter.$or = [
+      { receiptNumber: regex },
+      { reference: regex },
+      ...(userIds.length ? [{ user: { $in: userIds } }] : []),
+    ];
+  }
+
+  const [total, items] = await Promise.all([
+    Receipt.countDocuments(filter),
+    Receipt.find(filter)
+      .populate({ path: "user", select: "name email" })
+      .sort({ paymentDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+
+  res.json({
+    success: true,
+    message: "Receipts retrieved successfully.",
+    data: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasPrev: page > 1,
+      hasNext: page < totalPages,
+    },
+  });
+});
+
+/**
+ * @desc    Admin: get a receipt with its invoice allocations
+ * @route   GET /api/receipts/:id
+ * @access  Private/Admin
+ */
+export const getReceiptById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid receipt id.");
+  }
+
+  const receipt = await loadReceiptWithAllocations(id);
+  if (!receipt) {
+    res.status(404);
+    throw new Error("Receipt not found.");
+  }
+
+  res.json({
+    success: true,
+    message: "Receipt retrieved successfully.",
+    data: receipt,
+  });
+});
+
+/**
+ * @desc    Admin: delete a receipt that has no allocations or refunds
+ * @route   DELETE /api/receipts/:id
+ * @access  Private/Admin
+ *
+ * Receipts with payments (even voided ones) stay on record; voiding a payment
+ * (POST /api/payments/:id/void) returns its amount to the receipt's credit instead,
+ * and money that never arrived is reversed with POST /api/receipts/:id/void or /bounce.
+ */
+export const deleteReceipt = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid receipt id.");
+  }
+
+  const receipt = await Receipt.findById(id).select("_id receiptNumber refundedMinor");
+  if (!receipt) {
+    res.status(404);
+    throw new Error("Receipt not found.");
+  }
+
+  if (receipt.refundedMinor > 0) {
+    res.status(409);
+    throw new Error("Receipt has refunds and cannot be deleted.");
+  }
+
+  if (await Payment.exists({ receipt: receipt._id })) {
+    res.status(409);
+    throw new Error("Receipt has allocations and cannot be deleted.");
+  }
+
+  await receipt.deleteOne();
+
+  res.json({
+    success: true,
+    message: "Receipt deleted successfully.",
+    data: { _id: receipt._id, receiptNumber: receipt.receiptNumber },
+  });
+});
+
+/**
+ * @desc    Admin: a customer's credit wallet (unapplied receipts per currency)
+ * @route   GET /api/receipts/wallet/:userId
+ * @access  Private/Admin
+ */
+export const getCustomerCredit = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400);
+    throw new Error("Invalid user id.");
+  }
+
+  const [balances, receipts] = await Promise.all([
+    getCustomerCreditBalances(userId),
+    Receipt.find({ user: userId, unappliedMinor: { $gt: 0 } })
+      .select(
+        "receiptNumber currency minorUnitFactor amountMinor appliedMinor refundedMinor unappliedMinor paymentMethod paymentDate reference"
+      )
+      .sort({ paymentDate: 1, createdAt: 1 })
+      .lean(),
+  ]);
+
+  res.json({
+    success: true,
+    message: "Customer credit retrieved successfully.",
+    data: { balances, receipts },
+  });
+});
+
+/**
+ * @desc    Admin: apply a customer's credit wallet to open invoices
+ * @route   POST /api/receipts/wallet/:userId/apply
+ * @access  Private/Admin
+ *
+ * Body:
+ * - currency (defaults to the customer's billingCurrency, else base)
+ * - allocations: [{ invoiceId, amount }]  OR  autoAllocate: true (oldest first)
+ * Credit is drawn from the oldest receipts first.
+ */
+export const applyCustomerCredit = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400);
+    throw new Error("Invalid user id.");
+  }
+
+  const { currency, allocations, autoAllocate } = req.body || {};
+  const hasAllocations = Array.isArray(allocations) && allocations.length > 0;
+  if (!hasAllocations && !autoAllocate) {
+    res.status(400);
+    throw new Error("Provide allocations or autoAllocate: true.");
+  }
+
+  const user = await User.findById(userId).select("billingCurrency").lean();
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found.");
+  }
+
+  const creditCurrency = currency
+    ? normalizeCurrency(currency)
+    : normalizeCurrency(user.billingCurrency) || getBaseCurrency();
+  if (!creditCurrency) {
+    res.status(400);
+    throw new Error("Invalid currency.");
+  }
+
+  const session = await mongoose.startSession();
+  let payments = [];
+  try {
+    await session.withTransaction(async () => {
+      const receipts = await getCreditReceipts(userId, creditCurrency, session);
+      const availableMinor = receipts.reduce(
+        (sum, r) => sum + (Number(r.unappliedMinor) || 0),
+        0
+      );
+      if (availableMinor <= 0) {
+        res.status(400);
+        throw new Error(`Customer has no ${creditCurrency} credit to apply.`);
+      }
+
+      const plan = await planAllocations(res, {
+        userId,
+        currency: creditCurrency,
+        minorUnitFactor: receipts[0].minorUnitFactor,
+        availableMinor,
+        allocations: hasAllocations ? allocations : null,
+        autoAllocate: Boolean(autoAllocate),
+        session,
+      });
+
+      payments = await createAllocationPayments(receipts, plan, session);
+    });
+  } finally {
+    session.endSession();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: payments.length
+      ? "Customer credit applied successfully."
+      : "No open invoices to apply the credit to.",
+    data: {
+      payments,
+      balances: await getCustomerCreditBalances(userId),
+    },
+  });
+});
+
+/**
+ * @desc    Admin: refund unapplied credit on a receipt back to the client
+ * @route   POST /api/receipts/:id/refunds
+ * @access  Private/Admin
+ *
+ * Body: { amount (major units), method, refundedAt?, reference?, note? }
+ */
+export const addReceiptRefund = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid receipt id.");
+  }
+
+  const { amount, method, refundedAt, reference, note } = req.body || {};
+
+  if (!method || !PAYMENT_METHODS_ALLOWED.has(method)) {
+    res.status(400);
+    throw new Error(
+      `Invalid refund method. Allowed: ${Array.from(PAYMENT_METHODS_ALLOWED).join(", ")}.`
+    );
+  }
+
+  let parsedRefundedAt = new Date();
+  if (refundedAt) {
+    parsedRefundedAt = new Date(refundedAt);
+    if (Number.isNaN(parsedRefundedAt.getTime())) {
+      res.status(400);
+      throw new Error("Invalid refund date.");
+    }
+  }
+
+  const receipt = await Receipt.findById(id).select("minorUnitFactor unappliedMinor").lean();
+  if (!receipt) {
+    res.status(404);
+    throw new Error("Receipt not found.");
+  }
+
+  const amountMinor = toMinorUnits(amount, receipt.minorUnitFactor || 100);
+  if (!Number.isFinite(amountMinor) || amountMinor <= 0) {
+    res.status(400);
+    throw new Error("Refund amount must be a positive number.");
+  }
+
+  // Atomic: only succeeds while enough credit is still unapplied
+  const updated = await Receipt.findOneAndUpdate(
+    { _id: id, unappliedMinor: { $gte: amountMinor } },
+    {
+      $push: {
+        refunds: {
+          amountMinor,
+          method,
+          refundedAt: parsedRefundedAt,
+          reference: typeof reference === "string" ? reference.trim() : reference,
+          note: typeof note === "string" ? note.trim() : note,
+          recordedBy: req.user?._id,
+        },
+      },
+      $inc: { refundedMinor: amountMinor, unappliedMinor: -amountMinor },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    res.status(400);
+    throw new Error("Refund exceeds the receipt's unapplied credit.");
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Refund recorded successfully.",
+    data: updated,
+  });
+});
+
+/**
+ * @desc    Admin: void a receipt
+ * @route   POST /api/receipts/:id/void
+ * @access  Private/Admin
+ *
+ * Body: { reason }
+ * - Voids every allocation (the invoices re-open) and removes the unapplied credit.
+ * - The receipt stays on record (status Voided); the statement reverses its credit.
+ */
+export const voidReceipt = asyncHandler(async (req, res) => {
+  const reason = requireReason(res, req.body);
+  await loadVoidableReceipt(res, req.params.id);
+
+  const session = await mongoose.startSession();
+  let receipt = null;
+  try {
+    await session.withTransaction(async () => {
+      receipt = await Receipt.voidReceipt(req.params.id, {
+        reason,
+        voidType: "Void",
+        actorId: req.user?._id,
+        session,
+      });
+      if (!receipt) {
+        res.status(409);
+        throw new Error("Receipt is already voided or has refunds.");
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  res.json({
+    success: true,
+    message: "Receipt voided successfully.",
+    data: await loadReceiptWithAllocations(receipt._id),
+  });
+});
+
+/**
+ * @desc    Admin: reverse a bounced cheque recorded as a receipt
+ * @route   POST /api/receipts/:id/bounce
+ * @access  Private/Admin
+ *
+ * Body: { reason, bankCharge? }
+ * - Only Cheque receipts. Voids the receipt as "BouncedCheque" (see voidReceipt).
+ * - bankCharge (major units, receipt currency) raises a Manual invoice for the
+ *   returned-cheque fee in the same transaction (VAT Exempt, due immediately).
+ */
+export const bounceChequeReceipt = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const reason = requireReason(res, body);
+  const existing = await loadVoidableReceipt(res, req.params.id);
+
+  if (existing.paymentMethod !== "Cheque") {
+    res.status(400);
+    throw new Error("Only cheque receipts can be bounced.");
+  }
+
+  let bankChargeMinor = 0;
+  if (body.bankCharge !== undefined && body.bankCharge !== null && body.bankCharge !== "") {
+    bankChargeMinor = toMinorUnits(body.bankCharge, existing.minorUnitFactor || 100);
+    if (!Number.isFinite(bankChargeMinor) || bankChargeMinor < 0) {
+      res.status(400);
+      throw new Error("Bank charge must be a non-negative number.");
+    }
+  }
+
+  const session = await mongoose.startSession();
+  let receipt = null;
+  let chargeInvoice = null;
+  try {
+    await session.withTransaction(async () => {
+      chargeInvoice = null;
+
+      if (bankChargeMinor > 0) {
+        const rate = await getExchangeRate(existing.currency, new Date(), session);
+        if (!rate) {
+          res.status(409);
+          throw new Error(`No exchange rate for ${existing.currency}. Add one first.`);
+        }
+        const cheque = existing.reference ? `, cheque ${existing.reference}` : "";
+        chargeInvoice = await createBankChargeInvoice(
+          {
+            user: existing.user,
+            customerSnapshot: await loadCustomerSnapshot(existing.user, session),
+            currency: existing.currency,
+            minorUnitFactor: existing.minorUnitFactor || 100,
+            fx: {
+              baseCurrency: getBaseCurrency(),
+              exchangeRate: rate.rate,
+              exchangeRateId: rate.rateId,
+              exchangeRateDate: rate.effectiveDate,
+            },
+            chargeMinor: bankChargeMinor,
+            description: `Returned cheque charge (${existing.receiptNumber}${cheque})`,
+            adminNote: `Bounced cheque: ${reason}`,
+          },
+          session
+        );
+      }
+
+      receipt = await Receipt.voidReceipt(existing._id, {
+        reason,
+        voidType: "BouncedCheque",
+        actorId: req.user?._id,
+        bankChargeMinor,
+        bankChargeInvoice: chargeInvoice?._id || null,
+        session,
+      });
+      if (!receipt) {
+        res.status(409);
+        throw new Error("Receipt is already voided or has refunds.");
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (chargeInvoice) {
+    await archiveIssuedInvoicePdf(chargeInvoice._id);
+  }
+
+  res.json({
+    success: true,
+    message: chargeInvoice
+      ? "Cheque bounced successfully. A bank charge invoice was raised."
+      : "Cheque bounced successfully.",
+    data: await loadReceiptWithAllocations(receipt._id),
+    ...(chargeInvoice ? { bankChargeInvoice: chargeInvoice } : {}),
+  });
+});
@@ -1,9 +1,9 @@
 // controllers/slotController.js
 import asyncHandler from "../middleware/asyncHandler.js";
 import Slot from "../models/slotModel.js";
-import SlotItem from "../models/slotItemModel.js";
 import { SLOT_UNITS } from "../constants.js";
-import { computeFillPercent } from "../utils/slotOccupancy.js";
+import { rebuildSlotOccupancyTotals } from "../utils/slotOccupancy.js";
+import { enqueueJob } from "../utils/jobQueue.js";
 
 /* =========================
    GET /api/slots
@@ -113,51 +113,33 @@ export const getSlotSummary = asyncHandler(async (req, res) => {
 /* =========================
    POST /api/slots/occupancy/rebuild
    Private/Admin
-   Optional query: store
+   Optional query: store, background=true (run as a job, returns 202)
    ========================= */
 export const rebuildSlotOccupancy = asyncHandler(async (req, res) => {
   const store = req.query.store ? String(req.query.store).trim() : "";
-  const filter = {};
-  if (store) filter.store = store;
 
-  const slots = await Slot.find(filter).select("_id cbm").lean();
-  if (!slots.length) {
-    res.status(200).json({
+  if (String(req.query.background || "") === "true") {
+    const job = await enqueueJob(
+      "slots.rebuildOccupancy",
+      { store },
+      { dedupeKey: `slots.rebuildOccupancy:${store || "*"}`, createdBy: req.user?._id }
+    );
+    res.status(202).json({
       success: true,
-      message: "No slots found to rebuild.",
-      data: { updated: 0, store: store || null },
+      message: "Slot occupancy rebuild queued successfully.",
+      data: { jobId: job?._id || null, store: store || null },
     });
     return;
   }
 
-  const slotIds = slots.map((slot) => slot._id);
-  const occRows = await SlotItem.aggregate([
-    { $match: { slot: { $in: slotIds } } },
-    { $group: { _id: "$slot", occupiedCbm: { $sum: "$cbm" } } },
-  ]);
-  const occBySlot = new Map(
-    occRows.map((row) => [String(row._id), row.occupiedCbm || 0])
-  );
-
-  const updates = slots.map((slot) => {
-    const occupied = occBySlot.get(String(slot._id)) || 0;
-    const fillPercent = computeFillPercent(slot.cbm, occupied);
-    return {
-      updateOne: {
-        filter: { _id: slot._id },
-        update: { $set: { occupiedCbm: occupied, fillPercent } },
-      },
-    };
-  });
-
-  if (updates.length) {
-    await Slot.bulkWrite(updates);
-  }
+  const data = await rebuildSlotOccupancyTotals({ store });
 
   res.status(200).json({
     success: true,
-    message: "Slot occupancy rebuilt successfully.",
-    data: { updated: updates.length, store: store || null },
+    message: data.updated
+      ? "Slot occupancy rebuilt successfully."
+      : "No slots found to rebuild.",
+    data,
   });
 });
 
@@ -5,6 +5,7 @@ import Slot from "../models/slotModel.js";
 import OrderAllocation from "../models/orderAllocationModel.js";
 import { applySlotOccupancyDelta } from "../utils/slotOccupancy.js";
 import { logInventoryMovement, getUnitCbm } from "../utils/inventoryMovement.js";
+import { addSlotItemQty } from "../utils/slotStock.js";
 
 const hasReservedAllocations = async (slotId, productIds, session = null) => {
   if (!productIds || productIds.length === 0) return false;
@@ -160,10 +161,11 @@ export const getSlotItemsBySlot = asyncHandler(async (req, res) => {
 /* =========================
    POST /api/slot-items/adjust
    Adds stock for a product in a slot
-   Body: { productId, slotId, deltaQty }
+   Body: { productId, slotId, deltaQty, unitCost? }
+   unitCost (base currency) defaults to the product's current average cost
    ========================= */
 export const adjustSlotItem = asyncHandler(async (req, res) => {
-  const { productId, slotId, deltaQty } = req.body || {};
+  const { productId, slotId, deltaQty, unitCost } = req.body || {};
 
   if (!mongoose.isValidObjectId(productId)) {
     res.status(400);
@@ -185,6 +187,13 @@ export const adjustSlotItem = asyncHandler(async (req, res) => {
     throw new Error("deltaQty must be a positive integer.");
   }
 
+  const hasUnitCost = unitCost !== undefined && unitCost !== null && unitCost !== "";
+  const unitCostValue = hasUnitCost ? Number(unitCost) : undefined;
+  if (hasUnitCost && (!Number.isFinite(unitCostValue) || unitCostValue < 0)) {
+    res.status(400);
+    throw new Error("unitCost must be a non-negative number.");
+  }
+
   const session = await mongoose.startSession();
   let responseData = null;
   let responseStatus = 200;
@@ -211,29 +220,10 @@ export const adjustSlotItem = asyncHandler(async (req, res) => {
         );
       }
 
-      let item = await SlotItem.findOne({
-        product: productId,
-        slot: slotId,
-      }).session(session);
-      const prevCbm = item ? Number(item.cbm || 0) : 0;
-
-      if (!item) {
-        item = new SlotItem({
-          product: productId,
-          slot: slotId,
-          qty: deltaValue,
-        });
-      } else {
-        item.qty = Number(item.qty || 0) + deltaValue;
-      }
-
-      const wasNew = item.isNew;
-      const saved = await item.save({ session });
-      const nextCbm = Number(saved.cbm || 0);
-      const deltaCbm = nextCbm - prevCbm;
-      if (deltaCbm) {
-        await applySlotOccupancyDelta(slotId, deltaCbm, session);
-      }
+      const { item: saved, deltaCbm, wasNew } = await addSlotItemQty(
+        { productId, slotId, qty: deltaValue },
+        session
+      );
 
       const unitCbm = getUnitCbm(deltaCbm, deltaValue);
       await logInventoryMovement(
@@ -244,6 +234,7 @@ export const adjustSlotItem = asyncHandler(async (req, res) => {
           qty: deltaValue,
           unitCbm: unitCbm || undefined,
           cbm: deltaCbm || undefined,
+          unitCost: unitCostValue,
           actor: req.user?._id || null,
         },
         session
@@ -0,0 +1,201 @@
+// controllers/supplierController.js
+import mongoose from "mongoose";
+import asyncHandler from "../middleware/asyncHandler.js";
+import Supplier from "../models/supplierModel.js";
+import PurchaseOrder from "../models/purchaseOrderModel.js";
+
+const escapeRegex = (text = "") =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const SUPPLIER_FIELDS = [
+  "name",
+  "code",
+  "contactName",
+  "email",
+  "phoneNumber",
+  "address",
+  "country",
+  "notes",
+  "isActive",
+];
+
+const pickSupplierFields = (body = {}) => {
+  const out = {};
+  for (const key of SUPPLIER_FIELDS) {
+    if (typeof body[key] === "undefined") continue;
+    if (key === "isActive") {
+      out.isActive = Boolean(body.isActive);
+      continue;
+    }
+    const value = body[key] == null ? "" : String(body[key]).trim();
+    out[key] = value || undefined;
+  }
+  return out;
+};
+
+/* =========================
+   GET /api/suppliers
+   Private/Admin
+   List suppliers (optional ?q= search, ?active=true|false)
+   ========================= */
+export const getSuppliers = asyncHandler(async (req, res) => {
+  const search = String(req.query.q || "").trim();
+  const active = String(req.query.active || "").trim().toLowerCase();
+
+  const filter = {};
+  if (active === "true") filter.isActive = true;
+  else if (active === "false") filter.isActive = false;
+
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), "i");
+    filter.$or = [
+      { name: regex },
+      { code: regex },
+      { contactName: regex },
+      { email: regex },
+    ];
+  }
+
+  const suppliers = await Supplier.find(filter).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    message: "Suppliers retrieved successfully.",
+    data: suppliers,
+  });
+});
+
+/* =========================
+   GET /api/suppliers/:id
+   Private/Admin
+   Get supplier by ID
+   ========================= */
+export const getSupplierById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid supplier id.");
+  }
+
+  const supplier = await Supplier.findById(id);
+  if (!supplier) {
+    res.status(404);
+    throw new Error("Supplier not found.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Supplier retrieved successfully.",
+    data: supplier,
+  });
+});
+
+/* =========================
+   POST /api/suppliers
+   Private/Admin
+   Create a supplier
+   Body: { name, code?, contactName?, email?, phoneNumber?, address?, country?, notes? }
+   ========================= */
+export const createSupplier = asyncHandler(async (req, res) => {
+  const data = pickSupplierFields(req.body);
+  if (!data.name) {
+    res.status(400);
+    throw new Error("name is required.");
+  }
+
+  if (data.code) {
+    const existing = await Supplier.exists({ code: data.code.toUpperCase() });
+    if (existing) {
+      res.status(409);
+      throw new Error("Supplier code already exists.");
+    }
+  }
+
+  const created = await Supplier.create(data);
+
+  res.status(201).json({
+    success: true,
+    message: "Supplier created successfully.",
+    data: created,
+  });
+});
+
+/* =========================
+   PUT /api/suppliers/:id
+   Private/Admin
+   Update a supplier
+   ========================= */
+export const updateSupplier = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid supplier id.");
+  }
+
+  const supplier = await Supplier.findById(id);
+  if (!supplier) {
+    res.status(404);
+    throw new Error("Supplier not found.");
+  }
+
+  const data = pickSupplierFields(req.body);
+  if ("name" in data && !data.name) {
+    res.status(400);
+    throw new Error("name cannot be empty.");
+  }
+
+  if (data.code) {
+    const existing = await Supplier.exists({
+      _id: { $ne: supplier._id },
+      code: data.code.toUpperCase(),
+    });
+    if (existing) {
+      res.status(409);
+      throw new Error("Supplier code already exists.");
+    }
+  }
+
+  supplier.set(data);
+  const updated = await supplier.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Supplier updated successfully.",
+    data: updated,
+  });
+});
+
+/* =========================
+   DELETE /api/suppliers/:id
+   Private/Admin
+   Delete a supplier (blocked if purchase orders reference it)
+   ========================= */
+export const deleteSupplier = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error("Invalid supplier id.");
+  }
+
+  const supplier = await Supplier.findById(id);
+  if (!supplier) {
+    res.status(404);
+    throw new Error("Supplier not found.");
+  }
+
+  const inUse = await PurchaseOrder.exists({ supplier: supplier._id });
+  if (inUse) {
+    res.status(409);
+    throw new Error(
+      "Supplier has purchase orders. Deactivate it instead of deleting."
+    );
+  }
+
+  await supplier.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Supplier deleted successfully.",
+    data: { id: supplier._id, name: supplier.name },
+  });
+});
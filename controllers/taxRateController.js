@@ -0,0 +1,105 @@
+// controllers/taxRateController.js
+import asyncHandler from "../middleware/asyncHandler.js";
+import TaxRate from "../models/taxRateModel.js";
+import { PRODUCT_TYPES, VAT_CATEGORIES } from "../constants.js";
+import { effectiveVatRate, getStandardVatRate } from "../utils/vat.js";
+
+const assertValidProductType = (res, productType) => {
+  if (!PRODUCT_TYPES.includes(productType)) {
+    res.status(400);
+    throw new Error(
+      `Invalid productType "${productType}". Allowed: ${PRODUCT_TYPES.join(", ")}`
+    );
+  }
+};
+
+/* =========================
+   GET /api/tax-rates
+   Private/Admin
+   VAT treatment for every product type (rows without config use the standard rate)
+   ========================= */
+export const getTaxRates = asyncHandler(async (req, res) => {
+  const rules = await TaxRate.find({}).lean();
+  const ruleByType = new Map(rules.map((r) => [r.productType, r]));
+
+  const data = PRODUCT_TYPES.map((productType) => {
+    const rule = ruleByType.get(productType);
+    const vatCategory = rule?.vatCategory || "Standard";
+    return {
+      productType,
+      vatCategory,
+      ratePercent: rule?.ratePercent ?? null,
+      effectiveRate: effectiveVatRate(vatCategory, rule?.ratePercent),
+      isDefault: !rule,
+      updatedAt: rule?.updatedAt || null,
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Tax rates retrieved successfully.",
+    data: { standardRate: getStandardVatRate(), rates: data },
+  });
+});
+
+/* =========================
+   PUT /api/tax-rates/:productType
+   Private/Admin
+   Set VAT treatment for a product type
+   Body: { vatCategory, ratePercent? }  (ratePercent only for Standard; null = standard rate)
+   Applies to quote lines created after the change; existing lines keep their snapshot.
+   ========================= */
+export const upsertTaxRate = asyncHandler(async (req, res) => {
+  const productType = String(req.params.productType || "").trim();
+  assertValidProductType(res, productType);
+
+  const vatCategory = String(req.body?.vatCategory || "").trim();
+  if (!VAT_CATEGORIES.includes(vatCategory)) {
+    res.status(400);
+    throw new Error(`vatCategory must be one of ${VAT_CATEGORIES.join(", ")}.`);
+  }
+
+  const raw = req.body?.ratePercent;
+  let ratePercent = null;
+  if (vatCategory === "Standard" && raw !== undefined && raw !== null && raw !== "") {
+    ratePercent = Number(raw);
+    if (!Number.isFinite(ratePercent) || ratePercent < 0 || ratePercent > 100) {
+      res.status(400);
+      throw new Error("ratePercent must be between 0 and 100.");
+    }
+  }
+
+  const updated = await TaxRate.findOneAndUpdate(
+    { productType },
+    { $set: { vatCategory, ratePercent } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Tax rate updated successfully.",
+    data: updated,
+  });
+});
+
+/* =========================
+   DELETE /api/tax-rates/:productType
+   Private/Admin
+   Revert a product type to the standard rate
+   ========================= */
+export const deleteTaxRate = asyncHandler(async (req, res) => {
+  const productType = String(req.params.productType || "").trim();
+  assertValidProductType(res, productType);
+
+  const deleted = await TaxRate.findOneAndDelete({ productType });
+  if (!deleted) {
+    res.status(404);
+    throw new Error("No tax rate configured for this product type.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Tax rate removed successfully.",
+    data: { productType },
+  });
+});
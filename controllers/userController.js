@@ -4,8 +4,11 @@ import User from "../models/userModel.js";
 import Order from "../models/orderModel.js";
 import Invoice from "../models/invoiceModel.js";
 import Quote from "../models/quoteModel.js";
+import Receipt from "../models/receiptModel.js";
 import generateToken from "../utils/generateToken.js";
-import sendTelegramAlert from "../utils/sendTelegramAlert.js";
+import { enqueueJobSafe } from "../utils/jobQueue.js";
+import { getBaseCurrency, minorUnitFactorFor, normalizeCurrency } from "../utils/currency.js";
+import { getCustomerCreditBalances } from "../utils/customerWallet.js";
 
 // Forgot password (Resend)
 import crypto from "crypto";
@@ -210,7 +213,7 @@ export const registerUser = asyncHandler(async (req, res) => {
   messageLines.push("");
   messageLines.push(userUrl);
 
-  void sendTelegramAlert(messageLines.join("\n"));
+  void enqueueJobSafe("telegram.alert", { message: messageLines.join("\n") });
 
   return res.status(201).json({
     success: true,
@@ -353,6 +356,7 @@ export const getUserProfile = asyncHandler(async (req, res) => {
       email: user.email,
       phoneNumber: user.phoneNumber,
       address: user.address,
+      trn: user.trn,
       secondaryPhoneNumber: user.secondaryPhoneNumber,
       deliveryGoogleMapsUrl: user.deliveryGoogleMapsUrl,
       deliveryNotes: user.deliveryNotes,
@@ -377,6 +381,7 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
   user.name = req.body.name ?? user.name;
   user.phoneNumber = req.body.phoneNumber ?? user.phoneNumber;
   user.address = req.body.address ?? user.address;
+  user.trn = req.body.trn ?? user.trn;
   user.secondaryPhoneNumber =
     req.body.secondaryPhoneNumber ?? user.secondaryPhoneNumber;
   user.deliveryGoogleMapsUrl =
@@ -394,6 +399,7 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
       email: updatedUser.email,
       phoneNumber: updatedUser.phoneNumber,
       address: updatedUser.address,
+      trn: updatedUser.trn,
       secondaryPhoneNumber: updatedUser.secondaryPhoneNumber,
       deliveryGoogleMapsUrl: updatedUser.deliveryGoogleMapsUrl,
       deliveryNotes: updatedUser.deliveryNotes,
@@ -463,7 +469,7 @@ export const getUsers = asyncHandler(async (req, res) => {
     User.countDocuments(filter),
     User.find(filter)
       .select(
-        "name email phoneNumber secondaryPhoneNumber address deliveryGoogleMapsUrl deliveryNotes isAdmin approvalStatus adminNote createdAt"
+        "name email phoneNumber secondaryPhoneNumber address trn billingCurrency deliveryGoogleMapsUrl deliveryNotes isAdmin approvalStatus adminNote createdAt"
       )
       .sort(sort)
       .skip(skip)
@@ -549,10 +555,12 @@ export const getUserById = asyncHandler(async (req, res) => {
     throw new Error("User not found.");
   }
 
+  const creditBalances = await getCustomerCreditBalances(user._id);
+
   return res.status(200).json({
     success: true,
     message: "User retrieved successfully.",
-    data: user,
+    data: { ...user.toJSON(), creditBalances },
   });
 });
 
@@ -579,13 +587,14 @@ export const deleteUser = asyncHandler(async (req, res) => {
     throw new Error("Only rejected users can be deleted.");
   }
 
-  const [hasOrder, hasInvoice, hasQuote] = await Promise.all([
+  const [hasOrder, hasInvoice, hasQuote, hasReceipt] = await Promise.all([
     Order.exists({ user: user._id }),
     Invoice.exists({ user: user._id }),
     Quote.exists({ user: user._id }),
+    Receipt.exists({ user: user._id }),
   ]);
 
-  if (hasOrder || hasInvoice || hasQuote) {
+  if (hasOrder || hasInvoice || hasQuote || hasReceipt) {
     res.status(400);
     throw new Error("Cannot delete user with linked orders, invoices, or requests.");
   }
@@ -615,6 +624,7 @@ export const updateUser = asyncHandler(async (req, res) => {
   if (req.body.email != null) user.email = req.body.email.trim().toLowerCase();
   if (req.body.phoneNumber != null) user.phoneNumber = req.body.phoneNumber;
   if (req.body.address != null) user.address = req.body.address;
+  if (req.body.trn != null) user.trn = String(req.body.trn).trim();
   if (req.body.secondaryPhoneNumber != null) {
     user.secondaryPhoneNumber = req.body.secondaryPhoneNumber;
   }
@@ -623,6 +633,46 @@ export const updateUser = asyncHandler(async (req, res) => {
   }
   if (req.body.deliveryNotes != null) user.deliveryNotes = req.body.deliveryNotes;
   if (req.body.isAdmin != null) user.isAdmin = Boolean(req.body.isAdmin);
+
+  // Credit terms: null clears (no terms / no limit). creditLimit is in base-currency major units.
+  if (Object.prototype.hasOwnProperty.call(req.body, "paymentTermsDays")) {
+    const raw = req.body.paymentTermsDays;
+    const days = raw === null || raw === "" ? null : Number(raw);
+    if (days !== null && (!Number.isInteger(days) || days < 0 || days > 365)) {
+      res.status(400);
+      throw new Error("paymentTermsDays must be a whole number between 0 and 365.");
+    }
+    user.paymentTermsDays = days;
+  }
+  if (Object.prototype.hasOwnProperty.call(req.body, "creditLimit")) {
+    const raw = req.body.creditLimit;
+    const limit = raw === null || raw === "" ? null : Number(raw);
+    if (limit !== null && (!Number.isFinite(limit) || limit < 0)) {
+      res.status(400);
+      throw new Error("creditLimit must be a non-negative number.");
+    }
+    user.creditLimitMinor =
+      limit === null ? null : Math.round(limit * minorUnitFactorFor(getBaseCurrency()));
+  }
+  // Billing currency for new invoices: null clears (base currency)
+  if (Object.prototype.hasOwnProperty.call(req.body, "billingCurrency")) {
+    const raw = req.body.billingCurrency;
+    const code = raw === null || raw === "" ? null : normalizeCurrency(raw);
+    if (code === "") {
+      res.status(400);
+      throw new Error("billingCurrency must be a 3-letter ISO currency code.");
+    }
+    user.billingCurrency = code;
+  }
+  if (req.body.creditLimitMode != null) {
+    const mode = String(req.body.creditLimitMode);
+    if (!["Block", "Warn"].includes(mode)) {
+      res.status(400);
+      throw new Error("creditLimitMode must be Block or Warn.");
+    }
+    user.creditLimitMode = mode;
+  }
+
   if (Object.prototype.hasOwnProperty.call(req.body, "adminNote")) {
     assignAdminNote(user, req.body.adminNote);
   }
@@ -653,12 +703,17 @@ export const updateUser = asyncHandler(async (req, res) => {
         email: updatedUser.email,
         phoneNumber: updatedUser.phoneNumber,
         address: updatedUser.address,
+        trn: updatedUser.trn,
         secondaryPhoneNumber: updatedUser.secondaryPhoneNumber,
         deliveryGoogleMapsUrl: updatedUser.deliveryGoogleMapsUrl,
         deliveryNotes: updatedUser.deliveryNotes,
         isAdmin: updatedUser.isAdmin,
         approvalStatus: updatedUser.approvalStatus,
         adminNote: updatedUser.adminNote,
+        paymentTermsDays: updatedUser.paymentTermsDays,
+        creditLimitMinor: updatedUser.creditLimitMinor,
+        creditLimitMode: updatedUser.creditLimitMode,
+        billingCurrency: updatedUser.billingCurrency,
       },
     });
   } catch (err) {
@@ -62,6 +62,11 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Shared PDF renderer queue is full / timed out waiting
+  if (err?.name === "PdfRendererBusyError") {
+    statusCode = 503;
+  }
+
   // JWT
   if (err?.name === "JsonWebTokenError") {
     statusCode = 401;
@@ -0,0 +1,82 @@
+// migrations/backfillPaymentReceivers.js
+//
+// One-off: create a PaymentReceiver for every name already used in Payment / Receipt
+// `receivedBy`, then link those documents to it (receiver was null before receivers existed).
+//
+// Usage: node migrations/backfillPaymentReceivers.js [--dry-run]
+//
+// Safe to re-run: existing receivers (matched case-insensitively) are reused and only
+// documents without a receiver are linked. New receivers are created as type "Person";
+// adjust bank accounts / petty cash afterwards via /api/payment-receivers.
+import dotenv from "dotenv";
+dotenv.config();
+import mongoose from "mongoose";
+import Payment from "../models/paymentModel.js";
+import Receipt from "../models/receiptModel.js";
+import PaymentReceiver from "../models/paymentReceiverModel.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Distinct names (case-insensitive), keeping the most used spelling
+const usedNames = async () => {
+  const counts = new Map();
+  for (const Model of [Payment, Receipt]) {
+    const rows = await Model.aggregate([
+      { $project: { name: { $trim: { input: { $ifNull: ["$receivedBy", ""] } } } } },
+      { $match: { name: { $ne: "" } } },
+      { $group: { _id: "$name", count: { $sum: 1 } } },
+    ]);
+    for (const row of rows) {
+      const key = row._id.toLowerCase();
+      const entry = counts.get(key) || { spellings: new Map(), total: 0 };
+      entry.spellings.set(row._id, (entry.spellings.get(row._id) || 0) + row.count);
+      entry.total += row.count;
+      counts.set(key, entry);
+    }
+  }
+
+  return Array.from(counts.values()).map((entry) => {
+    const [name] = Array.from(entry.spellings.entries()).sort((a, b) => b[1] - a[1])[0];
+    return { name, spellings: Array.from(entry.spellings.keys()), total: entry.total };
+  });
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const names = await usedNames();
+  const existing = await PaymentReceiver.find({}).select("name").lean();
+  const byLower = new Map(existing.map((r) => [r.name.toLowerCase(), r]));
+
+  const stats = { receiversCreated: 0, paymentsLinked: 0, receiptsLinked: 0 };
+
+  for (const { name, spellings, total } of names) {
+    let receiver = byLower.get(name.toLowerCase());
+    if (!receiver) {
+      console.log(`+ receiver "${name}" (${total} document(s))`);
+      stats.receiversCreated += 1;
+      if (dryRun) continue;
+      receiver = await PaymentReceiver.create({ name, type: "Person" });
+      byLower.set(name.toLowerCase(), receiver);
+    }
+    if (dryRun) continue;
+
+    const filter = { receiver: null, receivedBy: { $in: spellings } };
+    const update = { $set: { receiver: receiver._id } };
+    const [payments, receipts] = await Promise.all([
+      Payment.updateMany(filter, update, { timestamps: false }),
+      Receipt.updateMany(filter, update, { timestamps: false }),
+    ]);
+    stats.paymentsLinked += payments.modifiedCount || 0;
+    stats.receiptsLinked += receipts.modifiedCount || 0;
+  }
+
+  console.log(dryRun ? "Dry run:" : "Done:", stats);
+};
+
+run()
+  .catch((err) => {
+    console.error("❌ Payment receiver migration failed:", err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
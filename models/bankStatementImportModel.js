@@ -0,0 +1,31 @@
+// models/bankStatementImportModel.js
+import mongoose from "mongoose";
+
+/**
+ * One uploaded bank statement CSV (lines live in BankStatementLine).
+ * Counts are for the upload summary; they are not kept in sync afterwards.
+ */
+const bankStatementImportSchema = new mongoose.Schema(
+  {
+    fileName: { type: String, trim: true, default: "" },
+    accountName: { type: String, trim: true, default: "" },
+    currency: { type: String, trim: true, uppercase: true, required: true },
+    minorUnitFactor: { type: Number, min: 1, default: 100 },
+
+    rowCount: { type: Number, min: 0, default: 0 },
+    importedCount: { type: Number, min: 0, default: 0 },
+    duplicateCount: { type: Number, min: 0, default: 0 },
+    // Debits / zero / unparsable rows (only incoming money is reconciled)
+    skippedCount: { type: Number, min: 0, default: 0 },
+
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+bankStatementImportSchema.index({ createdAt: -1 });
+
+const BankStatementImport =
+  mongoose.models.BankStatementImport ||
+  mongoose.model("BankStatementImport", bankStatementImportSchema);
+export default BankStatementImport;
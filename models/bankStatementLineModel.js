@@ -0,0 +1,63 @@
+// models/bankStatementLineModel.js
+import mongoose from "mongoose";
+
+/**
+ * A credit (money in) line from an imported bank statement.
+ *
+ * - fingerprint is unique: the same line uploaded again (in any later file) is skipped.
+ * - proposals: suggested invoices, best first (utils/bankReconciliation.js).
+ * - Reconciling creates a Receipt for the line amount allocated to the confirmed invoices
+ *   (anything left over stays as customer credit); the line then points to the receipt.
+ */
+export const BANK_LINE_STATUSES = ["Unmatched", "Proposed", "Reconciled", "Ignored"];
+
+const proposalSchema = new mongoose.Schema(
+  {
+    invoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    score: { type: Number, min: 0, default: 0 },
+    reasons: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const bankStatementLineSchema = new mongoose.Schema(
+  {
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankStatementImport",
+      required: true,
+      index: true,
+    },
+    fingerprint: { type: String, required: true, unique: true },
+    rowNumber: { type: Number, min: 1 },
+
+    date: { type: Date, required: true },
+    amountMinor: { type: Number, required: true, min: 1 },
+    currency: { type: String, trim: true, uppercase: true, required: true },
+    minorUnitFactor: { type: Number, min: 1, default: 100 },
+    narrative: { type: String, trim: true, default: "" },
+    reference: { type: String, trim: true, default: "" },
+
+    status: {
+      type: String,
+      enum: BANK_LINE_STATUSES,
+      default: "Unmatched",
+      index: true,
+    },
+    proposals: { type: [proposalSchema], default: [] },
+    matchedAt: { type: Date, default: null },
+
+    receipt: { type: mongoose.Schema.Types.ObjectId, ref: "Receipt", default: null },
+    reconciledAt: { type: Date, default: null },
+    reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+bankStatementLineSchema.index({ status: 1, date: -1 });
+
+const BankStatementLine =
+  mongoose.models.BankStatementLine ||
+  mongoose.model("BankStatementLine", bankStatementLineSchema);
+export default BankStatementLine;
@@ -9,6 +9,12 @@ const categorySchema = new mongoose.Schema(
     imageUrl:    { type: String, trim: true },
     isActive:    { type: Boolean, default: true },
     sort:        { type: Number, default: 0 },
+    // Replenishment defaults for its products (units); null = DEFAULT_REORDER_POINT
+    stockDefaults: {
+      minQty:       { type: Number, min: 0, default: null },
+      maxQty:       { type: Number, min: 0, default: null },
+      reorderPoint: { type: Number, min: 0, default: null },
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,48 @@
+// models/costLayerModel.js
+import mongoose from "mongoose";
+
+/**
+ * Inventory cost layer: one inbound batch of a product at a unit cost.
+ *
+ * - Layers are per product (not per slot); store valuation uses the product's cost.
+ * - unitCost is in the base currency, major units (same convention as Order.unitPrice).
+ * - Outbound movements consume qtyRemaining oldest first (see utils/inventoryCost.js).
+ * - UNCOSTED holds stock that predates costing (unitCost 0, never valued) until an
+ *   opening cost turns it into OPENING.
+ */
+export const COST_LAYER_SOURCES = ["RECEIVE", "ADJUST_IN", "OPENING", "UNCOSTED"];
+
+const costLayerSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      index: true,
+    },
+    source: { type: String, enum: COST_LAYER_SOURCES, required: true },
+    receivedAt: { type: Date, default: Date.now },
+
+    qtyIn: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "qtyIn must be a whole number",
+      },
+    },
+    qtyRemaining: { type: Number, required: true, min: 0 },
+    unitCost: { type: Number, required: true, min: 0 },
+
+    movement: { type: mongoose.Schema.Types.ObjectId, ref: "InventoryMovement", default: null },
+    purchaseOrder: { type: mongoose.Schema.Types.ObjectId, ref: "PurchaseOrder", default: null },
+  },
+  { timestamps: true }
+);
+
+costLayerSchema.index({ product: 1, qtyRemaining: 1, receivedAt: 1 });
+
+const CostLayer =
+  mongoose.models.CostLayer || mongoose.model("CostLayer", costLayerSchema);
+export default CostLayer;
@@ -0,0 +1,375 @@
+// megadie-backend/models/creditNoteModel.js
+import mongoose from "mongoose";
+import { allocateDocumentNumber } from "../utils/documentNumbering.js";
+
+/**
+ * CreditNote (integer minor units, mirrors Invoice currency metadata)
+ *
+ * Key decisions:
+ * - A credit note references ONE Issued invoice and reduces what is owed on it
+ *   without touching the invoice's immutable amountMinor
+ * - Own sequential number series (utils/documentNumbering.js), e.g. CN-2026-000012
+ * - Credit notes are never edited; mistakes are corrected by cancelling
+ * - Refunds record money paid back to the client out of an overpaid invoice
+ * - Hooks keep Invoice.creditedTotalMinor / balanceDueMinor / paymentStatus in sync
+ *   (creditedTotalMinor = sum of Issued credit notes minus their refunds)
+ * - The creditable cap uses the GROSS sum of Issued credit notes: refunding a credit
+ *   note does not free room for more credit on the invoice
+ */
+
+const creditNoteItemSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true, trim: true },
+    // Optional link to the returned product (e.g. damaged rolls)
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+    qty: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "qty must be a whole number",
+      },
+    },
+    unitPriceMinor: { type: Number, required: true, min: 0 },
+    lineTotalMinor: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    amountMinor: { type: Number, required: true, min: 1 },
+    method: {
+      type: String,
+      enum: ["Cash", "Bank Transfer", "Credit Card", "Cheque", "Other"],
+      required: true,
+    },
+    refundedAt: { type: Date, default: Date.now },
+    reference: { type: String, trim: true },
+    note: { type: String, trim: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: true, timestamps: true }
+);
+
+const creditNoteSchema = new mongoose.Schema(
+  {
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: true,
+      immutable: true,
+      index: true,
+    },
+
+    // Mirrors invoice.user for fast filtering
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      immutable: true,
+      index: true,
+    },
+
+    creditNoteNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+
+    items: {
+      type: [creditNoteItemSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "Credit note must contain at least one item.",
+      },
+      required: true,
+    },
+
+    amountMinor: {
+      type: Number,
+      required: true,
+      min: 1,
+      immutable: true,
+    },
+
+    // Copied from the invoice at creation time
+    currency: { type: String, trim: true, uppercase: true, default: "AED" },
+    minorUnitFactor: { type: Number, default: 100, min: 1 },
+
+    // Accounting date (used on statements); defaults to creation time
+    creditDate: { type: Date, default: Date.now, index: true },
+
+    reason: { type: String, trim: true },
+
+    status: {
+      type: String,
+      enum: ["Issued", "Cancelled"],
+      default: "Issued",
+      index: true,
+    },
+    cancelledAt: { type: Date },
+    cancelReason: { type: String, trim: true },
+
+    refunds: { type: [refundSchema], default: [] },
+    refundedMinor: { type: Number, default: 0, min: 0 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/* ---------------------------------------
+   Validation, numbering, rules
+---------------------------------- */
+creditNoteSchema.pre("validate", async function (next) {
+  try {
+    const items = Array.isArray(this.items) ? this.items : [];
+    for (const item of items) {
+      if (!Number.isInteger(item.unitPriceMinor) || item.unitPriceMinor < 0) {
+        return next(new Error("unitPriceMinor must be a non-negative integer."));
+      }
+      item.lineTotalMinor = item.qty * item.unitPriceMinor;
+    }
+
+    this.refundedMinor = (this.refunds || []).reduce(
+      (sum, r) => sum + (Number(r.amountMinor) || 0),
+      0
+    );
+    if (this.refundedMinor > (Number(this.amountMinor) || 0)) {
+      return next(new Error("Refunds cannot exceed the credit note amount."));
+    }
+
+    if (this.isNew) {
+      const total = items.reduce((sum, it) => sum + it.lineTotalMinor, 0);
+      if (!Number.isInteger(this.amountMinor)) this.amountMinor = total;
+      if (this.amountMinor !== total) {
+        return next(new Error("Credit note amount must equal the sum of its items."));
+      }
+      if (!Number.isInteger(this.amountMinor) || this.amountMinor <= 0) {
+        return next(new Error("Credit note amountMinor must be a positive integer."));
+      }
+
+      const Invoice = mongoose.model("Invoice");
+      const inv = await Invoice.findById(this.invoice)
+        .select("_id user status amountMinor currency minorUnitFactor")
+        .session(this.$session())
+        .lean();
+
+      if (!inv) return next(new Error("Invoice not found."));
+
+      // Creation rule: credit notes can only be raised against Issued invoices.
+      if (inv.status !== "Issued") {
+        return next(new Error("Credit notes can only be issued against Issued invoices."));
+      }
+
+      if (!this.user) this.user = inv.user;
+      if (String(this.user) !== String(inv.user)) {
+        return next(new Error("Credit note user must match the invoice user."));
+      }
+
+      const alreadyCredited = await this.constructor.issuedTotalMinor(this.invoice, {
+        excludeId: this._id,
+        session: this.$session(),
+      });
+      const creditable = Math.max(0, (Number(inv.amountMinor) || 0) - alreadyCredited);
+      if (this.amountMinor > creditable) {
+        return next(new Error("Credit note exceeds the remaining creditable invoice amount."));
+      }
+
+      this.currency = inv.currency || this.currency;
+      this.minorUnitFactor = inv.minorUnitFactor || this.minorUnitFactor;
+
+      if (!this.creditNoteNumber) {
+        this.creditNoteNumber = await allocateDocumentNumber("CreditNote", {
+          session: this.$session(),
+        });
+      }
+    }
+
+    if (this.status === "Cancelled" && !this.cancelledAt) {
+      this.cancelledAt = new Date();
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* ---------------------------------------
+   Invoice cache sync (CONCURRENCY SAFE)
+---------------------------------- */
+
+/**
+ * Atomically apply a delta to Invoice.creditedTotalMinor and recompute
+ * balanceDueMinor / paymentStatus (same rules as the Payment hooks).
+ *
+ * NOTE: Requires MongoDB 4.2+ (pipeline updates).
+ */
+async function applyInvoiceCreditDeltaMinorAtomic(invoiceId, deltaMinor, session = null) {
+  const Invoice = mongoose.model("Invoice");
+
+  const delta = Number.isInteger(deltaMinor) ? deltaMinor : Number(deltaMinor) || 0;
+  if (!delta) return;
+
+  await Invoice.updateOne(
+    { _id: invoiceId },
+    [
+      {
+        $set: {
+          creditedTotalMinor: {
+            $max: [0, { $add: [{ $ifNull: ["$creditedTotalMinor", 0] }, delta] }],
+          },
+        },
+      },
+      {
+        $set: {
+          balanceDueMinor: {
+            $max: [
+              0,
+              {
+                $subtract: [
+                  "$amountMinor",
+                  { $add: ["$paidTotalMinor", "$creditedTotalMinor"] },
+                ],
+              },
+            ],
+          },
+          paymentStatus: {
+            $cond: [
+              { $lte: [{ $add: ["$paidTotalMinor", "$creditedTotalMinor"] }, 0] },
+              "Unpaid",
+              {
+                $cond: [
+                  {
+                    $gte: [
+                      { $add: ["$paidTotalMinor", "$creditedTotalMinor"] },
+                      "$amountMinor",
+                    ],
+                  },
+                  "Paid",
+                  "PartiallyPaid",
+                ],
+              },
+            ],
+          },
+          updatedAt: "$$NOW",
+        },
+      },
+    ],
+    { session }
+  );
+}
+
+/**
+ * Net credit this note currently contributes to its invoice.
+ */
+function effectiveCreditMinor(doc) {
+  if (!doc || doc.status !== "Issued") return 0;
+  return Math.max(0, (Number(doc.amountMinor) || 0) - (Number(doc.refundedMinor) || 0));
+}
+
+/**
+ * Track the contribution before save so post-save can apply the difference
+ * (new credit note, cancellation, refunds).
+ */
+creditNoteSchema.pre("save", async function (next) {
+  try {
+    if (this.isNew) {
+      this._prevEffectiveMinor = 0;
+    } else {
+      const prev = await this.constructor
+        .findById(this._id)
+        .select("status amountMinor refundedMinor")
+        .session(this.$session())
+        .lean();
+      this._prevEffectiveMinor = effectiveCreditMinor(prev);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+creditNoteSchema.post("save", async function (doc, next) {
+  try {
+    const delta = effectiveCreditMinor(doc) - (doc._prevEffectiveMinor || 0);
+    if (delta) {
+      await applyInvoiceCreditDeltaMinorAtomic(doc.invoice, delta, doc.$session());
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* ---------------------------------------
+   Deletion rule
+   - Only Cancelled credit notes can be deleted (their credit is already reversed)
+   - Invoice deletion removes its credit notes via deleteMany (no hooks needed)
+---------------------------------- */
+creditNoteSchema.pre(
+  "deleteOne",
+  { document: true, query: false },
+  function (next) {
+    if (this.status !== "Cancelled") {
+      return next(new Error("Only Cancelled credit notes can be deleted."));
+    }
+    next();
+  }
+);
+
+creditNoteSchema.pre("findOneAndDelete", async function (next) {
+  try {
+    const doc = await this.model
+      .findOne(this.getQuery())
+      .select("_id status")
+      .lean();
+    if (!doc) return next();
+
+    if (doc.status !== "Cancelled") {
+      return next(new Error("Only Cancelled credit notes can be deleted."));
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Gross amount of an invoice's Issued credit notes (refunds not deducted).
+ */
+creditNoteSchema.statics.issuedTotalMinor = async function (
+  invoiceId,
+  { excludeId = null, session = null } = {}
+) {
+  const match = {
+    invoice: new mongoose.Types.ObjectId(String(invoiceId)),
+    status: "Issued",
+  };
+  if (excludeId) match._id = { $ne: excludeId };
+
+  const [row] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: "$amountMinor" } } },
+  ]).session(session);
+  return row?.total || 0;
+};
+
+/* ---------------------------------------
+   Indexes
+---------------------------------- */
+creditNoteSchema.index({ invoice: 1, creditDate: -1 });
+creditNoteSchema.index({ user: 1, creditDate: -1 });
+creditNoteSchema.index({ status: 1, createdAt: -1 });
+
+const CreditNote =
+  mongoose.models.CreditNote || mongoose.model("CreditNote", creditNoteSchema);
+export default CreditNote;
@@ -0,0 +1,48 @@
+// models/cycleCountModel.js
+import mongoose from "mongoose";
+import { SLOT_STORES, SLOT_UNITS } from "../constants.js";
+
+/**
+ * A planned stock-take over a store/unit range.
+ *
+ * - Creating a session generates one CycleCountTask per active slot in the range.
+ * - Counters submit blind counts per task; variances are posted as ADJUST_IN/ADJUST_OUT
+ *   movements only after a supervisor approves them.
+ * - A session is Closed once no task is left to count or review.
+ */
+export const CYCLE_COUNT_STATUSES = ["Open", "Closed", "Cancelled"];
+
+const cycleCountSchema = new mongoose.Schema(
+  {
+    store: { type: String, required: true, trim: true, enum: SLOT_STORES },
+    units: {
+      type: [{ type: String, enum: SLOT_UNITS }],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "At least one unit is required.",
+      },
+    },
+    status: {
+      type: String,
+      enum: CYCLE_COUNT_STATUSES,
+      default: "Open",
+      index: true,
+    },
+    note: { type: String, trim: true },
+
+    // Task counts at creation; slots with Reserved allocations are flagged on their task
+    taskCount: { type: Number, min: 0, default: 0 },
+    flaggedTaskCount: { type: Number, min: 0, default: 0 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    closedAt: { type: Date, default: null },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+cycleCountSchema.index({ store: 1, status: 1, createdAt: -1 });
+
+const CycleCount =
+  mongoose.models.CycleCount || mongoose.model("CycleCount", cycleCountSchema);
+export default CycleCount;
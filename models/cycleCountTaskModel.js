@@ -0,0 +1,79 @@
+// models/cycleCountTaskModel.js
+import mongoose from "mongoose";
+
+/**
+ * Count task for one slot within a CycleCount session.
+ *
+ * - Pending  -> Counted (blind count submitted; expectedQty/varianceQty snapshotted from
+ *   SlotItem at submission and hidden from counters)
+ * - Counted  -> Posted (supervisor approved; variances posted as adjustments) or back to
+ *   Pending (rejected for a recount)
+ * - A count with no variance is Posted straight away (nothing to approve).
+ * - reservedQty flags slots holding Reserved allocations at creation; posting can never
+ *   take a product below what is reserved in the slot.
+ */
+export const CYCLE_COUNT_TASK_STATUSES = ["Pending", "Counted", "Posted", "Cancelled"];
+
+const countLineSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    countedQty: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: "countedQty must be a whole number",
+      },
+    },
+    expectedQty: { type: Number, min: 0, default: 0 },
+    varianceQty: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const cycleCountTaskSchema = new mongoose.Schema(
+  {
+    cycleCount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CycleCount",
+      required: true,
+      index: true,
+    },
+    slot: { type: mongoose.Schema.Types.ObjectId, ref: "Slot", required: true, index: true },
+    slotLabel: { type: String, trim: true },
+
+    status: {
+      type: String,
+      enum: CYCLE_COUNT_TASK_STATUSES,
+      default: "Pending",
+      index: true,
+    },
+
+    // Reserved allocations in the slot when the session was created
+    hasReservedAllocations: { type: Boolean, default: false },
+    reservedQty: { type: Number, min: 0, default: 0 },
+
+    lines: { type: [countLineSchema], default: [] },
+    hasVariance: { type: Boolean, default: false },
+
+    countedAt: { type: Date, default: null },
+    countedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    countNote: { type: String, trim: true },
+    recountCount: { type: Number, min: 0, default: 0 },
+
+    reviewedAt: { type: Date, default: null },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    reviewNote: { type: String, trim: true },
+    postedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+cycleCountTaskSchema.index({ cycleCount: 1, slot: 1 }, { unique: true });
+cycleCountTaskSchema.index({ slot: 1, status: 1 });
+
+const CycleCountTask =
+  mongoose.models.CycleCountTask ||
+  mongoose.model("CycleCountTask", cycleCountTaskSchema);
+export default CycleCountTask;
@@ -0,0 +1,25 @@
+// models/documentCounterModel.js
+import mongoose from "mongoose";
+import { NUMBERED_DOCUMENT_TYPES } from "../constants.js";
+
+/**
+ * Running sequence per document type and period.
+ * - period: "ALL" when the series never resets, else the fiscal year (e.g. "2026").
+ * - Only moved via $inc inside the creating transaction (utils/documentNumbering.js),
+ *   so an aborted transaction gives the number back and the series stays gap-free.
+ */
+const documentCounterSchema = new mongoose.Schema(
+  {
+    docType: { type: String, enum: NUMBERED_DOCUMENT_TYPES, required: true },
+    period: { type: String, required: true, trim: true },
+    seq: { type: Number, required: true, min: 0, default: 0 },
+  },
+  { timestamps: true }
+);
+
+documentCounterSchema.index({ docType: 1, period: 1 }, { unique: true });
+
+const DocumentCounter =
+  mongoose.models.DocumentCounter ||
+  mongoose.model("DocumentCounter", documentCounterSchema);
+export default DocumentCounter;
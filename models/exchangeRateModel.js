@@ -0,0 +1,32 @@
+// models/exchangeRateModel.js
+import mongoose from "mongoose";
+
+/**
+ * Admin-maintained exchange rates (history, never edited in place).
+ * rate = base-currency units per 1 unit of `currency`, effective from `effectiveDate`.
+ * The rate used for an invoice is captured on the invoice itself.
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "currency must be a 3-letter ISO code"],
+    },
+    rate: { type: Number, required: true, min: 0.000001 },
+    effectiveDate: { type: Date, required: true, default: Date.now },
+    source: { type: String, trim: true, maxlength: 200 },
+    note: { type: String, trim: true, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+exchangeRateSchema.index({ currency: 1, effectiveDate: -1 });
+
+const ExchangeRate =
+  mongoose.models.ExchangeRate ||
+  mongoose.model("ExchangeRate", exchangeRateSchema);
+export default ExchangeRate;
@@ -6,7 +6,15 @@ const movementSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ["ADJUST_IN", "ADJUST_OUT", "MOVE", "RESERVE", "RELEASE", "DEDUCT"],
+      enum: [
+        "ADJUST_IN",
+        "ADJUST_OUT",
+        "MOVE",
+        "RESERVE",
+        "RELEASE",
+        "DEDUCT",
+        "RECEIVE",
+      ],
       index: true,
     },
     product: {
@@ -39,12 +47,23 @@ const movementSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Goods receiving (RECEIVE)
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+      index: true,
+    },
+
     actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
     note: { type: String, trim: true },
 
     unitCbm: { type: Number, min: 0 },
     cbm: { type: Number, min: 0 },
 
+    // Cost (base currency, major units): inbound layer cost or outbound cost of goods
+    unitCost: { type: Number, min: 0 },
+    totalCost: { type: Number, min: 0 },
+
     meta: { type: mongoose.Schema.Types.Mixed },
     eventAt: { type: Date, default: Date.now, index: true },
   },
@@ -56,6 +75,7 @@ movementSchema.index({ slot: 1, eventAt: -1 });
 movementSchema.index({ fromSlot: 1, eventAt: -1 });
 movementSchema.index({ toSlot: 1, eventAt: -1 });
 movementSchema.index({ order: 1, eventAt: -1 });
+movementSchema.index({ purchaseOrder: 1, eventAt: -1 });
 movementSchema.index({ actor: 1, eventAt: -1 });
 movementSchema.index({ type: 1, eventAt: -1 });
 
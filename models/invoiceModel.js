@@ -1,6 +1,7 @@
 // megadie-backend/models/invoiceModel.js
 import mongoose from "mongoose";
-import crypto from "crypto";
+import { allocateDocumentNumber } from "../utils/documentNumbering.js";
+import { VAT_CATEGORIES } from "../constants.js";
 
 /**
  * Invoice (currency-agnostic, integer minor units)
@@ -10,6 +11,10 @@ import crypto from "crypto";
  * - Optional currency metadata is stored (currency, minorUnitFactor) for future multi-currency support
  * - Cached paid/status fields live on Invoice for fast "unpaid" queries and list pages
  * - Only Cancelled invoices can be deleted; deleting a Cancelled invoice deletes linked payments
+ *   and credit notes
+ * - Corrections after issue go through CreditNote (creditedTotalMinor), never amountMinor
+ * - amountMinor is the gross (VAT-inclusive) amount; netAmountMinor + vatAmountMinor break it down
+ * - Bill-to details are snapshotted (customerSnapshot) at creation; PDFs never read the live User
  */
 
 const invoiceItemSchema = new mongoose.Schema(
@@ -26,6 +31,51 @@ const invoiceItemSchema = new mongoose.Schema(
     },
     unitPriceMinor: { type: Number, required: true, min: 0 },
     lineTotalMinor: { type: Number, required: true, min: 0 },
+    // VAT on this line (lineTotalMinor is net)
+    vatCategory: { type: String, enum: [...VAT_CATEGORIES, null], default: null },
+    vatRate: { type: Number, min: 0, max: 100, default: 0 },
+    vatMinor: { type: Number, min: 0, default: 0 },
+  },
+  { _id: false }
+);
+
+const invoiceReminderSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    offsetDays: { type: Number, required: true },
+    channel: { type: String, enum: ["Email"], default: "Email" },
+    to: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ["Sending", "Sent", "Failed"],
+      default: "Sending",
+    },
+    sentAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 1, min: 1 },
+    error: { type: String, trim: true },
+  }
+);
+
+const vatSummarySchema = new mongoose.Schema(
+  {
+    vatCategory: { type: String, enum: [...VAT_CATEGORIES, null], default: null },
+    vatRate: { type: Number, min: 0, max: 100, default: 0 },
+    netMinor: { type: Number, min: 0, default: 0 },
+    vatMinor: { type: Number, min: 0, default: 0 },
+  },
+  { _id: false }
+);
+
+const customerSnapshotSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true },
+    email: { type: String, trim: true },
+    phoneNumber: { type: String, trim: true },
+    trn: { type: String, trim: true },
+    address: { type: String, trim: true },
+    deliveryGoogleMapsUrl: { type: String, trim: true },
+    deliveryNotes: { type: String, trim: true },
+    capturedAt: { type: Date },
   },
   { _id: false }
 );
@@ -39,6 +89,9 @@ const invoiceSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Bill-to details at creation (null on legacy invoices -> fall back to user)
+    customerSnapshot: { type: customerSnapshotSchema, default: null },
+
     source: {
       type: String,
       enum: ["Order", "Manual"],
@@ -67,11 +120,18 @@ const invoiceSchema = new mongoose.Schema(
     },
 
     /**
-     * Optional currency metadata (safe to add now; doesn’t force AED naming)
-     * - currency: ISO 4217 code (e.g., "AED", "USD", "EUR", "JPY")
+     * VAT breakdown of amountMinor (integer minor units).
+     * Legacy invoices (pre-VAT) have netAmountMinor null -> amountMinor is net, no VAT.
+     */
+    netAmountMinor: { type: Number, min: 0, default: null, immutable: true },
+    vatAmountMinor: { type: Number, min: 0, default: 0, immutable: true },
+    vatSummary: { type: [vatSummarySchema], default: [] },
+
+    /**
+     * Currency metadata
+     * - currency: ISO 4217 code (e.g., "AED", "USD", "EUR", "JPY"); defaults to the
+     *   customer's billingCurrency, else the base currency
      * - minorUnitFactor: how many minor units in 1 major unit (100 for cents/fils, 1 for JPY, etc.)
-     *
-     * If you don’t want currency yet, you can keep defaults and ignore at UI level.
      */
     currency: {
       type: String,
@@ -86,6 +146,16 @@ const invoiceSchema = new mongoose.Schema(
       min: 1,
     },
 
+    /**
+     * Exchange rate captured at issue: base-currency units per 1 unit of `currency`
+     * (1 when billed in the base currency). Reports convert with this, never today's rate.
+     */
+    exchangeRate: { type: Number, default: 1, min: 0, immutable: true },
+    exchangeRateId: { type: mongoose.Schema.Types.ObjectId, ref: "ExchangeRate", default: null },
+    exchangeRateDate: { type: Date, default: null },
+    baseCurrency: { type: String, trim: true, uppercase: true, default: "AED" },
+    baseAmountMinor: { type: Number, min: 0, default: null, immutable: true },
+
     invoiceNumber: {
       type: String,
       required: true,
@@ -110,9 +180,10 @@ const invoiceSchema = new mongoose.Schema(
 
     /**
      * Cached summary fields for fast list filtering:
-     * - updated by Payment hooks
+     * - updated by Payment and CreditNote hooks
      */
     paidTotalMinor: { type: Number, default: 0, min: 0 },
+    creditedTotalMinor: { type: Number, default: 0, min: 0 },
     balanceDueMinor: { type: Number, default: 0, min: 0 },
     paymentStatus: {
       type: String,
@@ -120,6 +191,12 @@ const invoiceSchema = new mongoose.Schema(
       default: "Unpaid",
       index: true,
     },
+
+    /**
+     * Payment reminders sent to the customer (see utils/invoiceReminders.js).
+     * key = schedule stage (e.g. "D-3", "D+7"); one entry per key, retries reuse it.
+     */
+    reminders: { type: [invoiceReminderSchema], default: [] },
   },
   {
     timestamps: true,
@@ -131,21 +208,24 @@ const invoiceSchema = new mongoose.Schema(
 /* ---------------------------------
    Helpers
 ---------------------------------- */
-function computePaymentStatus(amountMinor, paidTotalMinor) {
+// Credits count towards settlement the same way payments do
+function computePaymentStatus(amountMinor, paidTotalMinor, creditedTotalMinor = 0) {
   const a = Math.max(0, Number(amountMinor) || 0);
   const p = Math.max(0, Number(paidTotalMinor) || 0);
+  const c = Math.max(0, Number(creditedTotalMinor) || 0);
 
-  if (p <= 0) return "Unpaid";
-  if (p >= a) return "Paid";
+  if (p + c <= 0) return "Unpaid";
+  if (p + c >= a) return "Paid";
   return "PartiallyPaid";
 }
 
 invoiceSchema.methods.recomputeCaches = function recomputeCaches() {
   const amountMinor = Math.max(0, Number(this.amountMinor) || 0);
   const paidMinor = Math.max(0, Number(this.paidTotalMinor) || 0);
+  const creditedMinor = Math.max(0, Number(this.creditedTotalMinor) || 0);
 
-  this.balanceDueMinor = Math.max(0, amountMinor - paidMinor);
-  this.paymentStatus = computePaymentStatus(amountMinor, paidMinor);
+  this.balanceDueMinor = Math.max(0, amountMinor - paidMinor - creditedMinor);
+  this.paymentStatus = computePaymentStatus(amountMinor, paidMinor, creditedMinor);
 };
 
 /* ---------------------------------
@@ -178,28 +258,11 @@ invoiceSchema.pre("validate", async function (next) {
       }
     }
 
-    // Generate invoiceNumber if missing
+    // Sequential invoice number (gap-free when created inside a transaction)
     if (!this.invoiceNumber) {
-      const now = new Date();
-      const yy = String(now.getFullYear()).slice(-2);
-      const mm = String(now.getMonth() + 1).padStart(2, "0");
-      const dd = String(now.getDate()).padStart(2, "0");
-
-      for (let i = 0; i < 5; i++) {
-        const rand = crypto.randomBytes(3).toString("hex").toUpperCase(); // 6 chars
-        const candidate = `INV-${yy}${mm}${dd}-${rand}`;
-        const exists = await this.constructor.exists({
-          invoiceNumber: candidate,
-        });
-        if (!exists) {
-          this.invoiceNumber = candidate;
-          break;
-        }
-      }
-
-      if (!this.invoiceNumber) {
-        return next(new Error("Failed to generate a unique invoice number."));
-      }
+      this.invoiceNumber = await allocateDocumentNumber("Invoice", {
+        session: this.$session(),
+      });
     }
 
     // Ensure caches are correct at creation
@@ -224,7 +287,7 @@ invoiceSchema.pre("validate", async function (next) {
 ---------------------------------- */
 invoiceSchema.pre("save", function (next) {
   try {
-    if (this.isModified("paidTotalMinor")) {
+    if (this.isModified("paidTotalMinor") || this.isModified("creditedTotalMinor")) {
       this.recomputeCaches();
     }
     next();
@@ -242,10 +305,19 @@ invoiceSchema.virtual("payments", {
   foreignField: "invoice",
 });
 
+/* ---------------------------------
+   Virtual populate: credit notes
+---------------------------------- */
+invoiceSchema.virtual("creditNotes", {
+  ref: "CreditNote",
+  localField: "_id",
+  foreignField: "invoice",
+});
+
 /* ---------------------------------
    Deletion rule + cascade payments
    - Only Cancelled invoices can be deleted
-   - Deleting a Cancelled invoice deletes all linked payments
+   - Deleting a Cancelled invoice deletes all linked payments and credit notes
 ---------------------------------- */
 
 // Document deletion: invoiceDoc.deleteOne()
@@ -260,6 +332,8 @@ invoiceSchema.pre(
 
       const Payment = mongoose.model("Payment");
       await Payment.deleteMany({ invoice: this._id }); // ok because invoice is being deleted anyway
+      const CreditNote = mongoose.model("CreditNote");
+      await CreditNote.deleteMany({ invoice: this._id });
       next();
     } catch (err) {
       next(err);
@@ -282,6 +356,8 @@ invoiceSchema.pre("findOneAndDelete", async function (next) {
 
     const Payment = mongoose.model("Payment");
     await Payment.deleteMany({ invoice: doc._id });
+    const CreditNote = mongoose.model("CreditNote");
+    await CreditNote.deleteMany({ invoice: doc._id });
     next();
   } catch (err) {
     next(err);
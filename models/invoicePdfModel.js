@@ -0,0 +1,50 @@
+// models/invoicePdfModel.js
+import mongoose from "mongoose";
+
+/**
+ * Archived invoice PDF (one row per rendered version).
+ *
+ * - The PDF bytes live in GridFS (bucket "invoicePdfs"); this row is the index.
+ * - Version 1 is rendered at issue time; admins can "regenerate" to add a new version.
+ * - Old versions are never overwritten or deleted, so the document a customer
+ *   received can always be reproduced (sha256 is verified on read).
+ */
+export const INVOICE_PDF_REASONS = ["Issued", "Regenerated", "Backfill"];
+
+const invoicePdfSchema = new mongoose.Schema(
+  {
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: true,
+      immutable: true,
+    },
+    version: { type: Number, required: true, min: 1, immutable: true },
+
+    fileId: { type: mongoose.Schema.Types.ObjectId, required: true, immutable: true },
+    fileName: { type: String, required: true, trim: true },
+    sha256: { type: String, required: true, immutable: true },
+    size: { type: Number, required: true, min: 0 },
+
+    reason: { type: String, enum: INVOICE_PDF_REASONS, default: "Issued" },
+    note: { type: String, trim: true, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+invoicePdfSchema.index({ invoice: 1, version: 1 }, { unique: true });
+
+invoicePdfSchema.set("toJSON", {
+  versionKey: false,
+  virtuals: true,
+  transform: (_doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+  },
+});
+
+const InvoicePdf =
+  mongoose.models.InvoicePdf || mongoose.model("InvoicePdf", invoicePdfSchema);
+
+export default InvoicePdf;
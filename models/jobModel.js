@@ -0,0 +1,75 @@
+// models/jobModel.js
+import mongoose from "mongoose";
+
+/**
+ * Background job (in-process, Mongo-backed queue — see utils/jobQueue.js)
+ *
+ * Lifecycle:
+ *   Queued -> Running -> Succeeded
+ *                     -> Queued (retry with backoff, runAt pushed forward)
+ *                     -> Dead   (attempts exhausted; admin can retry)
+ */
+
+export const JOB_STATUSES = ["Queued", "Running", "Succeeded", "Dead"];
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true, trim: true, index: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "Queued",
+      index: true,
+    },
+
+    attempts: { type: Number, default: 0, min: 0 },
+    maxAttempts: { type: Number, default: 5, min: 1 },
+
+    // Earliest time the job may run (pushed forward on retry)
+    runAt: { type: Date, default: Date.now },
+
+    // Worker lease
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+
+    lastError: { type: String, trim: true },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    finishedAt: { type: Date },
+
+    // Optional: at most one live job per key (e.g. "occupancy:store-A")
+    dedupeKey: { type: String, trim: true, default: null },
+    // Queued/Running; kept in step with status by utils/jobQueue.js (and admin retry)
+    active: { type: Boolean, default: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+// Filter on the `active` flag, not status $in: $in partial filters need MongoDB 6.0+
+jobSchema.index(
+  { dedupeKey: 1, active: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      dedupeKey: { $type: "string" },
+      active: true,
+    },
+  }
+);
+
+jobSchema.set("toJSON", {
+  versionKey: false,
+  virtuals: true,
+  transform: (_doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+  },
+});
+
+const Job = mongoose.models.Job || mongoose.model("Job", jobSchema);
+export default Job;
@@ -0,0 +1,25 @@
+// models/lowStockDigestModel.js
+import mongoose from "mongoose";
+
+/**
+ * One row per day the low-stock digest ran.
+ * - dayKey is unique, so the digest is idempotent across restarts / instances.
+ * - products: everything at or below its reorder point that day; the next digest only
+ *   announces products that were not on this list (i.e. newly crossed).
+ */
+const lowStockDigestSchema = new mongoose.Schema(
+  {
+    dayKey: { type: String, required: true, unique: true, trim: true }, // YYYY-MM-DD
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    crossedCount: { type: Number, default: 0, min: 0 },
+    belowCount: { type: Number, default: 0, min: 0 },
+    sentAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+const LowStockDigest =
+  mongoose.models.LowStockDigest ||
+  mongoose.model("LowStockDigest", lowStockDigestSchema);
+
+export default LowStockDigest;
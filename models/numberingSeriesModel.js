@@ -0,0 +1,32 @@
+// models/numberingSeriesModel.js
+import mongoose from "mongoose";
+import { NUMBERED_DOCUMENT_TYPES } from "../constants.js";
+
+/**
+ * Number format per document type (admin-configurable).
+ * Types without a row use the defaults in utils/documentNumbering.js.
+ * Running counters live in DocumentCounter.
+ */
+const numberingSeriesSchema = new mongoose.Schema(
+  {
+    docType: {
+      type: String,
+      enum: NUMBERED_DOCUMENT_TYPES,
+      required: true,
+      unique: true,
+    },
+    prefix: { type: String, required: true, trim: true, maxlength: 12 },
+    // Tokens: {PREFIX} {FY} {YYYY} {YY} {MM} {DD} {SEQ}
+    pattern: { type: String, required: true, trim: true, maxlength: 60 },
+    padding: { type: Number, min: 1, max: 12, default: 6 },
+    resetYearly: { type: Boolean, default: true },
+    // 1 = January (calendar fiscal year)
+    fiscalYearStartMonth: { type: Number, min: 1, max: 12, default: 1 },
+  },
+  { timestamps: true }
+);
+
+const NumberingSeries =
+  mongoose.models.NumberingSeries ||
+  mongoose.model("NumberingSeries", numberingSeriesSchema);
+export default NumberingSeries;
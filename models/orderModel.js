@@ -1,6 +1,9 @@
 // models/orderModel.js (MVP Clean)
 import mongoose from "mongoose";
-import crypto from "crypto";
+import { allocateDocumentNumber } from "../utils/documentNumbering.js";
+import { VAT_CATEGORIES } from "../constants.js";
+import { roundToTwo } from "../utils/rounding.js";
+import { computeDocumentVat } from "../utils/vat.js";
 
 /* ========== Subschemas ========== */
 const OrderItemSchema = new mongoose.Schema(
@@ -19,6 +22,38 @@ const OrderItemSchema = new mongoose.Schema(
     },
     unitPrice: { type: Number, required: true, min: 0 },
     lineTotal: { type: Number, default: 0, min: 0 },
+    // VAT snapshot copied from the quote line
+    vatCategory: { type: String, enum: [...VAT_CATEGORIES, null], default: null },
+    vatRate:     { type: Number, min: 0, max: 100, default: null },
+  },
+  { _id: false }
+);
+
+// Amounts are integer minor units (same as Invoice)
+const CreditCheckSchema = new mongoose.Schema(
+  {
+    mode:             { type: String, enum: ["Block", "Warn"] },
+    limitMinor:       { type: Number },
+    outstandingMinor: { type: Number },
+    orderMinor:       { type: Number },
+    overriddenBy:     { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    overriddenAt:     { type: Date },
+    overrideReason:   { type: String, trim: true, maxlength: 500 },
+  },
+  { _id: false }
+);
+
+// Billing/delivery details as they were when the order was created
+const CustomerSnapshotSchema = new mongoose.Schema(
+  {
+    name:                  { type: String, trim: true },
+    email:                 { type: String, trim: true },
+    phoneNumber:           { type: String, trim: true },
+    trn:                   { type: String, trim: true },
+    address:               { type: String, trim: true },
+    deliveryGoogleMapsUrl: { type: String, trim: true },
+    deliveryNotes:         { type: String, trim: true },
+    capturedAt:            { type: Date },
   },
   { _id: false }
 );
@@ -44,10 +79,22 @@ const orderSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Customer details at order time (render from this, not the live User)
+    customerSnapshot: { type: CustomerSnapshotSchema, default: null },
+
     totalPrice:     { type: Number, required: true, default: 0, min: 0 },
     deliveryCharge: { type: Number, required: true, default: 0, min: 0 },
     extraFee:       { type: Number, required: true, default: 0, min: 0 },
 
+    // VAT (major units). totalPrice stays net; grandTotal = totalPrice + vatTotal
+    // vatRate null = order created before VAT support (untaxed)
+    vatRate:    { type: Number, min: 0, max: 100, default: null },
+    vatTotal:   { type: Number, default: 0, min: 0 },
+    grandTotal: { type: Number, default: 0, min: 0 },
+
+    // Credit limit snapshot when the order pushed the customer over their limit
+    creditCheck: { type: CreditCheckSchema, default: null },
+
     deliveredBy: { type: String },
     deliveredAt: { type: Date },
 
@@ -67,6 +114,8 @@ const orderSchema = new mongoose.Schema(
     },
     allocatedAt: { type: Date },
     stockFinalizedAt: { type: Date },
+    // Cost of the deducted stock (base currency, major units; see utils/inventoryCost.js)
+    costOfGoods: { type: Number, min: 0, default: null },
 
     clientToAdminNote: { type: String },
     adminToAdminNote:  { type: String },
@@ -99,15 +148,6 @@ orderSchema.path("quote").validate(function (val) {
 /* ========== Hooks ========== */
 orderSchema.pre("validate", function (next) {
   try {
-    if (this.isNew && !this.orderNumber) {
-      const now = new Date();
-      const yy = String(now.getFullYear()).slice(-2);
-      const mm = String(now.getMonth() + 1).padStart(2, "0");
-      const dd = String(now.getDate()).padStart(2, "0");
-      const randomHex = crypto.randomBytes(3).toString("hex").toUpperCase();
-      this.orderNumber = `ORD-${yy}${mm}${dd}-${randomHex}`;
-    }
-
     let itemsSum = 0;
     this.orderItems = (this.orderItems || []).map((it) => {
       const unit = typeof it.unitPrice === "number" ? it.unitPrice : 0;
@@ -122,6 +162,15 @@ orderSchema.pre("validate", function (next) {
     const extra    = this.extraFee || 0;
     this.totalPrice = Math.max(0, itemsSum + delivery + extra);
 
+    const vat = computeDocumentVat({
+      items: this.orderItems,
+      deliveryCharge: delivery,
+      extraFee: extra,
+      vatRate: this.vatRate,
+    });
+    this.vatTotal = vat.vatMinor / 100;
+    this.grandTotal = roundToTwo(this.totalPrice + this.vatTotal);
+
     if (this.status === "Delivered" && !this.deliveredAt) {
       this.deliveredAt = new Date();
     }
@@ -132,6 +181,15 @@ orderSchema.pre("validate", function (next) {
   }
 });
 
+// Sequential number (runs after the checks above so a rejected order never consumes one)
+orderSchema.pre("validate", async function () {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await allocateDocumentNumber("Order", {
+      session: this.$session(),
+    });
+  }
+});
+
 /* ========== Serialization ========== */
 orderSchema.set("toJSON", {
   virtuals: true,
@@ -0,0 +1,22 @@
+// models/overdueDigestModel.js
+import mongoose from "mongoose";
+
+/**
+ * One row per day the overdue digest was posted to the admin channel.
+ * The unique dayKey makes the digest idempotent across restarts / multiple instances.
+ */
+const overdueDigestSchema = new mongoose.Schema(
+  {
+    dayKey: { type: String, required: true, unique: true, trim: true }, // YYYY-MM-DD
+    invoiceCount: { type: Number, default: 0, min: 0 },
+    totalMinor: { type: Number, default: 0, min: 0 }, // base currency minor units
+    sentAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+const OverdueDigest =
+  mongoose.models.OverdueDigest ||
+  mongoose.model("OverdueDigest", overdueDigestSchema);
+
+export default OverdueDigest;
@@ -1,5 +1,6 @@
 // megadie-backend/models/paymentModel.js
 import mongoose from "mongoose";
+import { PAYMENT_STATUSES, PAYMENT_VOID_TYPES } from "../constants.js";
 
 /**
  * Payment (currency-agnostic, integer minor units)
@@ -7,21 +8,22 @@ import mongoose from "mongoose";
  * Key decisions:
  * - No refunds: payments are always positive amountMinor > 0
  * - Payment belongs to an Issued invoice only (at creation time)
+ * - A payment never exceeds the invoice's balance due; money above it is recorded as
+ *   customer credit (Receipt.unappliedMinor) instead of being clamped away
  * - Payment mirrors invoice.user (immutable) for fast filtering
  * - Hooks keep Invoice.paidTotalMinor / balanceDueMinor / paymentStatus in sync
+ * - A customer-level Receipt can be split into several Payments (one per invoice);
+ *   hooks also keep Receipt.appliedMinor / unappliedMinor in sync
+ * - Hooks run in the document's session, so allocations commit/abort as one
+ * - Payments are never deleted by the app: they are voided (status "Voided", reason/actor/time
+ *   kept) and drop out of the invoice/receipt caches; a bounced cheque is a void of type
+ *   "BouncedCheque" that can carry a bank-charge invoice
  *
  * IMPORTANT:
  * - Invoice cache updates are done via an ATOMIC update pipeline to avoid concurrency bugs.
  * - Invoice.updatedAt IS updated when payments are created/deleted (so activity shows up in UI).
  */
 
-export const RECEIVED_BY_OPTIONS = [
-  "Azad",
-  "Momani",
-  "Company Account",
-  "Ahmad Emad",
-];
-
 const paymentSchema = new mongoose.Schema(
   {
     invoice: {
@@ -31,6 +33,15 @@ const paymentSchema = new mongoose.Schema(
       immutable: true,
     },
 
+    // Customer-level receipt this payment was allocated from (null = direct invoice payment)
+    receipt: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Receipt",
+      default: null,
+      immutable: true,
+      index: true,
+    },
+
     // Mirrors invoice.user for fast filtering
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -60,16 +71,44 @@ const paymentSchema = new mongoose.Schema(
       immutable: true,
     },
 
+    // Set when received in a currency other than the invoice's:
+    // amountMinor = receivedAmountMinor converted at exchangeRate (invoice units per 1 received unit)
+    receivedCurrency: { type: String, trim: true, uppercase: true, immutable: true },
+    receivedAmountMinor: { type: Number, min: 1, immutable: true },
+    receivedMinorUnitFactor: { type: Number, min: 1, immutable: true },
+    exchangeRate: { type: Number, min: 0, immutable: true },
+
     note: { type: String, trim: true },
     reference: { type: String, trim: true },
 
-    // Who received / processed the payment
+    // Who received / processed the payment (PaymentReceiver; null on legacy payments)
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentReceiver",
+      default: null,
+      index: true,
+    },
+    // Receiver name snapshot (legacy payments only have this)
     receivedBy: {
       type: String,
       required: true,
       trim: true,
-      enum: RECEIVED_BY_OPTIONS,
     },
+
+    // Void / reversal (legacy payments have no status: treated as Posted)
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "Posted",
+      index: true,
+    },
+    voidType: { type: String, enum: [...PAYMENT_VOID_TYPES, null], default: null },
+    voidReason: { type: String, trim: true },
+    voidedAt: { type: Date, default: null },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Bounced cheque: fee re-charged to the customer on its own invoice
+    bankChargeMinor: { type: Number, min: 0, default: 0 },
+    bankChargeInvoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", default: null },
   },
   {
     timestamps: true,
@@ -90,7 +129,10 @@ paymentSchema.pre("validate", async function (next) {
 
     const Invoice = mongoose.model("Invoice");
     const inv = await Invoice.findById(this.invoice)
-      .select("_id user status amountMinor paidTotalMinor currency minorUnitFactor")
+      .select(
+        "_id user status amountMinor paidTotalMinor creditedTotalMinor currency minorUnitFactor"
+      )
+      .session(this.$session())
       .lean();
 
     if (!inv) return next(new Error("Invoice not found."));
@@ -107,17 +149,28 @@ paymentSchema.pre("validate", async function (next) {
       return next(new Error("Payment user must match the invoice user."));
     }
 
-    /**
-     * Optional strict overpay prevention.
-     * If true, blocks paidTotalMinor + amountMinor > invoice.amountMinor.
-     * If false, overpay is allowed (invoice will still show Paid when paid >= amount).
-     */
-    const BLOCK_OVERPAY = false;
-    if (BLOCK_OVERPAY) {
-      const paid = Math.max(0, Number(inv.paidTotalMinor) || 0);
-      const totalIfAdded = paid + this.amountMinor;
-      if (totalIfAdded > (Number(inv.amountMinor) || 0)) {
-        return next(new Error("Payment exceeds invoice amount."));
+    if (this.isNew && this.receipt) {
+      const Receipt = mongoose.model("Receipt");
+      const receipt = await Receipt.findById(this.receipt)
+        .select("user currency")
+        .session(this.$session())
+        .lean();
+      if (!receipt) return next(new Error("Receipt not found."));
+      if (String(receipt.user) !== String(inv.user)) {
+        return next(new Error("Receipt user must match the invoice user."));
+      }
+      if (receipt.currency !== inv.currency) {
+        return next(new Error("Receipt currency must match the invoice currency."));
+      }
+    }
+
+    // Overpay prevention: the excess belongs on a Receipt as customer credit
+    if (this.isNew) {
+      const settled =
+        Math.max(0, Number(inv.paidTotalMinor) || 0) +
+        Math.max(0, Number(inv.creditedTotalMinor) || 0);
+      if (settled + this.amountMinor > (Number(inv.amountMinor) || 0)) {
+        return next(new Error("Payment exceeds the invoice balance due."));
       }
     }
 
@@ -132,18 +185,19 @@ paymentSchema.pre("validate", async function (next) {
 ---------------------------------- */
 
 /**
- * Atomically apply a delta to Invoice.paidTotalMinor and recompute:
- * - balanceDueMinor = max(0, amountMinor - paidTotalMinor)
+ * Atomically apply a delta to Invoice.paidTotalMinor and recompute
+ * (settled = paidTotalMinor + creditedTotalMinor from credit notes):
+ * - balanceDueMinor = max(0, amountMinor - settled)
  * - paymentStatus:
- *    - Unpaid if paidTotalMinor <= 0
- *    - Paid if paidTotalMinor >= amountMinor
+ *    - Unpaid if settled <= 0
+ *    - Paid if settled >= amountMinor
  *    - PartiallyPaid otherwise
  *
  * Also updates Invoice.updatedAt to "now" (so payment activity updates invoice recency).
  *
  * NOTE: Requires MongoDB 4.2+ (pipeline updates).
  */
-async function applyInvoiceDeltaMinorAtomic(invoiceId, deltaMinor) {
+async function applyInvoiceDeltaMinorAtomic(invoiceId, deltaMinor, session = null) {
   const Invoice = mongoose.model("Invoice");
 
   // Guard: only integers
@@ -161,19 +215,27 @@ async function applyInvoiceDeltaMinorAtomic(invoiceId, deltaMinor) {
           },
         },
       },
-      // Stage 2: recompute derived caches + bump updatedAt
+      // Stage 2: settled total (payments + credit notes)
+      {
+        $set: {
+          _settledMinor: {
+            $add: ["$paidTotalMinor", { $ifNull: ["$creditedTotalMinor", 0] }],
+          },
+        },
+      },
+      // Stage 3: recompute derived caches + bump updatedAt
       {
         $set: {
           balanceDueMinor: {
-            $max: [0, { $subtract: ["$amountMinor", "$paidTotalMinor"] }],
+            $max: [0, { $subtract: ["$amountMinor", "$_settledMinor"] }],
           },
           paymentStatus: {
             $cond: [
-              { $lte: ["$paidTotalMinor", 0] },
+              { $lte: ["$_settledMinor", 0] },
               "Unpaid",
               {
                 $cond: [
-                  { $gte: ["$paidTotalMinor", "$amountMinor"] },
+                  { $gte: ["$_settledMinor", "$amountMinor"] },
                   "Paid",
                   "PartiallyPaid",
                 ],
@@ -184,7 +246,50 @@ async function applyInvoiceDeltaMinorAtomic(invoiceId, deltaMinor) {
           updatedAt: "$$NOW",
         },
       },
-    ]
+      { $unset: "_settledMinor" },
+    ],
+    { session }
+  );
+}
+
+/**
+ * Atomically apply a delta to Receipt.appliedMinor and recompute
+ * unappliedMinor = amountMinor - appliedMinor - refundedMinor.
+ */
+async function applyReceiptDeltaMinorAtomic(receiptId, deltaMinor, session = null) {
+  if (!receiptId) return;
+  const Receipt = mongoose.model("Receipt");
+
+  const delta = Number.isInteger(deltaMinor) ? deltaMinor : Number(deltaMinor) || 0;
+  if (!delta) return;
+
+  // Voided receipts hold no credit; never recompute it back
+  await Receipt.updateOne(
+    { _id: receiptId, status: { $ne: "Voided" } },
+    [
+      {
+        $set: {
+          appliedMinor: { $max: [0, { $add: ["$appliedMinor", delta] }] },
+        },
+      },
+      {
+        $set: {
+          unappliedMinor: {
+            $max: [
+              0,
+              {
+                $subtract: [
+                  "$amountMinor",
+                  { $add: ["$appliedMinor", { $ifNull: ["$refundedMinor", 0] }] },
+                ],
+              },
+            ],
+          },
+          updatedAt: "$$NOW",
+        },
+      },
+    ],
+    { session }
   );
 }
 
@@ -200,7 +305,9 @@ paymentSchema.pre("save", function (next) {
 paymentSchema.post("save", async function (doc, next) {
   try {
     if (doc._wasNew) {
-      await applyInvoiceDeltaMinorAtomic(doc.invoice, doc.amountMinor);
+      const session = doc.$session();
+      await applyInvoiceDeltaMinorAtomic(doc.invoice, doc.amountMinor, session);
+      await applyReceiptDeltaMinorAtomic(doc.receipt, doc.amountMinor, session);
     }
     next();
   } catch (err) {
@@ -209,7 +316,38 @@ paymentSchema.post("save", async function (doc, next) {
 });
 
 /**
- * Deletions: apply negative delta.
+ * Void a payment: mark it Voided and take it out of the invoice (and receipt) caches.
+ * Atomic per payment; returns the voided doc, or null if missing / already voided.
+ * Pass a session to void together with other writes (e.g. a bank-charge invoice).
+ */
+paymentSchema.statics.voidPayment = async function (
+  paymentId,
+  { reason, voidType = "Void", actorId = null, bankChargeMinor = 0, bankChargeInvoice = null, session = null }
+) {
+  const doc = await this.findOneAndUpdate(
+    { _id: paymentId, status: { $ne: "Voided" } },
+    {
+      $set: {
+        status: "Voided",
+        voidType,
+        voidReason: reason,
+        voidedAt: new Date(),
+        voidedBy: actorId,
+        bankChargeMinor,
+        bankChargeInvoice,
+      },
+    },
+    { new: true, session }
+  );
+  if (!doc) return null;
+
+  await applyInvoiceDeltaMinorAtomic(doc.invoice, -doc.amountMinor, session);
+  await applyReceiptDeltaMinorAtomic(doc.receipt, -doc.amountMinor, session);
+  return doc;
+};
+
+/**
+ * Deletions: apply negative delta (voided payments are already out of the caches).
  * Note: This runs for deleteOne() doc middleware and for findOneAndDelete query middleware.
  * It will NOT run for deleteMany (MongoDB doesn't run per-doc middleware for that).
  */
@@ -220,7 +358,10 @@ paymentSchema.pre(
   { document: true, query: false },
   async function (next) {
     try {
-      await applyInvoiceDeltaMinorAtomic(this.invoice, -this.amountMinor);
+      if (this.status === "Voided") return next();
+      const session = this.$session();
+      await applyInvoiceDeltaMinorAtomic(this.invoice, -this.amountMinor, session);
+      await applyReceiptDeltaMinorAtomic(this.receipt, -this.amountMinor, session);
       next();
     } catch (err) {
       next(err);
@@ -231,14 +372,17 @@ paymentSchema.pre(
 // Query deletion: Payment.findByIdAndDelete / findOneAndDelete
 paymentSchema.pre("findOneAndDelete", async function (next) {
   try {
+    const session = this.getOptions().session || null;
     const doc = await this.model
       .findOne(this.getQuery())
-      .select("invoice amountMinor")
+      .select("invoice receipt amountMinor status")
+      .session(session)
       .lean();
 
-    if (!doc) return next();
+    if (!doc || doc.status === "Voided") return next();
 
-    await applyInvoiceDeltaMinorAtomic(doc.invoice, -doc.amountMinor);
+    await applyInvoiceDeltaMinorAtomic(doc.invoice, -doc.amountMinor, session);
+    await applyReceiptDeltaMinorAtomic(doc.receipt, -doc.amountMinor, session);
     next();
   } catch (err) {
     next(err);
@@ -0,0 +1,30 @@
+// models/paymentReceiverModel.js
+import mongoose from "mongoose";
+import { PAYMENT_RECEIVER_TYPES } from "../constants.js";
+
+/**
+ * A person or account that takes customer money (staff member, bank account, petty cash).
+ * Payments/Receipts reference the receiver and keep its name in `receivedBy` as a snapshot.
+ * Receivers that were used are deactivated, never deleted, so history stays readable.
+ */
+const paymentReceiverSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true, maxlength: 80 },
+    type: {
+      type: String,
+      enum: PAYMENT_RECEIVER_TYPES,
+      required: true,
+      default: "Person",
+    },
+    // Optional link to the staff user account
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    isActive: { type: Boolean, default: true, index: true },
+    note: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+const PaymentReceiver =
+  mongoose.models.PaymentReceiver ||
+  mongoose.model("PaymentReceiver", paymentReceiverSchema);
+export default PaymentReceiver;
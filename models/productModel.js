@@ -140,6 +140,13 @@ const productSchema = new mongoose.Schema(
     description: { type: String, trim: true },
     sort: { type: Number },
     isActive: { type: Boolean, default: true },
+
+    // Replenishment levels (units); null inherits the category's stockDefaults
+    stockLevels: {
+      minQty: { type: Number, min: 0, default: null },
+      maxQty: { type: Number, min: 0, default: null },
+      reorderPoint: { type: Number, min: 0, default: null },
+    },
   },
   { timestamps: true }
 );
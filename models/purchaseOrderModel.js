@@ -0,0 +1,168 @@
+// models/purchaseOrderModel.js
+import mongoose from "mongoose";
+import { allocateDocumentNumber } from "../utils/documentNumbering.js";
+
+export const PURCHASE_ORDER_STATUSES = [
+  "Draft",
+  "Sent",
+  "PartiallyReceived",
+  "Received",
+  "Cancelled",
+];
+
+// Statuses whose outstanding qty counts as inbound stock
+export const PURCHASE_ORDER_OPEN_STATUSES = ["Sent", "PartiallyReceived"];
+
+/* ========== Subschemas ========== */
+const PurchaseOrderLineSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    sku: { type: String, trim: true },
+    productName: { type: String, trim: true },
+    qtyOrdered: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "qtyOrdered must be a whole number",
+      },
+    },
+    qtyReceived: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: "qtyReceived must be a whole number",
+      },
+    },
+    // Cost per unit in major units (same convention as Order.unitPrice)
+    unitCost: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const ReceiptLineSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    slot: { type: mongoose.Schema.Types.ObjectId, ref: "Slot", required: true },
+    qty: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "qty must be a whole number",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const ReceiptSchema = new mongoose.Schema(
+  {
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: { type: String, trim: true },
+    lines: { type: [ReceiptLineSchema], default: [] },
+  },
+  { _id: true }
+);
+
+/* ========== Main schema ========== */
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: { type: String, required: true, unique: true, index: true },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: PURCHASE_ORDER_STATUSES,
+      default: "Draft",
+      index: true,
+    },
+
+    lines: {
+      type: [PurchaseOrderLineSchema],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0,
+        message: "At least one purchase order line is required.",
+      },
+      required: true,
+    },
+
+    currency: { type: String, trim: true, uppercase: true, default: "AED" },
+    totalCost: { type: Number, default: 0, min: 0 },
+
+    expectedAt: { type: Date, index: true },
+    sentAt: { type: Date },
+    receivedAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancelReason: { type: String, trim: true },
+
+    receipts: { type: [ReceiptSchema], default: [] },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    supplierReference: { type: String, trim: true },
+    note: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+/* ========== Hooks ========== */
+purchaseOrderSchema.pre("validate", function (next) {
+  try {
+    let total = 0;
+    for (const line of this.lines || []) {
+      const qty = Number(line.qtyOrdered) || 0;
+      const cost = Number(line.unitCost) || 0;
+      if (Number(line.qtyReceived) > qty) {
+        return next(new Error("qtyReceived cannot exceed qtyOrdered."));
+      }
+      total += Math.max(0, qty * cost);
+    }
+    this.totalCost = total;
+
+    if (this.status === "Cancelled" && !this.cancelledAt) {
+      this.cancelledAt = new Date();
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sequential number (runs after the checks above so a rejected PO never consumes one)
+purchaseOrderSchema.pre("validate", async function () {
+  if (this.isNew && !this.poNumber) {
+    this.poNumber = await allocateDocumentNumber("PurchaseOrder", {
+      session: this.$session(),
+    });
+  }
+});
+
+/* ========== Serialization ========== */
+purchaseOrderSchema.set("toJSON", {
+  virtuals: true,
+  versionKey: false,
+  transform: (_doc, ret) => { ret.id = ret._id; return ret; },
+});
+
+/* ========== Indexes ========== */
+purchaseOrderSchema.index({ createdAt: -1, _id: -1 });
+purchaseOrderSchema.index({ status: 1, createdAt: -1, _id: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1, _id: -1 });
+purchaseOrderSchema.index({ "lines.product": 1, status: 1 });
+
+const PurchaseOrder =
+  mongoose.models.PurchaseOrder ||
+  mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+export default PurchaseOrder;
@@ -1,6 +1,9 @@
 // models/quoteModel.js (MVP additions + availabilityCheckedAt)
 import mongoose from "mongoose";
-import crypto from "crypto";
+import { allocateDocumentNumber } from "../utils/documentNumbering.js";
+import { VAT_CATEGORIES } from "../constants.js";
+import { roundToTwo } from "../utils/rounding.js";
+import { applyQuoteVat, computeDocumentVat } from "../utils/vat.js";
 
 /* =========================
    Subschema: Requested Item
@@ -25,15 +28,22 @@ const requestedItemSchema = new mongoose.Schema(
     // ✅ unitPrice can be 0
     unitPrice: { type: Number, required: true, default: 0, min: [0, "Unit price cannot be negative"] },
 
+    // VAT snapshot (filled from product type on save; admin can override per line)
+    vatCategory: { type: String, enum: [...VAT_CATEGORIES, null], default: null },
+    vatRate:     { type: Number, min: 0, max: 100, default: null },
+
     // Pricing rule code (legacy; pricing derives from Product at assign time)
     priceRule: { type: String, trim: true, default: null },
 
     /* ---- Availability snapshot (computed in controller/service, NOT here) ---- */
     availableNow: { type: Number, required: true, default: 0, min: 0 },
     shortage:     { type: Number, required: true, default: 0, min: 0 },
+    // Outstanding qty on open purchase orders + earliest expected date
+    incomingQty:        { type: Number, default: 0, min: 0 },
+    incomingExpectedAt: { type: Date, default: null },
     availabilityStatus: {
       type: String,
-      enum: ["AVAILABLE", "PARTIAL", "SHORTAGE", "NOT_AVAILABLE"],
+      enum: ["AVAILABLE", "PARTIAL", "SHORTAGE", "INCOMING", "NOT_AVAILABLE"],
       default: "NOT_AVAILABLE",
       required: true,
     },
@@ -49,7 +59,7 @@ const quoteSchema = new mongoose.Schema(
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
 
     // ✅ Human-friendly quote identifier (like orderNumber)
-    // Format: QTE-YYMMDD-XXXXXX
+    // Sequential, e.g. QTE-2026-000123 (utils/documentNumbering.js)
     quoteNumber: { type: String, required: true, unique: true, index: true },
 
     // ✅ Link to Order (set when admin creates an order from this quote)
@@ -75,6 +85,12 @@ const quoteSchema = new mongoose.Schema(
     extraFee:       { type: Number, required: true, default: 0, min: [0, "Extra fee cannot be negative"] },
     totalPrice:     { type: Number, required: true, default: 0, min: [0, "Total price cannot be negative"] },
 
+    // VAT preview (major units). totalPrice stays net; grandTotal = totalPrice + vatTotal
+    // vatRate = standard rate snapshot applied to delivery charge + extra fee
+    vatRate:    { type: Number, min: 0, max: 100, default: null },
+    vatTotal:   { type: Number, default: 0, min: 0 },
+    grandTotal: { type: Number, default: 0, min: 0 },
+
     status: {
       type: String,
       enum: ["Processing", "Quoted", "Confirmed", "Cancelled"],
@@ -136,23 +152,20 @@ quoteSchema.virtual("isOrderCreated").get(function () {
 /* =========================
    Hooks
    ========================= */
-// Generate quote number before validation (required/unique)
-quoteSchema.pre("validate", function (next) {
-  try {
-    if (!this.quoteNumber) {
-      const now = new Date();
-      const yy = String(now.getFullYear()).slice(-2);
-      const mm = String(now.getMonth() + 1).padStart(2, "0");
-      const dd = String(now.getDate()).padStart(2, "0");
-      const randomHex = crypto.randomBytes(3).toString("hex").toUpperCase();
-      this.quoteNumber = `QTE-${yy}${mm}${dd}-${randomHex}`;
-    }
-    next();
-  } catch (err) {
-    next(err);
+// Allocate the sequential quote number before validation (required/unique)
+quoteSchema.pre("validate", async function () {
+  if (!this.quoteNumber) {
+    this.quoteNumber = await allocateDocumentNumber("Quote", {
+      session: this.$session(),
+    });
   }
 });
 
+// Snapshot VAT for new lines before totals are computed
+quoteSchema.pre("save", async function () {
+  await applyQuoteVat(this, this.$session());
+});
+
 // Recompute totals before save (availability snapshot is computed elsewhere)
 quoteSchema.pre("save", function (next) {
   const items = this.requestedItems || [];
@@ -167,6 +180,15 @@ quoteSchema.pre("save", function (next) {
   const extra = Math.max(0, Number(this.extraFee || 0));
 
   this.totalPrice = Math.max(0, itemsTotal + delivery + extra);
+
+  const vat = computeDocumentVat({
+    items,
+    deliveryCharge: delivery,
+    extraFee: extra,
+    vatRate: this.vatRate,
+  });
+  this.vatTotal = vat.vatMinor / 100;
+  this.grandTotal = roundToTwo(this.totalPrice + this.vatTotal);
   next();
 });
 
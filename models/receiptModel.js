@@ -0,0 +1,205 @@
+// megadie-backend/models/receiptModel.js
+import mongoose from "mongoose";
+import { allocateDocumentNumber } from "../utils/documentNumbering.js";
+import { PAYMENT_STATUSES, PAYMENT_VOID_TYPES } from "../constants.js";
+
+/**
+ * Receipt (customer-level money received, integer minor units)
+ *
+ * - One receipt (e.g. a single bank transfer) can settle several invoices.
+ * - Each allocation is a Payment { receipt, invoice, amountMinor }, so the existing
+ *   Payment hooks keep every invoice's paidTotalMinor / balanceDueMinor in sync.
+ * - appliedMinor / unappliedMinor are caches maintained by the Payment hooks;
+ *   unappliedMinor is customer credit that can be applied to invoices later.
+ * - Overpayments on an invoice are recorded as a receipt whose remainder stays unapplied.
+ * - Refunds pay unapplied credit back to the client:
+ *   unappliedMinor = amountMinor - appliedMinor - refundedMinor
+ * - Allocations only go to invoices in the receipt's currency.
+ * - Voiding (e.g. a bounced cheque) voids every allocation, re-opening those invoices,
+ *   and zeroes the unapplied credit; the receipt stays on record as Voided.
+ */
+
+const receiptRefundSchema = new mongoose.Schema(
+  {
+    amountMinor: { type: Number, required: true, min: 1 },
+    method: {
+      type: String,
+      enum: ["Cash", "Bank Transfer", "Credit Card", "Cheque", "Other"],
+      required: true,
+    },
+    refundedAt: { type: Date, default: Date.now },
+    reference: { type: String, trim: true },
+    note: { type: String, trim: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: true, timestamps: true }
+);
+const receiptSchema = new mongoose.Schema(
+  {
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      immutable: true,
+      index: true,
+    },
+
+    currency: { type: String, trim: true, uppercase: true, required: true, immutable: true },
+    minorUnitFactor: { type: Number, min: 1, default: 100, immutable: true },
+
+    amountMinor: {
+      type: Number,
+      required: true,
+      min: 1,
+      immutable: true,
+    },
+
+    // Caches (Payment hooks / refunds)
+    appliedMinor: { type: Number, min: 0, default: 0 },
+    refundedMinor: { type: Number, min: 0, default: 0 },
+    unappliedMinor: { type: Number, min: 0, default: 0, index: true },
+
+    refunds: { type: [receiptRefundSchema], default: [] },
+
+    // Set when received in another currency (see Payment): amountMinor is the converted amount
+    receivedCurrency: { type: String, trim: true, uppercase: true, immutable: true },
+    receivedAmountMinor: { type: Number, min: 1, immutable: true },
+    receivedMinorUnitFactor: { type: Number, min: 1, immutable: true },
+    exchangeRate: { type: Number, min: 0, immutable: true },
+
+    paymentMethod: {
+      type: String,
+      enum: ["Cash", "Bank Transfer", "Credit Card", "Cheque", "Other"],
+      required: true,
+      immutable: true,
+    },
+
+    paymentDate: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+
+    note: { type: String, trim: true },
+    reference: { type: String, trim: true },
+
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentReceiver",
+      default: null,
+      index: true,
+    },
+    // Receiver name snapshot
+    receivedBy: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    // Void / reversal (legacy receipts have no status: treated as Posted)
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "Posted",
+      index: true,
+    },
+    voidType: { type: String, enum: [...PAYMENT_VOID_TYPES, null], default: null },
+    voidReason: { type: String, trim: true },
+    voidedAt: { type: Date, default: null },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Bounced cheque: fee re-charged to the customer on its own invoice
+    bankChargeMinor: { type: Number, min: 0, default: 0 },
+    bankChargeInvoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+receiptSchema.pre("validate", async function (next) {
+  try {
+    if (!Number.isInteger(this.amountMinor) || this.amountMinor <= 0) {
+      return next(new Error("Receipt amountMinor must be a positive integer."));
+    }
+
+    if (this.isNew) {
+      this.appliedMinor = 0;
+      this.refundedMinor = 0;
+      this.unappliedMinor = this.amountMinor;
+
+      if (!this.receiptNumber) {
+        this.receiptNumber = await allocateDocumentNumber("Receipt", {
+          session: this.$session(),
+        });
+      }
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Void a receipt: mark it Voided with nothing applied or unapplied (guarded update first,
+ * so nothing else is touched when it can't be voided), then void each of its posted
+ * allocations (Payment.voidPayment re-opens the invoices).
+ * Receipts with refunds cannot be voided (the refunded money was already paid out).
+ * Returns the voided doc, or null if missing / already voided / refunded.
+ */
+receiptSchema.statics.voidReceipt = async function (
+  receiptId,
+  { reason, voidType = "Void", actorId = null, bankChargeMinor = 0, bankChargeInvoice = null, session = null }
+) {
+  const Payment = mongoose.model("Payment");
+
+  const receipt = await this.findOneAndUpdate(
+    { _id: receiptId, status: { $ne: "Voided" }, refundedMinor: { $lte: 0 } },
+    {
+      $set: {
+        status: "Voided",
+        voidType,
+        voidReason: reason,
+        voidedAt: new Date(),
+        voidedBy: actorId,
+        bankChargeMinor,
+        bankChargeInvoice,
+        appliedMinor: 0,
+        unappliedMinor: 0,
+      },
+    },
+    { new: true, session }
+  );
+  if (!receipt) return null;
+
+  // The receipt is already Voided, so these no longer move its (zeroed) caches
+  const allocations = await Payment.find({
+    receipt: receipt._id,
+    status: { $ne: "Voided" },
+  })
+    .select("_id")
+    .session(session)
+    .lean();
+  for (const allocation of allocations) {
+    await Payment.voidPayment(allocation._id, { reason, voidType, actorId, session });
+  }
+
+  return receipt;
+};
+
+receiptSchema.index({ user: 1, paymentDate: -1 });
+receiptSchema.index({ user: 1, currency: 1, unappliedMinor: 1 });
+
+const Receipt = mongoose.models.Receipt || mongoose.model("Receipt", receiptSchema);
+export default Receipt;
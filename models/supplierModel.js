@@ -0,0 +1,44 @@
+// models/supplierModel.js
+import mongoose from "mongoose";
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    code: { type: String, trim: true, uppercase: true },
+
+    contactName: { type: String, trim: true },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, "Please enter a valid email address"],
+    },
+    phoneNumber: { type: String, trim: true },
+    address: { type: String, trim: true },
+    country: { type: String, trim: true },
+
+    notes: { type: String, trim: true, maxlength: 2000 },
+    isActive: { type: Boolean, default: true, index: true },
+  },
+  { timestamps: true }
+);
+
+supplierSchema.index({ name: 1 });
+supplierSchema.index(
+  { code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: "string" } } }
+);
+
+supplierSchema.set("toJSON", {
+  versionKey: false,
+  virtuals: true,
+  transform: (_doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+  },
+});
+
+const Supplier =
+  mongoose.models.Supplier || mongoose.model("Supplier", supplierSchema);
+
+export default Supplier;
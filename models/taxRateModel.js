@@ -0,0 +1,33 @@
+// models/taxRateModel.js
+import mongoose from "mongoose";
+import { PRODUCT_TYPES, VAT_CATEGORIES } from "../constants.js";
+
+/**
+ * VAT treatment per product type.
+ * Product types without a row use the standard rate (VAT_RATE env, default 5%).
+ * ratePercent only applies to Standard; ZeroRated/Exempt always charge 0%.
+ */
+const taxRateSchema = new mongoose.Schema(
+  {
+    productType: {
+      type: String,
+      enum: PRODUCT_TYPES,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    vatCategory: {
+      type: String,
+      enum: VAT_CATEGORIES,
+      required: true,
+      default: "Standard",
+    },
+    // null = use the standard rate
+    ratePercent: { type: Number, min: 0, max: 100, default: null },
+  },
+  { timestamps: true }
+);
+
+const TaxRate =
+  mongoose.models.TaxRate || mongoose.model("TaxRate", taxRateSchema);
+export default TaxRate;
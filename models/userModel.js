@@ -25,6 +25,8 @@ const userSchema = new mongoose.Schema(
       },
     },
     address: { type: String, trim: true },
+    // Tax Registration Number (UAE VAT, 15 digits) printed on tax invoices
+    trn: { type: String, trim: true, match: [/^\d{15}$/, "TRN must be 15 digits"] },
     secondaryPhoneNumber: { type: String, trim: true },
     deliveryGoogleMapsUrl: { type: String, trim: true },
     deliveryNotes: { type: String, trim: true, maxlength: 1000, default: "" },
@@ -40,6 +42,19 @@ const userSchema = new mongoose.Schema(
     rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     adminNote: { type: String, trim: true, maxlength: 2000, default: "" },
 
+    /* =========================
+       Credit & payment terms
+       =========================
+       paymentTermsDays: default invoice due date = invoice date + N days (null = none).
+       creditLimitMinor: max outstanding balance in integer base-currency minor units (null = no limit).
+       creditLimitMode: Block rejects new orders over the limit; Warn only records it. */
+    paymentTermsDays: { type: Number, min: 0, max: 365, default: null },
+    creditLimitMinor: { type: Number, min: 0, default: null },
+    creditLimitMode: { type: String, enum: ["Block", "Warn"], default: "Block" },
+
+    // ISO 4217 currency new invoices are issued in (null = base currency)
+    billingCurrency: { type: String, trim: true, uppercase: true, default: null },
+
     /* =========================
        Forgot Password (Email)
        =========================
@@ -0,0 +1,45 @@
+// routes/bankReconciliationRoutes.js
+import express from "express";
+import {
+  getBankStatementImports,
+  getBankStatementLines,
+  importBankStatement,
+  reconcileBankStatementLines,
+  rematchBankStatementLines,
+  setBankStatementLineIgnored,
+} from "../controllers/bankReconciliationController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Upload a statement CSV (raw text/csv body or JSON { csv })
+// POST /api/bank-statements/import
+router.post(
+  "/import",
+  protect,
+  admin,
+  express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "5mb" }),
+  importBankStatement
+);
+
+// Uploaded statements
+// GET /api/bank-statements/imports
+router.get("/imports", protect, admin, getBankStatementImports);
+
+// Statement lines + match proposals
+// GET /api/bank-statements/lines
+router.get("/lines", protect, admin, getBankStatementLines);
+
+// Recompute proposals for open lines
+// POST /api/bank-statements/lines/rematch
+router.post("/lines/rematch", protect, admin, rematchBankStatementLines);
+
+// Ignore / restore a line
+// PUT /api/bank-statements/lines/:id/ignore
+router.put("/lines/:id/ignore", protect, admin, setBankStatementLineIgnored);
+
+// Confirm matches in bulk (creates receipts + payments)
+// POST /api/bank-statements/reconcile
+router.post("/reconcile", protect, admin, reconcileBankStatementLines);
+
+export default router;
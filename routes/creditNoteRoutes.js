@@ -0,0 +1,29 @@
+// routes/creditNoteRoutes.js
+import express from "express";
+import {
+  createCreditNote,
+  getCreditNotes,
+  getCreditNoteById,
+  getCreditNotePDF,
+  addCreditNoteRefund,
+  cancelCreditNote,
+  deleteCreditNote,
+} from "../controllers/creditNoteController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/* ----- Admin list ----- */
+router.get("/", protect, admin, getCreditNotes);
+
+/* ----- Admin or Owner ----- */
+router.get("/:id/pdf", protect, getCreditNotePDF);
+router.get("/:id", protect, getCreditNoteById);
+
+/* ----- Admin mutate ----- */
+router.post("/from-invoice/:invoiceId", protect, admin, createCreditNote);
+router.post("/:id/refunds", protect, admin, addCreditNoteRefund);
+router.put("/:id/cancel", protect, admin, cancelCreditNote);
+router.delete("/:id", protect, admin, deleteCreditNote);
+
+export default router;
@@ -0,0 +1,31 @@
+// routes/cycleCountRoutes.js
+import express from "express";
+import {
+  approveCountTask,
+  cancelCycleCount,
+  closeCycleCount,
+  createCycleCount,
+  getCountSheet,
+  getCycleCountById,
+  getCycleCounts,
+  rejectCountTask,
+  submitCount,
+} from "../controllers/cycleCountController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Sessions
+router.get("/", protect, admin, getCycleCounts);
+router.post("/", protect, admin, createCycleCount);
+router.get("/:id", protect, admin, getCycleCountById);
+router.post("/:id/close", protect, admin, closeCycleCount);
+router.post("/:id/cancel", protect, admin, cancelCycleCount);
+
+// Counting (blind) + variance review
+router.get("/:id/tasks/:taskId", protect, admin, getCountSheet);
+router.post("/:id/tasks/:taskId/count", protect, admin, submitCount);
+router.post("/:id/tasks/:taskId/approve", protect, admin, approveCountTask);
+router.post("/:id/tasks/:taskId/reject", protect, admin, rejectCountTask);
+
+export default router;
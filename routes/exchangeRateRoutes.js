@@ -0,0 +1,24 @@
+// routes/exchangeRateRoutes.js
+import express from "express";
+import {
+  getExchangeRates,
+  createExchangeRate,
+  deleteExchangeRate,
+} from "../controllers/exchangeRateController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate history + current rate per currency
+// GET /api/exchange-rates
+router.get("/", protect, admin, getExchangeRates);
+
+// Add a rate
+// POST /api/exchange-rates
+router.post("/", protect, admin, createExchangeRate);
+
+// Delete an unused rate
+// DELETE /api/exchange-rates/:id
+router.delete("/:id", protect, admin, deleteExchangeRate);
+
+export default router;
@@ -3,6 +3,15 @@ import {
   getInventoryProducts,
   getInventoryAllocations,
   getInventoryMovements,
+  getStockAt,
+  getStockDrift,
+  getInventoryValuation,
+  getCostOfGoods,
+  addOpeningCostLayer,
+  updateProductStockLevels,
+  updateCategoryStockLevels,
+  getReplenishmentSuggestions,
+  runLowStockDigestNow,
 } from "../controllers/inventoryController.js";
 import { protect, admin } from "../middleware/authMiddleware.js";
 
@@ -12,5 +21,14 @@ const router = express.Router();
 router.get("/products", protect, admin, getInventoryProducts);
 router.get("/allocations", protect, admin, getInventoryAllocations);
 router.get("/movements", protect, admin, getInventoryMovements);
+router.get("/stock-at", protect, admin, getStockAt);
+router.get("/stock-drift", protect, admin, getStockDrift);
+router.get("/valuation", protect, admin, getInventoryValuation);
+router.get("/cost-of-goods", protect, admin, getCostOfGoods);
+router.post("/cost-layers/opening", protect, admin, addOpeningCostLayer);
+router.put("/products/:id/stock-levels", protect, admin, updateProductStockLevels);
+router.put("/categories/:id/stock-levels", protect, admin, updateCategoryStockLevels);
+router.get("/replenishment", protect, admin, getReplenishmentSuggestions);
+router.post("/low-stock-digest", protect, admin, runLowStockDigestNow);
 
 export default router;
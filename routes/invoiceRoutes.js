@@ -6,6 +6,9 @@ import { protect, admin } from "../middleware/authMiddleware.js";
 import {
   getMyInvoices,
   getMyInvoiceSummary,
+  getMyInvoiceAgeing,
+  getMyStatement,
+  getMyStatementPDF,
   getInvoiceById,
   getInvoicePDF,
   getStatementOfAccountPDF,
@@ -15,10 +18,16 @@ import {
 import {
   getInvoices,
   getInvoicesSummary,
+  getReceivablesAgeing,
+  getReceivablesAgeingCSV,
+  getReceivablesAgeingPDF,
   updateInvoice,
   deleteInvoice,
   createInvoiceFromOrder,
   createManualInvoice,
+  runInvoiceRemindersNow,
+  getInvoicePdfVersions,
+  regenerateInvoicePdf,
 } from "../controllers/invoiceAdminController.js";
 
 const router = express.Router();
@@ -26,11 +35,21 @@ const router = express.Router();
 /* ----- Owner endpoints ----- */
 router.get("/my", protect, getMyInvoices);
 router.get("/my/summary", protect, getMyInvoiceSummary);
+router.get("/my/ageing", protect, getMyInvoiceAgeing);
+router.get("/my/statement/pdf", protect, getMyStatementPDF);
+router.get("/my/statement", protect, getMyStatement);
 
 /* ----- Admin summary ----- */
 router.get("/summary", protect, admin, getInvoicesSummary);
+router.get("/ageing", protect, admin, getReceivablesAgeing);
+router.get("/ageing/csv", protect, admin, getReceivablesAgeingCSV);
+router.get("/ageing/pdf", protect, admin, getReceivablesAgeingPDF);
 router.get("/soa/:userId", protect, admin, getStatementOfAccountPDF);
 
+/* ----- Admin PDF archive ----- */
+router.get("/:id/pdf/versions", protect, admin, getInvoicePdfVersions);
+router.post("/:id/pdf/regenerate", protect, admin, regenerateInvoicePdf);
+
 /* ----- Admin or Owner ----- */
 router.get("/:id/pdf", protect, getInvoicePDF);
 router.get("/:id", protect, getInvoiceById);
@@ -38,6 +57,7 @@ router.get("/:id", protect, getInvoiceById);
 /* ----- Admin mutate ----- */
 router.post("/from-order/:orderId", protect, admin, createInvoiceFromOrder);
 router.post("/manual", protect, admin, createManualInvoice);
+router.post("/reminders/run", protect, admin, runInvoiceRemindersNow);
 router.put("/:id", protect, admin, updateInvoice);
 router.delete("/:id", protect, admin, deleteInvoice);
 
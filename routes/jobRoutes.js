@@ -0,0 +1,32 @@
+// routes/jobRoutes.js
+import express from "express";
+import {
+  getJobs,
+  getJobById,
+  createJob,
+  retryJob,
+  deleteJob,
+} from "../controllers/jobController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// List jobs / queue a maintenance job
+// GET, POST /api/jobs
+router
+  .route("/")
+  .get(protect, admin, getJobs)
+  .post(protect, admin, createJob);
+
+// Re-queue a Dead / Succeeded job
+// POST /api/jobs/:id/retry
+router.post("/:id/retry", protect, admin, retryJob);
+
+// Inspect / delete a job
+// GET, DELETE /api/jobs/:id
+router
+  .route("/:id")
+  .get(protect, admin, getJobById)
+  .delete(protect, admin, deleteJob);
+
+export default router;
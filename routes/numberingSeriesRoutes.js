@@ -0,0 +1,19 @@
+// routes/numberingSeriesRoutes.js
+import express from "express";
+import {
+  getNumberingSeries,
+  updateNumberingSeries,
+} from "../controllers/numberingSeriesController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Number formats + current counters per document type
+// GET /api/numbering-series
+router.get("/", protect, admin, getNumberingSeries);
+
+// Update the number format for a document type
+// PUT /api/numbering-series/:docType
+router.put("/:docType", protect, admin, updateNumberingSeries);
+
+export default router;
@@ -16,6 +16,9 @@ import {
   upsertOrderAllocation,
   deleteOrderAllocation,
   finalizeOrderAllocations,
+  previewPickList,
+  createPickList,
+  getPickSheetPdf,
 } from "../controllers/orderAllocationController.js";
 import { protect, admin } from "../middleware/authMiddleware.js";
 
@@ -27,6 +30,11 @@ router.get("/work-summary", protect, admin, getOrdersWorkSummary);
 // ✅ Get my orders (user)
 router.get("/my", protect, getMyOrders);
 
+// Pick lists (admin)
+router.post("/pick-list/preview", protect, admin, previewPickList);
+router.post("/pick-list", protect, admin, createPickList);
+router.get("/pick-list/pdf", protect, admin, getPickSheetPdf);
+
 // ✅ Create order from quote (admin)
 router.post("/from-quote/:quoteId", protect, admin, createOrderFromQuote);
 
@@ -0,0 +1,32 @@
+// routes/paymentReceiverRoutes.js
+import express from "express";
+import {
+  createPaymentReceiver,
+  deletePaymentReceiver,
+  getCashUpReport,
+  getPaymentReceivers,
+  updatePaymentReceiver,
+} from "../controllers/paymentReceiverController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Collections per receiver over a period (handover reconciliation)
+// GET /api/payment-receivers/cash-up
+router.get("/cash-up", protect, admin, getCashUpReport);
+
+// People / bank accounts / petty cash that take payments
+// GET /api/payment-receivers
+router.get("/", protect, admin, getPaymentReceivers);
+
+// POST /api/payment-receivers
+router.post("/", protect, admin, createPaymentReceiver);
+
+// PUT /api/payment-receivers/:id
+router.put("/:id", protect, admin, updatePaymentReceiver);
+
+// Only receivers never used on a payment (otherwise deactivate)
+// DELETE /api/payment-receivers/:id
+router.delete("/:id", protect, admin, deletePaymentReceiver);
+
+export default router;
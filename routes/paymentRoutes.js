@@ -1,8 +1,9 @@
 import express from "express";
 import {
   addPaymentToInvoice,
-  deletePayment,
+  bounceChequePayment,
   getPaymentsAdmin,
+  voidPayment,
 } from "../controllers/paymentController.js";
 import { protect, admin } from "../middleware/authMiddleware.js";
 
@@ -11,6 +12,7 @@ const router = express.Router();
 /* ---------- Admin: payments list ---------- */
 router.get("/", protect, admin, getPaymentsAdmin);
 router.post("/from-invoice/:invoiceId", protect, admin, addPaymentToInvoice);
-router.delete("/:id", protect, admin, deletePayment);
+router.post("/:id/void", protect, admin, voidPayment);
+router.post("/:id/bounce", protect, admin, bounceChequePayment);
 
 export default router;
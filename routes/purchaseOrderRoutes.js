@@ -0,0 +1,42 @@
+// routes/purchaseOrderRoutes.js
+import express from "express";
+import {
+  getPurchaseOrders,
+  getInboundStock,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  deletePurchaseOrder,
+} from "../controllers/purchaseOrderController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// List / create purchase orders
+// GET, POST /api/purchase-orders
+router
+  .route("/")
+  .get(protect, admin, getPurchaseOrders)
+  .post(protect, admin, createPurchaseOrder);
+
+// Outstanding qty on open purchase orders per product
+// GET /api/purchase-orders/inbound?productIds=a,b
+router.get("/inbound", protect, admin, getInboundStock);
+
+// Workflow: Draft -> Sent -> PartiallyReceived -> Received
+router.put("/:id/send", protect, admin, sendPurchaseOrder);
+router.post("/:id/receive", protect, admin, receivePurchaseOrder);
+router.put("/:id/cancel", protect, admin, cancelPurchaseOrder);
+
+// Get / update / delete (Draft only) purchase order
+// GET, PUT, DELETE /api/purchase-orders/:id
+router
+  .route("/:id")
+  .get(protect, admin, getPurchaseOrderById)
+  .put(protect, admin, updatePurchaseOrder)
+  .delete(protect, admin, deletePurchaseOrder);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  addReceiptRefund,
+  applyCustomerCredit,
+  applyReceipt,
+  bounceChequeReceipt,
+  createReceipt,
+  deleteReceipt,
+  getCustomerCredit,
+  getReceiptById,
+  getReceiptsAdmin,
+  voidReceipt,
+} from "../controllers/receiptController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/* ---------- Admin: customer credit wallet ---------- */
+router.get("/wallet/:userId", protect, admin, getCustomerCredit);
+router.post("/wallet/:userId/apply", protect, admin, applyCustomerCredit);
+
+/* ---------- Admin: customer receipts (split across invoices) ---------- */
+router.get("/", protect, admin, getReceiptsAdmin);
+router.post("/", protect, admin, createReceipt);
+router.get("/:id", protect, admin, getReceiptById);
+router.post("/:id/apply", protect, admin, applyReceipt);
+router.post("/:id/refunds", protect, admin, addReceiptRefund);
+router.post("/:id/void", protect, admin, voidReceipt);
+router.post("/:id/bounce", protect, admin, bounceChequeReceipt);
+router.delete("/:id", protect, admin, deleteReceipt);
+
+export default router;
@@ -0,0 +1,29 @@
+// routes/supplierRoutes.js
+import express from "express";
+import {
+  getSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+} from "../controllers/supplierController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// List / create suppliers
+// GET, POST /api/suppliers
+router
+  .route("/")
+  .get(protect, admin, getSuppliers)
+  .post(protect, admin, createSupplier);
+
+// Get / update / delete supplier (delete blocked if used by purchase orders)
+// GET, PUT, DELETE /api/suppliers/:id
+router
+  .route("/:id")
+  .get(protect, admin, getSupplierById)
+  .put(protect, admin, updateSupplier)
+  .delete(protect, admin, deleteSupplier);
+
+export default router;
@@ -0,0 +1,24 @@
+// routes/taxRateRoutes.js
+import express from "express";
+import {
+  getTaxRates,
+  upsertTaxRate,
+  deleteTaxRate,
+} from "../controllers/taxRateController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// VAT treatment per product type
+// GET /api/tax-rates
+router.get("/", protect, admin, getTaxRates);
+
+// Set VAT category / rate for a product type
+// PUT /api/tax-rates/:productType
+router.put("/:productType", protect, admin, upsertTaxRate);
+
+// Revert a product type to the standard rate
+// DELETE /api/tax-rates/:productType
+router.delete("/:productType", protect, admin, deleteTaxRate);
+
+export default router;
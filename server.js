@@ -28,10 +28,24 @@ import contactRoutes from "./routes/contactRoutes.js";
 import filterConfigRoutes from "./routes/filterConfigRoutes.js";
 import slotRoutes from "./routes/slotRoutes.js";
 import slotItemRoutes from "./routes/slotItemRoutes.js";
+import cycleCountRoutes from "./routes/cycleCountRoutes.js";
 import inventoryRoutes from "./routes/inventoryRoutes.js";
 import userPriceRoutes from "./routes/userPriceRoutes.js";
 import priceRuleRoutes from "./routes/priceRuleRoutes.js";
+import supplierRoutes from "./routes/supplierRoutes.js";
+import purchaseOrderRoutes from "./routes/purchaseOrderRoutes.js";
+import creditNoteRoutes from "./routes/creditNoteRoutes.js";
+import jobRoutes from "./routes/jobRoutes.js";
+import taxRateRoutes from "./routes/taxRateRoutes.js";
+import exchangeRateRoutes from "./routes/exchangeRateRoutes.js";
+import numberingSeriesRoutes from "./routes/numberingSeriesRoutes.js";
+import receiptRoutes from "./routes/receiptRoutes.js";
+import bankReconciliationRoutes from "./routes/bankReconciliationRoutes.js";
+import paymentReceiverRoutes from "./routes/paymentReceiverRoutes.js";
 import { notFound, errorHandler } from "./middleware/errorMiddleware.js";
+import { startReminderScheduler } from "./utils/reminderScheduler.js";
+import { startJobWorker } from "./utils/jobQueue.js";
+import "./utils/jobHandlers.js";
 
 // ✅ Initialize and connect to DB
 connectDB();
@@ -84,16 +98,27 @@ app.use("/api/products", productRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/receipts", receiptRoutes);
+app.use("/api/bank-statements", bankReconciliationRoutes);
+app.use("/api/payment-receivers", paymentReceiverRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/quotes", quoteRoutes);
 app.use("/api/invoices", invoiceRoutes);
+app.use("/api/credit-notes", creditNoteRoutes);
 app.use("/api/contact", contactRoutes);
 app.use("/api/filter-configs", filterConfigRoutes);
 app.use("/api/slots", slotRoutes);
 app.use("/api/slot-items", slotItemRoutes);
+app.use("/api/cycle-counts", cycleCountRoutes);
 app.use("/api/inventory", inventoryRoutes);
 app.use("/api/user-prices", userPriceRoutes);
 app.use("/api/price-rules", priceRuleRoutes);
+app.use("/api/suppliers", supplierRoutes);
+app.use("/api/purchase-orders", purchaseOrderRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/tax-rates", taxRateRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
+app.use("/api/numbering-series", numberingSeriesRoutes);
 
 // ✅ Error Handling
 app.use(notFound);
@@ -102,4 +127,6 @@ app.use(errorHandler);
 // ✅ Start server
 app.listen(port, () => {
   console.log(`🚀 Server running on port ${port}`);
+  startJobWorker();
+  startReminderScheduler();
 });
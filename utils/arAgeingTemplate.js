@@ -0,0 +1,239 @@
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const safeText = (value, fallback = "--") => {
+  if (value === 0) return "0";
+  if (value === null || value === undefined || value === "") return fallback;
+  return escapeHtml(String(value));
+};
+
+const formatDate = (value) => {
+  if (!value) return "--";
+  try {
+    return new Date(value).toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "short",
+      day: "2-digit",
+    });
+  } catch {
+    return safeText(value);
+  }
+};
+
+const formatDateTime = (value) => {
+  if (!value) return "--";
+  try {
+    return new Date(value).toLocaleString(undefined, {
+      year: "numeric",
+      month: "short",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: false,
+    });
+  } catch {
+    return safeText(value);
+  }
+};
+
+const formatAmount = (amountMinor, factor = 100) => {
+  const safe = Number(amountMinor);
+  if (!Number.isFinite(safe)) return "--";
+  const denom = Number.isFinite(Number(factor)) && factor > 0 ? factor : 100;
+  return (safe / denom).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+};
+
+const footerYear = new Date().getFullYear();
+
+const arAgeingFooterTemplate = `
+  <div style="width:100%; font-size:11px; color:#6B7280; padding:0 12mm;">
+    <div style="border-top:1px solid #E5E7EB; padding-top:6px; display:flex; justify-content:space-between; align-items:center;">
+      <div>&copy; ${footerYear} <span style="color:#4B0082; font-weight:700;">Megadie</span> | Internal report</div>
+      <div>Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>
+    </div>
+  </div>
+`;
+
+const renderArAgeingHtml = ({ report, buckets, generatedAt }) => {
+  const rows = Array.isArray(report?.rows) ? report.rows : [];
+  const totals = report?.totals || {};
+  const factor = report?.minorUnitFactor || 100;
+  const currency = report?.currency || "AED";
+  const bucketList = Array.isArray(buckets) ? buckets : [];
+  const colCount = bucketList.length + 5;
+
+  const bucketHeadHtml = bucketList
+    .map((b) => `<th class="num">${safeText(b.label)}</th>`)
+    .join("");
+
+  const bucketCells = (bucketMap) =>
+    bucketList
+      .map(
+        (b) =>
+          `<td class="num">${safeText(
+            formatAmount(bucketMap?.[b.key]?.totalMinor ?? 0, factor)
+          )}</td>`
+      )
+      .join("");
+
+  const rowsHtml =
+    rows.length === 0
+      ? `
+        <tr>
+          <td colspan="${colCount}" class="empty">No outstanding receivables.</td>
+        </tr>
+      `
+      : rows
+          .map(
+            (row) => `
+              <tr>
+                <td>
+                  <div>${safeText(row.name)}</div>
+                  <div class="muted small">${safeText(row.email, "")}</div>
+                </td>
+                ${bucketCells(row.buckets)}
+                <td class="num strong">${safeText(
+                  formatAmount(row.totalMinor, factor)
+                )}</td>
+                <td class="muted">${safeText(formatDate(row.oldestDueDate))}</td>
+                <td class="muted">${safeText(formatDate(row.lastPaymentDate))}</td>
+                <td class="num muted">${safeText(row.count)}</td>
+              </tr>
+            `
+          )
+          .join("");
+
+  return `
+    <!doctype html>
+    <html lang="en">
+      <head>
+        <meta charset="utf-8" />
+        <title>Accounts Receivable Ageing</title>
+        <style>
+          :root {
+            --violet: #4B0082;
+            --violet-soft: #F4F1FF;
+            --text: #1F2937;
+            --muted: #6B7280;
+            --border: #E5E7EB;
+            --row: #FAFAFC;
+          }
+          * { box-sizing: border-box; }
+          body {
+            margin: 0;
+            padding: 0;
+            color: var(--text);
+            font-family: "Helvetica", Arial, sans-serif;
+            font-size: 12px;
+            background: #ffffff;
+          }
+          .header {
+            display: flex;
+            justify-content: space-between;
+            align-items: flex-end;
+            gap: 16px;
+          }
+          .brand {
+            font-size: 22px;
+            font-weight: 700;
+            color: var(--violet);
+            letter-spacing: 0.2px;
+          }
+          .title-block { text-align: right; }
+          .doc-title { font-size: 19px; font-weight: 700; }
+          .meta { font-size: 12px; color: var(--muted); margin-top: 2px; }
+          .accent {
+            height: 3px;
+            background: var(--violet);
+            border-radius: 2px;
+            margin: 8px 0 12px;
+          }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 10px;
+            table-layout: fixed;
+          }
+          thead { display: table-header-group; }
+          thead th {
+            background: var(--violet-soft);
+            color: var(--muted);
+            font-size: 10px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+            padding: 7px 5px;
+            text-align: left;
+            border-top: 1px solid var(--border);
+            border-bottom: 1px solid var(--border);
+          }
+          tbody td, tfoot td {
+            padding: 7px 5px;
+            border-bottom: 1px solid var(--border);
+            vertical-align: top;
+            font-size: 11px;
+          }
+          tbody tr:nth-child(even) { background: var(--row); }
+          tbody tr { page-break-inside: avoid; }
+          tfoot td { font-weight: 700; background: var(--violet-soft); }
+          .num { text-align: right; font-variant-numeric: tabular-nums; }
+          th.num { text-align: right; }
+          .strong { font-weight: 700; }
+          .muted { color: var(--muted); }
+          .small { font-size: 10px; margin-top: 2px; }
+          .empty { text-align: center; color: var(--muted); padding: 12px 6px; }
+        </style>
+      </head>
+      <body>
+        <header class="header">
+          <div class="brand">Megadie</div>
+          <div class="title-block">
+            <div class="doc-title">Accounts Receivable Ageing</div>
+            <div class="meta">As of ${safeText(formatDateTime(report?.asOf))}</div>
+            <div class="meta">Generated ${safeText(
+              formatDateTime(generatedAt || new Date())
+            )} &middot; Amounts in ${safeText(currency)}</div>
+          </div>
+        </header>
+        <div class="accent"></div>
+
+        <table>
+          <thead>
+            <tr>
+              <th style="width:20%;">Customer</th>
+              ${bucketHeadHtml}
+              <th class="num">Total</th>
+              <th>Oldest due</th>
+              <th>Last payment</th>
+              <th class="num" style="width:6%;">Inv.</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHtml}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>Total (${safeText(totals.customerCount ?? rows.length)} customers)</td>
+              ${bucketCells(totals.buckets)}
+              <td class="num">${safeText(
+                formatAmount(totals.totalMinor ?? 0, factor)
+              )}</td>
+              <td></td>
+              <td></td>
+              <td class="num">${safeText(totals.count ?? 0)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </body>
+    </html>
+  `;
+};
+
+export { renderArAgeingHtml, arAgeingFooterTemplate };
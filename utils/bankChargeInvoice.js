@@ -0,0 +1,57 @@
+// utils/bankChargeInvoice.js
+import Invoice from "../models/invoiceModel.js";
+import { convertMinor, getBaseCurrency, minorUnitFactorFor } from "./currency.js";
+
+/**
+ * Manual invoice re-charging a returned-cheque fee to the customer (VAT Exempt, due now).
+ * fx: { baseCurrency, exchangeRate, exchangeRateId, exchangeRateDate } for `currency`.
+ * Returns the created invoice.
+ */
+export const createBankChargeInvoice = async (
+  { user, customerSnapshot = null, currency, minorUnitFactor = 100, fx = {}, chargeMinor, description, adminNote },
+  session = null
+) => {
+  const baseCurrency = fx.baseCurrency || getBaseCurrency();
+  const exchangeRate = fx.exchangeRate || 1;
+
+  const [invoice] = await Invoice.create(
+    [
+      {
+        user,
+        customerSnapshot,
+        source: "Manual",
+        order: null,
+        invoiceItems: [
+          {
+            description,
+            qty: 1,
+            unitPriceMinor: chargeMinor,
+            lineTotalMinor: chargeMinor,
+            vatCategory: "Exempt",
+            vatRate: 0,
+            vatMinor: 0,
+          },
+        ],
+        amountMinor: chargeMinor,
+        netAmountMinor: chargeMinor,
+        vatAmountMinor: 0,
+        vatSummary: [{ vatCategory: "Exempt", vatRate: 0, netMinor: chargeMinor, vatMinor: 0 }],
+        currency,
+        minorUnitFactor,
+        baseCurrency,
+        exchangeRate,
+        exchangeRateId: fx.exchangeRateId || null,
+        exchangeRateDate: fx.exchangeRateDate || null,
+        baseAmountMinor: convertMinor(chargeMinor, {
+          fromFactor: minorUnitFactor,
+          toFactor: minorUnitFactorFor(baseCurrency),
+          rate: exchangeRate,
+        }),
+        dueDate: new Date(),
+        adminNote,
+      },
+    ],
+    { session }
+  );
+  return invoice;
+};
@@ -0,0 +1,255 @@
+// utils/bankReconciliation.js
+import crypto from "crypto";
+import Invoice from "../models/invoiceModel.js";
+import BankStatementLine from "../models/bankStatementLineModel.js";
+import { parseCsv } from "./csv.js";
+
+/**
+ * Bank statement import + invoice match proposals.
+ *
+ * - Only credit lines (money in) are imported; debits are skipped.
+ * - Columns are found by header name (case-insensitive); callers can override them.
+ * - Dates: YYYY-MM-DD or day-first DD/MM/YYYY (UAE bank exports).
+ * - Proposals score open invoices in the line's currency:
+ *     invoice number in narrative/reference  +60
+ *     amount = balance due                   +30  (= invoice total: +20)
+ *     customer name in narrative             +20
+ *   Candidates scoring >= MIN_PROPOSAL_SCORE are kept, best first (max MAX_PROPOSALS).
+ */
+
+export const MIN_PROPOSAL_SCORE = 30;
+const MAX_PROPOSALS = 3;
+
+const DEFAULT_COLUMNS = {
+  date: ["date", "transaction date", "posting date", "value date", "txn date"],
+  amount: ["amount", "transaction amount"],
+  credit: ["credit", "credit amount", "deposit", "deposits", "money in"],
+  debit: ["debit", "debit amount", "withdrawal", "withdrawals", "money out"],
+  narrative: ["description", "narrative", "details", "particulars", "transaction details", "remarks"],
+  reference: ["reference", "ref", "reference number", "cheque no", "customer reference"],
+};
+
+const normalizeHeader = (value) =>
+  String(value || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+// Compact form for "INV-2026-000123" vs "inv 2026 000123" comparisons
+const compact = (value) => String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const parseAmount = (value) => {
+  let text = String(value ?? "").trim();
+  if (!text) return null;
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /\bDR\b/i.test(text);
+  text = text.replace(/[^0-9.,]/g, "");
+  // "1.234,56" -> "1234.56"; "1,234.56" -> "1234.56"
+  if (/,\d{1,2}$/.test(text) && !/\.\d{1,2}$/.test(text)) {
+    text = text.replace(/\./g, "").replace(",", ".");
+  } else {
+    text = text.replace(/,/g, "");
+  }
+  const n = Number.parseFloat(text);
+  if (!Number.isFinite(n)) return null;
+  return negative ? -n : n;
+};
+
+export const parseStatementDate = (value) => {
+  const text = String(value || "").trim();
+  let d = null;
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (iso) {
+    d = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  } else if (dayFirst) {
+    const year = Number(dayFirst[3]) < 100 ? 2000 + Number(dayFirst[3]) : Number(dayFirst[3]);
+    d = new Date(year, Number(dayFirst[2]) - 1, Number(dayFirst[1]));
+  } else if (text) {
+    d = new Date(text);
+  }
+
+  return d && !Number.isNaN(d.getTime()) ? d : null;
+};
+
+const findColumn = (headers, candidates) => {
+  const wanted = (Array.isArray(candidates) ? candidates : [candidates]).map(normalizeHeader);
+  return headers.findIndex((h) => wanted.includes(h));
+};
+
+/**
+ * Parse a statement CSV into credit lines.
+ * columns: optional { date, amount, credit, debit, narrative, reference } header names.
+ * Returns { lines: [{ rowNumber, date, amountMinor, narrative, reference, fingerprint }], rowCount, skippedCount }
+ * Throws (message only) when required columns are missing.
+ */
+export const parseBankStatementCsv = (text, { currency, minorUnitFactor = 100, columns = {} }) => {
+  const rows = parseCsv(text);
+  if (rows.length < 2) throw new Error("CSV has no data rows.");
+
+  const headers = rows[0].map(normalizeHeader);
+  const col = {};
+  for (const key of Object.keys(DEFAULT_COLUMNS)) {
+    col[key] = findColumn(headers, columns[key] || DEFAULT_COLUMNS[key]);
+  }
+
+  if (col.date < 0) throw new Error("CSV is missing a date column.");
+  if (col.amount < 0 && col.credit < 0) {
+    throw new Error("CSV is missing an amount or credit column.");
+  }
+
+  const lines = [];
+  const occurrences = new Map();
+  let skippedCount = 0;
+
+  rows.slice(1).forEach((row, idx) => {
+    const cell = (i) => (i >= 0 ? String(row[i] ?? "").trim() : "");
+
+    const date = parseStatementDate(cell(col.date));
+    const amount = col.credit >= 0 ? parseAmount(cell(col.credit)) : parseAmount(cell(col.amount));
+    const amountMinor = Number.isFinite(amount) ? Math.round(amount * minorUnitFactor) : 0;
+
+    if (!date || !(amountMinor > 0)) {
+      skippedCount += 1;
+      return;
+    }
+
+    const narrative = cell(col.narrative);
+    const reference = cell(col.reference);
+
+    // Identical rows in one file (two equal transfers on a day) get distinct fingerprints
+    const base = [
+      currency,
+      date.toISOString().slice(0, 10),
+      amountMinor,
+      compact(narrative),
+      compact(reference),
+    ].join("|");
+    const occurrence = (occurrences.get(base) || 0) + 1;
+    occurrences.set(base, occurrence);
+
+    lines.push({
+      rowNumber: idx + 2,
+      date,
+      amountMinor,
+      narrative,
+      reference,
+      fingerprint: crypto.createHash("sha256").update(`${base}|${occurrence}`).digest("hex"),
+    });
+  });
+
+  return { lines, rowCount: rows.length - 1, skippedCount };
+};
+
+const nameMatches = (name, haystack) => {
+  const tokens = String(name || "")
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter((t) => t.length >= 3);
+  return tokens.length > 0 && tokens.every((t) => haystack.includes(t));
+};
+
+/**
+ * Score open invoices for each line. lines: BankStatementLine docs/objects (same currency).
+ * Returns Map(lineId -> proposals[]).
+ */
+export const proposeMatches = async (lines, currency) => {
+  const invoices = await Invoice.find({
+    currency,
+    status: "Issued",
+    balanceDueMinor: { $gt: 0 },
+  })
+    .select("invoiceNumber user amountMinor balanceDueMinor customerSnapshot.name")
+    .populate({ path: "user", select: "name" })
+    .lean();
+
+  const candidates = invoices.map((inv) => ({
+    invoice: inv,
+    numberKey: compact(inv.invoiceNumber),
+    names: [inv.customerSnapshot?.name, inv.user?.name].filter(Boolean),
+  }));
+
+  const result = new Map();
+  for (const line of lines) {
+    const text = `${line.narrative || ""} ${line.reference || ""}`;
+    const textKey = compact(text);
+    const upper = text.toUpperCase();
+
+    const scored = [];
+    for (const c of candidates) {
+      let score = 0;
+      const reasons = [];
+
+      if (c.numberKey && textKey.includes(c.numberKey)) {
+        score += 60;
+        reasons.push("Invoice number in narrative");
+      }
+      if (line.amountMinor === c.invoice.balanceDueMinor) {
+        score += 30;
+        reasons.push("Amount equals balance due");
+      } else if (line.amountMinor === c.invoice.amountMinor) {
+        score += 20;
+        reasons.push("Amount equals invoice total");
+      }
+      if (c.names.some((n) => nameMatches(n, upper))) {
+        score += 20;
+        reasons.push("Customer name in narrative");
+      }
+
+      if (score >= MIN_PROPOSAL_SCORE) {
+        scored.push({
+          invoice: c.invoice._id,
+          user: c.invoice.user?._id || c.invoice.user,
+          score,
+          reasons,
+        });
+      }
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    result.set(String(line._id), scored.slice(0, MAX_PROPOSALS));
+  }
+
+  return result;
+};
+
+/**
+ * Recompute proposals for unreconciled lines (optionally one import).
+ * Returns the number of lines updated.
+ */
+export const refreshProposals = async ({ importBatch = null } = {}) => {
+  const filter = { status: { $in: ["Unmatched", "Proposed"] } };
+  if (importBatch) filter.importBatch = importBatch;
+
+  const lines = await BankStatementLine.find(filter)
+    .select("_id currency amountMinor narrative reference")
+    .lean();
+
+  const byCurrency = new Map();
+  for (const line of lines) {
+    const list = byCurrency.get(line.currency) || [];
+    list.push(line);
+    byCurrency.set(line.currency, list);
+  }
+
+  const now = new Date();
+  const ops = [];
+  for (const [currency, list] of byCurrency) {
+    const proposals = await proposeMatches(list, currency);
+    for (const line of list) {
+      const rows = proposals.get(String(line._id)) || [];
+      ops.push({
+        updateOne: {
+          filter: { _id: line._id, status: { $in: ["Unmatched", "Proposed"] } },
+          update: {
+            $set: {
+              proposals: rows,
+              status: rows.length ? "Proposed" : "Unmatched",
+              matchedAt: now,
+            },
+          },
+        },
+      });
+    }
+  }
+
+  if (ops.length) await BankStatementLine.bulkWrite(ops, { ordered: false });
+  return ops.length;
+};
@@ -0,0 +1,336 @@
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const safeText = (value, fallback = "--") => {
+  if (value === 0) return "0";
+  if (value === null || value === undefined || value === "") return fallback;
+  return escapeHtml(String(value));
+};
+
+const asNumber = (v) => {
+  if (typeof v === "number" && !Number.isNaN(v)) return v;
+  const n = parseFloat(v);
+  return Number.isNaN(n) ? 0 : n;
+};
+
+const fractionDigitsFromFactor = (factor) => {
+  const f = Number(factor);
+  if (!Number.isFinite(f) || f <= 0) return 2;
+  if (f === 1) return 0;
+  const pow = Math.log10(f);
+  return Number.isInteger(pow) ? pow : 2;
+};
+
+const minorToMajor = (minor, factor) => {
+  const n = asNumber(minor);
+  const f = Number(factor);
+  const safeFactor = Number.isFinite(f) && f > 0 ? f : 100;
+  return n / safeFactor;
+};
+
+const money = (n, digits = 2) => asNumber(n).toFixed(digits);
+
+const formatDate = (value) => {
+  if (!value) return "--";
+  try {
+    return new Date(value).toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "short",
+      day: "2-digit",
+    });
+  } catch {
+    return safeText(value);
+  }
+};
+
+const footerYear = new Date().getFullYear();
+
+const creditNoteFooterTemplate = `
+  <div style="width:100%; font-size:11px; color:#6B7280; padding:0 16mm;">
+    <div style="border-top:1px solid #E5E7EB; padding-top:6px; display:flex; justify-content:space-between; align-items:center;">
+      <div>&copy; ${footerYear} <span style="color:#4B0082; font-weight:700;">Megadie</span> | Read T&amp;C @ www.megadie.com</div>
+      <div>Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>
+    </div>
+  </div>
+`;
+
+const renderCreditNoteHtml = ({ creditNote, company }) => {
+  const factor = Number(creditNote?.minorUnitFactor);
+  const minorUnitFactor = Number.isFinite(factor) && factor > 0 ? factor : 100;
+  const fractionDigits = fractionDigitsFromFactor(minorUnitFactor);
+  const currency = creditNote?.currency || "AED";
+
+  const items = Array.isArray(creditNote?.items) ? creditNote.items : [];
+  const refunds = Array.isArray(creditNote?.refunds) ? creditNote.refunds : [];
+  const invoice = creditNote?.invoice || {};
+  // Bill-to snapshot of the credited invoice; live user only for legacy invoices
+  const client = invoice?.customerSnapshot || creditNote?.user || {};
+
+  const creditAmount = minorToMajor(creditNote?.amountMinor, minorUnitFactor);
+  const refunded = minorToMajor(creditNote?.refundedMinor, minorUnitFactor);
+  const isCancelled = creditNote?.status === "Cancelled";
+
+  const companyName = company?.name || "Megadie";
+  const companySite = company?.display || "Megadie.com";
+
+  const rowsHtml =
+    items.length === 0
+      ? `
+        <tr>
+          <td colspan="4" class="empty">No items on this credit note.</td>
+        </tr>
+      `
+      : items
+          .map((item) => {
+            const qty = asNumber(item?.qty);
+            const unitPrice = minorToMajor(item?.unitPriceMinor, minorUnitFactor);
+            const lineTotal = minorToMajor(
+              Number.isFinite(Number(item?.lineTotalMinor))
+                ? Number(item.lineTotalMinor)
+                : asNumber(item?.unitPriceMinor) * qty,
+              minorUnitFactor
+            );
+            const label =
+              item?.description || item?.product?.name || item?.product?.sku || "Item";
+            return `
+              <tr>
+                <td class="col-product">${safeText(label)}</td>
+                <td class="col-qty">${safeText(qty)}</td>
+                <td class="col-unit">${safeText(money(unitPrice, fractionDigits))}</td>
+                <td class="col-total">${safeText(money(lineTotal, fractionDigits))}</td>
+              </tr>
+            `;
+          })
+          .join("");
+
+  const refundRowsHtml = refunds.length
+    ? `
+          <div class="totals-row">
+            <span>Refunded to client</span>
+            <span>${safeText(money(refunded, fractionDigits))}</span>
+          </div>
+        `
+    : "";
+
+  return `
+    <!doctype html>
+    <html lang="en">
+      <head>
+        <meta charset="utf-8" />
+        <title>Credit Note</title>
+        <style>
+          :root {
+            --violet: #4B0082;
+            --violet-soft: #F4F1FF;
+            --text: #1F2937;
+            --muted: #6B7280;
+            --border: #E5E7EB;
+            --row: #FAFAFC;
+          }
+          * { box-sizing: border-box; }
+          body {
+            margin: 0;
+            padding: 0;
+            color: var(--text);
+            font-family: "Helvetica", Arial, sans-serif;
+            font-size: 13px;
+            background: #ffffff;
+          }
+          .header {
+            display: flex;
+            justify-content: space-between;
+            align-items: flex-end;
+            gap: 16px;
+          }
+          .brand {
+            font-size: 22px;
+            font-weight: 700;
+            color: var(--violet);
+            letter-spacing: 0.2px;
+          }
+          .brand-sub { font-size: 11px; color: var(--muted); margin-top: 2px; }
+          .doc { text-align: right; }
+          .doc-title { font-size: 19px; font-weight: 700; }
+          .doc-meta { font-size: 12px; color: var(--muted); margin-top: 2px; }
+          .doc-void { font-size: 12px; font-weight: 700; color: #B91C1C; margin-top: 2px; }
+          .accent {
+            height: 3px;
+            background: var(--violet);
+            border-radius: 2px;
+            margin: 8px 0 12px;
+          }
+          .info-grid {
+            display: grid;
+            grid-template-columns: repeat(2, minmax(0, 1fr));
+            gap: 12px;
+          }
+          .info-card {
+            border: 1px solid var(--border);
+            border-radius: 8px;
+            padding: 10px;
+            background: #ffffff;
+          }
+          .info-title {
+            font-size: 11px;
+            text-transform: uppercase;
+            letter-spacing: 0.6px;
+            color: var(--muted);
+            margin-bottom: 6px;
+          }
+          .info-item { display: flex; gap: 8px; margin-bottom: 4px; }
+          .info-label {
+            width: 72px;
+            font-size: 11px;
+            text-transform: uppercase;
+            letter-spacing: 0.4px;
+            color: var(--muted);
+          }
+          .info-value { font-size: 12px; color: var(--text); }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 14px;
+            table-layout: fixed;
+          }
+          thead { display: table-header-group; }
+          thead th {
+            background: var(--violet-soft);
+            color: var(--muted);
+            font-size: 11px;
+            text-transform: uppercase;
+            letter-spacing: 0.6px;
+            padding: 8px 6px;
+            text-align: left;
+            border-top: 1px solid var(--border);
+            border-bottom: 1px solid var(--border);
+          }
+          tbody td {
+            padding: 8px 6px;
+            border-bottom: 1px solid var(--border);
+            vertical-align: top;
+            font-size: 12px;
+          }
+          tbody tr:nth-child(even) { background: var(--row); }
+          tbody tr { page-break-inside: avoid; }
+          .col-qty, .col-unit, .col-total { text-align: right; }
+          .empty { text-align: center; color: var(--muted); padding: 12px 6px; }
+          .totals {
+            margin-top: 12px;
+            margin-left: auto;
+            width: 42%;
+            border-top: 1px solid var(--border);
+            padding-top: 8px;
+          }
+          .totals-row {
+            display: flex;
+            justify-content: space-between;
+            gap: 10px;
+            font-size: 12px;
+            margin-bottom: 5px;
+          }
+          .totals-row.total { font-weight: 700; color: var(--violet); }
+          .reason {
+            margin-top: 14px;
+            border: 1px solid var(--border);
+            border-radius: 8px;
+            padding: 10px;
+            font-size: 12px;
+          }
+        </style>
+      </head>
+      <body>
+        <header class="header">
+          <div>
+            <div class="brand">${safeText(companyName)}</div>
+            <div class="brand-sub">${safeText(companySite)}</div>
+          </div>
+          <div class="doc">
+            <div class="doc-title">Credit Note</div>
+            <div class="doc-meta">Credit note #: ${safeText(
+              creditNote?.creditNoteNumber || creditNote?._id
+            )}</div>
+            <div class="doc-meta">Date: ${safeText(
+              formatDate(creditNote?.creditDate || creditNote?.createdAt)
+            )}</div>
+            ${isCancelled ? `<div class="doc-void">CANCELLED</div>` : ""}
+          </div>
+        </header>
+        <div class="accent"></div>
+
+        <div class="info-grid">
+          <div class="info-card">
+            <div class="info-title">Credit to</div>
+            <div class="info-item">
+              <div class="info-label">Client</div>
+              <div class="info-value">${safeText(client?.name)}</div>
+            </div>
+            <div class="info-item">
+              <div class="info-label">Email</div>
+              <div class="info-value">${safeText(client?.email)}</div>
+            </div>
+          </div>
+          <div class="info-card">
+            <div class="info-title">Details</div>
+            <div class="info-item">
+              <div class="info-label">Invoice #</div>
+              <div class="info-value">${safeText(invoice?.invoiceNumber)}</div>
+            </div>
+            <div class="info-item">
+              <div class="info-label">Issued</div>
+              <div class="info-value">${safeText(
+                formatDate(invoice?.createdAt)
+              )}</div>
+            </div>
+            <div class="info-item">
+              <div class="info-label">Currency</div>
+              <div class="info-value">${safeText(currency)}</div>
+            </div>
+          </div>
+        </div>
+
+        <table>
+          <colgroup>
+            <col style="width:46%" />
+            <col style="width:14%" />
+            <col style="width:20%" />
+            <col style="width:20%" />
+          </colgroup>
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th style="text-align:right;">Qty</th>
+              <th style="text-align:right;">Unit</th>
+              <th style="text-align:right;">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHtml}
+          </tbody>
+        </table>
+
+        <div class="totals">
+          <div class="totals-row total">
+            <span>Credit amount</span>
+            <span>${safeText(money(creditAmount, fractionDigits))}</span>
+          </div>
+          ${refundRowsHtml}
+        </div>
+
+        ${
+          creditNote?.reason
+            ? `<div class="reason"><strong>Reason:</strong> ${safeText(
+                creditNote.reason
+              )}</div>`
+            : ""
+        }
+      </body>
+    </html>
+  `;
+};
+
+export { renderCreditNoteHtml, creditNoteFooterTemplate };
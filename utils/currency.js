@@ -0,0 +1,85 @@
+// utils/currency.js
+import ExchangeRate from "../models/exchangeRateModel.js";
+
+/**
+ * Multi-currency helpers.
+ *
+ * - The base (reporting) currency is BASE_CURRENCY (default AED). Quote/order prices are in base.
+ * - ExchangeRate.rate = base units per 1 unit of `currency` (e.g. USD 3.6725 -> 1 USD = 3.6725 AED).
+ * - Invoices capture the rate at issue (exchangeRate); reports convert with that captured rate,
+ *   never today's rate, so historical totals don't move.
+ */
+
+// ISO 4217 minor units for currencies we are likely to bill in (everything else: 100)
+const MINOR_UNIT_FACTORS = {
+  BHD: 1000,
+  JOD: 1000,
+  KWD: 1000,
+  OMR: 1000,
+  JPY: 1,
+  KRW: 1,
+};
+
+export const getBaseCurrency = () =>
+  String(process.env.BASE_CURRENCY || "AED").trim().toUpperCase() || "AED";
+
+export const normalizeCurrency = (value) => {
+  const code = String(value || "").trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : "";
+};
+
+export const minorUnitFactorFor = (currency) =>
+  MINOR_UNIT_FACTORS[normalizeCurrency(currency)] || 100;
+
+/**
+ * Latest rate for `currency` effective on or before `at`.
+ * Returns { rate, effectiveDate, rateId } or null. Base currency is always 1.
+ */
+export const getExchangeRate = async (currency, at = new Date(), session = null) => {
+  const code = normalizeCurrency(currency);
+  if (!code) return null;
+  if (code === getBaseCurrency()) {
+    return { rate: 1, effectiveDate: null, rateId: null };
+  }
+
+  const row = await ExchangeRate.findOne({
+    currency: code,
+    effectiveDate: { $lte: at },
+  })
+    .sort({ effectiveDate: -1, createdAt: -1 })
+    .session(session)
+    .lean();
+
+  return row
+    ? { rate: row.rate, effectiveDate: row.effectiveDate, rateId: row._id }
+    : null;
+};
+
+/**
+ * Convert integer minor units between currencies.
+ * `rate` = target units per 1 source unit.
+ */
+export const convertMinor = (amountMinor, { fromFactor = 100, toFactor = 100, rate = 1 }) =>
+  Math.round(((Number(amountMinor) || 0) / fromFactor) * Number(rate) * toFactor);
+
+/**
+ * Aggregation expression: `field` (invoice minor units) converted to base minor units
+ * at the invoice's captured exchangeRate (legacy invoices: 1).
+ */
+export const baseMinorExpr = (field) => ({
+  $round: [
+    {
+      $multiply: [
+        field,
+        { $ifNull: ["$exchangeRate", 1] },
+        {
+          $divide: [
+            minorUnitFactorFor(getBaseCurrency()),
+            { $ifNull: ["$minorUnitFactor", 100] },
+          ],
+        },
+      ],
+    },
+    0,
+  ],
+});
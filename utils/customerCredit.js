@@ -0,0 +1,94 @@
+// utils/customerCredit.js
+import mongoose from "mongoose";
+import Invoice from "../models/invoiceModel.js";
+import User from "../models/userModel.js";
+import { baseMinorExpr, getBaseCurrency, minorUnitFactorFor } from "./currency.js";
+import { computeDocumentVat } from "./vat.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sum of balanceDueMinor across the customer's Issued invoices, in base minor units
+ * (each invoice converted at its captured exchangeRate, like the ageing report).
+ */
+export const getOutstandingBalanceMinor = async (userId, session = null) => {
+  const [row] = await Invoice.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        status: "Issued",
+        balanceDueMinor: { $gt: 0 },
+      },
+    },
+    { $group: { _id: null, total: { $sum: baseMinorExpr("$balanceDueMinor") } } },
+  ]).session(session);
+  return row?.total || 0;
+};
+
+/**
+ * Gross (incl. VAT) of a quote/order in base minor units. Quote prices are in base
+ * currency, so this is on the same scale as the limit and the outstanding balance.
+ */
+export const orderBaseMinor = (quote) =>
+  computeDocumentVat({
+    items: quote?.requestedItems,
+    deliveryCharge: quote?.deliveryCharge,
+    extraFee: quote?.extraFee,
+    vatRate: quote?.vatRate,
+    factor: minorUnitFactorFor(getBaseCurrency()),
+  }).grossMinor;
+
+/**
+ * Check whether adding `orderMinor` (base minor units) keeps the customer within their credit limit.
+ *
+ * Returns:
+ * { hasLimit, exceeded, mode, limitMinor, outstandingMinor, orderMinor, projectedMinor }
+ * Customers without a limit (creditLimitMinor null) never exceed.
+ */
+export const checkCreditLimit = async ({ userId, orderMinor }, session = null) => {
+  const user = await User.findById(userId)
+    .select("creditLimitMinor creditLimitMode")
+    .session(session)
+    .lean();
+
+  const limit = user?.creditLimitMinor;
+  const hasLimit = Number.isFinite(limit) && limit >= 0;
+  const order = Math.max(0, Number(orderMinor) || 0);
+
+  if (!hasLimit) {
+    return {
+      hasLimit: false,
+      exceeded: false,
+      mode: user?.creditLimitMode || "Block",
+      limitMinor: null,
+      outstandingMinor: null,
+      orderMinor: order,
+      projectedMinor: null,
+    };
+  }
+
+  const outstandingMinor = await getOutstandingBalanceMinor(userId, session);
+  const projectedMinor = outstandingMinor + order;
+
+  return {
+    hasLimit: true,
+    exceeded: projectedMinor > limit,
+    mode: user.creditLimitMode || "Block",
+    limitMinor: limit,
+    outstandingMinor,
+    orderMinor: order,
+    projectedMinor,
+  };
+};
+
+/**
+ * Default due date from the customer's payment terms (null if no terms set).
+ */
+export const dueDateFromTerms = (paymentTermsDays, from = new Date()) => {
+  const days = Number(paymentTermsDays);
+  if (paymentTermsDays === null || paymentTermsDays === undefined) return null;
+  if (!Number.isInteger(days) || days < 0) return null;
+  const base = new Date(from);
+  base.setHours(23, 59, 59, 999);
+  return new Date(base.getTime() + days * DAY_MS);
+};
@@ -0,0 +1,31 @@
+// utils/customerSnapshot.js
+import User from "../models/userModel.js";
+
+/**
+ * Billing/delivery details copied onto Orders and Invoices when they are created,
+ * so later profile edits (updateUserProfile) never change issued documents.
+ */
+export const SNAPSHOT_USER_FIELDS =
+  "name email phoneNumber trn address deliveryGoogleMapsUrl deliveryNotes";
+
+export const buildCustomerSnapshot = (user) => ({
+  name: user?.name || "",
+  email: user?.email || "",
+  phoneNumber: user?.phoneNumber || "",
+  trn: user?.trn || "",
+  address: user?.address || "",
+  deliveryGoogleMapsUrl: user?.deliveryGoogleMapsUrl || "",
+  deliveryNotes: user?.deliveryNotes || "",
+  capturedAt: new Date(),
+});
+
+/**
+ * Load the user and build a snapshot. Returns null when the user does not exist.
+ */
+export const loadCustomerSnapshot = async (userId, session = null) => {
+  const user = await User.findById(userId)
+    .select(SNAPSHOT_USER_FIELDS)
+    .session(session)
+    .lean();
+  return user ? buildCustomerSnapshot(user) : null;
+};
@@ -0,0 +1,46 @@
+// utils/customerWallet.js
+import mongoose from "mongoose";
+import Receipt from "../models/receiptModel.js";
+
+/**
+ * Customer credit wallet = unapplied money on the customer's receipts
+ * (overpayments and receipts not yet allocated to invoices), per currency.
+ */
+
+/**
+ * Returns [{ currency, minorUnitFactor, availableMinor, receiptCount }] (currencies with credit only).
+ */
+export const getCustomerCreditBalances = async (userId, session = null) => {
+  const rows = await Receipt.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        unappliedMinor: { $gt: 0 },
+      },
+    },
+    {
+      $group: {
+        _id: "$currency",
+        minorUnitFactor: { $first: "$minorUnitFactor" },
+        availableMinor: { $sum: "$unappliedMinor" },
+        receiptCount: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]).session(session);
+
+  return rows.map((r) => ({
+    currency: r._id,
+    minorUnitFactor: r.minorUnitFactor || 100,
+    availableMinor: r.availableMinor,
+    receiptCount: r.receiptCount,
+  }));
+};
+
+/**
+ * Receipts with credit left in `currency`, oldest first (the order credit is consumed in).
+ */
+export const getCreditReceipts = (userId, currency, session = null) =>
+  Receipt.find({ user: userId, currency, unappliedMinor: { $gt: 0 } })
+    .sort({ paymentDate: 1, createdAt: 1, _id: 1 })
+    .session(session);
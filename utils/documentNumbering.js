@@ -0,0 +1,116 @@
+// utils/documentNumbering.js
+import mongoose from "mongoose";
+import NumberingSeries from "../models/numberingSeriesModel.js";
+import DocumentCounter from "../models/documentCounterModel.js";
+
+/**
+ * Sequential document numbers (e.g. INV-2026-000123).
+ *
+ * - Format per document type: NumberingSeries row, else DEFAULT_SERIES.
+ * - allocateDocumentNumber() increments DocumentCounter with the caller's session, so the
+ *   number commits/aborts with the document. Call it inside the creating transaction for
+ *   a gap-free series (invoices always are); outside a transaction it is still atomic and
+ *   sequential, but a failed insert can leave a gap.
+ * - resetYearly: the counter restarts at 1 each fiscal year ({FY} = year the FY starts in).
+ * - A period's counter row is created outside the transaction: a duplicate-key error
+ *   inside one aborts it, so the in-transaction step only ever increments.
+ */
+
+export const DEFAULT_SERIES = {
+  Quote: { prefix: "QTE", pattern: "{PREFIX}-{FY}-{SEQ}", padding: 6, resetYearly: true },
+  Order: { prefix: "ORD", pattern: "{PREFIX}-{FY}-{SEQ}", padding: 6, resetYearly: true },
+  Invoice: { prefix: "INV", pattern: "{PREFIX}-{FY}-{SEQ}", padding: 6, resetYearly: true },
+  CreditNote: { prefix: "CN", pattern: "{PREFIX}-{FY}-{SEQ}", padding: 6, resetYearly: true },
+  PurchaseOrder: { prefix: "PO", pattern: "{PREFIX}-{FY}-{SEQ}", padding: 6, resetYearly: true },
+  Receipt: { prefix: "RCT", pattern: "{PREFIX}-{FY}-{SEQ}", padding: 6, resetYearly: true },
+};
+
+export const PATTERN_TOKENS = ["{PREFIX}", "{FY}", "{YYYY}", "{YY}", "{MM}", "{DD}", "{SEQ}"];
+
+export const getSeriesConfig = async (docType, session = null) => {
+  const defaults = DEFAULT_SERIES[docType];
+  if (!defaults) throw new Error(`Unknown document type "${docType}".`);
+
+  const row = await NumberingSeries.findOne({ docType }).session(session).lean();
+  return {
+    docType,
+    prefix: row?.prefix ?? defaults.prefix,
+    pattern: row?.pattern ?? defaults.pattern,
+    padding: row?.padding ?? defaults.padding,
+    resetYearly: row?.resetYearly ?? defaults.resetYearly,
+    fiscalYearStartMonth: row?.fiscalYearStartMonth ?? 1,
+    isDefault: !row,
+  };
+};
+
+// Fiscal year label = calendar year in which the fiscal year starts
+export const fiscalYearFor = (date, startMonth = 1) => {
+  const d = new Date(date);
+  const month = d.getMonth() + 1;
+  return month >= startMonth ? d.getFullYear() : d.getFullYear() - 1;
+};
+
+export const periodFor = (config, date) =>
+  config.resetYearly
+    ? String(fiscalYearFor(date, config.fiscalYearStartMonth))
+    : "ALL";
+
+export const formatDocumentNumber = (config, seq, date = new Date()) => {
+  const d = new Date(date);
+  const yyyy = String(d.getFullYear());
+  const values = {
+    "{PREFIX}": config.prefix,
+    "{FY}": String(fiscalYearFor(d, config.fiscalYearStartMonth)),
+    "{YYYY}": yyyy,
+    "{YY}": yyyy.slice(-2),
+    "{MM}": String(d.getMonth() + 1).padStart(2, "0"),
+    "{DD}": String(d.getDate()).padStart(2, "0"),
+    "{SEQ}": String(seq).padStart(config.padding, "0"),
+  };
+  return config.pattern.replace(/\{[A-Z]+\}/g, (token) => values[token] ?? token);
+};
+
+// Create the period's counter (seq 0) if missing; never inside a transaction
+const ensureCounter = async (filter) => {
+  try {
+    await DocumentCounter.updateOne(
+      filter,
+      { $setOnInsert: { seq: 0 } },
+      { upsert: true }
+    );
+  } catch (err) {
+    // Two first-of-period upserts raced on the unique index: the row exists now
+    if (err?.code !== 11000) throw err;
+  }
+};
+
+/**
+ * Allocate the next number for `docType`.
+ * Pass the document's session so the counter rolls back with it.
+ */
+export const allocateDocumentNumber = async (
+  docType,
+  { session = null, date = new Date() } = {}
+) => {
+  const config = await getSeriesConfig(docType, session);
+  const period = periodFor(config, date);
+
+  const filter = { docType, period };
+  await ensureCounter(filter);
+
+  const counter = await DocumentCounter.findOneAndUpdate(
+    filter,
+    { $inc: { seq: 1 } },
+    { new: true, session }
+  ).lean();
+  if (!counter) {
+    // Row created after this transaction's snapshot: let withTransaction retry
+    const err = new mongoose.mongo.MongoError(
+      `Numbering counter for ${docType} ${period} is not visible yet.`
+    );
+    err.addErrorLabel("TransientTransactionError");
+    throw err;
+  }
+
+  return formatDocumentNumber(config, counter.seq, date);
+};
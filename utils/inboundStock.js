@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+import PurchaseOrder, {
+  PURCHASE_ORDER_OPEN_STATUSES,
+} from "../models/purchaseOrderModel.js";
+
+const normalizeProductIds = (productIds = []) =>
+  Array.from(
+    new Set(
+      (Array.isArray(productIds) ? productIds : [])
+        .map((id) => (id ? String(id) : ""))
+        .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    )
+  ).map((id) => new mongoose.Types.ObjectId(id));
+
+/**
+ * Outstanding qty on open purchase orders (Sent / PartiallyReceived),
+ * keyed by productId. expectedAt is the earliest expected date among the
+ * POs contributing to that product (null when none is set).
+ */
+export const getInboundTotalsByProduct = async (productIds = []) => {
+  const ids = normalizeProductIds(productIds);
+  if (!ids.length) return new Map();
+
+  const rows = await PurchaseOrder.aggregate([
+    {
+      $match: {
+        status: { $in: PURCHASE_ORDER_OPEN_STATUSES },
+        "lines.product": { $in: ids },
+      },
+    },
+    { $unwind: "$lines" },
+    { $match: { "lines.product": { $in: ids } } },
+    {
+      $project: {
+        product: "$lines.product",
+        expectedAt: 1,
+        outstanding: {
+          $max: [
+            0,
+            {
+              $subtract: [
+                { $ifNull: ["$lines.qtyOrdered", 0] },
+                { $ifNull: ["$lines.qtyReceived", 0] },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $match: { outstanding: { $gt: 0 } } },
+    {
+      $group: {
+        _id: "$product",
+        qty: { $sum: "$outstanding" },
+        expectedAt: { $min: "$expectedAt" },
+      },
+    },
+  ]);
+
+  const totals = new Map();
+  for (const row of rows) {
+    totals.set(String(row._id), {
+      qty: Number(row.qty) || 0,
+      expectedAt: row.expectedAt || null,
+    });
+  }
+  return totals;
+};
@@ -0,0 +1,211 @@
+// utils/inventoryCost.js
+import mongoose from "mongoose";
+import CostLayer from "../models/costLayerModel.js";
+import SlotItem from "../models/slotItemModel.js";
+import { INVENTORY_COSTING_METHODS } from "../constants.js";
+import { roundToTwo } from "./rounding.js";
+
+/**
+ * Inventory costing (base currency, major units).
+ *
+ * - Inbound stock (RECEIVE, ADJUST_IN) adds a CostLayer at its unit cost. Without an
+ *   explicit cost (adjustments, count gains) the product's current average cost is used.
+ * - Outbound stock (DEDUCT, ADJUST_OUT) consumes layers oldest first:
+ *   FIFO            each unit costs what its layer cost
+ *   WeightedAverage every unit costs the average of the remaining layers, and the
+ *                   remaining layers are re-priced to that average
+ * - Stock that predates costing leaves first: the product's first layer is preceded by an
+ *   UNCOSTED layer for the qty already on hand, consumed before any costed layer.
+ * - Qty taken from UNCOSTED (or with no layer left) is consumed at 0 and reported as
+ *   uncostedQty; POST /api/inventory/cost-layers/opening prices that stock.
+ */
+
+export const getCostingMethod = () => {
+  const method = String(process.env.INVENTORY_COSTING_METHOD || "").trim();
+  return INVENTORY_COSTING_METHODS.includes(method) ? method : "FIFO";
+};
+
+const roundUnitCost = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+/**
+ * Remaining qty / value / average unit cost per product.
+ * Returns Map(productId -> { qty, value, unitCost }).
+ */
+export const getProductCosts = async (productIds = null, session = null) => {
+  const match = { qtyRemaining: { $gt: 0 }, source: { $ne: "UNCOSTED" } };
+  if (productIds) {
+    match.product = {
+      $in: productIds.map((id) => new mongoose.Types.ObjectId(String(id))),
+    };
+  }
+
+  const rows = await CostLayer.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$product",
+        qty: { $sum: "$qtyRemaining" },
+        value: { $sum: { $multiply: ["$qtyRemaining", "$unitCost"] } },
+      },
+    },
+  ]).session(session);
+
+  return new Map(
+    rows.map((row) => [
+      String(row._id),
+      {
+        qty: row.qty,
+        value: roundToTwo(row.value),
+        unitCost: row.qty > 0 ? roundUnitCost(row.value / row.qty) : 0,
+      },
+    ])
+  );
+};
+
+/**
+ * Before a product's first layer: park the stock already on hand in an UNCOSTED layer.
+ * Inbound callers update SlotItem before logging, so on-hand includes `inboundQty`.
+ */
+const ensureUncostedLayer = async (product, inboundQty, session = null) => {
+  if (await CostLayer.exists({ product }).session(session)) return;
+
+  const [row] = await SlotItem.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(product)) } },
+    { $group: { _id: null, qty: { $sum: "$qty" } } },
+  ]).session(session);
+  const qty = Math.max(0, (row?.qty || 0) - inboundQty);
+  if (!qty) return;
+
+  await CostLayer.create(
+    [
+      {
+        product,
+        source: "UNCOSTED",
+        receivedAt: new Date(0),
+        qtyIn: qty,
+        qtyRemaining: qty,
+        unitCost: 0,
+      },
+    ],
+    session ? { session } : undefined
+  );
+};
+
+/**
+ * Add an inbound layer. unitCost defaults to the product's current average cost.
+ * Returns { unitCost, totalCost }.
+ */
+export const addCostLayer = async (
+  { product, qty, unitCost, source, receivedAt, movement = null, purchaseOrder = null },
+  session = null
+) => {
+  let cost = Number(unitCost);
+  if (unitCost === undefined || unitCost === null || !Number.isFinite(cost) || cost < 0) {
+    const current = (await getProductCosts([product], session)).get(String(product));
+    cost = current?.unitCost || 0;
+  }
+  cost = roundUnitCost(cost);
+
+  if (source !== "OPENING") {
+    await ensureUncostedLayer(product, qty, session);
+  }
+
+  await CostLayer.create(
+    [
+      {
+        product,
+        source,
+        receivedAt: receivedAt || new Date(),
+        qtyIn: qty,
+        qtyRemaining: qty,
+        unitCost: cost,
+        movement,
+        purchaseOrder,
+      },
+    ],
+    session ? { session } : undefined
+  );
+
+  return { unitCost: cost, totalCost: roundToTwo(cost * qty) };
+};
+
+/**
+ * Give a product's UNCOSTED layers an opening cost (they become OPENING in place).
+ * Returns the qty priced.
+ */
+export const priceUncostedLayers = async ({ product, unitCost }, session = null) => {
+  const layers = await CostLayer.find({ product, source: "UNCOSTED", qtyRemaining: { $gt: 0 } })
+    .select("qtyRemaining")
+    .session(session)
+    .lean();
+  if (!layers.length) return 0;
+
+  await CostLayer.updateMany(
+    { _id: { $in: layers.map((layer) => layer._id) }, source: "UNCOSTED" },
+    { $set: { source: "OPENING", unitCost: roundUnitCost(unitCost) } },
+    { session }
+  );
+  return layers.reduce((sum, layer) => sum + layer.qtyRemaining, 0);
+};
+
+/**
+ * Consume `qty` of a product from its layers (oldest first, UNCOSTED before all others).
+ * Returns { unitCost, totalCost, uncostedQty }.
+ */
+export const consumeCostLayers = async ({ product, qty }, session = null) => {
+  const layers = await CostLayer.find({ product, qtyRemaining: { $gt: 0 } })
+    .sort({ receivedAt: 1, _id: 1 })
+    .session(session);
+
+  const method = getCostingMethod();
+  const costed = layers.filter((layer) => layer.source !== "UNCOSTED");
+  const remainingQty = costed.reduce((sum, layer) => sum + layer.qtyRemaining, 0);
+  const remainingValue = costed.reduce(
+    (sum, layer) => sum + layer.qtyRemaining * layer.unitCost,
+    0
+  );
+  const average = remainingQty > 0 ? roundUnitCost(remainingValue / remainingQty) : 0;
+
+  let left = qty;
+  let fifoCost = 0;
+  let uncostedQty = 0;
+  const updates = [];
+  for (const layer of layers) {
+    if (left <= 0) break;
+    const take = Math.min(left, layer.qtyRemaining);
+    if (layer.source === "UNCOSTED") {
+      uncostedQty += take;
+    } else {
+      fifoCost += take * layer.unitCost;
+    }
+    left -= take;
+    updates.push({
+      updateOne: {
+        filter: { _id: layer._id },
+        update: { $inc: { qtyRemaining: -take } },
+      },
+    });
+  }
+  const consumedQty = qty - left - uncostedQty;
+
+  if (updates.length) {
+    await CostLayer.bulkWrite(updates, { session });
+  }
+  if (method === "WeightedAverage" && consumedQty > 0) {
+    await CostLayer.updateMany(
+      { product, qtyRemaining: { $gt: 0 }, source: { $ne: "UNCOSTED" } },
+      { $set: { unitCost: average } },
+      { session }
+    );
+  }
+
+  const totalCost = roundToTwo(
+    method === "WeightedAverage" ? consumedQty * average : fifoCost
+  );
+
+  return {
+    unitCost: qty > 0 ? roundUnitCost(totalCost / qty) : 0,
+    totalCost,
+    uncostedQty: uncostedQty + left,
+  };
+};
@@ -1,5 +1,10 @@
 // utils/inventoryMovement.js
+import mongoose from "mongoose";
 import InventoryMovement from "../models/inventoryMovementModel.js";
+import { addCostLayer, consumeCostLayers } from "./inventoryCost.js";
+
+const INBOUND_COST_TYPES = new Set(["RECEIVE", "ADJUST_IN"]);
+const OUTBOUND_COST_TYPES = new Set(["DEDUCT", "ADJUST_OUT"]);
 
 export const getUnitCbm = (totalCbm, qty) => {
   const q = Number(qty) || 0;
@@ -8,6 +13,11 @@ export const getUnitCbm = (totalCbm, qty) => {
   return Math.max(0, t / q);
 };
 
+/**
+ * Log a movement. Inbound/outbound movements also add/consume cost layers
+ * (pass `unitCost` for inbound stock with a known cost, e.g. goods received);
+ * the movement records unitCost / totalCost.
+ */
 export const logInventoryMovement = async (payload, session = null) => {
   if (!payload) return null;
 
@@ -37,6 +47,34 @@ export const logInventoryMovement = async (payload, session = null) => {
     data.cbm = Math.max(0, data.unitCbm * qty);
   }
 
+  if (!data._id) data._id = new mongoose.Types.ObjectId();
+  if (INBOUND_COST_TYPES.has(data.type)) {
+    const cost = await addCostLayer(
+      {
+        product: data.product,
+        qty,
+        unitCost: data.unitCost,
+        source: data.type,
+        receivedAt: data.eventAt,
+        movement: data._id,
+        purchaseOrder: data.purchaseOrder || null,
+      },
+      session
+    );
+    data.unitCost = cost.unitCost;
+    data.totalCost = cost.totalCost;
+  } else if (OUTBOUND_COST_TYPES.has(data.type)) {
+    const cost = await consumeCostLayers({ product: data.product, qty }, session);
+    data.unitCost = cost.unitCost;
+    data.totalCost = cost.totalCost;
+    if (cost.uncostedQty) {
+      data.meta = { ...(data.meta || {}), uncostedQty: cost.uncostedQty };
+    }
+  } else {
+    delete data.unitCost;
+    delete data.totalCost;
+  }
+
   const options = session ? { session } : undefined;
   const [doc] = await InventoryMovement.create([data], options);
   return doc || null;
@@ -0,0 +1,190 @@
+// utils/invoiceAgeing.js
+import Invoice from "../models/invoiceModel.js";
+import { baseMinorExpr, getBaseCurrency, minorUnitFactorFor } from "./currency.js";
+
+/**
+ * Receivables ageing (integer minor units).
+ *
+ * Buckets are based on days past `dueDate` at `asOf`:
+ * - current: not yet due
+ * - d1_30 / d31_60 / d61_90 / d90_plus: days overdue
+ *
+ * Only Issued invoices with an outstanding balance are aged.
+ * Amounts are in the base currency, converted at each invoice's captured exchange rate.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AGEING_BUCKETS = [
+  { key: "current", label: "Current" },
+  { key: "d1_30", label: "1-30 days" },
+  { key: "d31_60", label: "31-60 days" },
+  { key: "d61_90", label: "61-90 days" },
+  { key: "d90_plus", label: "90+ days" },
+];
+
+const emptyBuckets = () =>
+  Object.fromEntries(AGEING_BUCKETS.map((b) => [b.key, { totalMinor: 0, count: 0 }]));
+
+const bucketExpr = (asOf) => {
+  const daysOverdue = {
+    $floor: {
+      $divide: [{ $subtract: [asOf, "$dueDate"] }, DAY_MS],
+    },
+  };
+  return {
+    $switch: {
+      branches: [
+        { case: { $lte: [daysOverdue, 0] }, then: "current" },
+        { case: { $lte: [daysOverdue, 30] }, then: "d1_30" },
+        { case: { $lte: [daysOverdue, 60] }, then: "d31_60" },
+        { case: { $lte: [daysOverdue, 90] }, then: "d61_90" },
+      ],
+      default: "d90_plus",
+    },
+  };
+};
+
+/**
+ * Age outstanding invoices.
+ * - `match` narrows the invoices (e.g. { user: ObjectId }). Must already be cast (aggregate).
+ * - With `groupByUser`, returns one row per user; otherwise a single totals row.
+ *
+ * Row shape:
+ * { user?, buckets: { current: { totalMinor, count }, ... }, totalMinor, count, oldestDueDate }
+ */
+export const computeInvoiceAgeing = async ({
+  match = {},
+  asOf = new Date(),
+  groupByUser = false,
+} = {}) => {
+  const rows = await Invoice.aggregate([
+    {
+      $match: {
+        ...match,
+        status: "Issued",
+        balanceDueMinor: { $gt: 0 },
+      },
+    },
+    { $addFields: { _bucket: bucketExpr(asOf) } },
+    {
+      $group: {
+        _id: { user: groupByUser ? "$user" : null, bucket: "$_bucket" },
+        totalMinor: { $sum: baseMinorExpr("$balanceDueMinor") },
+        count: { $sum: 1 },
+        oldestDueDate: { $min: "$dueDate" },
+      },
+    },
+  ]);
+
+  const byUser = new Map();
+  for (const row of rows) {
+    const key = String(row._id.user);
+    if (!byUser.has(key)) {
+      byUser.set(key, {
+        ...(groupByUser ? { user: row._id.user } : {}),
+        buckets: emptyBuckets(),
+        totalMinor: 0,
+        count: 0,
+        oldestDueDate: null,
+      });
+    }
+    const entry = byUser.get(key);
+    entry.buckets[row._id.bucket] = {
+      totalMinor: row.totalMinor,
+      count: row.count,
+    };
+    entry.totalMinor += row.totalMinor;
+    entry.count += row.count;
+    if (
+      row.oldestDueDate &&
+      (!entry.oldestDueDate || row.oldestDueDate < entry.oldestDueDate)
+    ) {
+      entry.oldestDueDate = row.oldestDueDate;
+    }
+  }
+
+  if (groupByUser) return Array.from(byUser.values());
+
+  return (
+    byUser.get("null") || {
+      buckets: emptyBuckets(),
+      totalMinor: 0,
+      count: 0,
+      oldestDueDate: null,
+    }
+  );
+};
+
+/**
+ * Unpaid / overdue totals per invoice currency, plus base-currency totals.
+ * `match` narrows the invoices and must already be cast (aggregate).
+ *
+ * Returns:
+ * { unpaidTotalMinor, unpaidCount, overdueTotalMinor, overdueCount, currency, minorUnitFactor,
+ *   byCurrency: [{ currency, minorUnitFactor, unpaidTotalMinor, unpaidCount, overdueTotalMinor, overdueCount }] }
+ * Top-level totals are in the base currency.
+ */
+export const computeOutstandingSummary = async ({ match = {}, now = new Date() } = {}) => {
+  const rows = await Invoice.aggregate([
+    {
+      $match: {
+        ...match,
+        status: "Issued",
+        paymentStatus: { $ne: "Paid" },
+        balanceDueMinor: { $gt: 0 },
+      },
+    },
+    {
+      $addFields: {
+        _baseMinor: baseMinorExpr("$balanceDueMinor"),
+        _overdue: {
+          $and: [{ $eq: [{ $type: "$dueDate" }, "date"] }, { $lt: ["$dueDate", now] }],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          currency: { $ifNull: ["$currency", "AED"] },
+          minorUnitFactor: { $ifNull: ["$minorUnitFactor", 100] },
+        },
+        unpaidTotalMinor: { $sum: "$balanceDueMinor" },
+        unpaidCount: { $sum: 1 },
+        unpaidBaseMinor: { $sum: "$_baseMinor" },
+        overdueTotalMinor: { $sum: { $cond: ["$_overdue", "$balanceDueMinor", 0] } },
+        overdueCount: { $sum: { $cond: ["$_overdue", 1, 0] } },
+        overdueBaseMinor: { $sum: { $cond: ["$_overdue", "$_baseMinor", 0] } },
+      },
+    },
+    { $sort: { "_id.currency": 1 } },
+  ]);
+
+  const baseCurrency = getBaseCurrency();
+  const out = {
+    unpaidTotalMinor: 0,
+    unpaidCount: 0,
+    overdueTotalMinor: 0,
+    overdueCount: 0,
+    currency: baseCurrency,
+    minorUnitFactor: minorUnitFactorFor(baseCurrency),
+    byCurrency: [],
+  };
+
+  for (const row of rows) {
+    out.unpaidTotalMinor += row.unpaidBaseMinor;
+    out.unpaidCount += row.unpaidCount;
+    out.overdueTotalMinor += row.overdueBaseMinor;
+    out.overdueCount += row.overdueCount;
+    out.byCurrency.push({
+      currency: row._id.currency,
+      minorUnitFactor: row._id.minorUnitFactor,
+      unpaidTotalMinor: row.unpaidTotalMinor,
+      unpaidCount: row.unpaidCount,
+      overdueTotalMinor: row.overdueTotalMinor,
+      overdueCount: row.overdueCount,
+    });
+  }
+
+  return out;
+};
@@ -0,0 +1,64 @@
+// utils/invoicePdf.js
+import Invoice from "../models/invoiceModel.js";
+import { renderInvoiceHtml, invoiceFooterTemplate } from "./invoiceTemplate.js";
+import { renderPdf } from "./pdfRenderer.js";
+
+/**
+ * Load an invoice with everything the invoice template needs (issue-time fields only;
+ * settlement is not printed, see utils/invoiceTemplate.js).
+ * Returns null when not found.
+ */
+export const loadInvoiceForPdf = (invoiceId) =>
+  Invoice.findById(invoiceId)
+    .select(
+      [
+        "source",
+        "invoiceItems",
+        "invoiceNumber",
+        "status",
+        "amountMinor",
+        "netAmountMinor",
+        "vatAmountMinor",
+        "vatSummary",
+        "currency",
+        "minorUnitFactor",
+        "dueDate",
+        "createdAt",
+        "user",
+        "customerSnapshot",
+        "order",
+      ].join(" ")
+    )
+    .populate({
+      path: "user",
+      select: "name email",
+    })
+    .populate({
+      path: "order",
+      select: [
+        "orderNumber",
+        "orderItems",
+        "deliveryCharge",
+        "extraFee",
+        "vatRate",
+        "createdAt",
+      ].join(" "),
+      populate: {
+        path: "orderItems.product",
+        select: "name",
+      },
+    })
+    .lean();
+
+export const invoicePdfFileName = (invoice) =>
+  invoice?.invoiceNumber
+    ? `invoice-${invoice.invoiceNumber}.pdf`
+    : `invoice-${invoice?._id}.pdf`;
+
+/**
+ * Render a loaded invoice (see loadInvoiceForPdf) to a PDF buffer.
+ */
+export const renderInvoicePdf = (invoice) =>
+  renderPdf(renderInvoiceHtml({ invoice, order: invoice.order }), {
+    footerTemplate: invoiceFooterTemplate,
+  });
@@ -0,0 +1,162 @@
+// utils/invoicePdfArchive.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import InvoicePdf from "../models/invoicePdfModel.js";
+import { enqueueJobSafe } from "./jobQueue.js";
+import {
+  loadInvoiceForPdf,
+  renderInvoicePdf,
+  invoicePdfFileName,
+} from "./invoicePdf.js";
+
+/**
+ * Versioned invoice PDF archive (GridFS bucket "invoicePdfs").
+ *
+ * - archiveInvoicePdf() renders from live data and stores a NEW version.
+ * - archiveIssuedInvoicePdf() runs inside the issue flow, so version 1 exists before the
+ *   invoice is returned; only a failed render falls back to the invoice.archivePdf job.
+ * - getInvoicePdf() serves a stored version; it only renders when nothing is archived
+ *   yet (legacy invoices), and that render becomes version 1.
+ * - The template prints issue-time content only (no payments / balance), so an archived
+ *   version never goes stale when the invoice is paid or credited.
+ */
+
+const BUCKET_NAME = "invoicePdfs";
+
+const getBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: BUCKET_NAME,
+  });
+
+const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+const uploadBuffer = (buffer, fileName, metadata) =>
+  new Promise((resolve, reject) => {
+    const upload = getBucket().openUploadStream(fileName, {
+      contentType: "application/pdf",
+      metadata,
+    });
+    upload.once("error", reject);
+    upload.once("finish", () => resolve(upload.id));
+    upload.end(buffer);
+  });
+
+const downloadBuffer = (fileId) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    getBucket()
+      .openDownloadStream(fileId)
+      .on("data", (chunk) => chunks.push(chunk))
+      .once("error", reject)
+      .once("end", () => resolve(Buffer.concat(chunks)));
+  });
+
+const latestVersion = (invoiceId) =>
+  InvoicePdf.findOne({ invoice: invoiceId }).sort({ version: -1 });
+
+/**
+ * Render the invoice now and store it as the next version.
+ * Returns { doc, buffer }. Throws "Invoice not found." if it does not exist.
+ */
+export const archiveInvoicePdf = async (
+  invoiceId,
+  { reason = "Issued", note, createdBy = null } = {}
+) => {
+  const invoice = await loadInvoiceForPdf(invoiceId);
+  if (!invoice) throw new Error("Invoice not found.");
+
+  const buffer = Buffer.from(await renderInvoicePdf(invoice));
+  const hash = sha256(buffer);
+  const previous = await latestVersion(invoice._id);
+  const version = (previous?.version || 0) + 1;
+  const baseName = invoicePdfFileName(invoice).replace(/\.pdf$/, "");
+  const fileName = version > 1 ? `${baseName}-v${version}.pdf` : `${baseName}.pdf`;
+
+  const fileId = await uploadBuffer(buffer, fileName, {
+    invoice: invoice._id,
+    version,
+    sha256: hash,
+  });
+
+  try {
+    const doc = await InvoicePdf.create({
+      invoice: invoice._id,
+      version,
+      fileId,
+      fileName,
+      sha256: hash,
+      size: buffer.length,
+      reason,
+      ...(note ? { note } : {}),
+      createdBy,
+    });
+    return { doc, buffer };
+  } catch (err) {
+    // Lost a race for this version number: drop our upload, serve the winner
+    await getBucket().delete(fileId).catch(() => {});
+    if (err?.code === 11000 && reason !== "Regenerated") {
+      const winner = await latestVersion(invoice._id);
+      if (winner) return { doc: winner, buffer: await readInvoicePdf(winner) };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Read an archived version and verify its content hash.
+ */
+export const readInvoicePdf = async (doc) => {
+  const buffer = await downloadBuffer(doc.fileId);
+  if (sha256(buffer) !== doc.sha256) {
+    throw new Error(
+      `Archived PDF for invoice version ${doc.version} failed its integrity check.`
+    );
+  }
+  return buffer;
+};
+
+/**
+ * Stored PDF for an invoice (latest, or a specific `version`).
+ * Archives version 1 on first access when nothing is stored yet.
+ * Returns { doc, buffer } or null when the requested version does not exist.
+ */
+export const getInvoicePdf = async (invoiceId, { version } = {}) => {
+  if (version) {
+    const doc = await InvoicePdf.findOne({ invoice: invoiceId, version });
+    return doc ? { doc, buffer: await readInvoicePdf(doc) } : null;
+  }
+
+  const doc = await latestVersion(invoiceId);
+  if (doc) return { doc, buffer: await readInvoicePdf(doc) };
+
+  return archiveInvoicePdf(invoiceId, { reason: "Backfill" });
+};
+
+/**
+ * Archive the issue-time version unless one already exists (safe to retry).
+ */
+export const ensureInvoicePdfArchived = async (invoiceId) => {
+  const existing = await latestVersion(invoiceId);
+  if (existing) return existing;
+  const { doc } = await archiveInvoicePdf(invoiceId, { reason: "Issued" });
+  return doc;
+};
+
+/**
+ * Issue flow: archive now (after the invoice is committed). A failed render is retried
+ * by the invoice.archivePdf job instead of failing the request.
+ */
+export const archiveIssuedInvoicePdf = async (invoiceId) => {
+  try {
+    return await ensureInvoicePdfArchived(invoiceId);
+  } catch (err) {
+    console.error("❌ Invoice PDF archive failed, queued for retry:", err?.message);
+    void enqueueJobSafe("invoice.archivePdf", { invoiceId: String(invoiceId) });
+    return null;
+  }
+};
+
+export const listInvoicePdfVersions = (invoiceId) =>
+  InvoicePdf.find({ invoice: invoiceId })
+    .sort({ version: -1 })
+    .populate({ path: "createdBy", select: "name email" });
@@ -0,0 +1,348 @@
+// utils/invoiceReminders.js
+import Invoice from "../models/invoiceModel.js";
+import OverdueDigest from "../models/overdueDigestModel.js";
+import sendTransactionalEmail from "./sendTransactionalEmail.js";
+import sendTelegramAlert, { isTelegramConfigured } from "./sendTelegramAlert.js";
+import { getInvoicePdf } from "./invoicePdfArchive.js";
+import { computeOutstandingSummary } from "./invoiceAgeing.js";
+
+/**
+ * Overdue payment reminders.
+ *
+ * Schedule = day offsets relative to dueDate (negative = before due).
+ * Configure with INVOICE_REMINDER_SCHEDULE="-3,0,7,14,30" (default).
+ *
+ * Idempotency:
+ * - Each stage is claimed on the invoice (reminders[].key) with an atomic update
+ *   BEFORE the email is sent, so a restart or a second instance never double-sends.
+ * - A crash between claim and send leaves the stage as "Sending" (not retried).
+ * - Failed sends are marked "Failed" and retried on later runs (same entry, attempts + 1)
+ *   until MAX_REMINDER_ATTEMPTS; after that the stage is given up.
+ * - Only the latest due stage is sent; stages missed while the server was down are skipped.
+ * - Offsets count calendar days (server time): the whole due date is day 0.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SCHEDULE = [-3, 0, 7, 14, 30];
+const MAX_REMINDER_ATTEMPTS = 5;
+
+function escapeTelegramMarkdown(text = "") {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/_/g, "\\_")
+    .replace(/\*/g, "\\*")
+    .replace(/\[/g, "\\[")
+    .replace(/]/g, "\\]")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)")
+    .replace(/`/g, "\\`");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const formatMinor = (minor, factor = 100) =>
+  ((Number(minor) || 0) / (Number(factor) > 0 ? Number(factor) : 100)).toFixed(2);
+
+const formatDay = (d) => new Date(d).toISOString().slice(0, 10);
+
+export const getReminderSchedule = () => {
+  const raw = String(process.env.INVOICE_REMINDER_SCHEDULE || "").trim();
+  if (!raw) return DEFAULT_SCHEDULE;
+
+  const offsets = raw
+    .split(",")
+    .map((v) => Number.parseInt(v.trim(), 10))
+    .filter(Number.isFinite);
+  return offsets.length
+    ? Array.from(new Set(offsets)).sort((a, b) => a - b)
+    : DEFAULT_SCHEDULE;
+};
+
+export const reminderKey = (offsetDays) =>
+  offsetDays < 0 ? `D${offsetDays}` : `D+${offsetDays}`;
+
+const startOfDay = (d, addDays = 0) => {
+  const day = new Date(d);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() + addDays);
+  return day;
+};
+
+// Calendar days between the due date and now (round absorbs DST-length days)
+const daysFromDue = (dueDate, now) =>
+  Math.round((startOfDay(now).getTime() - startOfDay(dueDate).getTime()) / DAY_MS);
+
+const buildReminderEmail = ({ invoice, client, offsetDays }) => {
+  const amount = `${formatMinor(invoice.balanceDueMinor, invoice.minorUnitFactor)} ${
+    invoice.currency || "AED"
+  }`;
+  const due = formatDay(invoice.dueDate);
+  const number = invoice.invoiceNumber;
+
+  const lead =
+    offsetDays < 0
+      ? `This is a friendly reminder that invoice ${number} is due on ${due}.`
+      : offsetDays === 0
+      ? `Invoice ${number} is due today (${due}).`
+      : `Invoice ${number} was due on ${due} and is now ${offsetDays} days overdue.`;
+
+  const subject =
+    offsetDays <= 0
+      ? `Payment reminder: invoice ${number}`
+      : `Overdue invoice ${number} (${offsetDays} days)`;
+
+  const text =
+    `Hello ${client?.name || ""},\n\n` +
+    `${lead}\n` +
+    `Outstanding balance: ${amount}\n\n` +
+    `The invoice is attached as issued; the outstanding balance above reflects payments received so far. If you have already paid, please ignore this email.\n\n` +
+    `Megadie`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+      <p>Hello ${escapeHtml(client?.name || "")},</p>
+      <p>${escapeHtml(lead)}</p>
+      <p><strong>Outstanding balance:</strong> ${escapeHtml(amount)}</p>
+      <p>The invoice is attached as issued; the outstanding balance above reflects payments received so far. If you have already paid, please ignore this email.</p>
+      <p>Megadie</p>
+    </div>
+  `;
+
+  return { subject, text, html };
+};
+
+const isRetryable = (reminder) =>
+  reminder.status === "Failed" && (reminder.attempts || 1) < MAX_REMINDER_ATTEMPTS;
+
+/**
+ * Claim a reminder stage on the invoice. Returns true only for the caller that won.
+ * A Failed stage is claimed again in place; otherwise the stage gets its first entry.
+ */
+const claimReminder = async ({ invoiceId, key, offsetDays, to }) => {
+  const failed = {
+    key,
+    status: "Failed",
+    attempts: { $not: { $gte: MAX_REMINDER_ATTEMPTS } },
+  };
+  const retried = await Invoice.updateOne(
+    {
+      _id: invoiceId,
+      $and: [
+        { reminders: { $elemMatch: failed } },
+        { reminders: { $not: { $elemMatch: { key, status: { $in: ["Sending", "Sent"] } } } } },
+      ],
+    },
+    {
+      $set: {
+        "reminders.$[r].status": "Sending",
+        "reminders.$[r].to": to,
+        "reminders.$[r].sentAt": new Date(),
+      },
+      $inc: { "reminders.$[r].attempts": 1 },
+      $unset: { "reminders.$[r].error": "" },
+    },
+    {
+      arrayFilters: [
+        {
+          "r.key": key,
+          "r.status": "Failed",
+          "r.attempts": { $not: { $gte: MAX_REMINDER_ATTEMPTS } },
+        },
+      ],
+      timestamps: false,
+    }
+  );
+  if (retried.modifiedCount === 1) return true;
+
+  const result = await Invoice.updateOne(
+    {
+      _id: invoiceId,
+      reminders: { $not: { $elemMatch: { key } } },
+    },
+    {
+      $push: {
+        reminders: { key, offsetDays, channel: "Email", to, status: "Sending" },
+      },
+    },
+    { timestamps: false }
+  );
+  return result.modifiedCount === 1;
+};
+
+const markReminder = (invoiceId, key, status, error) =>
+  Invoice.updateOne(
+    { _id: invoiceId },
+    {
+      $set: {
+        "reminders.$[r].status": status,
+        "reminders.$[r].sentAt": new Date(),
+        ...(error ? { "reminders.$[r].error": String(error).slice(0, 500) } : {}),
+      },
+    },
+    {
+      arrayFilters: [{ "r.key": key, "r.status": "Sending" }],
+      timestamps: false,
+    }
+  );
+
+/**
+ * Send every reminder that is due at `now`.
+ * Returns { checked, sent, failed, skipped }.
+ */
+export const runInvoiceReminders = async ({ now = new Date() } = {}) => {
+  const schedule = getReminderSchedule();
+  const earliest = schedule[0];
+  const stats = { checked: 0, sent: 0, failed: 0, skipped: 0 };
+
+  // Invoices whose first stage has been reached (due before the end of today - earliest)
+  const candidates = await Invoice.find({
+    status: "Issued",
+    balanceDueMinor: { $gt: 0 },
+    dueDate: { $lt: startOfDay(now, 1 - earliest) },
+  })
+    .select(
+      "invoiceNumber user dueDate balanceDueMinor currency minorUnitFactor reminders"
+    )
+    .populate({ path: "user", select: "name email" })
+    .lean();
+
+  for (const invoice of candidates) {
+    stats.checked += 1;
+
+    const elapsed = daysFromDue(invoice.dueDate, now);
+    const reached = schedule.filter((offset) => offset <= elapsed);
+    const offsetDays = reached[reached.length - 1];
+    if (offsetDays === undefined) continue;
+
+    const key = reminderKey(offsetDays);
+    const to = invoice.user?.email;
+    if (!to) {
+      stats.skipped += 1;
+      continue;
+    }
+
+    // Sent, in flight, or out of attempts: nothing to do for this stage
+    const entries = (invoice.reminders || []).filter((r) => r.key === key);
+    if (entries.some((r) => r.status !== "Failed")) continue;
+    if (entries.length && !entries.some(isRetryable)) continue;
+
+    const claimed = await claimReminder({
+      invoiceId: invoice._id,
+      key,
+      offsetDays,
+      to,
+    });
+    if (!claimed) {
+      stats.skipped += 1;
+      continue;
+    }
+
+    try {
+      const archived = await getInvoicePdf(invoice._id);
+      const { subject, text, html } = buildReminderEmail({
+        invoice,
+        client: invoice.user,
+        offsetDays,
+      });
+
+      await sendTransactionalEmail({
+        to,
+        subject,
+        text,
+        html,
+        attachments: [
+          { filename: archived.doc.fileName, content: archived.buffer },
+        ],
+      });
+
+      await markReminder(invoice._id, key, "Sent");
+      stats.sent += 1;
+    } catch (err) {
+      console.error("Invoice reminder failed", {
+        invoice: invoice.invoiceNumber,
+        key,
+        error: err?.message,
+      });
+      await markReminder(invoice._id, key, "Failed", err?.message);
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Post the daily overdue digest to the admin Telegram channel (once per day).
+ * Returns true when a digest was posted by this call.
+ */
+export const sendOverdueDigest = async ({ now = new Date() } = {}) => {
+  // Nothing would be posted: don't claim the day
+  if (!isTelegramConfigured()) return false;
+
+  const dayKey = formatDay(now);
+
+  const overdue = await Invoice.find({
+    status: "Issued",
+    balanceDueMinor: { $gt: 0 },
+    dueDate: { $lt: startOfDay(now) },
+  })
+    .select("invoiceNumber user dueDate balanceDueMinor currency minorUnitFactor")
+    .populate({ path: "user", select: "name" })
+    .sort({ dueDate: 1 })
+    .lean();
+
+  // Invoices may be in different currencies: total in base at each invoice's captured rate
+  const summary = await computeOutstandingSummary({ now: startOfDay(now) });
+  const totalMinor = summary.overdueTotalMinor;
+
+  // Claim the day first (unique dayKey) so restarts never double-post;
+  // a failed send releases the claim so the job retry can post it
+  let claim;
+  try {
+    claim = await OverdueDigest.create({
+      dayKey,
+      invoiceCount: overdue.length,
+      totalMinor,
+    });
+  } catch (err) {
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+
+  const lines = [
+    "📋 Overdue invoices digest",
+    `Date: ${dayKey}`,
+    `Overdue: ${overdue.length} invoice(s), ${formatMinor(totalMinor, summary.minorUnitFactor)} ${summary.currency}`,
+  ];
+
+  const MAX_LINES = 20;
+  if (overdue.length) lines.push("");
+  for (const inv of overdue.slice(0, MAX_LINES)) {
+    const days = daysFromDue(inv.dueDate, now);
+    lines.push(
+      `• ${escapeTelegramMarkdown(inv.invoiceNumber)} — ${escapeTelegramMarkdown(
+        inv.user?.name || "Unknown"
+      )} — ${formatMinor(inv.balanceDueMinor, inv.minorUnitFactor)} ${
+        inv.currency || "AED"
+      } (${days}d)`
+    );
+  }
+  if (overdue.length > MAX_LINES) {
+    lines.push(`…and ${overdue.length - MAX_LINES} more`);
+  }
+
+  try {
+    await sendTelegramAlert(lines.join("\n"), { throwOnError: true });
+  } catch (err) {
+    await OverdueDigest.deleteOne({ _id: claim._id });
+    throw err;
+  }
+  return true;
+};
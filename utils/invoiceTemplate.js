@@ -35,6 +35,12 @@ const minorToMajor = (minor, factor) => {
 
 const money = (n, digits = 2) => asNumber(n).toFixed(digits);
 
+const vatLabel = (row) => {
+  if (row?.vatCategory === "Exempt") return "Exempt";
+  if (row?.vatCategory === "ZeroRated") return "Zero-rated (0%)";
+  return `VAT ${asNumber(row?.vatRate)}%`;
+};
+
 const formatDate = (value) => {
   if (!value) return "--";
   try {
@@ -59,11 +65,16 @@ const invoiceFooterTemplate = `
   </div>
 `;
 
+// Issue-time content only: the PDF is archived, so payments, credit notes and the
+// balance due (which change after issue) belong on the statement of account.
 const renderInvoiceHtml = ({ invoice, order, company }) => {
   const factor = Number(invoice?.minorUnitFactor);
   const minorUnitFactor = Number.isFinite(factor) && factor > 0 ? factor : 100;
   const fractionDigits = fractionDigitsFromFactor(minorUnitFactor);
 
+  // Snapshot taken at creation; live user only for invoices issued before snapshots
+  const billTo = invoice?.customerSnapshot || invoice?.user || {};
+
   const orderItems = Array.isArray(order?.orderItems)
     ? order.orderItems
     : [];
@@ -95,34 +106,58 @@ const renderInvoiceHtml = ({ invoice, order, company }) => {
     : minorToMajor(manualSubtotalMinor, minorUnitFactor);
 
   const computedTotal = subtotal + deliveryCharge + extraFee;
+
+  // Tax invoice = invoice created with VAT support (legacy invoices have no net amount)
+  const isTaxInvoice =
+    invoice?.netAmountMinor !== null &&
+    Number.isFinite(Number(invoice?.netAmountMinor));
+  const netAmount = isTaxInvoice
+    ? minorToMajor(invoice.netAmountMinor, minorUnitFactor)
+    : computedTotal;
+  const vatSummary = Array.isArray(invoice?.vatSummary) ? invoice.vatSummary : [];
+  const companyTrn = company?.trn ?? process.env.COMPANY_TRN ?? "";
   const invoiceAmount = Number.isFinite(Number(invoice?.amountMinor))
     ? minorToMajor(invoice.amountMinor, minorUnitFactor)
     : computedTotal;
 
-  const paymentsArray = Array.isArray(invoice?.payments) ? invoice.payments : [];
-  const receivedPaymentsTotal = paymentsArray.reduce((sum, p) => {
-    if (p && typeof p.amountMinor === "number") {
-      return sum + minorToMajor(p.amountMinor, minorUnitFactor);
-    }
-    if (p && typeof p.amount === "number") {
-      return sum + asNumber(p.amount);
-    }
-    return sum;
-  }, 0);
-
-  const amountPaid = Number.isFinite(Number(invoice?.paidTotalMinor))
-    ? minorToMajor(invoice.paidTotalMinor, minorUnitFactor)
-    : receivedPaymentsTotal;
-
-  const balanceDue = Number.isFinite(Number(invoice?.balanceDueMinor))
-    ? minorToMajor(invoice.balanceDueMinor, minorUnitFactor)
-    : Math.max(invoiceAmount - amountPaid, 0);
-
   const companyName = company?.name || "Megadie";
   const companySite = company?.display || "Megadie.com";
   const detailLabel = useOrderItems ? "Order #" : "Type";
   const detailValue = useOrderItems ? order?.orderNumber : "Manual";
   const itemHeader = useOrderItems ? "Product" : "Item";
+  const lineVatLabel = (item) => {
+    if (item?.vatCategory === "Exempt") return "Exempt";
+    if (!item?.vatCategory && !useOrderItems) return "--";
+    return `${asNumber(item?.vatRate)}%`;
+  };
+  const vatRowsHtml = isTaxInvoice
+    ? `
+          <div class="totals-row">
+            <span>Net total (excl. VAT)</span>
+            <span>${safeText(money(netAmount, fractionDigits))}</span>
+          </div>
+          ${vatSummary
+            .map(
+              (row) => `
+          <div class="totals-row">
+            <span>${safeText(vatLabel(row))} on ${safeText(
+                money(minorToMajor(row.netMinor, minorUnitFactor), fractionDigits)
+              )}</span>
+            <span>${safeText(
+              money(minorToMajor(row.vatMinor, minorUnitFactor), fractionDigits)
+            )}</span>
+          </div>
+        `
+            )
+            .join("")}
+          <div class="totals-row">
+            <span>Total VAT</span>
+            <span>${safeText(
+              money(minorToMajor(invoice?.vatAmountMinor, minorUnitFactor), fractionDigits)
+            )}</span>
+          </div>
+        `
+    : "";
   const deliveryRowHtml = useOrderItems
     ? `
           <div class="totals-row">
@@ -140,7 +175,7 @@ const renderInvoiceHtml = ({ invoice, order, company }) => {
     lineItems.length === 0
       ? `
         <tr>
-          <td colspan="3" class="empty">No items on this invoice.</td>
+          <td colspan="${isTaxInvoice ? 4 : 3}" class="empty">No items on this invoice.</td>
         </tr>
       `
       : lineItems
@@ -164,6 +199,11 @@ const renderInvoiceHtml = ({ invoice, order, company }) => {
               <tr>
                 <td class="col-product">${safeText(productLabel)}</td>
                 <td class="col-qty">${safeText(qty)}</td>
+                ${
+                  isTaxInvoice
+                    ? `<td class="col-qty">${safeText(lineVatLabel(item))}</td>`
+                    : ""
+                }
                 <td class="col-total">${safeText(
                   money(lineTotal, fractionDigits)
                 )}</td>
@@ -300,7 +340,12 @@ const renderInvoiceHtml = ({ invoice, order, company }) => {
             <div class="brand-sub">${safeText(companySite)}</div>
           </div>
           <div class="doc">
-            <div class="doc-title">Invoice</div>
+            <div class="doc-title">${isTaxInvoice ? "Tax Invoice" : "Invoice"}</div>
+            ${
+              isTaxInvoice && companyTrn
+                ? `<div class="doc-meta">TRN: ${safeText(companyTrn)}</div>`
+                : ""
+            }
             <div class="doc-meta">Invoice #: ${safeText(
               invoice?.invoiceNumber || invoice?._id
             )}</div>
@@ -316,12 +361,36 @@ const renderInvoiceHtml = ({ invoice, order, company }) => {
             <div class="info-title">Bill to</div>
             <div class="info-item">
               <div class="info-label">Client</div>
-              <div class="info-value">${safeText(invoice?.user?.name)}</div>
+              <div class="info-value">${safeText(billTo?.name)}</div>
             </div>
             <div class="info-item">
               <div class="info-label">Email</div>
-              <div class="info-value">${safeText(invoice?.user?.email)}</div>
+              <div class="info-value">${safeText(billTo?.email)}</div>
             </div>
+            ${
+              billTo?.phoneNumber
+                ? `<div class="info-item">
+              <div class="info-label">Phone</div>
+              <div class="info-value">${safeText(billTo.phoneNumber)}</div>
+            </div>`
+                : ""
+            }
+            ${
+              billTo?.trn
+                ? `<div class="info-item">
+              <div class="info-label">TRN</div>
+              <div class="info-value">${safeText(billTo.trn)}</div>
+            </div>`
+                : ""
+            }
+            ${
+              billTo?.address
+                ? `<div class="info-item">
+              <div class="info-label">Address</div>
+              <div class="info-value">${safeText(billTo.address)}</div>
+            </div>`
+                : ""
+            }
           </div>
           <div class="info-card">
             <div class="info-title">Details</div>
@@ -335,26 +404,28 @@ const renderInvoiceHtml = ({ invoice, order, company }) => {
                 formatDate(invoice?.dueDate)
               )}</div>
             </div>
-            <div class="info-item">
-              <div class="info-label">Status</div>
-              <div class="info-value">${safeText(
-                invoice?.paymentStatus || "Unpaid"
-              )}</div>
-            </div>
           </div>
         </div>
 
         <table>
           <colgroup>
-            <col style="width:55%" />
+            ${
+              isTaxInvoice
+                ? `<col style="width:50%" />
+            <col style="width:12%" />
+            <col style="width:13%" />
+            <col style="width:25%" />`
+                : `<col style="width:55%" />
             <col style="width:15%" />
-            <col style="width:30%" />
+            <col style="width:30%" />`
+            }
           </colgroup>
           <thead>
             <tr>
               <th>${safeText(itemHeader)}</th>
               <th style="text-align:right;">Qty</th>
-              <th style="text-align:right;">Total</th>
+              ${isTaxInvoice ? `<th style="text-align:right;">VAT</th>` : ""}
+              <th style="text-align:right;">${isTaxInvoice ? "Net" : "Total"}</th>
             </tr>
           </thead>
           <tbody>
@@ -368,18 +439,11 @@ const renderInvoiceHtml = ({ invoice, order, company }) => {
             <span>${safeText(money(subtotal, fractionDigits))}</span>
           </div>
           ${deliveryRowHtml}
+          ${vatRowsHtml}
           <div class="totals-row total">
-            <span>Invoice amount</span>
+            <span>${isTaxInvoice ? "Total (incl. VAT)" : "Invoice amount"}</span>
             <span>${safeText(money(invoiceAmount, fractionDigits))}</span>
           </div>
-          <div class="totals-row">
-            <span>Amount paid</span>
-            <span>${safeText(money(amountPaid, fractionDigits))}</span>
-          </div>
-          <div class="totals-row total">
-            <span>Balance due</span>
-            <span>${safeText(money(balanceDue, fractionDigits))}</span>
-          </div>
         </div>
       </body>
     </html>
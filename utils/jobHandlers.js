@@ -0,0 +1,69 @@
+// utils/jobHandlers.js
+import Invoice from "../models/invoiceModel.js";
+import { registerJobHandler } from "./jobQueue.js";
+import sendTelegramAlert from "./sendTelegramAlert.js";
+import sendTransactionalEmail from "./sendTransactionalEmail.js";
+import { getInvoicePdf, ensureInvoicePdfArchived } from "./invoicePdfArchive.js";
+import { rebuildSlotOccupancyTotals } from "./slotOccupancy.js";
+import { runInvoiceReminders, sendOverdueDigest } from "./invoiceReminders.js";
+import { sendLowStockDigest } from "./reorderPoints.js";
+
+/**
+ * Job types known to the worker. Handlers throw to trigger a retry.
+ * Payloads must stay JSON-serializable (no Buffers) — render PDFs inside the handler.
+ */
+
+// { message }
+registerJobHandler("telegram.alert", async ({ message }) => {
+  await sendTelegramAlert(String(message || ""), { throwOnError: true });
+  return { sent: true };
+});
+
+// { to, subject, text, html, replyTo }
+registerJobHandler("email.send", async ({ to, subject, text, html, replyTo }) => {
+  const result = await sendTransactionalEmail({ to, subject, text, html, replyTo });
+  return { id: result?.data?.id ?? result?.id ?? null };
+});
+
+// { invoiceId, to?, subject?, text? } — emails the archived invoice PDF
+registerJobHandler("invoice.emailPdf", async ({ invoiceId, to, subject, text }) => {
+  const archived = await getInvoicePdf(invoiceId);
+  const invoice = await Invoice.findById(invoiceId)
+    .select("invoiceNumber user")
+    .populate({ path: "user", select: "email" })
+    .lean();
+  if (!invoice || !archived) throw new Error("Invoice not found.");
+
+  const recipient = to || invoice.user?.email;
+  if (!recipient) throw new Error("Invoice has no recipient email.");
+
+  const number = invoice.invoiceNumber || String(invoice._id);
+  const result = await sendTransactionalEmail({
+    to: recipient,
+    subject: subject || `Invoice ${number}`,
+    text: text || `Please find invoice ${number} attached.\n\nMegadie`,
+    attachments: [{ filename: archived.doc.fileName, content: archived.buffer }],
+  });
+  return { to: recipient, id: result?.data?.id ?? result?.id ?? null };
+});
+
+// { invoiceId } — store the issue-time PDF (no-op when already archived)
+registerJobHandler("invoice.archivePdf", async ({ invoiceId }) => {
+  const doc = await ensureInvoicePdfArchived(invoiceId);
+  return { version: doc.version, sha256: doc.sha256 };
+});
+
+// { store? }
+registerJobHandler("slots.rebuildOccupancy", ({ store }) =>
+  rebuildSlotOccupancyTotals({ store: store ? String(store) : "" })
+);
+
+registerJobHandler("invoices.runReminders", () => runInvoiceReminders());
+
+registerJobHandler("invoices.overdueDigest", async () => ({
+  sent: await sendOverdueDigest(),
+}));
+
+registerJobHandler("inventory.lowStockDigest", async () => ({
+  sent: await sendLowStockDigest(),
+}));
@@ -0,0 +1,185 @@
+// utils/jobQueue.js
+import os from "os";
+import Job from "../models/jobModel.js";
+
+/**
+ * In-process job queue backed by the `jobs` collection (no external broker).
+ *
+ * - enqueueJob(type, payload, opts) persists a job; the worker picks it up.
+ * - registerJobHandler(type, fn) binds a handler: async (payload, job) => result.
+ * - startJobWorker() polls for due jobs and runs them one at a time (or `concurrency`).
+ *
+ * Claiming uses findOneAndUpdate, so several Node instances can share the queue.
+ * Every status change also sets `active` (Queued/Running), which the dedupeKey index uses.
+ * A Running job whose lease expired (crash mid-run) is picked up again.
+ *
+ * Env:
+ * - JOB_WORKER_DISABLED=true     do not start the worker in this process
+ * - JOB_WORKER_POLL_MS=2000
+ * - JOB_WORKER_CONCURRENCY=1
+ */
+
+const handlers = new Map();
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_MS = 10 * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+export const hasJobHandler = (type) => handlers.has(type);
+
+export const backoffDelayMs = (attempts) =>
+  Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Persist a job.
+ * opts: { runAt, maxAttempts, dedupeKey, createdBy }
+ * With a dedupeKey, returns the existing live job instead of creating a duplicate.
+ */
+export const enqueueJob = async (type, payload = {}, opts = {}) => {
+  const doc = {
+    type,
+    payload,
+    ...(opts.runAt ? { runAt: opts.runAt } : {}),
+    ...(opts.maxAttempts ? { maxAttempts: opts.maxAttempts } : {}),
+    ...(opts.dedupeKey ? { dedupeKey: opts.dedupeKey } : {}),
+    ...(opts.createdBy ? { createdBy: opts.createdBy } : {}),
+  };
+
+  try {
+    return await Job.create(doc);
+  } catch (err) {
+    if (err?.code === 11000 && opts.dedupeKey) {
+      return Job.findOne({ dedupeKey: opts.dedupeKey, active: true });
+    }
+    throw err;
+  }
+};
+
+/**
+ * Fire-and-forget enqueue for request paths: never throws into the caller.
+ */
+export const enqueueJobSafe = (type, payload, opts) =>
+  enqueueJob(type, payload, opts).catch((err) => {
+    console.error(`❌ Failed to enqueue job ${type}:`, err?.message);
+    return null;
+  });
+
+const claimNextJob = async () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: "Queued", runAt: { $lte: now } },
+        { status: "Running", lockedAt: { $lt: new Date(now.getTime() - LEASE_MS) } },
+      ],
+    },
+    {
+      $set: { status: "Running", lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}".`);
+    }
+    const result = await handler(job.payload || {}, job);
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: {
+          status: "Succeeded",
+          active: false,
+          result: result ?? null,
+          finishedAt: new Date(),
+          lockedAt: null,
+          lockedBy: null,
+        },
+      }
+    );
+  } catch (err) {
+    const message = String(err?.message || err).slice(0, 2000);
+    const exhausted = job.attempts >= job.maxAttempts;
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: exhausted
+          ? {
+              status: "Dead",
+              active: false,
+              lastError: message,
+              finishedAt: new Date(),
+              lockedAt: null,
+              lockedBy: null,
+            }
+          : {
+              status: "Queued",
+              active: true,
+              lastError: message,
+              runAt: new Date(Date.now() + backoffDelayMs(job.attempts)),
+              lockedAt: null,
+              lockedBy: null,
+            },
+      }
+    );
+
+    console.error(
+      `❌ Job ${job.type} (${job._id}) failed attempt ${job.attempts}/${job.maxAttempts}:`,
+      message
+    );
+  }
+};
+
+/**
+ * Drain due jobs until none are left (used by the worker loop).
+ */
+export const processDueJobs = async () => {
+  let processed = 0;
+  for (;;) {
+    const job = await claimNextJob();
+    if (!job) return processed;
+    await runJob(job);
+    processed += 1;
+  }
+};
+
+let started = false;
+
+export const startJobWorker = () => {
+  if (started) return;
+  if (String(process.env.JOB_WORKER_DISABLED || "") === "true") return;
+  started = true;
+
+  const pollMs = Number.parseInt(process.env.JOB_WORKER_POLL_MS ?? "2000", 10) || 2000;
+  const concurrency = Math.max(
+    1,
+    Number.parseInt(process.env.JOB_WORKER_CONCURRENCY ?? "1", 10) || 1
+  );
+
+  const loop = async () => {
+    try {
+      await processDueJobs();
+    } catch (err) {
+      console.error("❌ Job worker poll failed:", err?.message);
+    } finally {
+      setTimeout(loop, pollMs);
+    }
+  };
+
+  for (let i = 0; i < concurrency; i += 1) {
+    setTimeout(loop, pollMs);
+  }
+  console.log(`🧵 Job worker started (${concurrency}x, ${WORKER_ID})`);
+};
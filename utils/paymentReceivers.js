@@ -0,0 +1,35 @@
+// utils/paymentReceivers.js
+import mongoose from "mongoose";
+import PaymentReceiver from "../models/paymentReceiverModel.js";
+
+/**
+ * Payment receivers replace the old hard-coded RECEIVED_BY_OPTIONS list.
+ * Receivers are managed via /api/payment-receivers; existing databases are backfilled
+ * once from past receivedBy names (migrations/backfillPaymentReceivers.js).
+ */
+
+/**
+ * Resolve an ACTIVE receiver from an id or an exact (case-insensitive) name.
+ * Returns the lean receiver or null.
+ */
+export const resolvePaymentReceiver = async (value, session = null) => {
+  const key = String(value || "").trim();
+  if (!key) return null;
+
+  const filter = mongoose.Types.ObjectId.isValid(key)
+    ? { _id: key }
+    : { name: new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i") };
+
+  return PaymentReceiver.findOne({ ...filter, isActive: true })
+    .select("name type")
+    .session(session)
+    .lean();
+};
+
+/**
+ * Active receiver names, for error messages.
+ */
+export const activeReceiverNames = async () =>
+  (await PaymentReceiver.find({ isActive: true }).select("name").sort({ name: 1 }).lean()).map(
+    (r) => r.name
+  );
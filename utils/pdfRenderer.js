@@ -0,0 +1,189 @@
+// utils/pdfRenderer.js
+import { chromium } from "playwright";
+
+/**
+ * Shared PDF rendering service.
+ *
+ * - One Chromium per process, launched lazily and relaunched if it crashes/disconnects.
+ * - A bounded pool of warm pages (PDF_POOL_SIZE, default 2) = max concurrent renders.
+ * - Extra requests wait in a FIFO queue (PDF_QUEUE_MAX, default 50); beyond that the
+ *   renderer rejects with PdfRendererBusyError (mapped to 503 by errorMiddleware).
+ * - Each render is bounded by PDF_RENDER_TIMEOUT_MS (default 30s); waiting for a page
+ *   by PDF_QUEUE_TIMEOUT_MS (default 30s).
+ * - A page that errors or times out is discarded, never returned to the pool.
+ *
+ * Every PDF route goes through renderPdf() so print media + A4/margins/footer
+ * defaults live in one place.
+ */
+
+const POOL_SIZE = Math.max(1, Number.parseInt(process.env.PDF_POOL_SIZE ?? "2", 10) || 2);
+const QUEUE_MAX = Math.max(0, Number.parseInt(process.env.PDF_QUEUE_MAX ?? "50", 10) || 50);
+const RENDER_TIMEOUT_MS =
+  Number.parseInt(process.env.PDF_RENDER_TIMEOUT_MS ?? "30000", 10) || 30000;
+const QUEUE_TIMEOUT_MS =
+  Number.parseInt(process.env.PDF_QUEUE_TIMEOUT_MS ?? "30000", 10) || 30000;
+
+const DEFAULT_MARGIN = { top: "18mm", bottom: "22mm", left: "16mm", right: "16mm" };
+
+export class PdfRendererBusyError extends Error {
+  constructor(message = "PDF renderer is busy, please try again shortly.") {
+    super(message);
+    this.name = "PdfRendererBusyError";
+  }
+}
+
+let browserPromise = null;
+const idlePages = [];
+let pagesInUse = 0;
+const waiters = [];
+
+const resetBrowser = () => {
+  browserPromise = null;
+  idlePages.length = 0;
+};
+
+const getBrowser = () => {
+  if (!browserPromise) {
+    browserPromise = chromium
+      .launch({ args: ["--no-sandbox", "--disable-setuid-sandbox"] })
+      .then((browser) => {
+        browser.on("disconnected", () => {
+          console.error("❌ PDF renderer: Chromium disconnected, will relaunch");
+          resetBrowser();
+        });
+        return browser;
+      })
+      .catch((err) => {
+        resetBrowser();
+        throw err;
+      });
+  }
+  return browserPromise;
+};
+
+async function applyPdfMedia(page) {
+  if (typeof page.emulateMediaType === "function") {
+    await page.emulateMediaType("screen");
+  } else if (typeof page.emulateMedia === "function") {
+    await page.emulateMedia({ media: "screen" });
+  }
+}
+
+const createPage = async () => {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  await applyPdfMedia(page);
+  return page;
+};
+
+const acquirePage = async () => {
+  if (pagesInUse < POOL_SIZE) {
+    pagesInUse += 1;
+    while (idlePages.length) {
+      const page = idlePages.pop();
+      if (!page.isClosed()) return page;
+    }
+    try {
+      return await createPage();
+    } catch (err) {
+      pagesInUse -= 1;
+      throw err;
+    }
+  }
+
+  if (waiters.length >= QUEUE_MAX) {
+    throw new PdfRendererBusyError();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      const idx = waiters.indexOf(waiter);
+      if (idx !== -1) waiters.splice(idx, 1);
+      reject(new PdfRendererBusyError("Timed out waiting for the PDF renderer."));
+    }, QUEUE_TIMEOUT_MS);
+    waiters.push(waiter);
+  });
+};
+
+// Synchronous so a freed slot goes to the oldest waiter before any new request
+const releasePage = (page, healthy) => {
+  pagesInUse -= 1;
+
+  if (healthy && !page.isClosed()) {
+    idlePages.push(page);
+  } else if (!page.isClosed()) {
+    void page.close().catch(() => {});
+  }
+
+  const waiter = waiters.shift();
+  if (waiter) {
+    clearTimeout(waiter.timer);
+    acquirePage().then(waiter.resolve, waiter.reject);
+  }
+};
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`PDF render timed out after ${ms}ms.`)),
+        ms
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Render HTML to a PDF buffer.
+ * opts: { footerTemplate, landscape, margin, format }
+ */
+export const renderPdf = async (
+  html,
+  { footerTemplate = "<div></div>", landscape = false, margin, format = "A4" } = {}
+) => {
+  const page = await acquirePage();
+  let healthy = false;
+
+  try {
+    const buffer = await withTimeout(
+      (async () => {
+        await page.setContent(html, { waitUntil: "load" });
+        return page.pdf({
+          format,
+          landscape,
+          printBackground: true,
+          displayHeaderFooter: true,
+          headerTemplate: "<div></div>",
+          footerTemplate,
+          margin: margin || DEFAULT_MARGIN,
+        });
+      })(),
+      RENDER_TIMEOUT_MS
+    );
+    healthy = true;
+    return buffer;
+  } finally {
+    releasePage(page, healthy);
+  }
+};
+
+/**
+ * Write a rendered PDF to the response.
+ */
+export const sendPdf = (res, buffer, fileName, disposition = "inline") => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `${disposition}; filename=${fileName}`);
+  res.end(buffer);
+};
+
+export const closePdfRenderer = async () => {
+  const pending = browserPromise;
+  resetBrowser();
+  if (pending) {
+    const browser = await pending.catch(() => null);
+    if (browser) await browser.close().catch(() => {});
+  }
+};
@@ -0,0 +1,241 @@
+// utils/pickList.js
+import OrderAllocation from "../models/orderAllocationModel.js";
+import SlotItem from "../models/slotItemModel.js";
+import { SLOT_STORES, SLOT_UNITS } from "../constants.js";
+
+/**
+ * Pick-list planning.
+ *
+ * - Each order needs (ordered qty - its Reserved/Deducted allocations) per product.
+ * - A slot can give (SlotItem qty - every Reserved allocation in it); stock planned for
+ *   one order in the batch is no longer available to the next (oldest order first).
+ * - Slot choice per product:
+ *   FewestSlots   the smallest slot that covers the rest, else the fullest slot
+ *   EmptiestFirst least available first (clears slots)
+ *   FIFO          oldest SlotItem (createdAt) first
+ * - Ties, and the printed sheet, follow the walk order: store, unit (A..R, FLOOR), position.
+ */
+
+const orderIndex = (list, value) => {
+  const idx = list.indexOf(value);
+  return idx === -1 ? list.length : idx;
+};
+
+export const compareSlotWalk = (a = {}, b = {}) =>
+  orderIndex(SLOT_STORES, a.store) - orderIndex(SLOT_STORES, b.store) ||
+  orderIndex(SLOT_UNITS, a.unit) - orderIndex(SLOT_UNITS, b.unit) ||
+  (Number(a.position) || 0) - (Number(b.position) || 0) ||
+  String(a.label || "").localeCompare(String(b.label || ""));
+
+const byWalk = (a, b) => compareSlotWalk(a.slot, b.slot);
+
+const SORTERS = {
+  EmptiestFirst: (a, b) => a.availableQty - b.availableQty || byWalk(a, b),
+  FIFO: (a, b) =>
+    new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime() || byWalk(a, b),
+};
+
+const pickSlots = (candidates, neededQty, strategy) => {
+  const picks = [];
+  let left = neededQty;
+
+  if (strategy === "FewestSlots") {
+    while (left > 0) {
+      const open = candidates.filter((c) => c.availableQty > 0);
+      if (!open.length) break;
+      const covering = open
+        .filter((c) => c.availableQty >= left)
+        .sort((a, b) => a.availableQty - b.availableQty || byWalk(a, b));
+      const chosen =
+        covering[0] ||
+        open.sort((a, b) => b.availableQty - a.availableQty || byWalk(a, b))[0];
+      const take = Math.min(left, chosen.availableQty);
+      chosen.availableQty -= take;
+      left -= take;
+      picks.push({ candidate: chosen, qty: take });
+    }
+    return picks;
+  }
+
+  for (const candidate of [...candidates].sort(SORTERS[strategy])) {
+    if (left <= 0) break;
+    if (candidate.availableQty <= 0) continue;
+    const take = Math.min(left, candidate.availableQty);
+    candidate.availableQty -= take;
+    left -= take;
+    picks.push({ candidate, qty: take });
+  }
+  return picks;
+};
+
+/**
+ * Propose allocations for `orders` (docs with orderNumber, orderItems, createdAt).
+ * Returns { strategy, lines, shortages }:
+ * - lines:     [{ order, product, slot, qty, existingQty }] (existingQty = this order's
+ *              current Reserved qty in that slot, so the allocation becomes existing + qty)
+ * - shortages: [{ order, product, orderedQty, allocatedQty, plannedQty, shortQty }]
+ */
+export const planPickList = async (orders, strategy = "FewestSlots", session = null) => {
+  const sortedOrders = [...orders].sort(
+    (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
+  );
+  const orderIds = sortedOrders.map((order) => order._id);
+
+  const existing = await OrderAllocation.find({
+    order: { $in: orderIds },
+    status: { $ne: "Cancelled" },
+  })
+    .select("order product slot qty status")
+    .session(session)
+    .lean();
+
+  const allocatedByOrderProduct = new Map();
+  const reservedByOrderSlot = new Map();
+  for (const row of existing) {
+    const qty = Number(row.qty) || 0;
+    const key = `${row.order}|${row.product}`;
+    allocatedByOrderProduct.set(key, (allocatedByOrderProduct.get(key) || 0) + qty);
+    if (!row.status || row.status === "Reserved") {
+      reservedByOrderSlot.set(`${key}|${row.slot}`, qty);
+    }
+  }
+
+  const needs = [];
+  for (const order of sortedOrders) {
+    const orderedByProduct = new Map();
+    for (const item of order.orderItems || []) {
+      const productId = String(item.product);
+      const row = orderedByProduct.get(productId) || {
+        product: {
+          _id: item.product,
+          name: item.productName || item.sku,
+          sku: item.sku,
+        },
+        orderedQty: 0,
+      };
+      row.orderedQty += Number(item.qty) || 0;
+      orderedByProduct.set(productId, row);
+    }
+    for (const [productId, row] of orderedByProduct) {
+      const allocatedQty = allocatedByOrderProduct.get(`${order._id}|${productId}`) || 0;
+      needs.push({
+        order: { _id: order._id, orderNumber: order.orderNumber },
+        product: row.product,
+        orderedQty: row.orderedQty,
+        allocatedQty,
+        neededQty: Math.max(0, row.orderedQty - allocatedQty),
+      });
+    }
+  }
+
+  const productIds = Array.from(
+    new Set(needs.filter((n) => n.neededQty > 0).map((n) => String(n.product._id)))
+  );
+  const [items, reservedRows] = productIds.length
+    ? await Promise.all([
+        SlotItem.find({ product: { $in: productIds }, qty: { $gt: 0 } })
+          .select("product slot qty createdAt")
+          .populate("slot", "label store unit position")
+          .session(session)
+          .lean(),
+        OrderAllocation.find({
+          product: { $in: productIds },
+          $or: [{ status: "Reserved" }, { status: { $exists: false } }],
+        })
+          .select("product slot qty")
+          .session(session)
+          .lean(),
+      ])
+    : [[], []];
+
+  const reservedBySlotProduct = new Map();
+  for (const row of reservedRows) {
+    const key = `${row.slot}|${row.product}`;
+    reservedBySlotProduct.set(key, (reservedBySlotProduct.get(key) || 0) + (Number(row.qty) || 0));
+  }
+
+  const candidatesByProduct = new Map();
+  for (const item of items) {
+    if (!item.slot) continue;
+    const productId = String(item.product);
+    const reservedQty = reservedBySlotProduct.get(`${item.slot._id}|${productId}`) || 0;
+    const list = candidatesByProduct.get(productId) || [];
+    list.push({
+      slot: item.slot,
+      createdAt: item.createdAt,
+      availableQty: Math.max(0, (Number(item.qty) || 0) - reservedQty),
+    });
+    candidatesByProduct.set(productId, list);
+  }
+
+  const lines = [];
+  const shortages = [];
+  for (const need of needs) {
+    if (need.neededQty <= 0) continue;
+    const candidates = candidatesByProduct.get(String(need.product._id)) || [];
+    const picks = pickSlots(candidates, need.neededQty, strategy);
+
+    let plannedQty = 0;
+    for (const { candidate, qty } of picks) {
+      plannedQty += qty;
+      lines.push({
+        order: need.order,
+        product: need.product,
+        slot: candidate.slot,
+        qty,
+        existingQty:
+          reservedByOrderSlot.get(`${need.order._id}|${need.product._id}|${candidate.slot._id}`) ||
+          0,
+      });
+    }
+    if (plannedQty < need.neededQty) {
+      shortages.push({
+        order: need.order,
+        product: need.product,
+        orderedQty: need.orderedQty,
+        allocatedQty: need.allocatedQty,
+        plannedQty,
+        shortQty: need.neededQty - plannedQty,
+      });
+    }
+  }
+
+  lines.sort(
+    (a, b) =>
+      byWalk(a, b) ||
+      String(a.product.name || "").localeCompare(String(b.product.name || "")) ||
+      String(a.order.orderNumber || "").localeCompare(String(b.order.orderNumber || ""))
+  );
+
+  return { strategy, lines, shortages };
+};
+
+/**
+ * Group allocation lines ({ order, product, slot, qty }) into walk-ordered pick rows:
+ * [{ slot, product, qty, orders: [{ _id, orderNumber, qty }] }].
+ */
+export const buildPickRows = (lines = []) => {
+  const rows = new Map();
+  for (const line of lines) {
+    const key = `${line.slot?._id}|${line.product?._id}`;
+    const row = rows.get(key) || {
+      slot: line.slot,
+      product: line.product,
+      qty: 0,
+      orders: [],
+    };
+    row.qty += Number(line.qty) || 0;
+    row.orders.push({
+      _id: line.order?._id,
+      orderNumber: line.order?.orderNumber,
+      qty: Number(line.qty) || 0,
+    });
+    rows.set(key, row);
+  }
+
+  return Array.from(rows.values()).sort(
+    (a, b) =>
+      compareSlotWalk(a.slot, b.slot) ||
+      String(a.product?.name || "").localeCompare(String(b.product?.name || ""))
+  );
+};
@@ -0,0 +1,263 @@
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const safeText = (value, fallback = "--") => {
+  if (value === 0) return "0";
+  if (value === null || value === undefined || value === "") return fallback;
+  return escapeHtml(String(value));
+};
+
+const formatDateTime = (value) => {
+  if (!value) return "--";
+  try {
+    return new Date(value).toLocaleString(undefined, {
+      year: "numeric",
+      month: "short",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  } catch {
+    return safeText(value);
+  }
+};
+
+const pickSheetFooterTemplate = `
+  <div style="width:100%; font-size:11px; color:#6B7280; padding:0 16mm;">
+    <div style="border-top:1px solid #E5E7EB; padding-top:6px; display:flex; justify-content:space-between; align-items:center;">
+      <div><span style="color:#4B0082; font-weight:700;">Megadie</span> | Pick sheet</div>
+      <div>Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>
+    </div>
+  </div>
+`;
+
+/**
+ * rows:      walk-ordered [{ slot, product, qty, orders: [{ orderNumber, qty }] }]
+ * orders:    [{ orderNumber, customerSnapshot, user, status }]
+ * shortages: [{ order, product, shortQty }] (ordered qty with no reservation)
+ */
+const renderPickSheetHtml = ({ rows = [], orders = [], shortages = [], generatedAt, company }) => {
+  const companyName = company?.name || "Megadie";
+  const totalQty = rows.reduce((sum, row) => sum + (Number(row.qty) || 0), 0);
+
+  const orderCardsHtml = orders
+    .map(
+      (order) => `
+        <div class="info-item">
+          <div class="info-label">${safeText(order?.orderNumber)}</div>
+          <div class="info-value">${safeText(
+            order?.customerSnapshot?.name || order?.user?.name
+          )}</div>
+        </div>
+      `
+    )
+    .join("");
+
+  const rowsHtml =
+    rows.length === 0
+      ? `
+        <tr>
+          <td colspan="6" class="empty">Nothing reserved to pick.</td>
+        </tr>
+      `
+      : rows
+          .map(
+            (row, idx) => `
+              <tr>
+                <td class="col-no">${idx + 1}</td>
+                <td class="col-slot">${safeText(row?.slot?.label)}</td>
+                <td>
+                  <div>${safeText(row?.product?.name)}</div>
+                  <div class="sub">${safeText(row?.product?.sku, "")}</div>
+                </td>
+                <td class="col-qty">${safeText(row?.qty)}</td>
+                <td class="sub">${(row?.orders || [])
+                  .map((o) => `${safeText(o?.orderNumber)} &times; ${safeText(o?.qty)}`)
+                  .join("<br />")}</td>
+                <td class="col-check"><span class="box"></span></td>
+              </tr>
+            `
+          )
+          .join("");
+
+  const shortagesHtml = shortages.length
+    ? `
+        <div class="short">
+          <div class="info-title">Not reserved</div>
+          ${shortages
+            .map(
+              (s) => `
+                <div class="info-item">
+                  <div class="info-label">${safeText(s?.order?.orderNumber)}</div>
+                  <div class="info-value">${safeText(s?.product?.name)} &mdash; ${safeText(
+                s?.shortQty
+              )} short</div>
+                </div>
+              `
+            )
+            .join("")}
+        </div>
+      `
+    : "";
+
+  return `
+    <!doctype html>
+    <html lang="en">
+      <head>
+        <meta charset="utf-8" />
+        <title>Pick Sheet</title>
+        <style>
+          :root {
+            --violet: #4B0082;
+            --violet-soft: #F4F1FF;
+            --text: #1F2937;
+            --muted: #6B7280;
+            --border: #E5E7EB;
+            --row: #FAFAFC;
+          }
+          * { box-sizing: border-box; }
+          body {
+            margin: 0;
+            padding: 0;
+            color: var(--text);
+            font-family: "Helvetica", Arial, sans-serif;
+            font-size: 13px;
+            background: #ffffff;
+          }
+          .header {
+            display: flex;
+            justify-content: space-between;
+            align-items: flex-end;
+            gap: 16px;
+          }
+          .brand {
+            font-size: 22px;
+            font-weight: 700;
+            color: var(--violet);
+            letter-spacing: 0.2px;
+          }
+          .doc { text-align: right; }
+          .doc-title { font-size: 19px; font-weight: 700; }
+          .doc-meta { font-size: 12px; color: var(--muted); margin-top: 2px; }
+          .accent {
+            height: 3px;
+            background: var(--violet);
+            border-radius: 2px;
+            margin: 8px 0 12px;
+          }
+          .info-card, .short {
+            border: 1px solid var(--border);
+            border-radius: 8px;
+            padding: 10px;
+            background: #ffffff;
+          }
+          .short { margin-top: 14px; border-color: #FCA5A5; }
+          .info-title {
+            font-size: 11px;
+            text-transform: uppercase;
+            letter-spacing: 0.6px;
+            color: var(--muted);
+            margin-bottom: 6px;
+          }
+          .info-item { display: flex; gap: 8px; margin-bottom: 4px; }
+          .info-label {
+            width: 110px;
+            font-size: 11px;
+            letter-spacing: 0.4px;
+            color: var(--muted);
+          }
+          .info-value { font-size: 12px; color: var(--text); }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 14px;
+            table-layout: fixed;
+          }
+          thead { display: table-header-group; }
+          thead th {
+            background: var(--violet-soft);
+            color: var(--muted);
+            font-size: 11px;
+            text-transform: uppercase;
+            letter-spacing: 0.6px;
+            padding: 8px 6px;
+            text-align: left;
+            border-top: 1px solid var(--border);
+            border-bottom: 1px solid var(--border);
+          }
+          tbody td {
+            padding: 8px 6px;
+            border-bottom: 1px solid var(--border);
+            vertical-align: top;
+            font-size: 12px;
+          }
+          tbody tr:nth-child(even) { background: var(--row); }
+          tbody tr { page-break-inside: avoid; }
+          .col-slot { font-weight: 700; font-size: 14px; }
+          .col-qty { text-align: right; font-weight: 700; font-size: 14px; }
+          .col-check { text-align: center; }
+          .box {
+            display: inline-block;
+            width: 14px;
+            height: 14px;
+            border: 1.5px solid var(--text);
+            border-radius: 2px;
+          }
+          .sub { font-size: 11px; color: var(--muted); }
+          .empty { text-align: center; color: var(--muted); padding: 12px 6px; }
+        </style>
+      </head>
+      <body>
+        <header class="header">
+          <div class="brand">${safeText(companyName)}</div>
+          <div class="doc">
+            <div class="doc-title">Pick Sheet</div>
+            <div class="doc-meta">Printed: ${safeText(formatDateTime(generatedAt || new Date()))}</div>
+            <div class="doc-meta">${safeText(rows.length)} picks &middot; ${safeText(
+              totalQty
+            )} units</div>
+          </div>
+        </header>
+        <div class="accent"></div>
+
+        <div class="info-card">
+          <div class="info-title">Orders</div>
+          ${orderCardsHtml}
+        </div>
+
+        <table>
+          <colgroup>
+            <col style="width:6%" />
+            <col style="width:14%" />
+            <col style="width:38%" />
+            <col style="width:10%" />
+            <col style="width:24%" />
+            <col style="width:8%" />
+          </colgroup>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Slot</th>
+              <th>Item</th>
+              <th style="text-align:right;">Qty</th>
+              <th>Orders</th>
+              <th style="text-align:center;">Picked</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHtml}
+          </tbody>
+        </table>
+
+        ${shortagesHtml}
+      </body>
+    </html>
+  `;
+};
+
+export { renderPickSheetHtml, pickSheetFooterTemplate };
@@ -2,14 +2,27 @@ import mongoose from "mongoose";
 import OrderAllocation from "../models/orderAllocationModel.js";
 import SlotItem from "../models/slotItemModel.js";
 
-export function getAvailabilityStatus(requestedQty, availableNow) {
+export function getAvailabilityStatus(requestedQty, availableNow, incomingQty = 0) {
   const requested = Math.max(0, Number(requestedQty) || 0);
   const available = Math.max(0, Number(availableNow) || 0);
+  const incoming = Math.max(0, Number(incomingQty) || 0);
+  if (available > 0 && available >= requested) return "AVAILABLE";
+  // Not enough on hand, but open purchase orders cover the rest
+  if (incoming > 0 && available + incoming >= requested) return "INCOMING";
   if (available <= 0) return "NOT_AVAILABLE";
-  if (available >= requested) return "AVAILABLE";
   return "SHORTAGE";
 }
 
+// Incoming fields for a requested item, from getInboundTotalsByProduct()
+export function getIncomingSnapshot(incomingMap, productId) {
+  const incoming = incomingMap?.get(String(productId));
+  const incomingQty = Math.max(0, Number(incoming?.qty) || 0);
+  return {
+    incomingQty,
+    incomingExpectedAt: incomingQty > 0 ? incoming.expectedAt || null : null,
+  };
+}
+
 export async function getAvailabilityTotalsByProduct(productIds) {
   const ids = productIds
     .filter(Boolean)
@@ -47,6 +47,8 @@ const quoteFooterTemplate = `
 const renderQuoteHtml = ({ quote }) => {
   const items = Array.isArray(quote?.requestedItems) ? quote.requestedItems : [];
   const quoteNo = quote?.quoteNumber || quote?._id || "--";
+  // Quotes saved before VAT support have no vatRate snapshot
+  const hasVat = quote?.vatRate !== null && quote?.vatRate !== undefined;
   const rowsHtml =
     items.length === 0
       ? `
@@ -262,10 +264,29 @@ const renderQuoteHtml = ({ quote }) => {
             <span>Extra fee</span>
             <span>${safeText(money(quote?.extraFee))}</span>
           </div>
+          ${
+            hasVat
+              ? `
+          <div class="totals-row">
+            <span>Total (excl. VAT)</span>
+            <span>${safeText(money(quote?.totalPrice))}</span>
+          </div>
+          <div class="totals-row">
+            <span>VAT</span>
+            <span>${safeText(money(quote?.vatTotal))}</span>
+          </div>
+          <div class="totals-row total">
+            <span>Total (incl. VAT)</span>
+            <span>${safeText(money(quote?.grandTotal))}</span>
+          </div>
+        `
+              : `
           <div class="totals-row total">
             <span>Total price</span>
             <span>${safeText(money(quote?.totalPrice))}</span>
           </div>
+        `
+          }
         </div>
       </body>
     </html>
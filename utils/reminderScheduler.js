@@ -0,0 +1,59 @@
+// utils/reminderScheduler.js
+import { enqueueJobSafe } from "./jobQueue.js";
+
+/**
+ * In-process hourly tick for payment reminders, the daily overdue digest and the
+ * daily low-stock digest.
+ * The tick only enqueues jobs; the job worker runs them (see jobHandlers.js).
+ *
+ * Env:
+ * - INVOICE_REMINDERS_ENABLED=true  (off by default, e.g. on local dev)
+ * - OVERDUE_DIGEST_HOUR=8           (server local hour after which the digest is posted)
+ * - LOW_STOCK_DIGEST_ENABLED=true   (off by default)
+ * - LOW_STOCK_DIGEST_HOUR=8         (server local hour after which the digest is posted)
+ *
+ * Safe to run on several instances: dedupe keys keep one live job per type, and
+ * the jobs are idempotent (see invoiceReminders.js, reorderPoints.js).
+ */
+
+const TICK_MS = 60 * 60 * 1000;
+
+const remindersEnabled = () =>
+  String(process.env.INVOICE_REMINDERS_ENABLED || "") === "true";
+const lowStockDigestEnabled = () =>
+  String(process.env.LOW_STOCK_DIGEST_ENABLED || "") === "true";
+
+const pastHour = (now, raw) => {
+  const hour = Number.parseInt(raw ?? "8", 10);
+  return now.getHours() >= (Number.isFinite(hour) ? hour : 8);
+};
+
+const tick = () => {
+  const now = new Date();
+
+  if (remindersEnabled()) {
+    void enqueueJobSafe("invoices.runReminders", {}, {
+      dedupeKey: "invoices.runReminders",
+    });
+
+    if (pastHour(now, process.env.OVERDUE_DIGEST_HOUR)) {
+      void enqueueJobSafe("invoices.overdueDigest", {}, {
+        dedupeKey: "invoices.overdueDigest",
+      });
+    }
+  }
+
+  if (lowStockDigestEnabled() && pastHour(now, process.env.LOW_STOCK_DIGEST_HOUR)) {
+    void enqueueJobSafe("inventory.lowStockDigest", {}, {
+      dedupeKey: "inventory.lowStockDigest",
+    });
+  }
+};
+
+export const startReminderScheduler = () => {
+  if (!remindersEnabled() && !lowStockDigestEnabled()) return;
+
+  setTimeout(tick, 60 * 1000);
+  setInterval(tick, TICK_MS);
+  console.log("⏰ Reminder scheduler started");
+};
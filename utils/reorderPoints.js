@@ -0,0 +1,245 @@
+// utils/reorderPoints.js
+import Product from "../models/productModel.js";
+import SlotItem from "../models/slotItemModel.js";
+import OrderAllocation from "../models/orderAllocationModel.js";
+import LowStockDigest from "../models/lowStockDigestModel.js";
+import { DEFAULT_REORDER_POINT } from "../constants.js";
+import { getInboundTotalsByProduct } from "./inboundStock.js";
+import sendTelegramAlert, { isTelegramConfigured } from "./sendTelegramAlert.js";
+
+/**
+ * Reorder points and replenishment.
+ *
+ * - Levels (minQty / maxQty / reorderPoint) come from the product, else its category's
+ *   stockDefaults, else reorderPoint = DEFAULT_REORDER_POINT.
+ * - available = onHand - Reserved allocations
+ * - position  = available + open inbound (Sent / PartiallyReceived purchase orders)
+ * - A product needs reordering when position <= reorderPoint; the suggestion tops it up
+ *   to maxQty (no maxQty: twice the reorder point).
+ * - belowMin flags available < minQty (safety stock already eaten into).
+ */
+
+const LEVEL_KEYS = ["minQty", "maxQty", "reorderPoint"];
+
+const isSet = (v) => v !== null && v !== undefined;
+
+export const resolveStockLevels = (product, category) => {
+  const levels = { source: "default" };
+  for (const key of LEVEL_KEYS) {
+    if (isSet(product?.stockLevels?.[key])) {
+      levels[key] = product.stockLevels[key];
+      levels.source = "product";
+    } else if (isSet(category?.stockDefaults?.[key])) {
+      levels[key] = category.stockDefaults[key];
+      if (levels.source === "default") levels.source = "category";
+    } else {
+      levels[key] = null;
+    }
+  }
+  if (!isSet(levels.reorderPoint)) levels.reorderPoint = DEFAULT_REORDER_POINT;
+  return levels;
+};
+
+/**
+ * Validate a { minQty, maxQty, reorderPoint } body. null / "" clears a level.
+ * `current` = the levels already stored on the same doc: the merged result must keep
+ * minQty <= reorderPoint <= maxQty (where both are set).
+ * Returns { levels } or { error }.
+ */
+export const parseStockLevels = (body = {}, current = {}) => {
+  const levels = {};
+  for (const key of LEVEL_KEYS) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === "") {
+      levels[key] = null;
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isInteger(n) || n < 0) {
+      return { error: `${key} must be a non-negative integer or null.` };
+    }
+    levels[key] = n;
+  }
+  if (!Object.keys(levels).length) {
+    return { error: "Provide at least one of minQty, maxQty, reorderPoint." };
+  }
+
+  const merged = { ...(current || {}), ...levels };
+  const { minQty, maxQty, reorderPoint } = merged;
+  if (isSet(minQty) && isSet(reorderPoint) && minQty > reorderPoint) {
+    return { error: "minQty cannot be greater than reorderPoint." };
+  }
+  if (isSet(maxQty) && isSet(reorderPoint) && maxQty < reorderPoint) {
+    return { error: "maxQty cannot be less than reorderPoint." };
+  }
+  if (isSet(minQty) && isSet(maxQty) && minQty > maxQty) {
+    return { error: "minQty cannot be greater than maxQty." };
+  }
+  return { levels };
+};
+
+const sumByProduct = async (Model, match, ids) => {
+  const rows = await Model.aggregate([
+    { $match: { ...match, product: { $in: ids } } },
+    { $group: { _id: "$product", qty: { $sum: "$qty" } } },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), Number(row.qty) || 0]));
+};
+
+/**
+ * Stock position + levels for active products.
+ * Options: productType, productIds, onlyReorder (default true: position <= reorderPoint).
+ */
+export const buildReplenishmentSuggestions = async ({
+  productType = "",
+  productIds = null,
+  onlyReorder = true,
+} = {}) => {
+  const filter = { isActive: true };
+  if (productType) filter.productType = productType;
+  if (productIds) filter._id = { $in: productIds };
+
+  const products = await Product.find(filter)
+    .select("name sku productType category moq stockLevels")
+    .populate("category", "label key stockDefaults")
+    .lean();
+  if (!products.length) return [];
+
+  const ids = products.map((p) => p._id);
+  const [onHandById, reservedById, inboundById] = await Promise.all([
+    sumByProduct(SlotItem, {}, ids),
+    sumByProduct(
+      OrderAllocation,
+      { $or: [{ status: "Reserved" }, { status: { $exists: false } }] },
+      ids
+    ),
+    getInboundTotalsByProduct(ids),
+  ]);
+
+  const rows = [];
+  for (const product of products) {
+    const key = String(product._id);
+    const levels = resolveStockLevels(product, product.category);
+    const onHand = onHandById.get(key) || 0;
+    const reserved = reservedById.get(key) || 0;
+    const available = Math.max(0, onHand - reserved);
+    const inbound = inboundById.get(key)?.qty || 0;
+    const position = available + inbound;
+
+    const needsReorder = position <= levels.reorderPoint;
+    if (onlyReorder && !needsReorder) continue;
+
+    const target = isSet(levels.maxQty) ? levels.maxQty : levels.reorderPoint * 2;
+    let suggestedQty = needsReorder ? Math.max(0, target - position) : 0;
+    const moq = Number(product.moq) || 1;
+    if (suggestedQty > 0 && suggestedQty < moq) suggestedQty = moq;
+
+    rows.push({
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        productType: product.productType,
+        category: product.category?.label || product.category?.key || null,
+      },
+      levels,
+      onHand,
+      reserved,
+      available,
+      inbound,
+      inboundExpectedAt: inboundById.get(key)?.expectedAt || null,
+      position,
+      needsReorder,
+      belowMin: isSet(levels.minQty) ? available < levels.minQty : false,
+      suggestedQty,
+    });
+  }
+
+  return rows.sort(
+    (a, b) =>
+      Number(b.belowMin) - Number(a.belowMin) ||
+      a.position - a.levels.reorderPoint - (b.position - b.levels.reorderPoint)
+  );
+};
+
+const formatDay = (d) => new Date(d).toISOString().slice(0, 10);
+
+function escapeTelegramMarkdown(text = "") {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/_/g, "\\_")
+    .replace(/\*/g, "\\*")
+    .replace(/\[/g, "\\[")
+    .replace(/]/g, "\\]")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)")
+    .replace(/`/g, "\\`");
+}
+
+/**
+ * Post the daily low-stock digest (once per day): products that crossed their reorder
+ * point since the previous digest, plus a count of everything still below it.
+ * Returns true when a digest was posted by this call.
+ */
+export const sendLowStockDigest = async ({ now = new Date() } = {}) => {
+  // Nothing would be posted: don't record the day (or its products) as announced
+  if (!isTelegramConfigured()) return false;
+
+  const dayKey = formatDay(now);
+
+  const [rows, previous] = await Promise.all([
+    buildReplenishmentSuggestions(),
+    LowStockDigest.findOne({ dayKey: { $lt: dayKey } })
+      .sort({ dayKey: -1 })
+      .select("products")
+      .lean(),
+  ]);
+
+  const previousIds = new Set((previous?.products || []).map(String));
+  const crossed = rows.filter((row) => !previousIds.has(String(row.product._id)));
+
+  // Claim the day first (unique dayKey) so restarts never double-post;
+  // a failed send releases the claim so the products are announced on the retry
+  let claim;
+  try {
+    claim = await LowStockDigest.create({
+      dayKey,
+      products: rows.map((row) => row.product._id),
+      crossedCount: crossed.length,
+      belowCount: rows.length,
+    });
+  } catch (err) {
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+
+  if (!crossed.length) return false;
+
+  const lines = [
+    "📦 Low stock digest",
+    `Date: ${dayKey}`,
+    `Newly at/below reorder point: ${crossed.length} (total below: ${rows.length})`,
+    "",
+  ];
+
+  const MAX_LINES = 20;
+  for (const row of crossed.slice(0, MAX_LINES)) {
+    lines.push(
+      `• ${escapeTelegramMarkdown(row.product.sku)} — ${escapeTelegramMarkdown(
+        row.product.name
+      )} — avail ${row.available}, inbound ${row.inbound}, ROP ${row.levels.reorderPoint}` +
+        (row.suggestedQty ? ` → order ${row.suggestedQty}` : "")
+    );
+  }
+  if (crossed.length > MAX_LINES) {
+    lines.push(`…and ${crossed.length - MAX_LINES} more`);
+  }
+
+  try {
+    await sendTelegramAlert(lines.join("\n"), { throwOnError: true });
+  } catch (err) {
+    await LowStockDigest.deleteOne({ _id: claim._id });
+    throw err;
+  }
+  return true;
+};
@@ -4,7 +4,11 @@ dotenv.config({ path: ".env.development" });
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
 
-const sendTelegramAlert = async (message) => {
+// Callers that record "sent" (daily digests) must check this first: unconfigured sends are no-ops
+export const isTelegramConfigured = () => Boolean(TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID);
+
+// throwOnError: let the job queue see failures so it can retry
+const sendTelegramAlert = async (message, { throwOnError = false } = {}) => {
   if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) return;
 
   const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
@@ -28,6 +32,7 @@ const sendTelegramAlert = async (message) => {
     }
   } catch (error) {
     console.error("❌ Telegram alert failed:", error.message);
+    if (throwOnError) throw error;
   }
 };
 
@@ -7,6 +7,7 @@ export default async function sendTransactionalEmail({
   html,
   text,
   replyTo,
+  attachments,
 }) {
   const apiKey = (process.env.RESEND_API_KEY || "").trim();
   if (!apiKey) {
@@ -27,6 +28,8 @@ export default async function sendTransactionalEmail({
     ...(typeof text === "string" ? { text } : {}),
     ...(typeof html === "string" ? { html } : {}),
     ...(replyTo ? { reply_to: replyTo } : {}),
+    // [{ filename, content: Buffer }]
+    ...(Array.isArray(attachments) && attachments.length ? { attachments } : {}),
   });
 
   // Helpful in Render logs for debugging
@@ -1,4 +1,5 @@
 import Slot from "../models/slotModel.js";
+import SlotItem from "../models/slotItemModel.js";
 
 export const computeFillPercent = (capacityCbm, occupiedCbm) => {
   const capacity = Number(capacityCbm) || 0;
@@ -49,3 +50,41 @@ export const setSlotOccupancy = async (slotId, occupiedCbm, session = null) => {
   await slot.save({ session });
   return slot;
 };
+
+/**
+ * Recompute occupiedCbm/fillPercent from SlotItem rows (optionally one store).
+ * Returns { updated, store }.
+ */
+export const rebuildSlotOccupancyTotals = async ({ store = "" } = {}) => {
+  const filter = {};
+  if (store) filter.store = store;
+
+  const slots = await Slot.find(filter).select("_id cbm").lean();
+  if (!slots.length) return { updated: 0, store: store || null };
+
+  const slotIds = slots.map((slot) => slot._id);
+  const occRows = await SlotItem.aggregate([
+    { $match: { slot: { $in: slotIds } } },
+    { $group: { _id: "$slot", occupiedCbm: { $sum: "$cbm" } } },
+  ]);
+  const occBySlot = new Map(
+    occRows.map((row) => [String(row._id), row.occupiedCbm || 0])
+  );
+
+  const updates = slots.map((slot) => {
+    const occupied = occBySlot.get(String(slot._id)) || 0;
+    const fillPercent = computeFillPercent(slot.cbm, occupied);
+    return {
+      updateOne: {
+        filter: { _id: slot._id },
+        update: { $set: { occupiedCbm: occupied, fillPercent } },
+      },
+    };
+  });
+
+  if (updates.length) {
+    await Slot.bulkWrite(updates);
+  }
+
+  return { updated: updates.length, store: store || null };
+};
@@ -0,0 +1,71 @@
+import SlotItem from "../models/slotItemModel.js";
+import { applySlotOccupancyDelta } from "./slotOccupancy.js";
+
+/**
+ * Add qty of a product into a slot (creating the SlotItem if needed) and
+ * keep the slot occupancy in sync. Callers own validation, guards and
+ * movement logging.
+ */
+export const addSlotItemQty = async (
+  { productId, slotId, qty },
+  session = null
+) => {
+  const itemQuery = SlotItem.findOne({ product: productId, slot: slotId });
+  if (session) {
+    itemQuery.session(session);
+  }
+  let item = await itemQuery;
+  const prevCbm = item ? Number(item.cbm || 0) : 0;
+
+  if (!item) {
+    item = new SlotItem({ product: productId, slot: slotId, qty });
+  } else {
+    item.qty = Number(item.qty || 0) + qty;
+  }
+
+  const wasNew = item.isNew;
+  const saved = await item.save({ session });
+  const deltaCbm = Number(saved.cbm || 0) - prevCbm;
+  if (deltaCbm) {
+    await applySlotOccupancyDelta(slotId, deltaCbm, session);
+  }
+
+  return { item: saved, deltaCbm, wasNew };
+};
+
+/**
+ * Set the qty of a product in a slot (0 removes the SlotItem) and keep the slot
+ * occupancy in sync. Callers own validation, guards and movement logging.
+ * Returns { item, previousQty, deltaCbm } (item is null when removed).
+ */
+export const setSlotItemQty = async (
+  { productId, slotId, qty },
+  session = null
+) => {
+  const itemQuery = SlotItem.findOne({ product: productId, slot: slotId });
+  if (session) {
+    itemQuery.session(session);
+  }
+  let item = await itemQuery;
+  const previousQty = Number(item?.qty || 0);
+  const prevCbm = Number(item?.cbm || 0);
+
+  let saved = null;
+  if (qty > 0) {
+    if (!item) {
+      item = new SlotItem({ product: productId, slot: slotId, qty });
+    } else {
+      item.qty = qty;
+    }
+    saved = await item.save({ session });
+  } else if (item) {
+    await item.deleteOne({ session });
+  }
+
+  const deltaCbm = Number(saved?.cbm || 0) - prevCbm;
+  if (deltaCbm) {
+    await applySlotOccupancyDelta(slotId, deltaCbm, session);
+  }
+
+  return { item: saved, previousQty, deltaCbm };
+};
@@ -0,0 +1,319 @@
+// utils/statementLedger.js
+import mongoose from "mongoose";
+import Invoice from "../models/invoiceModel.js";
+import Payment from "../models/paymentModel.js";
+import CreditNote from "../models/creditNoteModel.js";
+import Receipt from "../models/receiptModel.js";
+import User from "../models/userModel.js";
+import { getBaseCurrency, minorUnitFactorFor, normalizeCurrency } from "./currency.js";
+
+/**
+ * Running-balance ledger for a client (integer minor units).
+ *
+ * Every event that moves what the client owes becomes one entry:
+ * - INVOICE            debit  (invoice issued)
+ * - INVOICE_CANCELLED  credit (invoice cancelled, reverses the original debit)
+ * - PAYMENT            credit (direct invoice payment, voided ones included)
+ * - PAYMENT_VOIDED     debit  (payment voided / cheque bounced, reverses the PAYMENT)
+ * - RECEIPT            credit (customer-level receipt, full amount incl. unapplied credit;
+ *                             its invoice allocations are not listed again)
+ * - RECEIPT_VOIDED     debit  (receipt voided / cheque bounced, reverses the RECEIPT)
+ * - CREDIT_NOTE        credit (credit note issued against an invoice)
+ * - CREDIT_CANCELLED   debit  (credit note cancelled)
+ * - REFUND             debit  (credit note or receipt credit paid back to the client)
+ *
+ * balance = sum(debits) - sum(credits). Positive => client owes us.
+ * Entries before `from` roll into the opening balance; entries after `to` are ignored.
+ * One ledger per currency: only invoices in that currency (and their payments/credits) count.
+ */
+
+const ENTRY_ORDER = {
+  INVOICE: 0,
+  CREDIT_NOTE: 1,
+  PAYMENT: 2,
+  RECEIPT: 2,
+  REFUND: 3,
+  PAYMENT_VOIDED: 3,
+  RECEIPT_VOIDED: 3,
+  CREDIT_CANCELLED: 4,
+  INVOICE_CANCELLED: 5,
+};
+
+const toTime = (value) => {
+  const t = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(t) ? t : 0;
+};
+
+const collectEntries = ({ invoices, payments, receipts, creditNotes }) => {
+  const entries = [];
+
+  for (const inv of invoices) {
+    const amount = Number(inv.amountMinor) || 0;
+    entries.push({
+      type: "INVOICE",
+      date: inv.createdAt,
+      reference: inv.invoiceNumber,
+      description: "Invoice issued",
+      invoiceNumber: inv.invoiceNumber,
+      dueDate: inv.dueDate,
+      debitMinor: amount,
+      creditMinor: 0,
+    });
+
+    if (inv.status === "Cancelled" && inv.cancelledAt) {
+      entries.push({
+        type: "INVOICE_CANCELLED",
+        date: inv.cancelledAt,
+        reference: inv.invoiceNumber,
+        description: inv.cancelReason
+          ? `Invoice cancelled: ${inv.cancelReason}`
+          : "Invoice cancelled",
+        invoiceNumber: inv.invoiceNumber,
+        debitMinor: 0,
+        creditMinor: amount,
+      });
+    }
+  }
+
+  for (const p of payments) {
+    entries.push({
+      type: "PAYMENT",
+      date: p.paymentDate || p.createdAt,
+      reference: p.reference || "",
+      description: `Payment (${p.paymentMethod})`,
+      invoiceNumber: p.invoice?.invoiceNumber,
+      debitMinor: 0,
+      creditMinor: Number(p.amountMinor) || 0,
+    });
+
+    if (p.status === "Voided" && p.voidedAt) {
+      const label = p.voidType === "BouncedCheque" ? "Cheque bounced" : "Payment voided";
+      entries.push({
+        type: "PAYMENT_VOIDED",
+        date: p.voidedAt,
+        reference: p.reference || "",
+        description: p.voidReason ? `${label}: ${p.voidReason}` : label,
+        invoiceNumber: p.invoice?.invoiceNumber,
+        debitMinor: Number(p.amountMinor) || 0,
+        creditMinor: 0,
+      });
+    }
+  }
+
+  for (const r of receipts) {
+    entries.push({
+      type: "RECEIPT",
+      date: r.paymentDate || r.createdAt,
+      reference: r.reference ? `${r.receiptNumber} / ${r.reference}` : r.receiptNumber,
+      description: `Receipt (${r.paymentMethod})`,
+      debitMinor: 0,
+      creditMinor: Number(r.amountMinor) || 0,
+    });
+
+    if (r.status === "Voided" && r.voidedAt) {
+      const label = r.voidType === "BouncedCheque" ? "Cheque bounced" : "Receipt voided";
+      entries.push({
+        type: "RECEIPT_VOIDED",
+        date: r.voidedAt,
+        reference: r.reference ? `${r.receiptNumber} / ${r.reference}` : r.receiptNumber,
+        description: r.voidReason ? `${label}: ${r.voidReason}` : label,
+        debitMinor: Number(r.amountMinor) || 0,
+        creditMinor: 0,
+      });
+    }
+
+    for (const refund of r.refunds || []) {
+      entries.push({
+        type: "REFUND",
+        date: refund.refundedAt,
+        reference: refund.reference || r.receiptNumber,
+        description: `Refund of credit (${refund.method})`,
+        debitMinor: Number(refund.amountMinor) || 0,
+        creditMinor: 0,
+      });
+    }
+  }
+
+  for (const cn of creditNotes) {
+    const amount = Number(cn.amountMinor) || 0;
+    entries.push({
+      type: "CREDIT_NOTE",
+      date: cn.creditDate || cn.createdAt,
+      reference: cn.creditNoteNumber,
+      description: cn.reason ? `Credit note: ${cn.reason}` : "Credit note",
+      invoiceNumber: cn.invoice?.invoiceNumber,
+      debitMinor: 0,
+      creditMinor: amount,
+    });
+
+    for (const r of cn.refunds || []) {
+      entries.push({
+        type: "REFUND",
+        date: r.refundedAt,
+        reference: r.reference || cn.creditNoteNumber,
+        description: `Refund (${r.method})`,
+        invoiceNumber: cn.invoice?.invoiceNumber,
+        debitMinor: Number(r.amountMinor) || 0,
+        creditMinor: 0,
+      });
+    }
+
+    if (cn.status === "Cancelled" && cn.cancelledAt) {
+      entries.push({
+        type: "CREDIT_CANCELLED",
+        date: cn.cancelledAt,
+        reference: cn.creditNoteNumber,
+        description: "Credit note cancelled",
+        invoiceNumber: cn.invoice?.invoiceNumber,
+        debitMinor: amount,
+        creditMinor: 0,
+      });
+    }
+  }
+
+  return entries.sort((a, b) => {
+    const diff = toTime(a.date) - toTime(b.date);
+    if (diff !== 0) return diff;
+    return (ENTRY_ORDER[a.type] ?? 9) - (ENTRY_ORDER[b.type] ?? 9);
+  });
+};
+
+/**
+ * Build the ledger statement for one client.
+ * `from` / `to` are optional Date bounds (already normalized by the caller).
+ * `currency` defaults to the client's billingCurrency, else the base currency.
+ */
+export const buildStatementLedger = async ({
+  userId,
+  from = null,
+  to = null,
+  currency = null,
+}) => {
+  const dateCap = to ? { $lte: to } : null;
+
+  const [client, availableCurrencies] = await Promise.all([
+    User.findById(userId).select("billingCurrency").lean(),
+    Invoice.distinct("currency", { user: userId }),
+  ]);
+  const statementCurrency =
+    normalizeCurrency(currency) ||
+    normalizeCurrency(client?.billingCurrency) ||
+    getBaseCurrency();
+
+  const currencyInvoiceIds = await Invoice.find({
+    user: userId,
+    currency: statementCurrency,
+  }).distinct("_id");
+
+  const invoiceFilter = { user: userId, currency: statementCurrency };
+  if (dateCap) invoiceFilter.createdAt = dateCap;
+
+  // Receipt allocations are covered by the RECEIPT entry itself
+  const paymentFilter = {
+    user: userId,
+    invoice: { $in: currencyInvoiceIds },
+    receipt: null,
+  };
+  if (dateCap) paymentFilter.paymentDate = dateCap;
+
+  const receiptFilter = { user: userId, currency: statementCurrency };
+  if (dateCap) receiptFilter.paymentDate = dateCap;
+
+  const creditNoteFilter = { user: userId, invoice: { $in: currencyInvoiceIds } };
+  if (dateCap) creditNoteFilter.creditDate = dateCap;
+
+  const [invoices, payments, receipts, creditNotes] = await Promise.all([
+    Invoice.find(invoiceFilter)
+      .select(
+        "invoiceNumber amountMinor status cancelledAt cancelReason dueDate createdAt currency minorUnitFactor"
+      )
+      .lean(),
+    Payment.find(paymentFilter)
+      .select(
+        "invoice amountMinor paymentMethod paymentDate reference status voidType voidReason voidedAt createdAt"
+      )
+      .populate({ path: "invoice", select: "invoiceNumber" })
+      .lean(),
+    Receipt.find(receiptFilter)
+      .select(
+        "receiptNumber amountMinor paymentMethod paymentDate reference refunds status voidType voidReason voidedAt createdAt"
+      )
+      .lean(),
+    CreditNote.find(creditNoteFilter)
+      .select(
+        "creditNoteNumber invoice amountMinor status cancelledAt creditDate reason refunds createdAt"
+      )
+      .populate({ path: "invoice", select: "invoiceNumber" })
+      .lean(),
+  ]);
+
+  const fromTime = from ? from.getTime() : null;
+  const toTimeCap = to ? to.getTime() : null;
+
+  let openingBalanceMinor = 0;
+  let balance = 0;
+  let totalDebitMinor = 0;
+  let totalCreditMinor = 0;
+  const entries = [];
+
+  for (const entry of collectEntries({ invoices, payments, receipts, creditNotes })) {
+    const t = toTime(entry.date);
+    if (toTimeCap !== null && t > toTimeCap) continue;
+
+    const delta = entry.debitMinor - entry.creditMinor;
+    if (fromTime !== null && t < fromTime) {
+      openingBalanceMinor += delta;
+      balance += delta;
+      continue;
+    }
+
+    balance += delta;
+    totalDebitMinor += entry.debitMinor;
+    totalCreditMinor += entry.creditMinor;
+    entries.push({ ...entry, balanceMinor: balance });
+  }
+
+  // Overdue = open invoices (as of now) issued inside the statement cap
+  const now = Date.now();
+  const overdueTotalMinor = await Invoice.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        currency: statementCurrency,
+        status: "Issued",
+        balanceDueMinor: { $gt: 0 },
+        dueDate: { $lt: new Date(now) },
+        ...(dateCap ? { createdAt: dateCap } : {}),
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$balanceDueMinor" } } },
+  ]).then((rows) => rows[0]?.total || 0);
+
+  // Customer credit (unapplied receipts) available now in this currency
+  const creditBalanceMinor = await Receipt.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        currency: statementCurrency,
+        unappliedMinor: { $gt: 0 },
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$unappliedMinor" } } },
+  ]).then((rows) => rows[0]?.total || 0);
+
+  return {
+    currency: statementCurrency,
+    minorUnitFactor:
+      invoices[0]?.minorUnitFactor || minorUnitFactorFor(statementCurrency),
+    availableCurrencies: availableCurrencies.sort(),
+    from,
+    to,
+    openingBalanceMinor,
+    totalDebitMinor,
+    totalCreditMinor,
+    closingBalanceMinor: balance,
+    overdueTotalMinor,
+    creditBalanceMinor,
+    entries,
+  };
+};
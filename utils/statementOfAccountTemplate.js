@@ -57,20 +57,16 @@ const formatMoney = (amountMinor, currency = "AED", factor = 100) => {
   }
 };
 
-const isOverdue = (inv) => {
-  if (!inv?.dueDate) return false;
-  const due = Date.parse(inv.dueDate);
-  if (!Number.isFinite(due)) return false;
-  return due < Date.now();
-};
-
-const formatStatus = (inv, overdue) => {
-  if (overdue) {
-    return inv?.paymentStatus === "PartiallyPaid"
-      ? "Overdue (Partial)"
-      : "Overdue";
-  }
-  return inv?.paymentStatus === "PartiallyPaid" ? "Partially paid" : "Unpaid";
+const ENTRY_LABELS = {
+  INVOICE: "Invoice",
+  INVOICE_CANCELLED: "Invoice cancelled",
+  PAYMENT: "Payment",
+  PAYMENT_VOIDED: "Payment reversed",
+  RECEIPT: "Receipt",
+  RECEIPT_VOIDED: "Receipt reversed",
+  CREDIT_NOTE: "Credit note",
+  CREDIT_CANCELLED: "Credit note cancelled",
+  REFUND: "Refund",
 };
 
 const footerYear = new Date().getFullYear();
@@ -86,64 +82,90 @@ const statementOfAccountFooterTemplate = `
 
 const renderStatementOfAccountHtml = ({
   client,
-  invoices,
-  summary,
+  ledger,
   generatedAt,
   fromDateLabel,
   cutoffDateLabel,
 }) => {
-  const list = Array.isArray(invoices) ? invoices : [];
-  const currency = summary?.currency || "AED";
-  const factor = summary?.minorUnitFactor || 100;
-  const unpaidTotal = summary?.totalDueMinor ?? 0;
-  const overdueTotal = summary?.overdueTotalMinor ?? 0;
+  const entries = Array.isArray(ledger?.entries) ? ledger.entries : [];
+  const currency = ledger?.currency || "AED";
+  const factor = ledger?.minorUnitFactor || 100;
+  const openingBalance = ledger?.openingBalanceMinor ?? 0;
+  const closingBalance = ledger?.closingBalanceMinor ?? 0;
+  const overdueTotal = ledger?.overdueTotalMinor ?? 0;
+  const creditBalance = ledger?.creditBalanceMinor ?? 0;
   const generatedLabel = formatDateTime(generatedAt || new Date());
   const hasFromDate = Boolean(fromDateLabel);
   const hasCutoffDate = Boolean(cutoffDateLabel);
   const scopeLabel = hasFromDate && hasCutoffDate
-    ? `Includes invoices issued between ${safeText(fromDateLabel)} and ${safeText(
-        cutoffDateLabel
-      )}`
+    ? `Period ${safeText(fromDateLabel)} to ${safeText(cutoffDateLabel)}`
+    : hasFromDate
+    ? `Period from ${safeText(fromDateLabel)}`
     : hasCutoffDate
-    ? `Includes invoices issued on or before ${safeText(cutoffDateLabel)}`
-    : "Includes all currently unpaid invoices";
-  const openCount = list.length;
-  const overdueCount = list.reduce(
-    (sum, inv) => (isOverdue(inv) ? sum + 1 : sum),
-    0
-  );
-  const openLabel =
-    overdueCount > 0 ? `${openCount} (${overdueCount} overdue)` : `${openCount}`;
+    ? `Period up to ${safeText(cutoffDateLabel)}`
+    : "All account activity";
+  const openingLabel = hasFromDate
+    ? `Opening balance at ${safeText(fromDateLabel)}`
+    : "Opening balance";
+  const closingLabel = hasCutoffDate
+    ? `Closing balance at ${safeText(cutoffDateLabel)}`
+    : "Closing balance";
 
-  const rowsHtml =
-    list.length === 0
-      ? `
-        <tr>
-          <td colspan="5" class="empty">No unpaid invoices match this statement scope.</td>
-        </tr>
-      `
-      : list
-          .map((inv) => {
-            const overdue = isOverdue(inv);
-            const status = formatStatus(inv, overdue);
-            const statusClass = overdue
-              ? "status status--overdue"
-              : inv?.paymentStatus === "PartiallyPaid"
-              ? "status status--partial"
-              : "status status--unpaid";
-            return `
+  const moneyCell = (minor) =>
+    minor ? safeText(formatMoney(minor, currency, factor)) : "";
+
+  const entryRowsHtml = entries
+    .map((entry) => {
+      const label = ENTRY_LABELS[entry.type] || entry.type;
+      const details = [entry.reference, entry.invoiceNumber]
+        .filter((v, i, arr) => v && arr.indexOf(v) === i)
+        .join(" / ");
+      return `
               <tr>
-                <td class="col-invoice">${safeText(inv.invoiceNumber || inv._id)}</td>
-                <td class="col-issued muted">${safeText(formatDate(inv.createdAt))}</td>
-                <td class="col-due muted">${safeText(formatDate(inv.dueDate))}</td>
-                <td class="col-status ${statusClass}">${safeText(status)}</td>
-                <td class="col-balance">${safeText(
-                  formatMoney(inv.balanceDueMinor, currency, factor)
+                <td class="muted">${safeText(formatDate(entry.date))}</td>
+                <td>
+                  <div>${safeText(label)}</div>
+                  <div class="muted small">${safeText(details, "")}</div>
+                </td>
+                <td class="col-money">${moneyCell(entry.debitMinor)}</td>
+                <td class="col-money">${moneyCell(entry.creditMinor)}</td>
+                <td class="col-money">${safeText(
+                  formatMoney(entry.balanceMinor, currency, factor)
+                )}</td>
+              </tr>
+            `;
+    })
+    .join("");
+
+  const rowsHtml = `
+              <tr class="row-balance">
+                <td class="muted">${safeText(fromDateLabel || "")}</td>
+                <td>${openingLabel}</td>
+                <td></td>
+                <td></td>
+                <td class="col-money">${safeText(
+                  formatMoney(openingBalance, currency, factor)
+                )}</td>
+              </tr>
+              ${
+                entries.length === 0
+                  ? `
+              <tr>
+                <td colspan="5" class="empty">No account activity in this period.</td>
+              </tr>
+            `
+                  : entryRowsHtml
+              }
+              <tr class="row-balance">
+                <td class="muted">${safeText(cutoffDateLabel || "")}</td>
+                <td>${closingLabel}</td>
+                <td class="col-money">${moneyCell(ledger?.totalDebitMinor)}</td>
+                <td class="col-money">${moneyCell(ledger?.totalCreditMinor)}</td>
+                <td class="col-money">${safeText(
+                  formatMoney(closingBalance, currency, factor)
                 )}</td>
               </tr>
             `;
-          })
-          .join("");
 
   return `
     <!doctype html>
@@ -276,11 +298,9 @@ const renderStatementOfAccountHtml = ({
           tbody tr:nth-child(even) { background: var(--row); }
           tbody tr { page-break-inside: avoid; }
           .muted { color: var(--muted); }
-          .col-balance { text-align: right; font-variant-numeric: tabular-nums; }
-          .status { font-weight: 600; }
-          .status--overdue { color: #B91C1C; }
-          .status--partial { color: #B45309; }
-          .status--unpaid { color: var(--text); }
+          .small { font-size: 11px; margin-top: 2px; }
+          .col-money { text-align: right; font-variant-numeric: tabular-nums; }
+          tbody tr.row-balance { background: var(--violet-soft); font-weight: 700; }
           .empty {
             text-align: center;
             color: var(--muted);
@@ -304,9 +324,15 @@ const renderStatementOfAccountHtml = ({
 
         <div class="summary">
           <div class="summary-card">
-            <div class="summary-label">Unpaid balance</div>
+            <div class="summary-label">Opening balance</div>
+            <div class="summary-value">${safeText(
+              formatMoney(openingBalance, currency, factor)
+            )}</div>
+          </div>
+          <div class="summary-card">
+            <div class="summary-label">Closing balance</div>
             <div class="summary-value">${safeText(
-              formatMoney(unpaidTotal, currency, factor)
+              formatMoney(closingBalance, currency, factor)
             )}</div>
           </div>
           <div class="summary-card">
@@ -315,10 +341,18 @@ const renderStatementOfAccountHtml = ({
               formatMoney(overdueTotal, currency, factor)
             )}</div>
           </div>
+          ${
+            creditBalance > 0
+              ? `
           <div class="summary-card">
-            <div class="summary-label">Unpaid invoices</div>
-            <div class="summary-value">${safeText(openLabel)}</div>
+            <div class="summary-label">Unapplied credit</div>
+            <div class="summary-value">${safeText(
+              formatMoney(creditBalance, currency, factor)
+            )}</div>
           </div>
+          `
+              : ""
+          }
         </div>
 
         <section class="section">
@@ -344,23 +378,23 @@ const renderStatementOfAccountHtml = ({
 
         <section class="section">
           <div class="section-head">
-            <div class="section-title">Unpaid invoices</div>
+            <div class="section-title">Account activity</div>
             <div class="section-rule"></div>
           </div>
           <table>
             <colgroup>
-              <col style="width:28%" />
+              <col style="width:16%" />
+              <col style="width:36%" />
+              <col style="width:16%" />
               <col style="width:16%" />
               <col style="width:16%" />
-              <col style="width:18%" />
-              <col style="width:22%" />
             </colgroup>
             <thead>
               <tr>
-                <th>Invoice #</th>
-                <th>Issued</th>
-                <th>Due</th>
-                <th>Status</th>
+                <th>Date</th>
+                <th>Details</th>
+                <th style="text-align:right;">Debit</th>
+                <th style="text-align:right;">Credit</th>
                 <th style="text-align:right;">Balance</th>
               </tr>
             </thead>
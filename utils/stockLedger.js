@@ -0,0 +1,277 @@
+// utils/stockLedger.js
+import mongoose from "mongoose";
+import InventoryMovement from "../models/inventoryMovementModel.js";
+import OrderAllocation from "../models/orderAllocationModel.js";
+import Product from "../models/productModel.js";
+import Slot from "../models/slotModel.js";
+import SlotItem from "../models/slotItemModel.js";
+
+/**
+ * Stock reconstruction from the InventoryMovement ledger.
+ *
+ * On-hand per (slot, product):
+ * - ADJUST_IN / RECEIVE  +qty in `slot`
+ * - ADJUST_OUT / DEDUCT  -qty in `slot`
+ * - MOVE                 -qty in `fromSlot`, +qty in `toSlot`
+ * Reserved per (slot, product):
+ * - RESERVE +qty, RELEASE -qty, DEDUCT of an allocation -qty
+ *
+ * Stock that existed before movements were logged (or was written without a movement)
+ * has no ledger history; the drift check surfaces it.
+ */
+
+const toObjectIds = (ids = []) =>
+  ids.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+const QTY_ENTRIES = {
+  $switch: {
+    branches: [
+      {
+        case: { $in: ["$type", ["ADJUST_IN", "RECEIVE"]] },
+        then: [{ slot: "$slot", qty: "$qty", reserved: 0 }],
+      },
+      {
+        case: { $eq: ["$type", "ADJUST_OUT"] },
+        then: [{ slot: "$slot", qty: { $multiply: ["$qty", -1] }, reserved: 0 }],
+      },
+      {
+        case: { $eq: ["$type", "DEDUCT"] },
+        then: [
+          {
+            slot: "$slot",
+            qty: { $multiply: ["$qty", -1] },
+            reserved: {
+              $cond: [{ $ifNull: ["$allocation", false] }, { $multiply: ["$qty", -1] }, 0],
+            },
+          },
+        ],
+      },
+      {
+        case: { $eq: ["$type", "MOVE"] },
+        then: [
+          { slot: "$fromSlot", qty: { $multiply: ["$qty", -1] }, reserved: 0 },
+          { slot: "$toSlot", qty: "$qty", reserved: 0 },
+        ],
+      },
+      {
+        case: { $eq: ["$type", "RESERVE"] },
+        then: [{ slot: "$slot", qty: 0, reserved: "$qty" }],
+      },
+      {
+        case: { $eq: ["$type", "RELEASE"] },
+        then: [{ slot: "$slot", qty: 0, reserved: { $multiply: ["$qty", -1] } }],
+      },
+    ],
+    default: [],
+  },
+};
+
+const keyOf = (slotId, productId) => `${slotId}|${productId}`;
+
+/**
+ * Replay movements up to `at` (inclusive).
+ * Optional filters: productIds, slotIds.
+ * Returns Map("slotId|productId" -> { slot, product, onHandQty, reservedQty }).
+ */
+export const replayStock = async ({ at = new Date(), productIds = null, slotIds = null } = {}) => {
+  const match = { eventAt: { $lte: at } };
+  if (productIds?.length) match.product = { $in: toObjectIds(productIds) };
+
+  const pipeline = [
+    { $match: match },
+    { $project: { product: 1, entries: QTY_ENTRIES } },
+    { $unwind: "$entries" },
+    { $match: { "entries.slot": slotIds?.length ? { $in: toObjectIds(slotIds) } : { $ne: null } } },
+    {
+      $group: {
+        _id: { slot: "$entries.slot", product: "$product" },
+        onHandQty: { $sum: "$entries.qty" },
+        reservedQty: { $sum: "$entries.reserved" },
+      },
+    },
+  ];
+
+  const rows = await InventoryMovement.aggregate(pipeline).allowDiskUse(true);
+
+  const map = new Map();
+  for (const row of rows) {
+    const slot = String(row._id.slot);
+    const product = String(row._id.product);
+    map.set(keyOf(slot, product), {
+      slot,
+      product,
+      onHandQty: row.onHandQty || 0,
+      reservedQty: Math.max(0, row.reservedQty || 0),
+    });
+  }
+  return map;
+};
+
+/**
+ * Slot ids for a store / label / id filter (null = every slot).
+ */
+export const resolveSlotScope = async ({ store = "", slotId = "", slotLabel = "" } = {}) => {
+  if (slotId) return [slotId];
+  if (!store && !slotLabel) return null;
+
+  const filter = {};
+  if (store) filter.store = store;
+  if (slotLabel) filter.label = slotLabel;
+  const slots = await Slot.find(filter).select("_id").lean();
+  return slots.map((slot) => String(slot._id));
+};
+
+/**
+ * Attach slot / product details to replayed rows and total them per product.
+ * Rows with nothing on hand or reserved are dropped.
+ */
+export const describeStockRows = async (rows) => {
+  const kept = rows.filter((row) => row.onHandQty !== 0 || row.reservedQty !== 0);
+
+  const slotIds = Array.from(new Set(kept.map((row) => row.slot)));
+  const productIds = Array.from(new Set(kept.map((row) => row.product)));
+  const [slots, products] = await Promise.all([
+    Slot.find({ _id: { $in: slotIds } }).select("label store unit position").lean(),
+    Product.find({ _id: { $in: productIds } }).select("name sku cbm").lean(),
+  ]);
+  const slotById = new Map(slots.map((s) => [String(s._id), s]));
+  const productById = new Map(products.map((p) => [String(p._id), p]));
+
+  const totals = new Map();
+  const described = kept
+    .map((row) => {
+      const product = productById.get(row.product) || { _id: row.product };
+      const total = totals.get(row.product) || {
+        product: { _id: product._id, name: product.name, sku: product.sku },
+        onHandQty: 0,
+        reservedQty: 0,
+        slotCount: 0,
+      };
+      total.onHandQty += row.onHandQty;
+      total.reservedQty += row.reservedQty;
+      total.slotCount += 1;
+      totals.set(row.product, total);
+
+      return {
+        slot: slotById.get(row.slot) || { _id: row.slot },
+        product: { _id: product._id, name: product.name, sku: product.sku },
+        onHandQty: row.onHandQty,
+        reservedQty: row.reservedQty,
+        cbm: (Number(product.cbm) || 0) * Math.max(0, row.onHandQty),
+      };
+    })
+    .sort(
+      (a, b) =>
+        String(a.slot.label || "").localeCompare(String(b.slot.label || "")) ||
+        String(a.product.name || "").localeCompare(String(b.product.name || ""))
+    );
+
+  const byProduct = Array.from(totals.values()).sort((a, b) =>
+    String(a.product.name || "").localeCompare(String(b.product.name || ""))
+  );
+
+  return { rows: described, byProduct };
+};
+
+/**
+ * Compare the replayed current state with live SlotItem / OrderAllocation / Slot docs.
+ * Returns { qtyDrift, reservedDrift, occupancyDrift } (only mismatches).
+ */
+export const checkStockDrift = async ({ productIds = null, slotIds = null } = {}) => {
+  const itemFilter = {};
+  const allocationFilter = {
+    $or: [{ status: "Reserved" }, { status: { $exists: false } }],
+  };
+  if (productIds?.length) {
+    itemFilter.product = { $in: productIds };
+    allocationFilter.product = { $in: productIds };
+  }
+  if (slotIds?.length) {
+    itemFilter.slot = { $in: slotIds };
+    allocationFilter.slot = { $in: slotIds };
+  }
+
+  const [replayed, items, allocations] = await Promise.all([
+    replayStock({ at: new Date(), productIds, slotIds }),
+    SlotItem.find(itemFilter).select("slot product qty cbm").lean(),
+    OrderAllocation.find(allocationFilter).select("slot product qty").lean(),
+  ]);
+
+  const live = new Map();
+  const liveRow = (slot, product) => {
+    const key = keyOf(slot, product);
+    const row = live.get(key) || { slot: String(slot), product: String(product), qty: 0, reserved: 0 };
+    live.set(key, row);
+    return row;
+  };
+  for (const item of items) liveRow(item.slot, item.product).qty += Number(item.qty) || 0;
+  for (const a of allocations) liveRow(a.slot, a.product).reserved += Number(a.qty) || 0;
+
+  const qtyDrift = [];
+  const reservedDrift = [];
+  const keys = new Set([...replayed.keys(), ...live.keys()]);
+  for (const key of keys) {
+    const r = replayed.get(key);
+    const l = live.get(key);
+    const [slot, product] = key.split("|");
+    const ledgerQty = r?.onHandQty || 0;
+    const liveQty = l?.qty || 0;
+    if (ledgerQty !== liveQty) {
+      qtyDrift.push({ slot, product, ledgerQty, liveQty, driftQty: liveQty - ledgerQty });
+    }
+    const ledgerReserved = r?.reservedQty || 0;
+    const liveReserved = l?.reserved || 0;
+    if (ledgerReserved !== liveReserved) {
+      reservedDrift.push({
+        slot,
+        product,
+        ledgerQty: ledgerReserved,
+        liveQty: liveReserved,
+        driftQty: liveReserved - ledgerReserved,
+      });
+    }
+  }
+
+  // Occupancy cache vs its SlotItem rows (what rebuildSlotOccupancy would fix)
+  const cbmBySlot = new Map();
+  for (const item of items) {
+    const key = String(item.slot);
+    cbmBySlot.set(key, (cbmBySlot.get(key) || 0) + (Number(item.cbm) || 0));
+  }
+  const slotFilter = slotIds?.length ? { _id: { $in: slotIds } } : {};
+  const slots = productIds?.length
+    ? []
+    : await Slot.find(slotFilter).select("label occupiedCbm").lean();
+  const occupancyDrift = slots
+    .map((slot) => {
+      const itemsCbm = cbmBySlot.get(String(slot._id)) || 0;
+      const occupiedCbm = Number(slot.occupiedCbm) || 0;
+      return {
+        slot: String(slot._id),
+        label: slot.label,
+        occupiedCbm,
+        itemsCbm,
+        driftCbm: itemsCbm - occupiedCbm,
+      };
+    })
+    .filter((row) => Math.abs(row.driftCbm) > 1e-9);
+
+  const driftRows = [...qtyDrift, ...reservedDrift];
+  const [driftSlots, driftProducts] = await Promise.all([
+    Slot.find({ _id: { $in: Array.from(new Set(driftRows.map((row) => row.slot))) } })
+      .select("label")
+      .lean(),
+    Product.find({ _id: { $in: Array.from(new Set(driftRows.map((row) => row.product))) } })
+      .select("name sku")
+      .lean(),
+  ]);
+  const labelById = new Map(driftSlots.map((slot) => [String(slot._id), slot.label]));
+  const productById = new Map(driftProducts.map((p) => [String(p._id), p]));
+  for (const row of driftRows) {
+    row.slotLabel = labelById.get(row.slot) || null;
+    row.productName = productById.get(row.product)?.name || null;
+    row.sku = productById.get(row.product)?.sku || null;
+  }
+
+  return { qtyDrift, reservedDrift, occupancyDrift };
+};
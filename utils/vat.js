@@ -0,0 +1,167 @@
+// utils/vat.js
+import TaxRate from "../models/taxRateModel.js";
+import Product from "../models/productModel.js";
+
+/**
+ * VAT (UAE).
+ *
+ * - Each line carries a snapshot { vatCategory, vatRate } taken when the quote line is
+ *   created (product type -> TaxRate, else the standard rate), so later rate changes
+ *   never alter existing quotes, orders or invoices.
+ * - VAT is computed per line in integer minor units, then summed.
+ * - Delivery charge and extra fee are Standard-rated at the document's vatRate.
+ * - Documents created before VAT support have vatRate null and are treated as untaxed.
+ */
+
+export const getStandardVatRate = () => {
+  const rate = Number.parseFloat(process.env.VAT_RATE ?? "5");
+  return Number.isFinite(rate) && rate >= 0 && rate <= 100 ? rate : 5;
+};
+
+// ZeroRated / Exempt always 0%; Standard uses the given rate or the standard rate
+export const effectiveVatRate = (vatCategory, ratePercent) => {
+  if (vatCategory && vatCategory !== "Standard") return 0;
+  const rate = Number(ratePercent);
+  return ratePercent !== null && ratePercent !== undefined && Number.isFinite(rate) && rate >= 0
+    ? rate
+    : getStandardVatRate();
+};
+
+export const vatMinorFor = (netMinor, vatRate) =>
+  Math.round(((Number(netMinor) || 0) * (Number(vatRate) || 0)) / 100);
+
+/**
+ * Resolve VAT snapshots for products via their productType.
+ * Returns Map(productId -> { vatCategory, vatRate }).
+ */
+export const resolveProductVat = async (productIds, session = null) => {
+  const ids = Array.from(new Set((productIds || []).map(String)));
+  if (!ids.length) return new Map();
+
+  const products = await Product.find({ _id: { $in: ids } })
+    .select("productType")
+    .session(session)
+    .lean();
+
+  const types = Array.from(new Set(products.map((p) => p.productType)));
+  const rules = await TaxRate.find({ productType: { $in: types } })
+    .session(session)
+    .lean();
+  const ruleByType = new Map(rules.map((r) => [r.productType, r]));
+
+  const map = new Map();
+  for (const product of products) {
+    const rule = ruleByType.get(product.productType);
+    const vatCategory = rule?.vatCategory || "Standard";
+    map.set(String(product._id), {
+      vatCategory,
+      vatRate: effectiveVatRate(vatCategory, rule?.ratePercent),
+    });
+  }
+  return map;
+};
+
+/**
+ * Fill missing VAT snapshots on a quote (document rate + requested items).
+ * Lines that already have a vatCategory (e.g. admin override) keep it.
+ */
+export const applyQuoteVat = async (quote, session = null) => {
+  if (quote.vatRate === null || quote.vatRate === undefined) {
+    quote.vatRate = getStandardVatRate();
+  }
+
+  const items = quote.requestedItems || [];
+  const unresolved = items.filter((it) => !it.vatCategory);
+  const vatMap = unresolved.length
+    ? await resolveProductVat(
+        unresolved.map((it) => it.product?._id || it.product),
+        session
+      )
+    : new Map();
+
+  for (const it of items) {
+    if (it.vatCategory) {
+      if (it.vatRate === null || it.vatRate === undefined) {
+        it.vatRate = effectiveVatRate(it.vatCategory);
+      }
+      continue;
+    }
+    const snap = vatMap.get(String(it.product?._id || it.product));
+    it.vatCategory = snap?.vatCategory || "Standard";
+    it.vatRate = snap ? snap.vatRate : effectiveVatRate("Standard");
+  }
+};
+
+/**
+ * Per-line VAT.
+ * lines: [{ netMinor, vatCategory, vatRate }]
+ * Returns { netMinor, vatMinor, grossMinor, lines, summary }
+ * summary groups by category + rate: [{ vatCategory, vatRate, netMinor, vatMinor }]
+ */
+export const computeVat = (lines = []) => {
+  const out = [];
+  const summaryByKey = new Map();
+  let netMinor = 0;
+  let vatMinor = 0;
+
+  for (const line of lines) {
+    const net = Math.max(0, Math.round(Number(line?.netMinor) || 0));
+    const vatRate = Number(line?.vatRate) || 0;
+    const vatCategory = line?.vatCategory || null;
+    const vat = vatMinorFor(net, vatRate);
+
+    netMinor += net;
+    vatMinor += vat;
+    out.push({ ...line, netMinor: net, vatRate, vatCategory, vatMinor: vat });
+
+    const key = `${vatCategory}:${vatRate}`;
+    const row = summaryByKey.get(key) || { vatCategory, vatRate, netMinor: 0, vatMinor: 0 };
+    row.netMinor += net;
+    row.vatMinor += vat;
+    summaryByKey.set(key, row);
+  }
+
+  return {
+    netMinor,
+    vatMinor,
+    grossMinor: netMinor + vatMinor,
+    lines: out,
+    summary: Array.from(summaryByKey.values()),
+  };
+};
+
+/**
+ * VAT for a quote/order (amounts in major units).
+ * items: [{ qty, unitPrice, vatCategory, vatRate }]
+ * fxRate converts the document's (base currency) amounts into the target currency.
+ */
+export const computeDocumentVat = ({
+  items = [],
+  deliveryCharge = 0,
+  extraFee = 0,
+  vatRate = null,
+  factor = 100,
+  fxRate = 1,
+}) => {
+  const untaxed = vatRate === null || vatRate === undefined;
+  const toMinor = (major) => Math.round((Number(major) || 0) * fxRate * factor);
+
+  const lines = items.map((it) => ({
+    netMinor: toMinor(Math.max(0, Number(it.qty) || 0) * Math.max(0, Number(it.unitPrice) || 0)),
+    vatCategory: untaxed ? null : it.vatCategory || "Standard",
+    vatRate: untaxed ? 0 : Number(it.vatRate) || 0,
+  }));
+
+  for (const charge of [deliveryCharge, extraFee]) {
+    const netMinor = toMinor(Math.max(0, Number(charge) || 0));
+    if (netMinor > 0) {
+      lines.push({
+        netMinor,
+        vatCategory: untaxed ? null : "Standard",
+        vatRate: untaxed ? 0 : Number(vatRate) || 0,
+      });
+    }
+  }
+
+  return computeVat(lines);
+};